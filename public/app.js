@@ -6,8 +6,12 @@
 
 // Import Core Engine
 import TMS5220 from './js/core/tms5220.js';
-import { textToFrames, textToPhonemes, getPhonemeString } from './js/speech/text-to-phoneme.js';
+import { textToFrames, textToPhonemes, getPhonemeString, isPhonemeNotation, convertWordToPhonemes } from './js/speech/text-to-phoneme.js';
 import { listPhonemes, getPhonemeInfo } from './js/speech/phonemes.js';
+import { pronunciationDictionary } from './js/speech/pronunciation-dictionary.js';
+import { userLexicon, validatePronunciation } from './js/speech/lexicon.js';
+import { normalizeText } from './js/speech/text-normalizer.js';
+import { isSsml, ssmlToSpeech } from './js/speech/ssml.js';
 import { SAMPLE_RATE } from './js/core/coefficients.js';
 
 // DOM Elements
@@ -26,11 +30,15 @@ const speedFactor = document.getElementById('speedFactor');
 const speedValue = document.getElementById('speedValue');
 const led = document.querySelector('.led');
 
+// localStorage key for the user lexicon
+const LEXICON_STORAGE_KEY = 'ti-speak-lexicon';
+
 // State
 let synthesizer = new TMS5220();
-let currentAudioBlob = null;
+let currentFrames = null;
 let audioContext = null;
 let audioSource = null;
+let workletNode = null;
 let isPlaying = false;
 let debounceTimer = null;
 
@@ -44,10 +52,16 @@ async function init() {
     advancedToggle.addEventListener('click', toggleAdvanced);
     pitchShift.addEventListener('input', updatePitchValue);
     speedFactor.addEventListener('input', updateSpeedValue);
+    pitchShift.addEventListener('input', sendPlaybackParams);
+
+    phonemePreview.addEventListener('click', handlePreviewClick);
 
     // Make insertPhoneme globally available since it's called from HTML
     window.insertPhoneme = insertPhoneme;
 
+    // Restore saved pronunciation fixes
+    loadLexicon();
+
     // Load phoneme list
     renderPhonemeList();
 
@@ -56,6 +70,24 @@ async function init() {
 
     // Update status
     setStatus('Ready - Type text and click SPEAK');
+
+    // Pronunciation dictionary is optional; without it the letter rules are used
+    loadDictionary();
+}
+
+/**
+ * Fetch the CMUdict-format pronunciation dictionary, if the build has one
+ */
+async function loadDictionary() {
+    try {
+        const response = await fetch(new URL('./data/cmudict.dict', import.meta.url));
+        if (!response.ok) return;
+
+        pronunciationDictionary.load(await response.text());
+        updatePhonemePreview();
+    } catch (error) {
+        console.warn('Pronunciation dictionary not loaded:', error);
+    }
 }
 
 /**
@@ -78,14 +110,85 @@ function updatePhonemePreview() {
     }
 
     try {
-        const phonemeString = getPhonemeString(text);
-        phonemePreview.textContent = phonemeString || '-';
+        if (isPhonemeNotation(text)) {
+            phonemePreview.textContent = getPhonemeString(text) || '-';
+            return;
+        }
+        if (isSsml(text)) {
+            phonemePreview.textContent = ssmlToSpeech(text).phonemes.join(' ').trim() || '-';
+            return;
+        }
+
+        // One clickable group per word, so its pronunciation can be fixed
+        const parts = normalizeText(text).split(/([A-Za-z0-9']+)/).map((part, i) => {
+            if (i % 2 === 0) {
+                if (/[.!?]/.test(part)) return ' . ';
+                if (/[,;:]/.test(part)) return ' , ';
+                return part ? ' ' : '';
+            }
+            const word = part.toUpperCase();
+            const custom = userLexicon.get(word) ? ' custom' : '';
+            return `<span class="preview-word${custom}" data-word="${word}" title="${word} - click to fix pronunciation">${convertWordToPhonemes(word).join(' ')}</span>`;
+        });
+
+        phonemePreview.innerHTML = parts.join('').trim() || '-';
     } catch (error) {
         console.error('Parse error:', error);
         phonemePreview.textContent = 'Error';
     }
 }
 
+/**
+ * Ask for a corrected pronunciation of a word clicked in the preview
+ */
+function handlePreviewClick(event) {
+    const target = event.target.closest('.preview-word');
+    if (!target) return;
+
+    const word = target.dataset.word;
+    const current = convertWordToPhonemes(word).join(' ');
+    const answer = window.prompt(`Pronunciation for ${word} (phoneme codes, e.g. HH EH1 L OW). Leave empty to reset.`, current);
+    if (answer === null) return;
+
+    if (answer.trim() === '') {
+        userLexicon.delete(word);
+        setStatus(`Reset pronunciation of ${word}`);
+    } else {
+        const { phonemes, invalid } = validatePronunciation(answer);
+        if (invalid.length > 0) {
+            setStatus(`Unknown phonemes: ${invalid.join(' ')}`, 'error');
+            return;
+        }
+        userLexicon.set(word, phonemes);
+        setStatus(`Saved pronunciation of ${word}`);
+    }
+
+    saveLexicon();
+    updatePhonemePreview();
+}
+
+/**
+ * Restore the user lexicon from localStorage
+ */
+function loadLexicon() {
+    try {
+        const saved = localStorage.getItem(LEXICON_STORAGE_KEY);
+        if (saved) {
+            userLexicon.load(JSON.parse(saved));
+        }
+    } catch (error) {
+        console.warn('User lexicon not loaded:', error);
+    }
+}
+
+function saveLexicon() {
+    try {
+        localStorage.setItem(LEXICON_STORAGE_KEY, JSON.stringify(userLexicon));
+    } catch (error) {
+        console.warn('User lexicon not saved:', error);
+    }
+}
+
 /**
  * Handle the Speak button click
  */
@@ -105,36 +208,24 @@ async function handleSpeak() {
         // Allow UI to update before heavy processing
         await new Promise(resolve => setTimeout(resolve, 10));
 
-        // Generate Frames
-        const frames = textToFrames(text);
+        // Generate Frames; speaking rate is applied by the duration model
+        const rate = parseInt(speedFactor.value) / 100;
+        const frames = isSsml(text) ? ssmlToSpeech(text, { rate }).frames : textToFrames(text, { rate });
 
         if (frames.length === 0) {
             throw new Error('No speakable content found');
         }
 
-        // Apply pitch shift if needed
-        const pitchShiftVal = parseInt(pitchShift.value);
-        if (pitchShiftVal !== 0) {
-            for (const frame of frames) {
-                if (frame.pitch > 0) { // Only shift voiced sounds
-                    // Lower pitch index = higher frequency in TMS5220 table (mostly)
-                    // But actually table is somewhat non-linear.
-                    // Simple index shift for now.
-                    // Note: This is a hacky implementation of pitch shift
-                    // Ideally we'd map to freq, shift, map back
-                }
-            }
-        }
-
-        // Synthesize
-        const samples = synthesizer.synthesizeFromFrames(frames);
-
-        // Create WAV buffer for download
-        const wavBuffer = createWavFile(samples, SAMPLE_RATE);
-        currentAudioBlob = new Blob([wavBuffer], { type: 'audio/wav' });
+        currentFrames = frames;
 
         // Play the audio
-        await playAudio(samples);
+        if (await initWorklet()) {
+            isPlaying = true;
+            sendPlaybackParams();
+            workletNode.port.postMessage({ type: 'speak', frames });
+        } else {
+            await playAudio(synthesizer.synthesizeFromFrames(frames));
+        }
 
         setStatus(`Speaking... (${frames.length} frames)`, 'speaking');
         stopBtn.disabled = false;
@@ -193,17 +284,99 @@ function createWavFile(samples, sampleRate) {
 }
 
 /**
- * Play audio samples directly
+ * Get the shared AudioContext, resuming it if needed
  */
-async function playAudio(samples) {
+async function getAudioContext() {
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+
+    if (audioContext.state === 'suspended') {
+        await audioContext.resume();
+    }
+
+    return audioContext;
+}
+
+/**
+ * Load the real-time synthesizer worklet
+ * @returns {Promise<boolean>} - False if AudioWorklet is unavailable
+ */
+async function initWorklet() {
+    const context = await getAudioContext();
+
+    if (workletNode) {
+        return true;
+    }
+
+    if (!context.audioWorklet) {
+        return false;
+    }
+
     try {
-        if (!audioContext) {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        }
+        await context.audioWorklet.addModule(new URL('./js/audio/tms5220-worklet.js', import.meta.url));
+    } catch (error) {
+        console.error('AudioWorklet load error:', error);
+        return false;
+    }
 
-        if (audioContext.state === 'suspended') {
-            await audioContext.resume();
-        }
+    workletNode = new AudioWorkletNode(context, 'tms5220-processor', {
+        numberOfInputs: 0,
+        outputChannelCount: [1]
+    });
+    workletNode.port.onmessage = handleWorkletMessage;
+    workletNode.connect(context.destination);
+
+    return true;
+}
+
+/**
+ * Handle events from the synthesizer worklet
+ */
+function handleWorkletMessage(event) {
+    const message = event.data;
+
+    if (message.type === 'frame' && isPlaying && currentFrames) {
+        setStatus(`Speaking... (frame ${message.index + 1}/${currentFrames.length})`, 'speaking');
+    } else if (message.type === 'ended' && isPlaying) {
+        playbackEnded();
+    }
+}
+
+/**
+ * Send the current pitch setting to the worklet
+ *
+ * Only pitch changes a playing utterance; speed is baked into the frames by
+ * the duration model and applies from the next Speak.
+ */
+function sendPlaybackParams() {
+    if (!workletNode) {
+        return;
+    }
+
+    workletNode.port.postMessage({
+        type: 'params',
+        pitchShift: parseInt(pitchShift.value)
+    });
+}
+
+/**
+ * Reset the UI once speech has finished
+ */
+function playbackEnded() {
+    isPlaying = false;
+    speakBtn.disabled = false;
+    stopBtn.disabled = true;
+    led.classList.remove('active');
+    setStatus('Ready');
+}
+
+/**
+ * Play audio samples directly (fallback without AudioWorklet)
+ */
+async function playAudio(samples) {
+    try {
+        await getAudioContext();
 
         if (audioSource) {
             audioSource.stop();
@@ -218,20 +391,11 @@ async function playAudio(samples) {
             channelData[i] = samples[i] / 32768.0;
         }
 
-        const speed = parseInt(speedFactor.value) / 100;
-
         audioSource = audioContext.createBufferSource();
         audioSource.buffer = audioBuffer;
-        audioSource.playbackRate.value = speed;
         audioSource.connect(audioContext.destination);
 
-        audioSource.onended = () => {
-            isPlaying = false;
-            speakBtn.disabled = false;
-            stopBtn.disabled = true;
-            led.classList.remove('active');
-            setStatus('Ready');
-        };
+        audioSource.onended = playbackEnded;
 
         isPlaying = true;
         audioSource.start(0);
@@ -246,10 +410,14 @@ async function playAudio(samples) {
  * Handle Stop button
  */
 function handleStop() {
+    if (workletNode) {
+        workletNode.port.postMessage({ type: 'stop' });
+    }
+
     if (audioSource && isPlaying) {
         audioSource.stop();
-        isPlaying = false;
     }
+    isPlaying = false;
 
     speakBtn.disabled = false;
     stopBtn.disabled = true;
@@ -261,12 +429,15 @@ function handleStop() {
  * Handle Download button
  */
 function handleDownload() {
-    if (!currentAudioBlob) {
+    if (!currentFrames) {
         setStatus('No audio to download', 'error');
         return;
     }
 
-    const url = URL.createObjectURL(currentAudioBlob);
+    // Rendered on demand so playback never waits for the whole utterance
+    const samples = synthesizer.synthesizeFromFrames(currentFrames);
+    const wavBuffer = createWavFile(samples, SAMPLE_RATE);
+    const url = URL.createObjectURL(new Blob([wavBuffer], { type: 'audio/wav' }));
     const a = document.createElement('a');
     a.href = url;
     a.download = `ti-speak-${Date.now()}.wav`;
@@ -0,0 +1,188 @@
+/**
+ * TMS5220 AudioWorklet Processor (ES Module)
+ *
+ * Runs the synthesizer on the audio rendering thread, rendering the 8 kHz chip
+ * samples each block needs with TMS5220.render() and resampling them to the
+ * AudioContext rate.
+ *
+ * Messages from the main thread:
+ * - { type: 'speak', frames }   Start speaking a list of LPC frames
+ * - { type: 'stop' }            Silence the chip immediately
+ * - { type: 'params', pitchShift }  Adjust the pitch while speaking
+ *
+ * Pitch is the only live parameter. Speed is applied by the duration model
+ * when the frames are built, so a new speed takes effect on the next 'speak'.
+ *
+ * Messages to the main thread:
+ * - { type: 'frame', index }    A new frame was loaded
+ * - { type: 'ended' }           Speech finished (or was stopped)
+ */
+
+import TMS5220 from '../core/tms5220.js';
+import { SAMPLE_RATE, INTERP_PERIODS, SAMPLES_PER_INTERP } from '../core/coefficients.js';
+
+class TMS5220Processor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+
+        this.chip = new TMS5220();
+        this.pitchShift = 0;       // Pitch table steps, positive = higher
+        this.frames = [];
+        this.frameIndex = -1;
+
+        // Chip samples rendered for the current block
+        this.buffer = new Float32Array(256);
+
+        // Linear resampler state: two chip samples and the position between them
+        this.previous = 0;
+        this.next = 0;
+        this.position = 0;
+        this.active = false;
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'speak':
+                this.frames = message.frames;
+                this.frameIndex = -1;
+                this.chip.reset();
+                this.chip.loadFrames(this.frames);
+                this.previous = 0;
+                this.next = 0;
+                this.position = 1;
+                this.active = true;
+                this.applyPitchShift();
+                break;
+
+            case 'stop':
+                this.chip.reset();
+                this.finish();
+                break;
+
+            case 'params':
+                if (typeof message.pitchShift === 'number') {
+                    this.pitchShift = message.pitchShift;
+                    this.applyPitchShift();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Re-target the current frame's pitch with the active pitch shift
+     */
+    applyPitchShift() {
+        const frame = this.frames[this.chip.frameQueuePos - 1];
+        if (!frame || !frame.pitch) {
+            return;
+        }
+
+        const table = this.chip.variant.pitchTable;
+        let index = 1;
+        for (let i = 2; i < table.length; i++) {
+            if (Math.abs(table[i] - frame.pitch) < Math.abs(table[index] - frame.pitch)) {
+                index = i;
+            }
+        }
+
+        // Higher table entries are longer periods, i.e. lower pitch
+        index = Math.max(1, Math.min(table.length - 1, index - this.pitchShift));
+        this.chip.targetPitch = table[index];
+    }
+
+    /**
+     * Report a newly loaded frame and re-apply the pitch shift to it
+     */
+    trackFrame() {
+        const index = this.chip.frameQueuePos - 1;
+        if (index !== this.frameIndex) {
+            this.frameIndex = index;
+            this.applyPitchShift();
+            if (index < this.frames.length) {
+                this.port.postMessage({ type: 'frame', index });
+            }
+        }
+    }
+
+    /**
+     * Render chip samples into the block buffer
+     *
+     * Rendering stops at each frame boundary, so a new frame's pitch shift
+     * applies from its first sample.
+     * @param {number} count - Number of 8 kHz samples needed
+     */
+    renderChip(count) {
+        if (this.buffer.length < count) {
+            this.buffer = new Float32Array(count);
+        }
+
+        let filled = 0;
+        while (filled < count && this.chip.speaking) {
+            const untilFrame = (INTERP_PERIODS - this.chip.interpCount) * SAMPLES_PER_INTERP - this.chip.sampleCount;
+            const chunk = Math.min(count - filled, untilFrame);
+            this.chip.render(this.buffer.subarray(filled), chunk);
+            filled += chunk;
+            this.trackFrame();
+        }
+
+        this.buffer.fill(0, filled, count);
+    }
+
+    finish() {
+        if (this.active) {
+            this.active = false;
+            this.port.postMessage({ type: 'ended' });
+        }
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0][0];
+        if (!output) {
+            return true;
+        }
+
+        if (!this.active) {
+            output.fill(0);
+            return true;
+        }
+
+        const step = SAMPLE_RATE / sampleRate;
+
+        // Count the chip samples this block consumes, stepping exactly as below
+        let needed = 0;
+        for (let i = 0, position = this.position; i < output.length; i++, position += step) {
+            while (position >= 1) {
+                position -= 1;
+                needed++;
+            }
+        }
+        this.renderChip(needed);
+
+        let read = 0;
+        for (let i = 0; i < output.length; i++) {
+            while (this.position >= 1) {
+                this.previous = this.next;
+                this.next = this.buffer[read++];
+                this.position -= 1;
+            }
+
+            output[i] = this.previous + (this.next - this.previous) * this.position;
+            this.position += step;
+        }
+
+        // Copy to any further channels
+        for (let c = 1; c < outputs[0].length; c++) {
+            outputs[0][c].set(output);
+        }
+
+        if (!this.chip.speaking && this.previous === 0 && this.next === 0) {
+            this.finish();
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('tms5220-processor', TMS5220Processor);
@@ -0,0 +1,140 @@
+/**
+ * Chip Variant Registry (ES Module)
+ *
+ * The TMS5100/5200 family share the same LPC architecture but differ in their
+ * internal ROM tables and frame layout. Each profile bundles everything the
+ * synthesizer and frame codec need to emulate one part:
+ * - energyTable / pitchTable / kTables: parameter lookup ROMs
+ * - chirpTable: voiced excitation waveform (signed)
+ * - energyBits / pitchBits / kBits: frame bit layout
+ * - interpCoeff: interpolation shift per period
+ * - inhibitInterpolation: snap to new parameters on voicing changes and
+ *   silence-to-speech transitions instead of interpolating
+ *
+ * Only the parameter ROMs, the chirp ROM and the pitch field width differ
+ * between the parts. Every coefficient set in MAME uses the same K field
+ * widths (5-5-4-4-4-4-4-3-3-3), the same interpolation shifts and the same
+ * interpolation inhibit, so the profiles share K_BITS, INTERP_COEFF and
+ * inhibitInterpolation. They remain per-profile fields so a part can diverge
+ * without changes to the synthesizer. The TMS5220C's variable frame rate
+ * commands are not emulated.
+ *
+ * Tables are from MAME tms5110r.hxx (BSD-3-Clause license).
+ */
+
+import {
+    ENERGY_TABLE,
+    PITCH_TABLE,
+    K_TABLES,
+    K_BITS,
+    CHIRP_TABLE,
+    INTERP_COEFF,
+    TMS5100_ENERGY_TABLE,
+    TMS5100_PITCH_TABLE,
+    TMS5100_K_TABLES,
+    TMS5100_CHIRP_TABLE,
+    TMS5110_PITCH_TABLE,
+    TMS5200_PITCH_TABLE,
+    TMS5200_K_TABLES
+} from './coefficients.js';
+
+// Convert a chirp ROM to signed values (-128 to 127)
+function toSigned(table) {
+    return table.map(v => v > 127 ? v - 256 : v);
+}
+
+export const CHIP_VARIANTS = {
+    tms5100: {
+        name: 'tms5100',
+        label: 'TMS5100',
+        description: 'Original Speak & Spell synthesizer (TMC0281)',
+        energyTable: TMS5100_ENERGY_TABLE,
+        pitchTable: TMS5100_PITCH_TABLE,
+        kTables: TMS5100_K_TABLES,
+        chirpTable: toSigned(TMS5100_CHIRP_TABLE),
+        energyBits: 4,
+        pitchBits: 5,
+        kBits: K_BITS,
+        interpCoeff: INTERP_COEFF,
+        inhibitInterpolation: true
+    },
+    tms5110a: {
+        name: 'tms5110a',
+        label: 'TMS5110A',
+        description: 'Later Speak & Spell family and arcade synthesizer',
+        energyTable: ENERGY_TABLE,
+        pitchTable: TMS5110_PITCH_TABLE,
+        kTables: K_TABLES,
+        chirpTable: toSigned(CHIRP_TABLE),
+        energyBits: 4,
+        pitchBits: 5,
+        kBits: K_BITS,
+        interpCoeff: INTERP_COEFF,
+        inhibitInterpolation: true
+    },
+    tms5200: {
+        name: 'tms5200',
+        label: 'TMS5200',
+        description: 'First host-interfaced part with a 6-bit pitch table (CD2501E)',
+        energyTable: ENERGY_TABLE,
+        pitchTable: TMS5200_PITCH_TABLE,
+        kTables: TMS5200_K_TABLES,
+        chirpTable: toSigned(CHIRP_TABLE),
+        energyBits: 4,
+        pitchBits: 6,
+        kBits: K_BITS,
+        interpCoeff: INTERP_COEFF,
+        inhibitInterpolation: true
+    },
+    tms5220: {
+        name: 'tms5220',
+        label: 'TMS5220',
+        description: 'TI-99/4A Speech Synthesizer module',
+        energyTable: ENERGY_TABLE,
+        pitchTable: PITCH_TABLE,
+        kTables: K_TABLES,
+        chirpTable: toSigned(CHIRP_TABLE),
+        energyBits: 4,
+        pitchBits: 6,
+        kBits: K_BITS,
+        interpCoeff: INTERP_COEFF,
+        inhibitInterpolation: true
+    },
+    tms5220c: {
+        name: 'tms5220c',
+        label: 'TMS5220C',
+        description: 'Later TMS5220 revision with the same parameter ROMs',
+        energyTable: ENERGY_TABLE,
+        pitchTable: PITCH_TABLE,
+        kTables: K_TABLES,
+        chirpTable: toSigned(CHIRP_TABLE),
+        energyBits: 4,
+        pitchBits: 6,
+        kBits: K_BITS,
+        interpCoeff: INTERP_COEFF,
+        inhibitInterpolation: true
+    }
+};
+
+export const DEFAULT_VARIANT = 'tms5220';
+
+/**
+ * Get a chip profile by name
+ * @param {string} [name='tms5220'] - Variant name (case-insensitive)
+ * @returns {Object} - Chip profile
+ */
+export function getChipVariant(name = DEFAULT_VARIANT) {
+    const key = String(name).toLowerCase();
+    if (!Object.hasOwn(CHIP_VARIANTS, key)) {
+        throw new Error(`Unknown chip variant: ${name} (expected one of ${listChipVariants().join(', ')})`);
+    }
+    return CHIP_VARIANTS[key];
+}
+
+/**
+ * Get list of all supported chip variants
+ * @returns {string[]} - Array of variant names
+ */
+export function listChipVariants() {
+    return Object.keys(CHIP_VARIANTS);
+}
@@ -127,3 +127,100 @@ export const INTERP_PERIODS = 8;
 
 // Samples per interpolation period
 export const SAMPLES_PER_INTERP = SAMPLES_PER_FRAME / INTERP_PERIODS; // 25
+
+// ---------------------------------------------------------------------------
+// Tables for other members of the TMS5100/5200 family (see chip-variants.js)
+// ---------------------------------------------------------------------------
+
+// TMS5100 energy table (TI_0280_PATENT_ENERGY)
+export const TMS5100_ENERGY_TABLE = [
+    0, 0, 1, 1, 2, 3, 5, 7,
+    10, 15, 21, 30, 43, 61, 86, 0  // Last 0 is stop code
+];
+
+// TMS5100 pitch table (5 bits, TI_0280_2801_PATENT_PITCH)
+export const TMS5100_PITCH_TABLE = [
+    0, 41, 43, 45, 47, 49, 51, 53,
+    55, 58, 60, 63, 66, 70, 73, 76,
+    79, 83, 87, 90, 94, 99, 103, 108,
+    112, 118, 123, 129, 134, 140, 147, 153
+];
+
+// TMS5100 K tables (TI_0280_PATENT_LPC)
+export const TMS5100_K_TABLES = [
+    [
+        -501, -497, -493, -488, -480, -471, -460, -446,
+        -427, -405, -378, -344, -305, -259, -206, -148,
+        -86, -21, 45, 110, 171, 227, 277, 320,
+        357, 388, 413, 434, 451, 464, 474, 498
+    ],
+    [
+        -349, -328, -305, -280, -252, -223, -192, -158,
+        -124, -88, -51, -14, 23, 60, 97, 133,
+        167, 199, 230, 259, 286, 310, 333, 354,
+        372, 389, 404, 417, 429, 439, 449, 506
+    ],
+    [-397, -365, -327, -282, -229, -170, -104, -36, 35, 104, 169, 228, 281, 326, 364, 396],
+    [-369, -334, -293, -245, -191, -131, -67, -1, 64, 128, 188, 243, 291, 332, 367, 397],
+    [-319, -286, -250, -211, -168, -122, -74, -25, 24, 73, 121, 167, 210, 249, 285, 318],
+    [-290, -252, -209, -163, -114, -62, -9, 44, 97, 147, 194, 238, 278, 313, 344, 371],
+    [-291, -256, -216, -174, -128, -80, -31, 19, 69, 117, 163, 206, 246, 283, 316, 345],
+    [-218, -133, -38, 59, 152, 235, 305, 361],
+    [-226, -157, -82, -3, 76, 151, 220, 280],
+    [-179, -122, -61, 1, 62, 123, 179, 231]
+];
+
+// TMS5100 chirp (TI_0280_PATENT_CHIRP), padded to the 52-entry chirp ROM
+export const TMS5100_CHIRP_TABLE = [
+    0x00, 0x2a, 0xd4, 0x32, 0xb2, 0x12, 0x25, 0x14,
+    0x02, 0xe1, 0xc5, 0x02, 0x5f, 0x5a, 0x05, 0x0f,
+    0x26, 0xfc, 0xa5, 0xa5, 0xd6, 0xdd, 0xdc, 0xfc,
+    0x25, 0x2b, 0x22, 0x21, 0x0f, 0xff, 0xf8, 0xee,
+    0xed, 0xef, 0xf7, 0xf6, 0xfa, 0x00, 0x03, 0x02,
+    0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+];
+
+// TMS5110A pitch table (5 bits, TI_5110_PITCH)
+export const TMS5110_PITCH_TABLE = [
+    0, 15, 16, 17, 19, 21, 22, 25,
+    26, 29, 32, 36, 40, 42, 46, 50,
+    55, 60, 64, 68, 72, 76, 80, 84,
+    86, 93, 101, 110, 120, 132, 144, 159
+];
+
+// TMS5200 pitch table (6 bits, TI_2501E_PITCH)
+export const TMS5200_PITCH_TABLE = [
+    0, 14, 15, 16, 17, 18, 19, 20,
+    21, 22, 23, 24, 25, 26, 27, 28,
+    29, 30, 31, 32, 34, 36, 38, 40,
+    41, 43, 45, 48, 49, 51, 54, 55,
+    57, 60, 62, 64, 68, 72, 74, 76,
+    81, 85, 87, 90, 96, 99, 103, 107,
+    112, 117, 122, 127, 133, 139, 145, 151,
+    157, 164, 171, 178, 186, 194, 202, 211
+];
+
+// TMS5200 K tables (TI_2801_2501E_LPC)
+export const TMS5200_K_TABLES = [
+    [
+        -501, -498, -495, -490, -485, -478, -469, -459,
+        -446, -431, -412, -389, -362, -331, -295, -253,
+        -207, -156, -102, -45, 13, 70, 126, 179,
+        228, 272, 311, 345, 374, 399, 420, 437
+    ],
+    [
+        -376, -357, -335, -312, -286, -258, -227, -195,
+        -161, -124, -87, -48, -10, 29, 68, 106,
+        143, 178, 211, 242, 270, 295, 318, 338,
+        355, 370, 384, 395, 405, 414, 421, 427
+    ],
+    [-407, -381, -349, -311, -268, -218, -162, -102, -39, 25, 89, 149, 206, 257, 302, 341],
+    [-290, -252, -209, -163, -114, -62, -9, 44, 97, 147, 194, 238, 278, 313, 344, 371],
+    [-318, -283, -245, -202, -156, -107, -56, -3, 49, 101, 150, 196, 238, 276, 310, 338],
+    [-193, -152, -109, -65, -20, 26, 71, 115, 158, 198, 235, 270, 301, 330, 355, 377],
+    [-254, -218, -180, -140, -97, -53, -8, 36, 81, 124, 165, 204, 240, 274, 304, 332],
+    [-205, -112, -10, 92, 187, 269, 336, 387],
+    [-249, -183, -110, -32, 48, 126, 198, 261],
+    [-190, -133, -73, -10, 53, 115, 173, 227]
+];
@@ -9,6 +9,11 @@ export default class LPCLattice {
         // Internal state: delay line for the lattice stages
         // We need 11 delay elements (input + 10 stages)
         this.delay = new Array(11).fill(0);
+
+        // Integer state for the bit-exact path
+        this.u = new Int32Array(11);
+        this.x = new Int32Array(10);
+        this.previousEnergy = 0;
     }
 
     /**
@@ -16,6 +21,9 @@ export default class LPCLattice {
      */
     reset() {
         this.delay.fill(0);
+        this.u.fill(0);
+        this.x.fill(0);
+        this.previousEnergy = 0;
     }
 
     /**
@@ -101,4 +109,42 @@ export default class LPCLattice {
         // Clamp to 14-bit signed range
         return Math.max(-8192, Math.min(8191, Math.round(y)));
     }
+
+    /**
+     * Bit-exact integer lattice (US patent 4,209,804 table I, MAME order)
+     *
+     * The energy multiply runs one sample behind, as on the chip.
+     * @param {number} excitation - Signed 8-bit excitation sample
+     * @param {number} energy - Current energy table value (0-114), applied on the next call
+     * @param {number[]} k - Array of 10 K coefficients (10-bit)
+     * @returns {number} - Output sample (-16384 to 16383)
+     */
+    processExact(excitation, energy, k) {
+        const u = this.u;
+        const x = this.x;
+
+        u[10] = matrixMultiply(this.previousEnergy, excitation << 6);
+        this.previousEnergy = energy;
+
+        for (let i = 9; i >= 0; i--) {
+            u[i] = u[i + 1] - matrixMultiply(k[i], x[i]);
+        }
+
+        for (let i = 9; i >= 1; i--) {
+            x[i] = x[i - 1] + matrixMultiply(k[i - 1], u[i - 1]);
+        }
+        x[0] = u[0];
+
+        return wrap(u[0], 15);
+    }
+}
+
+function wrap(value, bits) {
+    const shift = 32 - bits;
+    return (value << shift) >> shift;
+}
+
+// 10-bit x 15-bit multiplier, product truncated by 9 bits
+function matrixMultiply(a, b) {
+    return (wrap(a, 10) * wrap(b, 15)) >> 9;
 }
@@ -3,12 +3,6 @@
  */
 
 import {
-    ENERGY_TABLE,
-    PITCH_TABLE,
-    K_TABLES,
-    K_BITS,
-    CHIRP_TABLE_SIGNED,
-    INTERP_COEFF,
     SAMPLE_RATE,
     SAMPLES_PER_FRAME,
     INTERP_PERIODS,
@@ -16,9 +10,47 @@ import {
 } from './coefficients.js';
 
 import LPCLattice from './lpc-lattice.js';
+import { getChipVariant } from './chip-variants.js';
+
+const FIFO_SIZE = 16;
+const FIFO_START_THRESHOLD = 9;
+
+const Command = {
+    NOP: 0x00,
+    READ_BYTE: 0x10,
+    NOP2: 0x20,
+    READ_AND_BRANCH: 0x30,
+    LOAD_ADDRESS: 0x40,
+    SPEAK: 0x50,
+    SPEAK_EXTERNAL: 0x60,
+    RESET: 0x70
+};
+
+const Status = {
+    TALK_STATUS: 0x80,
+    BUFFER_LOW: 0x40,
+    BUFFER_EMPTY: 0x20
+};
+
+const RENDER_BLOCK_SIZE = 4096;
+const MAX_BITSTREAM_SAMPLES = SAMPLE_RATE * 30;
+
+const MODES = ['exact', 'clean'];
 
 export default class TMS5220 {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='exact'] - 'exact' integer pipeline or 'clean' float lattice
+     * @param {string} [options.variant='tms5220'] - Chip variant
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'exact';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown synthesis mode: ${this.mode}`);
+        }
+
+        this.variant = getChipVariant(options.variant);
+
         // LPC lattice filter
         this.lattice = new LPCLattice();
 
@@ -40,6 +72,10 @@ export default class TMS5220 {
         this.pitchCount = 0;       // Current position in pitch period
         this.chirpIndex = 0;       // Current position in chirp table
         this.noiseRegister = 0x1FFFF; // 17-bit LFSR for noise generation
+        this.rng = 0x1FFF;         // 13-bit LFSR used by the exact pipeline
+        this.inhibit = false;      // Interpolation inhibited for this frame (exact mode)
+        this.unvoiced = true;      // Excitation select, latched late in each frame (OLDP)
+        this.pitchZero = false;    // Pitch counter held at 0 after an inhibited frame
 
         // Status flags
         this.speaking = false;
@@ -49,11 +85,23 @@ export default class TMS5220 {
 
         // FIFO buffer for Speak External mode (16 bytes = 128 bits)
         this.fifo = [];
-        this.fifoBitPos = 0;       // Current bit position in FIFO
+        this.fifoBitPos = 0;       // Bits already taken from the head byte
+        this.speakExternal = false;
+
+        // Host interface state
+        this.readByteFlag = false;
+        this.dataRegister = 0;
+
+        // Speech ROM (VSM), if any
+        this.vsm = null;
 
         // Frame buffer for current frame data
         this.frameData = null;
         this.frameBitPos = 0;
+
+        // Decoded parameter frames queued by loadFrames()
+        this.frameQueue = null;
+        this.frameQueuePos = 0;
     }
 
     /**
@@ -72,14 +120,114 @@ export default class TMS5220 {
         this.pitchCount = 0;
         this.chirpIndex = 0;
         this.noiseRegister = 0x1FFFF;
+        this.rng = 0x1FFF;
+        this.inhibit = false;
+        this.unvoiced = true;
+        this.pitchZero = false;
         this.speaking = false;
         this.talkStatus = false;
         this.bufferLow = true;
         this.bufferEmpty = true;
         this.fifo = [];
         this.fifoBitPos = 0;
+        this.speakExternal = false;
+        this.readByteFlag = false;
+        this.dataRegister = 0;
         this.frameData = null;
         this.frameBitPos = 0;
+        this.frameQueue = null;
+        this.frameQueuePos = 0;
+    }
+
+    /**
+     * Write a byte to the chip's data bus (FIFO data or command)
+     * @param {number} byte - Byte written by the host
+     */
+    writeData(byte) {
+        byte &= 0xFF;
+
+        if (this.speakExternal) {
+            this.writeFifo(byte);
+            return;
+        }
+
+        switch (byte & 0x70) {
+            case Command.READ_BYTE:
+                this.dataRegister = this.vsm ? this.vsm.readBits(8) : 0;
+                this.readByteFlag = true;
+                break;
+            case Command.READ_AND_BRANCH:
+                if (this.vsm) this.vsm.readAndBranch();
+                break;
+            case Command.LOAD_ADDRESS:
+                if (this.vsm) this.vsm.loadAddress(byte & 0x0F);
+                break;
+            case Command.SPEAK:
+                this.frameData = null;
+                this.frameQueue = null;
+                this.startSpeaking();
+                break;
+            case Command.SPEAK_EXTERNAL:
+                this.fifo = [];
+                this.fifoBitPos = 0;
+                this.speakExternal = true;
+                this.readByteFlag = false;
+                this.updateStatus();
+                break;
+            case Command.RESET:
+                this.reset();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Read the data bus: a pending Read Byte result, else the status register
+     * @returns {number} - Status register or data byte
+     */
+    readStatus() {
+        if (this.readByteFlag) {
+            this.readByteFlag = false;
+            return this.dataRegister;
+        }
+
+        return (this.talkStatus ? Status.TALK_STATUS : 0) |
+            (this.bufferLow ? Status.BUFFER_LOW : 0) |
+            (this.bufferEmpty ? Status.BUFFER_EMPTY : 0);
+    }
+
+    /**
+     * Queue a byte in the Speak External FIFO
+     * @param {number} byte - Speech data byte
+     * @returns {boolean} - false if the FIFO was full
+     */
+    writeFifo(byte) {
+        if (this.fifo.length >= FIFO_SIZE) {
+            return false;
+        }
+
+        this.fifo.push(byte & 0xFF);
+        this.updateStatus();
+
+        if (!this.talkStatus && this.fifo.length >= FIFO_START_THRESHOLD) {
+            this.startSpeaking();
+        }
+
+        return true;
+    }
+
+    updateStatus() {
+        this.bufferLow = this.fifo.length <= FIFO_SIZE / 2;
+        this.bufferEmpty = this.fifo.length === 0;
+    }
+
+    startSpeaking() {
+        this.speaking = true;
+        this.talkStatus = true;
+        this.interpCount = 0;
+        this.sampleCount = 0;
+        this.readNextFrame();
     }
 
     /**
@@ -89,37 +237,93 @@ export default class TMS5220 {
     loadSpeechData(data) {
         this.frameData = Array.from(data);
         this.frameBitPos = 0;
-        this.speaking = true;
-        this.talkStatus = true;
+        this.frameQueue = null;
+        this.speakExternal = false;
+        this.startSpeaking();
+    }
 
-        // Read first frame
-        this.readNextFrame();
+    /**
+     * Queue decoded LPC frames for synthesis (followed by a final silence frame)
+     * @param {Object[]} frames - Array of frame objects
+     */
+    loadFrames(frames) {
+        this.frameQueue = frames;
+        this.frameQueuePos = 0;
+        this.frameData = null;
+        this.speakExternal = false;
+        this.startSpeaking();
+    }
+
+    readQueuedFrame() {
+        const frame = this.frameQueue[this.frameQueuePos++];
+
+        if (frame) {
+            this.targetEnergy = frame.energy !== undefined ? frame.energy : 0;
+            this.targetPitch = frame.pitch !== undefined ? frame.pitch : 0;
+
+            if (frame.k) {
+                for (let i = 0; i < 10; i++) {
+                    this.targetK[i] = frame.k[i] !== undefined ? frame.k[i] : 0;
+                }
+            }
+        } else if (this.frameQueuePos === this.frameQueue.length + 1) {
+            this.targetEnergy = 0;
+        } else {
+            this.stopSpeaking();
+            return false;
+        }
+
+        this.interpCount = 0;
+        this.sampleCount = 0;
+        return true;
     }
 
     /**
-     * Read bits from the frame data buffer
+     * Read a parameter field (bytes arrive LSB first, fields are MSB first)
      * @param {number} numBits - Number of bits to read
      * @returns {number} - The value read
      */
     readBits(numBits) {
-        if (!this.frameData || this.frameBitPos >= this.frameData.length * 8) {
+        let value = 0;
+        for (let i = 0; i < numBits; i++) {
+            value = (value << 1) | this.readBit();
+        }
+        return value;
+    }
+
+    readBit() {
+        if (this.speakExternal) {
+            return this.readFifoBit();
+        }
+
+        if (!this.frameData) {
+            return this.vsm ? this.vsm.readBits(1) : 0;
+        }
+
+        if (this.frameBitPos >= this.frameData.length * 8) {
             return 0;
         }
 
-        let value = 0;
-        for (let i = 0; i < numBits; i++) {
-            const byteIndex = Math.floor(this.frameBitPos / 8);
-            const bitIndex = this.frameBitPos % 8;
+        const bit = (this.frameData[this.frameBitPos >> 3] >> (this.frameBitPos & 7)) & 1;
+        this.frameBitPos++;
+        return bit;
+    }
 
-            if (byteIndex < this.frameData.length) {
-                // TMS5220 reads bits LSB first within each byte
-                const bit = (this.frameData[byteIndex] >> bitIndex) & 1;
-                value |= (bit << i);
-            }
-            this.frameBitPos++;
+    readFifoBit() {
+        if (this.fifo.length === 0) {
+            return 0;
         }
 
-        return value;
+        const bit = (this.fifo[0] >> this.fifoBitPos) & 1;
+
+        this.fifoBitPos++;
+        if (this.fifoBitPos >= 8) {
+            this.fifo.shift();
+            this.fifoBitPos = 0;
+        }
+
+        this.updateStatus();
+        return bit;
     }
 
     /**
@@ -133,15 +337,24 @@ export default class TMS5220 {
         for (let i = 0; i < 10; i++) {
             this.currentK[i] = this.targetK[i];
         }
+        this.inhibit = false;
 
-        // Read energy (4 bits)
-        const energyIndex = this.readBits(4);
+        if (this.frameQueue) {
+            return this.readQueuedFrame();
+        }
+
+        if (this.frameData && this.frameBitPos >= this.frameData.length * 8) {
+            this.stopSpeaking();
+            return false;
+        }
+
+        const { energyTable, pitchTable, kTables, kBits } = this.variant;
+
+        const energyIndex = this.readBits(this.variant.energyBits);
 
         // Check for stop code
         if (energyIndex === 15) {
-            this.speaking = false;
-            this.talkStatus = false;
-            this.targetEnergy = 0;
+            this.stopSpeaking();
             return false;
         }
 
@@ -158,28 +371,27 @@ export default class TMS5220 {
         }
 
         // Decode energy from table
-        this.targetEnergy = ENERGY_TABLE[energyIndex];
+        this.targetEnergy = energyTable[energyIndex];
 
         // Read repeat flag (1 bit)
         const repeatFlag = this.readBits(1);
 
-        // Read pitch (6 bits)
-        const pitchIndex = this.readBits(6);
-        this.targetPitch = PITCH_TABLE[pitchIndex];
+        const pitchIndex = this.readBits(this.variant.pitchBits);
+        this.targetPitch = pitchTable[pitchIndex];
 
         // If repeat flag is set, keep previous K parameters
         if (repeatFlag) {
-            // K parameters stay the same as previous frame
+            this.applyInterpolationInhibit();
             this.interpCount = 0;
             this.sampleCount = 0;
             return true;
         }
 
         // Voiced vs Unvoiced
-        this.targetK[0] = K_TABLES[0][this.readBits(K_BITS[0])];
-        this.targetK[1] = K_TABLES[1][this.readBits(K_BITS[1])];
-        this.targetK[2] = K_TABLES[2][this.readBits(K_BITS[2])];
-        this.targetK[3] = K_TABLES[3][this.readBits(K_BITS[3])];
+        this.targetK[0] = kTables[0][this.readBits(kBits[0])];
+        this.targetK[1] = kTables[1][this.readBits(kBits[1])];
+        this.targetK[2] = kTables[2][this.readBits(kBits[2])];
+        this.targetK[3] = kTables[3][this.readBits(kBits[3])];
 
         if (pitchIndex === 0) {
             for (let i = 4; i < 10; i++) {
@@ -187,16 +399,51 @@ export default class TMS5220 {
             }
         } else {
             for (let i = 4; i < 10; i++) {
-                this.targetK[i] = K_TABLES[i][this.readBits(K_BITS[i])];
+                this.targetK[i] = kTables[i][this.readBits(kBits[i])];
             }
         }
 
+        this.applyInterpolationInhibit();
+
         this.interpCount = 0;
         this.sampleCount = 0;
 
         return true;
     }
 
+    /**
+     * Skip interpolation on silence-to-speech and voicing transitions
+     *
+     * Exact mode holds the old values until the frame's last period, as the
+     * chip does; clean mode switches immediately.
+     */
+    applyInterpolationInhibit() {
+        if (!this.variant.inhibitInterpolation || this.targetEnergy === 0) {
+            return;
+        }
+
+        const voicingChanged = (this.currentPitch === 0) !== (this.targetPitch === 0);
+        if (this.currentEnergy === 0 || voicingChanged) {
+            if (this.mode === 'exact') {
+                this.inhibit = true;
+                return;
+            }
+
+            this.currentEnergy = this.targetEnergy;
+            this.currentPitch = this.targetPitch;
+            for (let i = 0; i < 10; i++) {
+                this.currentK[i] = this.targetK[i];
+            }
+        }
+    }
+
+    stopSpeaking() {
+        this.speaking = false;
+        this.talkStatus = false;
+        this.speakExternal = false;
+        this.targetEnergy = 0;
+    }
+
     /**
      * Generate noise for unvoiced sounds using LFSR
      * @returns {number} - Noise sample (-1 or 1)
@@ -207,6 +454,56 @@ export default class TMS5220 {
         return (this.noiseRegister & 1) ? 1 : -1;
     }
 
+    /**
+     * Generate the chip's excitation signal (exact mode)
+     *
+     * Voicing follows the latched flag, not the interpolated pitch.
+     * @returns {number} - Signed 8-bit excitation sample
+     */
+    generateExactExcitation() {
+        const chirp = this.variant.chirpTable;
+        const excitation = this.unvoiced
+            ? ((this.rng & 1) ? -0x40 : 0x40)
+            : chirp[Math.min(this.pitchCount, chirp.length - 1)];
+
+        for (let i = 0; i < 20; i++) {
+            const bit = ((this.rng >> 12) ^ (this.rng >> 3) ^ (this.rng >> 2) ^ this.rng) & 1;
+            this.rng = ((this.rng << 1) | bit) & 0x1FFF;
+        }
+
+        return excitation;
+    }
+
+    /**
+     * Step the running parameters toward their targets (exact mode)
+     *
+     * Cumulative, as in MAME: parameter n moves by (target - current) >> shift
+     * on sample 2n + 1 of each period. The last period (IP 0) lands on the
+     * target; an inhibited frame holds its values until then.
+     */
+    stepExactParameters() {
+        const slot = this.sampleCount;
+        if ((slot & 1) === 0 || slot > 23) {
+            return;
+        }
+
+        const period = (this.interpCount + 1) % INTERP_PERIODS;
+        if (this.inhibit && period !== 0) {
+            return;
+        }
+
+        const shift = this.variant.interpCoeff[period];
+        const param = slot >> 1;
+        if (param === 0) {
+            this.currentEnergy += (this.targetEnergy - this.currentEnergy) >> shift;
+        } else if (param === 1) {
+            this.currentPitch += (this.targetPitch - this.currentPitch) >> shift;
+        } else {
+            const i = param - 2;
+            this.currentK[i] += (this.targetK[i] - this.currentK[i]) >> shift;
+        }
+    }
+
     /**
      * Generate excitation signal
      * @param {number} pitch - Current pitch value (0 = unvoiced)
@@ -217,8 +514,8 @@ export default class TMS5220 {
             return this.generateNoise() * 64;
         } else {
             let excitation = 0;
-            if (this.pitchCount < CHIRP_TABLE_SIGNED.length) {
-                excitation = CHIRP_TABLE_SIGNED[this.pitchCount];
+            if (this.pitchCount < this.variant.chirpTable.length) {
+                excitation = this.variant.chirpTable[this.pitchCount];
             }
             this.pitchCount++;
             if (this.pitchCount >= pitch) {
@@ -229,14 +526,14 @@ export default class TMS5220 {
     }
 
     /**
-     * Interpolate between current and target parameters
+     * Interpolate between current and target parameters (clean mode)
      * @param {number} current - Current parameter value
      * @param {number} target - Target parameter value
      * @param {number} period - Current interpolation period (0-7)
      * @returns {number} - Interpolated value
      */
     interpolate(current, target, period) {
-        const shift = INTERP_COEFF[period];
+        const shift = this.variant.interpCoeff[period];
         if (shift === 0) return target;
         const diff = target - current;
         return current + (diff >> shift);
@@ -251,19 +548,26 @@ export default class TMS5220 {
             return 0;
         }
 
-        const energy = this.interpolate(this.currentEnergy, this.targetEnergy, this.interpCount);
-        const pitch = Math.round(this.interpolate(this.currentPitch, this.targetPitch, this.interpCount));
+        let sample;
 
-        const k = new Array(10);
-        for (let i = 0; i < 10; i++) {
-            k[i] = this.interpolate(this.currentK[i], this.targetK[i], this.interpCount);
-        }
+        if (this.mode === 'exact') {
+            this.stepExactParameters();
+            const excitation = this.generateExactExcitation();
+            sample = clipAnalog(this.lattice.processExact(excitation, this.currentEnergy, this.currentK));
+        } else {
+            const energy = this.interpolate(this.currentEnergy, this.targetEnergy, this.interpCount);
+            const pitch = Math.round(this.interpolate(this.currentPitch, this.targetPitch, this.interpCount));
 
-        const excitation = this.generateExcitation(pitch);
-        let sample = this.lattice.processTMS5220(excitation, energy, k);
+            const k = new Array(10);
+            for (let i = 0; i < 10; i++) {
+                k[i] = this.interpolate(this.currentK[i], this.targetK[i], this.interpCount);
+            }
 
-        sample = Math.round(sample * 4);
-        sample = Math.max(-32768, Math.min(32767, sample));
+            const excitation = this.generateExcitation(pitch);
+            sample = this.lattice.processTMS5220(excitation, energy, k);
+            sample = Math.round(sample * 4);
+            sample = Math.max(-32768, Math.min(32767, sample));
+        }
 
         this.sampleCount++;
 
@@ -271,11 +575,31 @@ export default class TMS5220 {
             this.sampleCount = 0;
             this.interpCount++;
 
-            if (this.interpCount >= INTERP_PERIODS) {
-                this.interpCount = 0;
-                if (!this.readNextFrame()) {
-                    return 0;
-                }
+            // Last period: latch the new voicing; hold the pitch counter after an inhibited load
+            if (this.interpCount === INTERP_PERIODS - 1) {
+                this.unvoiced = this.targetPitch === 0;
+                this.pitchZero = this.inhibit;
+            } else if (this.interpCount === INTERP_PERIODS) {
+                this.pitchZero = false;
+            }
+        }
+
+        // The pitch counter steps after the period counters, as on the chip
+        if (this.mode === 'exact') {
+            this.pitchCount++;
+            if (this.pitchCount >= this.currentPitch || this.pitchZero) {
+                this.pitchCount = 0;
+            }
+        }
+
+        if (this.interpCount >= INTERP_PERIODS) {
+            this.interpCount = 0;
+            if (this.speakExternal && this.bufferEmpty) {
+                this.stopSpeaking();
+                return 0;
+            }
+            if (!this.readNextFrame()) {
+                return 0;
             }
         }
 
@@ -283,80 +607,111 @@ export default class TMS5220 {
     }
 
     /**
-     * Generate audio samples for the entire speech data
-     * @param {Uint8Array|number[]} data - LPC-encoded speech data
-     * @returns {Int16Array} - Array of 16-bit audio samples
+     * Speak a word from the attached speech ROM (Load Address x5, then Speak)
+     * @param {number} address - ROM address of the word's LPC data
      */
-    synthesize(data) {
-        this.reset();
-        this.loadSpeechData(data);
-
-        const samples = [];
-        let maxSamples = SAMPLE_RATE * 30; // Max 30 seconds
+    speakFromRom(address) {
+        if (!this.vsm) {
+            throw new Error('No speech ROM attached');
+        }
 
-        while (this.speaking && maxSamples > 0) {
-            samples.push(this.generateSample());
-            maxSamples--;
+        for (let i = 0; i < 5; i++) {
+            this.writeData(Command.LOAD_ADDRESS | ((address >> (i * 4)) & 0x0F));
         }
+        this.writeData(Command.SPEAK);
+    }
 
-        const fadeLength = Math.min(100, samples.length);
-        for (let i = 0; i < fadeLength; i++) {
-            const fadeMultiplier = (fadeLength - i) / fadeLength;
-            samples[samples.length - fadeLength + i] = Math.round(
-                samples[samples.length - fadeLength + i] * fadeMultiplier
-            );
+    /**
+     * Render samples into a caller-supplied Int16Array or Float32Array
+     * @param {Int16Array|Float32Array} out - Destination buffer
+     * @param {number} [count=out.length] - Number of samples to render
+     * @returns {number} - Number of speech samples written
+     */
+    render(out, count = out.length) {
+        const scale = out instanceof Float32Array || out instanceof Float64Array ? 1 / 32768 : 1;
+
+        let written = 0;
+        while (written < count && this.speaking) {
+            out[written++] = this.generateSample() * scale;
         }
 
-        return new Int16Array(samples);
+        out.fill(0, written, count);
+        return written;
     }
 
     /**
-     * Synthesize speech from LPC frame parameters directly
-     * @param {Object[]} frames - Array of frame objects
+     * Render until speech ends and collect the result
+     * @param {number} [maxSamples=Infinity] - Safety limit on output length
      * @returns {Int16Array} - Array of 16-bit audio samples
      */
-    synthesizeFromFrames(frames) {
-        this.reset();
-        this.speaking = true;
-        this.talkStatus = true;
-
-        const samples = [];
+    renderAll(maxSamples = Infinity) {
+        const blocks = [];
+        let total = 0;
+
+        while (this.speaking && total < maxSamples) {
+            const block = new Int16Array(Math.min(RENDER_BLOCK_SIZE, maxSamples - total));
+            const written = this.render(block);
+            blocks.push(block.subarray(0, written));
+            total += written;
+        }
 
-        for (const frame of frames) {
-            this.currentEnergy = this.targetEnergy;
-            this.currentPitch = this.targetPitch;
-            for (let i = 0; i < 10; i++) {
-                this.currentK[i] = this.targetK[i];
-            }
+        const samples = new Int16Array(total);
+        let offset = 0;
+        for (const block of blocks) {
+            samples.set(block, offset);
+            offset += block.length;
+        }
 
-            this.targetEnergy = frame.energy !== undefined ? frame.energy : 0;
-            this.targetPitch = frame.pitch !== undefined ? frame.pitch : 0;
+        return samples;
+    }
 
-            if (frame.k) {
-                for (let i = 0; i < 10; i++) {
-                    this.targetK[i] = frame.k[i] !== undefined ? frame.k[i] : 0;
-                }
-            }
+    synthesizeFromRom(address) {
+        this.reset();
+        this.speakFromRom(address);
+        return fadeOut(this.renderAll(MAX_BITSTREAM_SAMPLES));
+    }
 
-            for (let interp = 0; interp < INTERP_PERIODS; interp++) {
-                this.interpCount = interp;
-                for (let s = 0; s < SAMPLES_PER_INTERP; s++) {
-                    samples.push(this.generateSample());
-                }
-            }
-        }
+    /**
+     * Generate audio samples for the entire speech data
+     * @param {Uint8Array|number[]} data - LPC-encoded speech data
+     * @returns {Int16Array} - Array of 16-bit audio samples
+     */
+    synthesize(data) {
+        this.reset();
+        this.loadSpeechData(data);
+        return fadeOut(this.renderAll(MAX_BITSTREAM_SAMPLES));
+    }
 
-        // Final silence
-        this.currentEnergy = this.targetEnergy;
-        this.targetEnergy = 0;
-        for (let interp = 0; interp < INTERP_PERIODS; interp++) {
-            this.interpCount = interp;
-            for (let s = 0; s < SAMPLES_PER_INTERP; s++) {
-                samples.push(this.generateSample());
-            }
-        }
+    /**
+     * Synthesize speech from LPC frame parameters directly
+     * @param {Object[]} frames - Array of frame objects
+     * @returns {Int16Array} - Array of 16-bit audio samples
+     */
+    synthesizeFromFrames(frames) {
+        this.reset();
+        this.loadFrames(frames);
+        return this.renderAll();
+    }
+}
 
-        this.speaking = false;
-        return new Int16Array(samples);
+function fadeOut(samples) {
+    const fadeLength = Math.min(100, samples.length);
+    for (let i = 0; i < fadeLength; i++) {
+        const fadeMultiplier = (fadeLength - i) / fadeLength;
+        samples[samples.length - fadeLength + i] = Math.round(
+            samples[samples.length - fadeLength + i] * fadeMultiplier
+        );
     }
+    return samples;
 }
+
+// Clamp to 12 bits, keep the 8 DAC bits and upscale to 16 bits (as MAME)
+function clipAnalog(sample) {
+    let clipped = Math.max(-2048, Math.min(2047, sample));
+    clipped &= ~0xF;
+    return (clipped << 4) | ((clipped & 0x7F0) >> 3) | ((clipped & 0x400) >> 10);
+}
+
+TMS5220.Command = Command;
+TMS5220.Status = Status;
+TMS5220.clipAnalog = clipAnalog;
@@ -0,0 +1,150 @@
+/**
+ * TMS6100 Voice Synthesis Memory (VSM) Emulator (ES Module)
+ *
+ * The TMS6100 is the serial speech ROM paired with the TMS5220. The TI-99/4A
+ * Speech Synthesizer module contains two 16 KB parts (CD2325A and CD2326A)
+ * forming a 32 KB vocabulary image.
+ *
+ * The synthesizer talks to the ROM through three operations:
+ * - Load Address: five 4-bit nibbles, least significant first, build a 20-bit
+ *   address (bits 0-13 address within a chip, bits 14-17 select the chip)
+ * - Read: bits are shifted out LSB first, advancing the address per byte
+ * - Read and Branch: the two bytes at the current address (MSB first) become
+ *   the new 14-bit address within the same chip
+ */
+
+// Size of a single TMS6100 (128 Kbit)
+const CHIP_SIZE = 0x4000;
+
+// Address bits handled inside one chip
+const CHIP_ADDRESS_MASK = 0x3FFF;
+
+// Address bits decoded by the ROM (14 within chip + 4 chip select)
+const ADDRESS_MASK = 0x3FFFF;
+
+// Number of nibbles in a full Load Address sequence
+const ADDRESS_NIBBLES = 5;
+
+export default class TMS6100 {
+    /**
+     * @param {Uint8Array|Buffer|ArrayBuffer|number[]} [image] - ROM image (16 KB or 32 KB)
+     */
+    constructor(image) {
+        this.rom = new Uint8Array(0);
+        this.address = 0;          // Current 20-bit address register
+        this.loadPointer = 0;      // Next nibble position for Load Address
+        this.bitPos = 0;           // Bit position within the current byte
+
+        if (image) {
+            this.load(image);
+        }
+    }
+
+    /**
+     * Load a ROM image
+     * @param {Uint8Array|Buffer|ArrayBuffer|number[]} image - Raw VSM dump
+     */
+    load(image) {
+        const bytes = image instanceof ArrayBuffer ? new Uint8Array(image) : Uint8Array.from(image);
+
+        if (bytes.length === 0 || bytes.length % CHIP_SIZE !== 0) {
+            throw new Error(`ROM image must be a multiple of ${CHIP_SIZE} bytes (got ${bytes.length})`);
+        }
+
+        this.rom = bytes;
+        this.reset();
+    }
+
+    /**
+     * Reset the address register and load sequence
+     */
+    reset() {
+        this.address = 0;
+        this.loadPointer = 0;
+        this.bitPos = 0;
+    }
+
+    /**
+     * Number of bytes in the loaded image
+     * @returns {number}
+     */
+    get size() {
+        return this.rom.length;
+    }
+
+    /**
+     * Read a byte from the image, returning 0 for unpopulated chip selects
+     * @param {number} address - 18-bit ROM address
+     * @returns {number}
+     */
+    readByte(address) {
+        address &= ADDRESS_MASK;
+        return address < this.rom.length ? this.rom[address] : 0;
+    }
+
+    /**
+     * Load one nibble of the address register (Load Address command)
+     * @param {number} nibble - 4-bit address fragment
+     */
+    loadAddress(nibble) {
+        const shift = this.loadPointer * 4;
+        this.address = (this.address & ~(0xF << shift)) | ((nibble & 0xF) << shift);
+        this.loadPointer = (this.loadPointer + 1) % ADDRESS_NIBBLES;
+        this.bitPos = 0;
+    }
+
+    /**
+     * Set the full address register directly, as five Load Address nibbles would
+     * @param {number} address - ROM address
+     */
+    setAddress(address) {
+        for (let i = 0; i < ADDRESS_NIBBLES; i++) {
+            this.loadAddress((address >> (i * 4)) & 0xF);
+        }
+    }
+
+    /**
+     * Shift bits out of the ROM, LSB first within each byte
+     * @param {number} numBits - Number of bits to read
+     * @returns {number} - The value read
+     */
+    readBits(numBits) {
+        // Any read ends a Load Address sequence
+        this.loadPointer = 0;
+
+        let value = 0;
+        for (let i = 0; i < numBits; i++) {
+            const bit = (this.readByte(this.address) >> this.bitPos) & 1;
+            value |= (bit << i);
+
+            this.bitPos++;
+            if (this.bitPos >= 8) {
+                this.bitPos = 0;
+                this.advance();
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Read and Branch: jump to the 14-bit pointer stored at the current address
+     */
+    readAndBranch() {
+        const hi = this.readByte(this.address);
+        const lo = this.readByte(this.address + 1);
+
+        this.address = (this.address & ~CHIP_ADDRESS_MASK) | (((hi << 8) | lo) & CHIP_ADDRESS_MASK);
+        this.loadPointer = 0;
+        this.bitPos = 0;
+    }
+
+    /**
+     * Advance the address counter, wrapping within the selected chip
+     */
+    advance() {
+        this.address = (this.address & ~CHIP_ADDRESS_MASK) | ((this.address + 1) & CHIP_ADDRESS_MASK);
+    }
+}
+
+TMS6100.CHIP_SIZE = CHIP_SIZE;
@@ -0,0 +1,164 @@
+/**
+ * Coarticulation (ES Module)
+ *
+ * Interpolated transition frames between adjacent phonemes, with lengths
+ * per phoneme class pair and locus onsets for stops and nasals.
+ */
+
+import { getPhonemeInfo, splitStress, PHONEME_ALIASES } from './phonemes.js';
+import { ENERGY_TABLE, K_TABLES } from '../core/coefficients.js';
+
+// Transition lengths in frames, keyed by "fromClass>toClass"
+export const TRANSITION_FRAMES = {
+    'stop>vowel': 3,
+    'affricate>vowel': 2,
+    'fricative>vowel': 2,
+    'nasal>vowel': 2,
+    'liquid>vowel': 3,
+    'glide>vowel': 4,
+    'vowel>vowel': 2,
+    'vowel>stop': 2,
+    'vowel>affricate': 1,
+    'vowel>fricative': 1,
+    'vowel>nasal': 2,
+    'vowel>liquid': 2,
+    'vowel>glide': 2,
+    'liquid>glide': 1,
+    'glide>liquid': 1
+};
+
+// Fraction of the way from the vowel toward the consonant's K parameters
+// at which a stop or nasal transition starts, by place of articulation
+const LOCUS = {
+    labial: 0.7,
+    alveolar: 0.5,
+    velar: 0.4
+};
+
+const PLACES = {
+    B: 'labial', P: 'labial', M: 'labial',
+    D: 'alveolar', T: 'alveolar', N: 'alveolar',
+    G: 'velar', K: 'velar', NG: 'velar'
+};
+
+const CLASSES = {
+    'vowel': 'vowel',
+    'diphthong': 'vowel',
+    'r-colored vowel': 'vowel',
+    'stop': 'stop',
+    'affricate': 'affricate',
+    'fricative': 'fricative',
+    'nasal': 'nasal',
+    'liquid': 'liquid',
+    'glide': 'glide'
+};
+
+/**
+ * Insert transition frames between adjacent phonemes
+ * @param {Object[]} units - { phoneme, frames } per phoneme; other
+ *   properties are passed through
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.transitions] - Overrides for
+ *   TRANSITION_FRAMES
+ * @returns {Object[]} - Units, with each transition prepended to the frames
+ *   of the phoneme it leads into
+ */
+export function applyCoarticulation(units, options = {}) {
+    const lengths = { ...TRANSITION_FRAMES, ...options.transitions };
+
+    return units.map((unit, u) => {
+        const previous = units[u - 1];
+        if (!previous || previous.frames.length === 0 || unit.frames.length === 0) {
+            return unit;
+        }
+
+        const from = phonemeClass(previous.phoneme);
+        const to = phonemeClass(unit.phoneme);
+        const length = lengths[`${from}>${to}`] || 0;
+        if (length === 0) {
+            return unit;
+        }
+
+        const frames = transition(previous, unit, from, to, length);
+        return frames.length > 0 ? { ...unit, frames: [...frames, ...unit.frames] } : unit;
+    });
+}
+
+/**
+ * Interpolated frames from the end of one phoneme to the start of the next
+ */
+function transition(a, b, classA, classB, length) {
+    const last = a.frames[a.frames.length - 1];
+    const first = b.frames[0];
+
+    // Spectral targets come from the nearest frames that make sound
+    const sourceA = [...a.frames].reverse().find(f => f.energy > 0 && f.k);
+    const sourceB = b.frames.find(f => f.energy > 0 && f.k);
+    if (!sourceA || !sourceB) {
+        return [];
+    }
+
+    let startK = sourceA.k;
+    let endK = sourceB.k;
+
+    if (classB === 'vowel' && LOCUS[place(a.phoneme)] !== undefined) {
+        startK = lerpK(endK, startK, LOCUS[place(a.phoneme)]);
+    }
+    if (classA === 'vowel' && LOCUS[place(b.phoneme)] !== undefined) {
+        endK = lerpK(startK, endK, LOCUS[place(b.phoneme)]);
+    }
+
+    const frames = [];
+    for (let i = 1; i <= length; i++) {
+        const t = i / (length + 1);
+        frames.push({
+            energy: lerpEnergy(last.energy, first.energy, t),
+            pitch: transitionPitch(last.pitch, first.pitch, t),
+            k: lerpK(startK, endK, t)
+        });
+    }
+    return frames;
+}
+
+/**
+ * Voiced side's pitch; when both are voiced, switch halfway
+ */
+function transitionPitch(from, to, t) {
+    if (from > 0 && to > 0) {
+        return t < 0.5 ? from : to;
+    }
+    return from || to;
+}
+
+// Interpolated values are snapped to the chip's tables so frames stay encodable
+function lerpEnergy(from, to, t) {
+    const value = from + (to - from) * t;
+    return value === 0 ? 0 : nearest(ENERGY_TABLE.slice(1, -1), value);
+}
+
+function lerpK(from, to, t) {
+    return from.map((value, i) => nearest(K_TABLES[i], value + ((to[i] || 0) - value) * t));
+}
+
+function nearest(table, value) {
+    return table.reduce((best, entry) => Math.abs(entry - value) < Math.abs(best - value) ? entry : best);
+}
+
+/**
+ * Broad class of a phoneme (vowel, stop, nasal, ...), or "silence"
+ * @param {string} phoneme - Phoneme code, optionally with a stress digit
+ * @returns {string}
+ */
+export function phonemeClass(phoneme) {
+    const info = getPhonemeInfo(baseCode(phoneme));
+    return (info && CLASSES[info.type]) || 'silence';
+}
+
+function place(phoneme) {
+    return PLACES[baseCode(phoneme)];
+}
+
+function baseCode(phoneme) {
+    const code = splitStress(phoneme).phoneme.toUpperCase();
+    return PHONEME_ALIASES[code] || code;
+}
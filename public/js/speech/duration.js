@@ -0,0 +1,120 @@
+/**
+ * Duration Model (ES Module)
+ *
+ * Speaking rate in the frame domain: per-class elasticity and
+ * phrase-final lengthening, keeping the chip's native pitch.
+ */
+
+import { phonemeClass } from './coarticulation.js';
+
+export const MIN_RATE = 0.25;
+export const MAX_RATE = 4;
+
+const DEFAULT_OPTIONS = {
+    rate: 1,                    // Speaking rate (2 = twice as fast)
+    finalLengthening: 1.4,      // Stretch of the last syllable before "." or "?"
+    continuationLengthening: 1.2  // Stretch of the last syllable before ","
+};
+
+// Share of a duration change each phoneme class takes (1 = all of it)
+const ELASTICITY = {
+    vowel: 1,
+    silence: 1.2,
+    glide: 0.8,
+    liquid: 0.8,
+    nasal: 0.7,
+    fricative: 0.6,
+    affricate: 0.4,
+    stop: 0.3
+};
+
+const SENTENCE_ENDS = ['.', '?'];
+const PHRASE_BREAKS = [...SENTENCE_ENDS, ','];
+
+/**
+ * Resample each phoneme's frames for the speaking rate and phrase position
+ * @param {Object[]} units - { phoneme, frames } per phoneme; a unit may carry
+ *   its own `rate` multiplier, and units marked `fixed` keep their length.
+ *   Other properties are passed through
+ * @param {Object} [options] - See DEFAULT_OPTIONS
+ * @returns {Object[]} - Units with new frames
+ */
+export function applyDuration(units, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const lengthening = phraseFinalLengthening(units, opts);
+
+    return units.map((unit, u) => {
+        if (unit.fixed || unit.frames.length === 0) {
+            return unit;
+        }
+
+        const rate = opts.rate * (unit.rate || 1);
+        const elasticity = ELASTICITY[phonemeClass(unit.phoneme)];
+        const stretch = Math.max(0.1, 1 + (lengthening[u] / rate - 1) * elasticity);
+
+        return stretch === 1 ? unit : { ...unit, frames: resample(unit.frames, stretch) };
+    });
+}
+
+/**
+ * Lengthening factor per unit: the rhyme (last vowel onwards) before each
+ * phrase break, and before the end of the input
+ */
+function phraseFinalLengthening(units, opts) {
+    const factors = new Array(units.length).fill(1);
+    let end = units.length;
+
+    for (let u = units.length - 1; u >= 0; u--) {
+        const phoneme = units[u].phoneme;
+        if (PHRASE_BREAKS.includes(phoneme)) {
+            end = u;
+            continue;
+        }
+        if (end === null || phonemeClass(phoneme) !== 'vowel') {
+            continue;
+        }
+
+        const factor = end < units.length && units[end].phoneme === ','
+            ? opts.continuationLengthening
+            : opts.finalLengthening;
+        for (let i = u; i < end; i++) {
+            if (phonemeClass(units[i].phoneme) !== 'silence') {
+                factors[i] = factor;
+            }
+        }
+        end = null;
+    }
+
+    return factors;
+}
+
+/**
+ * Stretch or compress frames, repeating or dropping them evenly. The first
+ * and last frames are kept, so stop closures and bursts survive compression
+ */
+function resample(frames, stretch) {
+    const length = Math.max(1, Math.round(frames.length * stretch));
+    const result = [];
+
+    for (let i = 0; i < length; i++) {
+        const index = length === 1 ? 0 : Math.round(i * (frames.length - 1) / (length - 1));
+        result.push(frames[index]);
+    }
+
+    return result;
+}
+
+/**
+ * Parse a rate parameter
+ * @param {*} value - Number or numeric string; undefined for the default
+ * @returns {number|null} - Rate, or null if it is not a number from
+ *   MIN_RATE to MAX_RATE
+ */
+export function parseRate(value) {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_OPTIONS.rate;
+    }
+
+    const rate = Number(value);
+    return Number.isFinite(rate) && rate >= MIN_RATE && rate <= MAX_RATE ? rate : null;
+}
@@ -2,12 +2,7 @@
  * Speech Frame Decoder (ES Module)
  */
 
-import {
-    ENERGY_TABLE,
-    PITCH_TABLE,
-    K_TABLES,
-    K_BITS
-} from '../core/coefficients.js';
+import { getChipVariant } from '../core/chip-variants.js';
 
 export const FrameType = {
     VOICED: 'voiced',
@@ -17,7 +12,8 @@ export const FrameType = {
     STOP: 'stop'
 };
 
-export function decodeFrames(data) {
+export function decodeFrames(data, variant) {
+    const { energyTable, pitchTable, kTables, kBits, energyBits, pitchBits } = getChipVariant(variant);
     const frames = [];
     let bitPos = 0;
     const bits = Array.from(data);
@@ -28,19 +24,20 @@ export function decodeFrames(data) {
             const byteIndex = Math.floor(bitPos / 8);
             const bitIndex = bitPos % 8;
 
+            let bit = 0;
             if (byteIndex < bits.length) {
-                const bit = (bits[byteIndex] >> bitIndex) & 1;
-                value |= (bit << i);
+                bit = (bits[byteIndex] >> bitIndex) & 1;
             }
+            value = (value << 1) | bit;
             bitPos++;
         }
         return value;
     }
 
     while (bitPos < bits.length * 8) {
-        const frame = {};
+        const frame = { bitOffset: bitPos };
 
-        const energyIndex = readBits(4);
+        const energyIndex = readBits(energyBits);
 
         if (energyIndex === 15) {
             frame.type = FrameType.STOP;
@@ -59,14 +56,14 @@ export function decodeFrames(data) {
         }
 
         frame.energyIndex = energyIndex;
-        frame.energy = ENERGY_TABLE[energyIndex];
+        frame.energy = energyTable[energyIndex];
 
         const repeat = readBits(1);
         frame.repeat = repeat === 1;
 
-        const pitchIndex = readBits(6);
+        const pitchIndex = readBits(pitchBits);
         frame.pitchIndex = pitchIndex;
-        frame.pitch = PITCH_TABLE[pitchIndex];
+        frame.pitch = pitchTable[pitchIndex];
 
         if (frame.repeat) {
             frame.type = FrameType.REPEAT;
@@ -78,9 +75,9 @@ export function decodeFrames(data) {
         frame.k = [];
 
         for (let i = 0; i < 4; i++) {
-            const kIndex = readBits(K_BITS[i]);
+            const kIndex = readBits(kBits[i]);
             frame.kIndices.push(kIndex);
-            frame.k.push(K_TABLES[i][kIndex]);
+            frame.k.push(kTables[i][kIndex]);
         }
 
         if (pitchIndex === 0) {
@@ -92,53 +89,60 @@ export function decodeFrames(data) {
         } else {
             frame.type = FrameType.VOICED;
             for (let i = 4; i < 10; i++) {
-                const kIndex = readBits(K_BITS[i]);
+                const kIndex = readBits(kBits[i]);
                 frame.kIndices.push(kIndex);
-                frame.k.push(K_TABLES[i][kIndex]);
+                frame.k.push(kTables[i][kIndex]);
             }
         }
 
         frames.push(frame);
     }
 
+    for (let i = 0; i < frames.length; i++) {
+        const end = i + 1 < frames.length ? frames[i + 1].bitOffset : bitPos;
+        frames[i].bitLength = end - frames[i].bitOffset;
+    }
+
     return frames;
 }
 
-export function encodeFrames(frames) {
+export function encodeFrames(frames, variant) {
+    const { kBits, energyBits, pitchBits } = getChipVariant(variant);
     const bits = [];
 
     function writeBits(value, numBits) {
-        for (let i = 0; i < numBits; i++) {
+        for (let i = numBits - 1; i >= 0; i--) {
             bits.push((value >> i) & 1);
         }
     }
 
     for (const frame of frames) {
         if (frame.type === FrameType.STOP) {
-            writeBits(15, 4);
+            writeBits(15, energyBits);
             continue;
         }
 
         if (frame.type === FrameType.SILENCE) {
-            writeBits(0, 4);
+            writeBits(0, energyBits);
             continue;
         }
 
-        writeBits(frame.energyIndex, 4);
-        writeBits(frame.repeat ? 1 : 0, 1);
-        writeBits(frame.pitchIndex, 6);
+        writeBits(frame.energyIndex, energyBits);
+        const repeat = frame.repeat || frame.type === FrameType.REPEAT;
+        writeBits(repeat ? 1 : 0, 1);
+        writeBits(frame.pitchIndex, pitchBits);
 
-        if (!frame.repeat) {
+        if (!repeat) {
             const numK = frame.type === FrameType.UNVOICED ? 4 : 10;
             for (let i = 0; i < numK; i++) {
-                writeBits(frame.kIndices[i], K_BITS[i]);
+                writeBits(frame.kIndices[i], kBits[i]);
             }
         }
     }
 
     const lastFrame = frames[frames.length - 1];
     if (!lastFrame || lastFrame.type !== FrameType.STOP) {
-        writeBits(15, 4);
+        writeBits(15, energyBits);
     }
 
     const bytes = [];
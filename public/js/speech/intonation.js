@@ -0,0 +1,171 @@
+/**
+ * Sentence Intonation (ES Module)
+ *
+ * Declination, terminal fall/rise, continuation rise and pitch accents,
+ * applied in PITCH_TABLE index space.
+ */
+
+import { splitStress } from './phonemes.js';
+import { PITCH_TABLE } from '../core/coefficients.js';
+
+export const DEFAULT_OPTIONS = {
+    declination: 4,         // Index steps the baseline falls across a sentence
+    finalFall: 5,           // Extra fall over the end of a statement
+    questionRise: 9,        // Rise over the end of a question
+    continuationRise: 3,    // Rise before a comma
+    accent: 3,              // Raise on primary-stressed vowels (half on secondary)
+    terminalFrames: 8       // Voiced frames covered by terminal and comma contours
+};
+
+const SENTENCE_ENDS = { '.': 'statement', '?': 'question' };
+const WORD_BREAKS = [' ', '_', '.', ',', '?'];
+
+const VOWELS = [
+    'AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY',
+    'IH', 'IY', 'OW', 'OY', 'UH', 'UW', 'AX', 'IX', 'UX'
+];
+
+/**
+ * Apply the intonation model to a phoneme sequence
+ * @param {Object[]} units - { phoneme, frames } per phoneme; other
+ *   properties are passed through
+ * @param {Object} [options] - Intonation options (see DEFAULT_OPTIONS)
+ * @returns {Object[]} - Units with new frames
+ */
+export function applyIntonation(units, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const offsets = units.map(unit => new Array(unit.frames.length).fill(0));
+
+    for (const sentence of splitSentences(units)) {
+        const voiced = voicedFrames(units, sentence.start, sentence.end);
+        const count = voiced.length;
+
+        // Declination across the whole sentence
+        voiced.forEach(([u, f], i) => {
+            offsets[u][f] += count > 1 ? opts.declination * i / (count - 1) : 0;
+        });
+
+        // Terminal contour over the last voiced frames
+        const terminal = sentence.type === 'question' ? -opts.questionRise : opts.finalFall;
+        ramp(voiced.slice(-opts.terminalFrames), terminal, offsets);
+
+        // Continuation rise before each comma
+        for (let u = sentence.start; u < sentence.end; u++) {
+            if (units[u].phoneme === ',') {
+                const phrase = voicedFrames(units, sentence.start, u);
+                ramp(phrase.slice(-Math.ceil(opts.terminalFrames / 2)), -opts.continuationRise, offsets);
+            }
+        }
+    }
+
+    // Pitch accents
+    for (const u of accentedVowels(units)) {
+        const { stress } = splitStress(units[u].phoneme);
+        const size = stress === 2 ? opts.accent / 2 : opts.accent;
+        for (let f = 0; f < offsets[u].length; f++) {
+            offsets[u][f] -= size;
+        }
+    }
+
+    return units.map((unit, u) => ({
+        ...unit,
+        frames: unit.frames.map((frame, f) => offsets[u][f] === 0 || frame.pitch === 0
+            ? frame
+            : { ...frame, pitch: shiftPitch(frame.pitch, offsets[u][f]) })
+    }));
+}
+
+/**
+ * Split units into sentences ending at "." or "?" (or the end of input)
+ * @returns {{ start: number, end: number, type: string }[]}
+ */
+function splitSentences(units) {
+    const sentences = [];
+    let start = 0;
+
+    units.forEach((unit, u) => {
+        if (SENTENCE_ENDS[unit.phoneme]) {
+            sentences.push({ start, end: u, type: SENTENCE_ENDS[unit.phoneme] });
+            start = u + 1;
+        }
+    });
+    if (start < units.length) {
+        sentences.push({ start, end: units.length, type: 'statement' });
+    }
+
+    return sentences;
+}
+
+/**
+ * [unit, frame] positions of the voiced frames in a range of units
+ */
+function voicedFrames(units, start, end) {
+    const positions = [];
+    for (let u = start; u < end; u++) {
+        units[u].frames.forEach((frame, f) => {
+            if (frame.pitch > 0 && frame.energy > 0) {
+                positions.push([u, f]);
+            }
+        });
+    }
+    return positions;
+}
+
+/**
+ * Add an offset that grows linearly from 0 to `amount` over the positions
+ */
+function ramp(positions, amount, offsets) {
+    positions.forEach(([u, f], i) => {
+        offsets[u][f] += amount * (i + 1) / positions.length;
+    });
+}
+
+/**
+ * Units that carry a pitch accent: vowels with stress 1 or 2, or the first
+ * vowel of unmarked content words
+ */
+function accentedVowels(units) {
+    const accented = [];
+    let word = [];
+
+    const flush = () => {
+        const marked = word.filter(u => splitStress(units[u].phoneme).stress !== null);
+        if (marked.length > 0) {
+            accented.push(...marked.filter(u => splitStress(units[u].phoneme).stress > 0));
+        } else if (word.length >= 3) {
+            const first = word.find(u => VOWELS.includes(units[u].phoneme.toUpperCase()));
+            if (first !== undefined) {
+                accented.push(first);
+            }
+        }
+        word = [];
+    };
+
+    units.forEach((unit, u) => {
+        if (WORD_BREAKS.includes(unit.phoneme)) {
+            flush();
+        } else {
+            word.push(u);
+        }
+    });
+    flush();
+
+    return accented;
+}
+
+/**
+ * Move a pitch period by a number of PITCH_TABLE steps
+ * @param {number} pitch - Pitch period (a PITCH_TABLE value)
+ * @param {number} steps - Steps to move (negative = higher voice)
+ * @returns {number}
+ */
+function shiftPitch(pitch, steps) {
+    let closest = 1;
+    for (let i = 1; i < PITCH_TABLE.length; i++) {
+        if (Math.abs(PITCH_TABLE[i] - pitch) < Math.abs(PITCH_TABLE[closest] - pitch)) {
+            closest = i;
+        }
+    }
+    const index = Math.max(1, Math.min(PITCH_TABLE.length - 1, closest + Math.round(steps)));
+    return PITCH_TABLE[index];
+}
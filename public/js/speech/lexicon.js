@@ -0,0 +1,116 @@
+/**
+ * User Lexicon (ES Module)
+ *
+ * Custom pronunciations, persisted to localStorage by the static build.
+ */
+
+import { listPhonemes, PHONEME_ALIASES, splitStress } from './phonemes.js';
+
+// Words as tokenized by textToPhonemes
+const WORD_PATTERN = /^[A-Z0-9']+$/;
+
+export class Lexicon {
+    /**
+     * @param {Object<string, string>} [entries] - Word to phoneme string map
+     */
+    constructor(entries) {
+        this.entries = new Map();
+
+        if (entries) {
+            this.load(entries);
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add entries from a plain object, as produced by toJSON()
+     * @param {Object<string, string|string[]>} entries - Word to pronunciation map
+     * @returns {number} - Number of entries added (invalid ones are skipped)
+     */
+    load(entries) {
+        let count = 0;
+        for (const [word, pronunciation] of Object.entries(entries)) {
+            const key = normalizeWord(word);
+            const { phonemes, invalid } = validatePronunciation(pronunciation);
+            if (key && phonemes.length > 0 && invalid.length === 0) {
+                this.entries.set(key, phonemes);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * @param {string} word - Word (any case)
+     * @returns {string[]|null} - Phoneme codes, or null if not in the lexicon
+     */
+    get(word) {
+        const phonemes = this.entries.get(word.toUpperCase());
+        return phonemes ? [...phonemes] : null;
+    }
+
+    /**
+     * Store a pronunciation. Callers validate with validatePronunciation first.
+     * @param {string} word - Word (any case)
+     * @param {string[]} phonemes - Phoneme codes
+     */
+    set(word, phonemes) {
+        this.entries.set(word.toUpperCase(), [...phonemes]);
+    }
+
+    /**
+     * @param {string} word - Word (any case)
+     * @returns {boolean} - True if an entry was removed
+     */
+    delete(word) {
+        return this.entries.delete(word.toUpperCase());
+    }
+
+    /**
+     * @returns {Object<string, string>} - Word to phoneme string map, sorted by word
+     */
+    toJSON() {
+        const result = {};
+        for (const word of [...this.entries.keys()].sort()) {
+            result[word] = this.entries.get(word).join(' ');
+        }
+        return result;
+    }
+}
+
+/**
+ * Normalize a lexicon key
+ * @param {string} word - Word as entered
+ * @returns {string|null} - Upper-case word, or null if it is not a single word
+ */
+export function normalizeWord(word) {
+    const upper = String(word || '').trim().toUpperCase();
+    return WORD_PATTERN.test(upper) ? upper : null;
+}
+
+/**
+ * Check a pronunciation against the phoneme inventory and aliases
+ * @param {string|string[]} pronunciation - "HH EH1 L OW" or an array of codes
+ * @returns {{ phonemes: string[], invalid: string[] }} - Upper-case codes and
+ *   any that are not recognized
+ */
+export function validatePronunciation(pronunciation) {
+    const codes = Array.isArray(pronunciation)
+        ? pronunciation.map(String)
+        : String(pronunciation || '').trim().replace(/^\/|\/$/g, '').split(/\s+/);
+
+    const known = new Set(listPhonemes());
+    const phonemes = codes.map(code => code.trim().toUpperCase()).filter(code => code);
+    const invalid = phonemes.filter(code => {
+        const { phoneme } = splitStress(code);
+        return !known.has(phoneme) && !PHONEME_ALIASES[phoneme];
+    });
+
+    return { phonemes, invalid };
+}
+
+// Lexicon consulted by textToPhonemes before the dictionaries
+export const userLexicon = new Lexicon();
@@ -22,6 +22,7 @@ export const PHONEMES = {
     ' ': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 2),      // Space
     '.': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 6),      // Period pause
     ',': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 4),      // Comma pause
+    '?': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 6),      // Question pause
 
     // Vowels (voiced, use pitch)
     'AA': [  // "father"
@@ -211,13 +212,68 @@ export const PHONEME_ALIASES = {
     'WH': 'W',
 };
 
+// Stress digit (0/1/2) -> steps in ENERGY_TABLE and PITCH_TABLE, and duration scale
+export const STRESS_PROFILES = {
+    0: { energy: -1, pitch: 1, duration: 0.75 },
+    1: { energy: 1, pitch: -2, duration: 1.25 },
+    2: { energy: 0, pitch: -1, duration: 1.0 }
+};
+
+export function splitStress(phoneme) {
+    const match = /^([A-Z]+)([012])$/i.exec(phoneme);
+    return match
+        ? { phoneme: match[1], stress: Number(match[2]) }
+        : { phoneme, stress: null };
+}
+
+function applyStress(frames, stress) {
+    const profile = STRESS_PROFILES[stress];
+    if (!profile) return frames;
+
+    const length = Math.max(1, Math.round(frames.length * profile.duration));
+    const stressed = [];
+
+    for (let i = 0; i < length; i++) {
+        const frame = frames[Math.min(frames.length - 1, Math.floor(i * frames.length / length))];
+        stressed.push({
+            energy: stepTable(ENERGY_TABLE, frame.energy, profile.energy),
+            pitch: stepTable(PITCH_TABLE, frame.pitch, profile.pitch),
+            k: frame.k
+        });
+    }
+
+    return stressed;
+}
+
+// Never steps into or out of index 0 (silence / unvoiced) or onto the stop code
+function stepTable(table, value, steps) {
+    if (value === 0 || steps === 0) return value;
+
+    let closest = 1;
+    for (let i = 1; i < table.length; i++) {
+        if (table[i] !== 0 && Math.abs(table[i] - value) < Math.abs(table[closest] - value)) {
+            closest = i;
+        }
+    }
+
+    let last = table.length - 1;
+    while (table[last] === 0) last--;
+
+    return table[Math.max(1, Math.min(last, closest + steps))];
+}
+
 export function getPhonemeFrames(phoneme) {
-    const upper = phoneme.toUpperCase();
-    if (PHONEMES[upper]) return PHONEMES[upper];
-    if (PHONEME_ALIASES[upper] && PHONEMES[PHONEME_ALIASES[upper]]) {
-        return PHONEMES[PHONEME_ALIASES[upper]];
+    const { phoneme: code, stress } = splitStress(phoneme);
+    const upper = code.toUpperCase();
+    let frames = null;
+
+    if (PHONEMES[upper]) {
+        frames = PHONEMES[upper];
+    } else if (PHONEME_ALIASES[upper] && PHONEMES[PHONEME_ALIASES[upper]]) {
+        frames = PHONEMES[PHONEME_ALIASES[upper]];
     }
-    return null;
+
+    return frames && stress !== null ? applyStress(frames, stress) : frames;
 }
 
 export function listPhonemes() {
@@ -269,6 +325,7 @@ export function getPhonemeInfo(phoneme) {
         ' ': { example: '(space)', type: 'silence' },
         '.': { example: '(period)', type: 'silence' },
         ',': { example: '(comma)', type: 'silence' },
+        '?': { example: '(question)', type: 'silence' },
     };
     return descriptions[phoneme.toUpperCase()] || null;
 }
@@ -0,0 +1,542 @@
+/**
+ * SSML Support (ES Module)
+ *
+ * <speak>, <break>, <prosody>, <say-as>, <phoneme>, <sub> and <emphasis>,
+ * mapped onto the phoneme pipeline and frame energy/pitch.
+ */
+
+import { textToPhonemes, unitTimeline } from './text-to-phoneme.js';
+import { getPhonemeFrames } from './phonemes.js';
+import { applyIntonation } from './intonation.js';
+import { applyCoarticulation } from './coarticulation.js';
+import { applyDuration } from './duration.js';
+import { numberToWords, ordinalToWords, yearToWords, digitsToWords, decimalToWords, LETTER_NAMES } from './text-normalizer.js';
+import { ENERGY_TABLE, PITCH_TABLE, SAMPLES_PER_FRAME, SAMPLE_RATE } from '../core/coefficients.js';
+
+const FRAME_MS = SAMPLES_PER_FRAME / SAMPLE_RATE * 1000;
+
+const NEUTRAL = { rate: 1, pitch: 1, volume: 1 };
+
+const RATE_NAMES = { 'x-slow': 0.5, 'slow': 0.75, 'medium': 1, 'fast': 1.35, 'x-fast': 1.7, 'default': 1 };
+const PITCH_NAMES = { 'x-low': 0.75, 'low': 0.88, 'medium': 1, 'high': 1.15, 'x-high': 1.3, 'default': 1 };
+const VOLUME_NAMES = { 'silent': 0, 'x-soft': 0.3, 'soft': 0.6, 'medium': 1, 'loud': 1.4, 'x-loud': 1.8, 'default': 1 };
+
+// Break lengths in milliseconds
+const BREAK_STRENGTHS = { 'none': 0, 'x-weak': 50, 'weak': 100, 'medium': 250, 'strong': 500, 'x-strong': 1000 };
+
+// Emphasis as prosody multipliers
+const EMPHASIS_LEVELS = {
+    strong: { rate: 0.8, pitch: 1.2, volume: 1.4 },
+    moderate: { rate: 0.9, pitch: 1.1, volume: 1.2 },
+    none: NEUTRAL,
+    reduced: { rate: 1.1, pitch: 0.95, volume: 0.8 }
+};
+
+const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Check if text is an SSML document
+ * @param {string} text - Input text
+ * @returns {boolean}
+ */
+export function isSsml(text) {
+    return /^\s*(<\?xml[^>]*>\s*)?<speak[\s>/]/.test(text);
+}
+
+/**
+ * Parse SSML into a flat list of segments
+ * @param {string} text - SSML document
+ * @returns {Object[]} - Segments: { type: 'text', text, prosody },
+ *   { type: 'phonemes', phonemes, prosody } or { type: 'break', ms }
+ * @throws {Error} - If the markup is malformed or an attribute is invalid
+ */
+export function parseSsml(text) {
+    const root = parseXml(text);
+    const speak = root.children.find(child => typeof child !== 'string' && child.name === 'speak');
+
+    if (!speak || root.children.some(child => typeof child === 'string' ? child.trim() : child !== speak)) {
+        throw new Error('Invalid SSML: expected a single <speak> root element');
+    }
+
+    const segments = [];
+    walk(speak, NEUTRAL, segments);
+    return segments;
+}
+
+/**
+ * Convert SSML to phonemes and LPC frames
+ * @param {string} text - SSML document
+ * @param {Object} [options]
+ * @param {number} [options.rate=1] - Speaking rate, combined with <prosody rate>
+ * @returns {{ phonemes: string[], frames: Object[], timeline: Object[] }} -
+ *   timeline gives each phoneme's start frame, as from phonemesToSpeech
+ * @throws {Error} - If the markup is malformed or an attribute is invalid
+ */
+export function ssmlToSpeech(text, options = {}) {
+    const { rate = 1 } = options;
+    return segmentsToSpeech(parseSsml(text), rate);
+}
+
+/**
+ * Convert SSML to speech a sentence at a time, splitting at the end of each
+ * <s> and <p>
+ */
+export function ssmlSentences(text, options = {}) {
+    const { rate = 1 } = options;
+    const groups = [[]];
+
+    for (const segment of parseSsml(text)) {
+        if (segment.type === 'sentence') {
+            groups.push([]);
+        } else {
+            groups[groups.length - 1].push(segment);
+        }
+    }
+
+    return groups
+        .filter(group => group.some(segment => segment.type !== 'text' || /\w/.test(segment.text)))
+        .map(group => segmentsToSpeech(group, rate));
+}
+
+function segmentsToSpeech(segments, rate) {
+    const phonemes = [];
+    const units = [];
+
+    segments.forEach((segment, index) => {
+        if (segment.type === 'sentence') {
+            return;
+        }
+        if (segment.type === 'break') {
+            const count = Math.round(segment.ms / FRAME_MS);
+            if (count > 0) {
+                const silence = getPhonemeFrames('_')[0];
+                phonemes.push(segment.ms > BREAK_STRENGTHS.medium ? '.' : ',');
+                // Breaks do not end a sentence for the intonation model
+                units.push({ phoneme: '_', frames: new Array(count).fill(silence), segment: index, fixed: true });
+            }
+            return;
+        }
+
+        let codes = segment.type === 'phonemes'
+            ? segment.phonemes
+            : segmentPhonemes(segment.text);
+
+        // One word gap where two segments meet
+        if (codes[0] === ' ' && (phonemes.length === 0 || phonemes[phonemes.length - 1] === ' ')) {
+            codes = codes.slice(1);
+        }
+
+        phonemes.push(...codes);
+        for (const code of codes) {
+            units.push({
+                phoneme: code,
+                frames: getPhonemeFrames(code) || [],
+                segment: index,
+                rate: segment.prosody.rate
+            });
+        }
+    });
+
+    // Intonation, transitions and durations run across segments; pitch and
+    // volume are applied per segment
+    const frames = [];
+    let run = [];
+
+    const flush = () => {
+        if (run.length > 0) {
+            const prosody = segments[run[0].segment].prosody || NEUTRAL;
+            frames.push(...applyProsody(run.flatMap(unit => unit.frames), { ...prosody, rate: 1 }));
+            run = [];
+        }
+    };
+
+    const timed = applyDuration(applyCoarticulation(applyIntonation(units)), { rate });
+    for (const unit of timed) {
+        if (run.length > 0 && run[0].segment !== unit.segment) {
+            flush();
+        }
+        run.push(unit);
+    }
+    flush();
+
+    return { phonemes, frames, timeline: unitTimeline(timed) };
+}
+
+/**
+ * Phonemes for a text segment, keeping the word gaps at its edges so
+ * adjacent segments do not run together
+ */
+function segmentPhonemes(text) {
+    const phonemes = textToPhonemes(text);
+
+    while (phonemes[0] === '_') phonemes.shift();
+    while (phonemes[phonemes.length - 1] === '_') phonemes.pop();
+
+    if (phonemes.length === 0) {
+        return /\s/.test(text) ? [' '] : [];
+    }
+    if (/^\s/.test(text) && phonemes[0] !== ' ') {
+        phonemes.unshift(' ');
+    }
+    if (/\s$/.test(text) && phonemes[phonemes.length - 1] !== ' ') {
+        phonemes.push(' ');
+    }
+    return phonemes;
+}
+
+/**
+ * Walk an element's children, collecting segments
+ */
+function walk(node, prosody, segments) {
+    for (const child of node.children) {
+        if (typeof child === 'string') {
+            segments.push({ type: 'text', text: child, prosody });
+            continue;
+        }
+
+        const attributes = child.attributes;
+
+        switch (child.name) {
+            case 'break':
+                segments.push({ type: 'break', ms: parseBreak(attributes) });
+                break;
+
+            case 'prosody':
+                walk(child, combine(prosody, parseProsody(attributes)), segments);
+                break;
+
+            case 'emphasis': {
+                const level = attributes.level || 'moderate';
+                if (!Object.hasOwn(EMPHASIS_LEVELS, level)) {
+                    throw new Error(`Invalid SSML: unknown emphasis level "${level}"`);
+                }
+                walk(child, combine(prosody, EMPHASIS_LEVELS[level]), segments);
+                break;
+            }
+
+            case 'say-as':
+                segments.push({ type: 'text', text: ` ${sayAs(textContent(child), attributes)} `, prosody });
+                break;
+
+            case 'sub':
+                segments.push({
+                    type: 'text',
+                    text: attributes.alias !== undefined ? ` ${attributes.alias} ` : textContent(child),
+                    prosody
+                });
+                break;
+
+            case 'phoneme': {
+                const alphabet = (attributes.alphabet || 'arpabet').toLowerCase();
+                if (alphabet !== 'arpabet' && alphabet !== 'x-arpabet') {
+                    // Unsupported alphabets fall back to the enclosed text
+                    walk(child, prosody, segments);
+                    break;
+                }
+                const phonemes = (attributes.ph || '').trim().split(/\s+/).filter(p => p);
+                const unknown = phonemes.filter(p => !getPhonemeFrames(p));
+                if (unknown.length > 0) {
+                    throw new Error(`Invalid SSML: unknown phonemes "${unknown.join(' ')}" in <phoneme>`);
+                }
+                segments.push({ type: 'phonemes', phonemes: [' ', ...phonemes, ' '], prosody });
+                break;
+            }
+
+            case 'mark':
+                break;
+
+            case 'p':
+            case 's':
+                walk(child, prosody, segments);
+                segments.push({ type: 'text', text: '. ', prosody });
+                segments.push({ type: 'sentence' });
+                break;
+
+            default:
+                walk(child, prosody, segments);
+        }
+    }
+}
+
+/**
+ * Break length in milliseconds from time or strength
+ */
+function parseBreak(attributes) {
+    if (attributes.time !== undefined) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s)\s*$/i.exec(attributes.time);
+        if (!match) {
+            throw new Error(`Invalid SSML: bad break time "${attributes.time}"`);
+        }
+        return Number(match[1]) * (match[2].toLowerCase() === 's' ? 1000 : 1);
+    }
+
+    const strength = attributes.strength || 'medium';
+    if (!Object.hasOwn(BREAK_STRENGTHS, strength)) {
+        throw new Error(`Invalid SSML: unknown break strength "${strength}"`);
+    }
+    return BREAK_STRENGTHS[strength];
+}
+
+/**
+ * Parse <prosody> attributes into multipliers
+ */
+function parseProsody(attributes) {
+    const result = { ...NEUTRAL };
+
+    if (attributes.rate !== undefined) {
+        result.rate = parseMultiplier(attributes.rate, RATE_NAMES, 'rate');
+        if (result.rate <= 0) {
+            throw new Error(`Invalid SSML: prosody rate must be positive ("${attributes.rate}")`);
+        }
+    }
+    if (attributes.pitch !== undefined) {
+        result.pitch = parseMultiplier(attributes.pitch, PITCH_NAMES, 'pitch');
+        if (result.pitch <= 0) {
+            throw new Error(`Invalid SSML: prosody pitch must stay above zero ("${attributes.pitch}")`);
+        }
+    }
+    if (attributes.volume !== undefined) {
+        result.volume = Math.max(0, parseMultiplier(attributes.volume, VOLUME_NAMES, 'volume'));
+    }
+
+    return result;
+}
+
+/**
+ * Convert a prosody value to a multiplier. Accepts names ("slow"),
+ * percentages ("80%", "+10%"), semitones ("-2st"), decibels ("+6dB") and
+ * plain numbers ("1.5").
+ */
+function parseMultiplier(value, names, attribute) {
+    const text = value.trim().toLowerCase();
+
+    if (Object.hasOwn(names, text)) {
+        return names[text];
+    }
+
+    const match = /^([+-]?)(\d+(?:\.\d+)?)(%|st|db)?$/.exec(text);
+    if (!match) {
+        throw new Error(`Invalid SSML: bad prosody ${attribute} "${value}"`);
+    }
+
+    const [, sign, digits, unit] = match;
+    const amount = Number(digits) * (sign === '-' ? -1 : 1);
+
+    switch (unit) {
+        case '%':
+            return sign ? 1 + amount / 100 : amount / 100;
+        case 'st':
+            return Math.pow(2, amount / 12);
+        case 'db':
+            return Math.pow(10, amount / 20);
+        default:
+            return amount;
+    }
+}
+
+function combine(a, b) {
+    return { rate: a.rate * b.rate, pitch: a.pitch * b.pitch, volume: a.volume * b.volume };
+}
+
+/**
+ * Apply prosody multipliers to frames
+ * @param {Object[]} frames - Value frames
+ * @param {{ rate: number, pitch: number, volume: number }} prosody
+ * @returns {Object[]}
+ */
+export function applyProsody(frames, prosody) {
+    if (frames.length === 0 || (prosody.rate === 1 && prosody.pitch === 1 && prosody.volume === 1)) {
+        return frames;
+    }
+
+    const length = Math.max(1, Math.round(frames.length / prosody.rate));
+    const result = [];
+
+    for (let i = 0; i < length; i++) {
+        const frame = frames[Math.min(frames.length - 1, Math.floor(i * frames.length / length))];
+        result.push({
+            energy: frame.energy === 0 || prosody.volume === 0 ? 0 : snap(ENERGY_TABLE, frame.energy * prosody.volume),
+            pitch: frame.pitch === 0 ? 0 : snap(PITCH_TABLE, frame.pitch / prosody.pitch),
+            k: frame.k
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Nearest non-zero table value (never the energy stop code)
+ */
+function snap(table, value) {
+    let best = 0;
+    for (let i = 1; i < table.length; i++) {
+        if (table[i] !== 0 && (best === 0 || Math.abs(table[i] - value) < Math.abs(best - value))) {
+            best = table[i];
+        }
+    }
+    return best;
+}
+
+/**
+ * Text for a <say-as> element
+ */
+function sayAs(content, attributes) {
+    const interpretAs = (attributes['interpret-as'] || '').toLowerCase();
+    const text = content.trim();
+
+    switch (interpretAs) {
+        case 'characters':
+        case 'spell-out':
+        case 'letters':
+            return text.toUpperCase().split('')
+                .map(c => LETTER_NAMES[c] || (/\d/.test(c) ? digitsToWords(c) : ''))
+                .filter(word => word)
+                .join(' ');
+
+        case 'cardinal':
+        case 'number': {
+            const number = text.replace(/,/g, '');
+            if (!/^-?\d+(\.\d+)?$/.test(number)) return text;
+            return (number.startsWith('-') ? 'minus ' : '') + decimalToWords(number.replace('-', ''));
+        }
+
+        case 'ordinal': {
+            const number = text.replace(/[,\s]|st|nd|rd|th/gi, '');
+            return /^\d+$/.test(number) ? ordinalToWords(number) : text;
+        }
+
+        case 'digits':
+        case 'telephone':
+            return text.split(/[^\d]+/).filter(group => group).map(digitsToWords).join(', ');
+
+        case 'date':
+            return sayDate(text, (attributes.format || 'mdy').toLowerCase()) || text;
+
+        default:
+            return text;
+    }
+}
+
+/**
+ * Read a date whose fields are ordered by format (e.g. "mdy", "dmy", "ymd", "md")
+ */
+function sayDate(text, format) {
+    const parts = text.split(/[\s/.,-]+/).filter(p => p);
+    if (parts.length !== format.length) {
+        return null;
+    }
+
+    const fields = {};
+    for (let i = 0; i < format.length; i++) {
+        fields[format[i]] = parts[i];
+    }
+
+    const words = [];
+    if (fields.m !== undefined) {
+        const month = /^\d+$/.test(fields.m)
+            ? MONTHS[Number(fields.m) - 1]
+            : MONTHS.find(name => name.toLowerCase().startsWith(fields.m.toLowerCase().slice(0, 3)));
+        if (!month) return null;
+        words.push(month);
+    }
+    if (fields.d !== undefined) {
+        if (!/^\d{1,2}$/.test(fields.d)) return null;
+        words.push(ordinalToWords(fields.d));
+    }
+    if (fields.y !== undefined) {
+        if (!/^\d+$/.test(fields.y)) return null;
+        words.push(fields.y.length === 4 ? yearToWords(fields.y) : numberToWords(fields.y));
+    }
+
+    return words.join(' ');
+}
+
+/**
+ * Concatenated text of an element
+ */
+function textContent(node) {
+    return node.children.map(child => typeof child === 'string' ? child : textContent(child)).join('');
+}
+
+/**
+ * Minimal XML parser: elements, attributes, text, comments and the five
+ * predefined entities (plus numeric character references)
+ * @returns {{ name: string, attributes: Object, children: Array }} - Document node
+ */
+function parseXml(text) {
+    const root = { name: '#document', attributes: {}, children: [] };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    let last = 0;
+    let match;
+
+    const addText = raw => {
+        if (raw.includes('<')) {
+            throw new Error('Invalid SSML: malformed tag');
+        }
+        if (raw) {
+            stack[stack.length - 1].children.push(decodeEntities(raw));
+        }
+    };
+
+    while ((match = pattern.exec(text))) {
+        addText(text.slice(last, match.index));
+        last = pattern.lastIndex;
+
+        const [, closing, rawName, rawAttributes, selfClosing] = match;
+        if (!rawName) {
+            continue; // Comment, processing instruction or doctype
+        }
+
+        // Drop any namespace prefix
+        const name = rawName.replace(/^.*:/, '').toLowerCase();
+
+        if (closing) {
+            const open = stack.pop();
+            if (open === root || open.name !== name) {
+                throw new Error(`Invalid SSML: unexpected </${rawName}>`);
+            }
+            continue;
+        }
+
+        const element = { name, attributes: parseAttributes(rawAttributes), children: [] };
+        stack[stack.length - 1].children.push(element);
+        if (!selfClosing) {
+            stack.push(element);
+        }
+    }
+
+    addText(text.slice(last));
+
+    if (stack.length > 1) {
+        throw new Error(`Invalid SSML: <${stack[stack.length - 1].name}> is not closed`);
+    }
+
+    return root;
+}
+
+function parseAttributes(raw) {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(raw))) {
+        const name = match[1].replace(/^xml:/, 'xml-').toLowerCase();
+        attributes[name] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return Object.hasOwn(ENTITIES, entity) ? ENTITIES[entity] : match;
+    });
+}
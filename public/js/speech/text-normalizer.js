@@ -0,0 +1,397 @@
+/**
+ * Text Normalizer (ES Module)
+ *
+ * Expands numbers, dates, times, money, units, abbreviations and symbols
+ * into words before pronunciation.
+ */
+
+const ONES = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+    'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+const ORDINAL_WORDS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth',
+    eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+
+const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Letter names, for spelling out acronyms
+export const LETTER_NAMES = {
+    A: 'ay', B: 'bee', C: 'see', D: 'dee', E: 'ee', F: 'eff', G: 'jee',
+    H: 'aitch', I: 'eye', J: 'jay', K: 'kay', L: 'el', M: 'em', N: 'en',
+    O: 'oh', P: 'pee', Q: 'cue', R: 'ar', S: 'ess', T: 'tee', U: 'you',
+    V: 'vee', W: 'double you', X: 'ex', Y: 'why', Z: 'zee'
+};
+
+// Terms with their own reading, matched case-sensitively as whole words
+const SPECIAL_TERMS = [
+    ['TI-99/4A', 'tee eye ninety nine four ay'],
+    ['TI-99', 'tee eye ninety nine'],
+    ['TI', 'tee eye']
+];
+
+// Abbreviations: [pattern, expansion]. Patterns include the trailing period.
+const ABBREVIATIONS = [
+    // A title before a name, otherwise a street type
+    [/\bDr\.(?=\s+[A-Z])/g, 'Doctor'],
+    [/\bSt\.(?=\s+[A-Z])/g, 'Saint'],
+    [/\bDr\./g, 'Drive'],
+    [/\bSt\./g, 'Street'],
+    [/\bMr\./g, 'Mister'],
+    [/\bMrs\./g, 'Missus'],
+    [/\bMs\./g, 'Miz'],
+    [/\bProf\./g, 'Professor'],
+    [/\bJr\./g, 'Junior'],
+    [/\bSr\./g, 'Senior'],
+    [/\bMt\./g, 'Mount'],
+    [/\bAve\./g, 'Avenue'],
+    [/\bBlvd\./g, 'Boulevard'],
+    [/\bRd\./g, 'Road'],
+    [/\bApt\./g, 'Apartment'],
+    [/\bDept\./g, 'Department'],
+    [/\bInc\./g, 'Incorporated'],
+    [/\bLtd\./g, 'Limited'],
+    [/\bCorp\./g, 'Corporation'],
+    [/\bCo\./g, 'Company'],
+    [/\bNo\.(?=\s*\d)/g, 'number'],
+    [/\bvs\./gi, 'versus'],
+    [/\betc\./gi, 'et cetera'],
+    [/\be\.g\./gi, 'for example'],
+    [/\bi\.e\./gi, 'that is'],
+    [/\bapprox\./gi, 'approximately'],
+    [/\bSept\./g, 'September'],
+    ...MONTHS.map(month => [new RegExp(`\\b${month.slice(0, 3)}\\.`, 'g'), month])
+];
+
+// Units: [symbol, singular, plural]. Short symbols that are also words
+// ("in", "m", "g") only match when written directly after the number.
+const UNITS = [
+    ['km/h', 'kilometer per hour', 'kilometers per hour'],
+    ['mph', 'mile per hour', 'miles per hour'],
+    ['kbps', 'kilobit per second', 'kilobits per second'],
+    ['bps', 'bit per second', 'bits per second'],
+    ['GHz', 'gigahertz', 'gigahertz'],
+    ['MHz', 'megahertz', 'megahertz'],
+    ['kHz', 'kilohertz', 'kilohertz'],
+    ['Hz', 'hertz', 'hertz'],
+    ['TB', 'terabyte', 'terabytes'],
+    ['GB', 'gigabyte', 'gigabytes'],
+    ['MB', 'megabyte', 'megabytes'],
+    ['KB', 'kilobyte', 'kilobytes'],
+    ['kB', 'kilobyte', 'kilobytes'],
+    ['km', 'kilometer', 'kilometers'],
+    ['cm', 'centimeter', 'centimeters'],
+    ['mm', 'millimeter', 'millimeters'],
+    ['kg', 'kilogram', 'kilograms'],
+    ['mg', 'milligram', 'milligrams'],
+    ['lbs', 'pound', 'pounds'],
+    ['lb', 'pound', 'pounds'],
+    ['oz', 'ounce', 'ounces'],
+    ['ft', 'foot', 'feet'],
+    ['yd', 'yard', 'yards'],
+    ['mi', 'mile', 'miles'],
+    ['ml', 'milliliter', 'milliliters'],
+    ['ms', 'millisecond', 'milliseconds'],
+    ['sec', 'second', 'seconds'],
+    ['min', 'minute', 'minutes'],
+    ['hr', 'hour', 'hours'],
+    ['°C', 'degree Celsius', 'degrees Celsius'],
+    ['°F', 'degree Fahrenheit', 'degrees Fahrenheit'],
+    ['°', 'degree', 'degrees'],
+    ['in', 'inch', 'inches', true],
+    ['m', 'meter', 'meters', true],
+    ['g', 'gram', 'grams', true],
+    ['V', 'volt', 'volts', true],
+    ['W', 'watt', 'watts', true]
+];
+
+// A number with optional thousands separators and decimals, e.g. 1,234.5
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+
+const CURRENCIES = {
+    '$': ['dollar', 'dollars', 'cent', 'cents'],
+    '£': ['pound', 'pounds', 'penny', 'pence'],
+    '€': ['euro', 'euros', 'cent', 'cents']
+};
+
+/**
+ * Spell out a non-negative integer
+ * @param {number|string} value - Integer (digits only when given as a string)
+ * @returns {string} - e.g. "one thousand two hundred thirty four"
+ */
+export function numberToWords(value) {
+    const digits = String(value).replace(/^0+(?=\d)/, '');
+    if (digits.length > 15) {
+        return digitsToWords(digits);
+    }
+
+    let n = Number(digits);
+    if (n < 1000) {
+        return hundredsToWords(n);
+    }
+
+    const groups = [];
+    for (let scale = 0; n > 0; scale++) {
+        const group = n % 1000;
+        if (group > 0) {
+            groups.unshift(hundredsToWords(group) + (SCALES[scale] ? ` ${SCALES[scale]}` : ''));
+        }
+        n = Math.floor(n / 1000);
+    }
+    return groups.join(' ');
+}
+
+function hundredsToWords(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+        n %= 100;
+        if (n === 0) {
+            return words.join(' ');
+        }
+    }
+    if (n < 20) {
+        words.push(ONES[n]);
+    } else {
+        words.push(TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : ''));
+    }
+    return words.join(' ');
+}
+
+/**
+ * Spell out an ordinal
+ * @param {number|string} value - Integer
+ * @returns {string} - e.g. "twenty first"
+ */
+export function ordinalToWords(value) {
+    const words = numberToWords(value).split(' ');
+    const last = words.pop();
+
+    if (ORDINAL_WORDS[last]) {
+        words.push(ORDINAL_WORDS[last]);
+    } else if (last.endsWith('y')) {
+        words.push(`${last.slice(0, -1)}ieth`);
+    } else {
+        words.push(`${last}th`);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Read a year the way it is spoken
+ * @param {number|string} value - Year
+ * @returns {string} - e.g. "nineteen eighty four", "two thousand five"
+ */
+export function yearToWords(value) {
+    const year = Number(value);
+    const century = Math.floor(year / 100);
+    const rest = year % 100;
+
+    if (year < 1000 || (year >= 2000 && year < 2010)) {
+        return numberToWords(year);
+    }
+    if (rest === 0) {
+        return year % 1000 === 0 ? numberToWords(year) : `${numberToWords(century)} hundred`;
+    }
+    return `${numberToWords(century)} ${rest < 10 ? `oh ${ONES[rest]}` : numberToWords(rest)}`;
+}
+
+/**
+ * Read digits one at a time
+ * @param {string} digits - Digit string
+ * @returns {string} - e.g. "five five five"
+ */
+export function digitsToWords(digits) {
+    return digits.replace(/\D/g, '').split('').map(d => ONES[d]).join(' ');
+}
+
+/**
+ * Spell out a decimal number, with or without thousands separators
+ * @param {string} text - e.g. "1,234.56"
+ * @returns {string}
+ */
+export function decimalToWords(text) {
+    const [whole, fraction] = text.replace(/,/g, '').split('.');
+    let words = /^0\d/.test(whole) ? digitsToWords(whole) : numberToWords(whole || '0');
+    if (fraction) {
+        words += ` point ${digitsToWords(fraction)}`;
+    }
+    return words;
+}
+
+function pluralize(words) {
+    return words.endsWith('y') ? `${words.slice(0, -1)}ies` : `${words}s`;
+}
+
+/**
+ * Keep a period consumed with an abbreviation when it also ends a sentence
+ * @param {string} period - The consumed period, or ''
+ * @param {string} rest - Text after the match
+ * @returns {string}
+ */
+function sentenceEnd(period, rest) {
+    return period && /^(\s*$|\s+[A-Z])/.test(rest) ? '.' : '';
+}
+
+/**
+ * Keep a sentence-ending period when an abbreviation ends the text
+ */
+function expandAbbreviation(expansion) {
+    return (match, offset, text) => {
+        const rest = text.slice(offset + match.length);
+        return /^\s*$/.test(rest) ? `${expansion}.` : expansion;
+    };
+}
+
+/**
+ * Expand numbers, dates, money, units, abbreviations and symbols into words
+ * @param {string} text - Input text
+ * @returns {string} - Normalized text
+ */
+export function normalizeText(text) {
+    let result = text;
+
+    // Special terms
+    for (const [term, reading] of SPECIAL_TERMS) {
+        const escaped = term.replace(/[/\-.]/g, '\\$&');
+        result = result.replace(new RegExp(`(^|[^\\w-])${escaped}(?![\\w-])`, 'g'), `$1${reading}`);
+    }
+
+    // Abbreviations
+    for (const [pattern, expansion] of ABBREVIATIONS) {
+        result = result.replace(pattern, expandAbbreviation(expansion));
+    }
+
+    // Phone numbers: (555) 123-4567, 555-123-4567, +1 555.123.4567
+    result = result.replace(
+        /(?:\+?1[-. ]?)?(?:\((\d{3})\)\s?|\b(\d{3})[-. ])(\d{3})[-.](\d{4})\b/g,
+        (match, area1, area2, exchange, line) =>
+            `${digitsToWords(area1 || area2)}, ${digitsToWords(exchange)}, ${digitsToWords(line)}`
+    );
+    result = result.replace(/\b(\d{3})-(\d{4})\b/g, (match, exchange, line) =>
+        `${digitsToWords(exchange)}, ${digitsToWords(line)}`);
+
+    // Numeric dates: 3/15/1984 (month first), 1984-03-15
+    result = result.replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g, (match, month, day, year) =>
+        formatDate(month, day, year) || match);
+    result = result.replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) =>
+        formatDate(month, day, year) || match);
+
+    // Month names followed by a day: March 15, March 15th
+    result = result.replace(
+        new RegExp(`\\b(${MONTHS.join('|')}|${MONTHS.map(m => m.slice(0, 3)).join('|')})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'g'),
+        (match, month, day) => {
+            const name = MONTHS.find(m => m.startsWith(month));
+            return Number(day) >= 1 && Number(day) <= 31 ? `${name} ${ordinalToWords(day)}` : match;
+        }
+    );
+
+    // Times: 10:30, 10:30 pm, 7 a.m.
+    result = result.replace(/\b(\d{1,2}):(\d{2})(?:\s*([ap])\.?m\b(\.?))?/gi, (match, hours, minutes, meridiem, period, offset, text) => {
+        if (Number(hours) > 23 || Number(minutes) > 59) {
+            return match;
+        }
+        let words = numberToWords(hours);
+        if (Number(minutes) === 0) {
+            words += meridiem ? '' : " o'clock";
+        } else if (Number(minutes) < 10) {
+            words += ` oh ${ONES[Number(minutes)]}`;
+        } else {
+            words += ` ${numberToWords(minutes)}`;
+        }
+        return meridiem
+            ? `${words} ${LETTER_NAMES[meridiem.toUpperCase()]} em${sentenceEnd(period, text.slice(offset + match.length))}`
+            : words;
+    });
+    result = result.replace(/\b(\d{1,2})\s*([ap])\.?m\b(\.?)/gi, (match, hours, meridiem, period, offset, text) =>
+        `${numberToWords(hours)} ${LETTER_NAMES[meridiem.toUpperCase()]} em${sentenceEnd(period, text.slice(offset + match.length))}`);
+
+    // Money: $5, $5.25, $0.99, $1.5 million
+    result = result.replace(
+        /([$£€])\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s?(thousand|million|billion|trillion)\b)?/g,
+        (match, symbol, whole, fraction, scale) => {
+            const [unit, units, subunit, subunits] = CURRENCIES[symbol];
+            const amount = whole.replace(/,/g, '');
+
+            if (scale) {
+                return `${decimalToWords(fraction ? `${amount}.${fraction}` : amount)} ${scale} ${units}`;
+            }
+
+            const cents = fraction ? Number(fraction.padEnd(2, '0').slice(0, 2)) : 0;
+            const parts = [];
+            if (Number(amount) > 0 || cents === 0) {
+                parts.push(`${numberToWords(amount)} ${Number(amount) === 1 ? unit : units}`);
+            }
+            if (cents > 0) {
+                parts.push(`${numberToWords(cents)} ${cents === 1 ? subunit : subunits}`);
+            }
+            return parts.join(' and ');
+        }
+    );
+
+    // Percentages
+    result = result.replace(new RegExp(`(${NUMBER})\\s?%`, 'g'), (match, number) => `${decimalToWords(number)} percent`);
+
+    // Decades and years: 1980s, 1984
+    result = result.replace(/\b(1[1-9]\d\d|20\d\d)s\b/g, (match, year) => pluralize(yearToWords(year)));
+    result = result.replace(/'?\b([1-9]0)s\b/g, (match, decade) => pluralize(numberToWords(decade)));
+    result = result.replace(/\b(1[1-9]\d\d|20\d\d)\b(?![,.]\d)/g, (match, year) => yearToWords(year));
+
+    // Units
+    for (const [symbol, singular, plural, attachedOnly] of UNITS) {
+        const escaped = symbol.replace(/[/]/g, '\\/');
+        const space = attachedOnly ? '' : '\\s?';
+        const pattern = new RegExp(`(${NUMBER})${space}${escaped}(?![\\w/])`, 'g');
+        result = result.replace(pattern, (match, number) =>
+            `${decimalToWords(number)} ${number === '1' ? singular : plural}`);
+    }
+
+    // Ordinals: 1st, 22nd, 103rd
+    result = result.replace(/\b(\d+)(?:st|nd|rd|th)\b/gi, (match, number) => ordinalToWords(number));
+
+    // Ranges and negative numbers
+    result = result.replace(/(\d)\s?-\s?(?=\d)/g, '$1 to ');
+    result = result.replace(/(^|[\s(])-(?=\d)/g, '$1minus ');
+
+    // Split letters from digits: R2D2 -> R 2 D 2
+    result = result.replace(/([A-Za-z])(?=\d)|(\d)(?=[A-Za-z])/g, '$1$2 ');
+
+    // Cardinals and decimals
+    result = result.replace(new RegExp(NUMBER, 'g'), match => decimalToWords(match));
+
+    // Symbols
+    result = result
+        .replace(/&/g, ' and ')
+        .replace(/\+/g, ' plus ')
+        .replace(/=/g, ' equals ')
+        .replace(/@/g, ' at ')
+        .replace(/#/g, ' number ')
+        .replace(/%/g, ' percent ')
+        .replace(/(\w)\/(?=\w)/g, '$1 ');
+
+    return result.replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+/**
+ * Read a numeric date, or return null if it is not a valid date
+ */
+function formatDate(month, day, year) {
+    const m = Number(month);
+    const d = Number(day);
+    if (m < 1 || m > 12 || d < 1 || d > 31) {
+        return null;
+    }
+
+    const yearWords = year.length === 2
+        ? (Number(year) < 10 ? `oh ${ONES[Number(year)]}` : numberToWords(year))
+        : yearToWords(year);
+    return `${MONTHS[m - 1]} ${ordinalToWords(d)}, ${yearWords}`;
+}
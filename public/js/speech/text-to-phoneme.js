@@ -3,6 +3,13 @@
  */
 
 import { getPhonemeFrames } from './phonemes.js';
+import { applyIntonation } from './intonation.js';
+import { applyCoarticulation } from './coarticulation.js';
+import { applyDuration } from './duration.js';
+import { letterToSound } from './letter-to-sound.js';
+import { pronunciationDictionary } from './pronunciation-dictionary.js';
+import { userLexicon } from './lexicon.js';
+import { normalizeText } from './text-normalizer.js';
 
 // Common words and their phoneme mappings
 const DICTIONARY = {
@@ -114,60 +121,86 @@ const DICTIONARY = {
     'MADE': ['M', 'EY', 'D'],
     'MAY': ['M', 'EY'],
     'PART': ['P', 'AA', 'R', 'T'],
-};
-
-// Basic letter-to-phoneme rules 
-const RULES = [
-    { pattern: /^PH/, phoneme: 'F' },
-    { pattern: /^TH/, phoneme: 'TH' }, // Simplified (could be TH or DH)
-    { pattern: /^CH/, phoneme: 'CH' },
-    { pattern: /^SH/, phoneme: 'SH' },
-    { pattern: /^WH/, phoneme: 'W' },
-    { pattern: /^NG/, phoneme: 'NG' },
-    { pattern: /^CK/, phoneme: 'K' },
-    { pattern: /^OO/, phoneme: 'UW' },
-    { pattern: /^EE/, phoneme: 'IY' },
-    { pattern: /^EA/, phoneme: 'IY' },
-    { pattern: /^AI/, phoneme: 'EY' },
-    { pattern: /^AY/, phoneme: 'EY' },
-    { pattern: /^EI/, phoneme: 'EY' },
-    { pattern: /^IE/, phoneme: 'IY' },
-    { pattern: /^OA/, phoneme: 'OW' },
-    { pattern: /^OU/, phoneme: 'AW' },
-    { pattern: /^OW/, phoneme: 'AW' }, // or OW
-    { pattern: /^OY/, phoneme: 'OY' },
-    { pattern: /^OI/, phoneme: 'OY' },
-    { pattern: /^AU/, phoneme: 'AO' },
-    { pattern: /^AW/, phoneme: 'AO' },
 
-    // Single letters (simplified)
-    { pattern: /^A/, phoneme: 'AE' },
-    { pattern: /^B/, phoneme: 'B' },
-    { pattern: /^C/, phoneme: 'K' },
-    { pattern: /^D/, phoneme: 'D' },
-    { pattern: /^E/, phoneme: 'EH' },
-    { pattern: /^F/, phoneme: 'F' },
-    { pattern: /^G/, phoneme: 'G' },
-    { pattern: /^H/, phoneme: 'HH' },
-    { pattern: /^I/, phoneme: 'IH' },
-    { pattern: /^J/, phoneme: 'JH' },
-    { pattern: /^K/, phoneme: 'K' },
-    { pattern: /^L/, phoneme: 'L' },
-    { pattern: /^M/, phoneme: 'M' },
-    { pattern: /^N/, phoneme: 'N' },
-    { pattern: /^O/, phoneme: 'AA' },
-    { pattern: /^P/, phoneme: 'P' },
-    { pattern: /^Q/, phoneme: 'K' },
-    { pattern: /^R/, phoneme: 'R' },
-    { pattern: /^S/, phoneme: 'S' },
-    { pattern: /^T/, phoneme: 'T' },
-    { pattern: /^U/, phoneme: 'AH' },
-    { pattern: /^V/, phoneme: 'V' },
-    { pattern: /^W/, phoneme: 'W' },
-    { pattern: /^X/, phoneme: 'K' }, // Need S next
-    { pattern: /^Y/, phoneme: 'Y' },
-    { pattern: /^Z/, phoneme: 'Z' },
-];
+    // Number words produced by the text normalizer
+    'ZERO': ['Z', 'IH', 'R', 'OW'],
+    'THREE': ['TH', 'R', 'IY'],
+    'FOUR': ['F', 'AO', 'R'],
+    'FIVE': ['F', 'AY', 'V'],
+    'SIX': ['S', 'IH', 'K', 'S'],
+    'SEVEN': ['S', 'EH', 'V', 'AH', 'N'],
+    'EIGHT': ['EY', 'T'],
+    'NINE': ['N', 'AY', 'N'],
+    'TEN': ['T', 'EH', 'N'],
+    'ELEVEN': ['IH', 'L', 'EH', 'V', 'AH', 'N'],
+    'TWELVE': ['T', 'W', 'EH', 'L', 'V'],
+    'THIRTEEN': ['TH', 'ER', 'T', 'IY', 'N'],
+    'FOURTEEN': ['F', 'AO', 'R', 'T', 'IY', 'N'],
+    'FIFTEEN': ['F', 'IH', 'F', 'T', 'IY', 'N'],
+    'SIXTEEN': ['S', 'IH', 'K', 'S', 'T', 'IY', 'N'],
+    'SEVENTEEN': ['S', 'EH', 'V', 'AH', 'N', 'T', 'IY', 'N'],
+    'EIGHTEEN': ['EY', 'T', 'IY', 'N'],
+    'NINETEEN': ['N', 'AY', 'N', 'T', 'IY', 'N'],
+    'TWENTY': ['T', 'W', 'EH', 'N', 'T', 'IY'],
+    'THIRTY': ['TH', 'ER', 'T', 'IY'],
+    'FORTY': ['F', 'AO', 'R', 'T', 'IY'],
+    'FIFTY': ['F', 'IH', 'F', 'T', 'IY'],
+    'SIXTY': ['S', 'IH', 'K', 'S', 'T', 'IY'],
+    'SEVENTY': ['S', 'EH', 'V', 'AH', 'N', 'T', 'IY'],
+    'EIGHTY': ['EY', 'T', 'IY'],
+    'NINETY': ['N', 'AY', 'N', 'T', 'IY'],
+    'HUNDRED': ['HH', 'AH', 'N', 'D', 'R', 'AH', 'D'],
+    'THOUSAND': ['TH', 'AW', 'Z', 'AH', 'N', 'D'],
+    'MILLION': ['M', 'IH', 'L', 'Y', 'AH', 'N'],
+    'BILLION': ['B', 'IH', 'L', 'Y', 'AH', 'N'],
+    'TRILLION': ['T', 'R', 'IH', 'L', 'Y', 'AH', 'N'],
+    'TENS': ['T', 'EH', 'N', 'Z'],
+    'TWENTIES': ['T', 'W', 'EH', 'N', 'T', 'IY', 'Z'],
+    'THIRTIES': ['TH', 'ER', 'T', 'IY', 'Z'],
+    'FORTIES': ['F', 'AO', 'R', 'T', 'IY', 'Z'],
+    'FIFTIES': ['F', 'IH', 'F', 'T', 'IY', 'Z'],
+    'SIXTIES': ['S', 'IH', 'K', 'S', 'T', 'IY', 'Z'],
+    'SEVENTIES': ['S', 'EH', 'V', 'AH', 'N', 'T', 'IY', 'Z'],
+    'EIGHTIES': ['EY', 'T', 'IY', 'Z'],
+    'NINETIES': ['N', 'AY', 'N', 'T', 'IY', 'Z'],
+    'HUNDREDS': ['HH', 'AH', 'N', 'D', 'R', 'AH', 'D', 'Z'],
+    'THOUSANDS': ['TH', 'AW', 'Z', 'AH', 'N', 'D', 'Z'],
+    'OH': ['OW'],
+    'POINT': ['P', 'OY', 'N', 'T'],
+    'MINUS': ['M', 'AY', 'N', 'AH', 'S'],
+    'ZEROTH': ['Z', 'IH', 'R', 'OW', 'TH'],
+    'SECOND': ['S', 'EH', 'K', 'AH', 'N', 'D'],
+    'THIRD': ['TH', 'ER', 'D'],
+    'FOURTH': ['F', 'AO', 'R', 'TH'],
+    'FIFTH': ['F', 'IH', 'F', 'TH'],
+    'SIXTH': ['S', 'IH', 'K', 'S', 'TH'],
+    'SEVENTH': ['S', 'EH', 'V', 'AH', 'N', 'TH'],
+    'EIGHTH': ['EY', 'T', 'TH'],
+    'NINTH': ['N', 'AY', 'N', 'TH'],
+    'TENTH': ['T', 'EH', 'N', 'TH'],
+    'ELEVENTH': ['IH', 'L', 'EH', 'V', 'AH', 'N', 'TH'],
+    'TWELFTH': ['T', 'W', 'EH', 'L', 'F', 'TH'],
+    'THIRTEENTH': ['TH', 'ER', 'T', 'IY', 'N', 'TH'],
+    'FOURTEENTH': ['F', 'AO', 'R', 'T', 'IY', 'N', 'TH'],
+    'FIFTEENTH': ['F', 'IH', 'F', 'T', 'IY', 'N', 'TH'],
+    'SIXTEENTH': ['S', 'IH', 'K', 'S', 'T', 'IY', 'N', 'TH'],
+    'SEVENTEENTH': ['S', 'EH', 'V', 'AH', 'N', 'T', 'IY', 'N', 'TH'],
+    'EIGHTEENTH': ['EY', 'T', 'IY', 'N', 'TH'],
+    'NINETEENTH': ['N', 'AY', 'N', 'T', 'IY', 'N', 'TH'],
+    'TWENTIETH': ['T', 'W', 'EH', 'N', 'T', 'IY', 'AH', 'TH'],
+    'THIRTIETH': ['TH', 'ER', 'T', 'IY', 'AH', 'TH'],
+    'FORTIETH': ['F', 'AO', 'R', 'T', 'IY', 'AH', 'TH'],
+    'FIFTIETH': ['F', 'IH', 'F', 'T', 'IY', 'AH', 'TH'],
+    'SIXTIETH': ['S', 'IH', 'K', 'S', 'T', 'IY', 'AH', 'TH'],
+    'SEVENTIETH': ['S', 'EH', 'V', 'AH', 'N', 'T', 'IY', 'AH', 'TH'],
+    'EIGHTIETH': ['EY', 'T', 'IY', 'AH', 'TH'],
+    'NINETIETH': ['N', 'AY', 'N', 'T', 'IY', 'AH', 'TH'],
+    'HUNDREDTH': ['HH', 'AH', 'N', 'D', 'R', 'AH', 'D', 'TH'],
+    'THOUSANDTH': ['TH', 'AW', 'Z', 'AH', 'N', 'D', 'TH'],
+    'MILLIONTH': ['M', 'IH', 'L', 'Y', 'AH', 'N', 'TH'],
+    'BILLIONTH': ['B', 'IH', 'L', 'Y', 'AH', 'N', 'TH'],
+    'TRILLIONTH': ['T', 'R', 'IH', 'L', 'Y', 'AH', 'N', 'TH'],
+};
 
 export function isPhonemeNotation(text) {
     return text.trim().startsWith('/') && text.trim().endsWith('/');
@@ -178,49 +211,19 @@ export function parsePhonemeNotation(text) {
     return content.trim().split(/\s+/);
 }
 
-function convertWordToPhonemes(word) {
+export function convertWordToPhonemes(word) {
+    // User corrections, then loaded CMUdict entries (with stress); both may contain apostrophes
+    const key = word.toUpperCase().replace(/[^A-Z0-9']/g, '');
+    const entry = userLexicon.get(key) || pronunciationDictionary.lookup(key);
+    if (entry) return entry;
+
     const normalizeWord = word.toUpperCase().replace(/[^A-Z]/g, '');
 
     if (DICTIONARY[normalizeWord]) {
         return [...DICTIONARY[normalizeWord]];
     }
 
-    // Fallback: Rule-based conversion
-    const phonemes = [];
-    let remaining = normalizeWord;
-
-    while (remaining.length > 0) {
-        let matchFound = false;
-
-        // Try to match multi-letter rules first
-        for (const rule of RULES) {
-            if (rule.pattern.test(remaining)) {
-                phonemes.push(rule.phoneme);
-                // Special handling for X -> K S
-                if (remaining.startsWith('X')) {
-                    phonemes.push('S');
-                }
-
-                // Consum matched characters
-                // Heuristic: remove 1 char for single letters, 2 for most patterns
-                // Ideally rules should specify consumption length
-                if (rule.pattern.source.includes('^..')) {
-                    remaining = remaining.substring(2);
-                } else {
-                    remaining = remaining.substring(1);
-                }
-                matchFound = true;
-                break;
-            }
-        }
-
-        if (!matchFound) {
-            // Skip unknown character
-            remaining = remaining.substring(1);
-        }
-    }
-
-    return phonemes;
+    return letterToSound(normalizeWord);
 }
 
 export function textToPhonemes(text) {
@@ -228,19 +231,21 @@ export function textToPhonemes(text) {
         return parsePhonemeNotation(text);
     }
 
-    const words = text.toUpperCase().trim().split(/([ \t\r\n,.!?:;]+)/);
+    const words = normalizeText(text).toUpperCase().trim().split(/([ \t\r\n,.!?:;]+)/);
     const phonemeSequence = [];
 
     for (const token of words) {
         if (!token) continue;
 
-        // Punctuation/Spaces
-        if (/^[ \t]+$/.test(token)) {
-            phonemeSequence.push(' ');
-        } else if (/^[.|!|?]+$/.test(token)) {
+        // Punctuation/Spaces (separators may mix both, e.g. ", ")
+        if (/\?/.test(token)) {
+            phonemeSequence.push('?');
+        } else if (/[.!]/.test(token)) {
             phonemeSequence.push('.');
-        } else if (/^[,|;|:]+$/.test(token)) {
+        } else if (/[,;:]/.test(token)) {
             phonemeSequence.push(',');
+        } else if (/^\s+$/.test(token)) {
+            phonemeSequence.push(' ');
         } else if (/[A-Z]/.test(token)) {
             // Word
             const ph = convertWordToPhonemes(token);
@@ -263,16 +268,34 @@ export function getPhonemeString(text) {
     return textToPhonemes(text).join(' ');
 }
 
-export function textToFrames(text) {
-    const phonemes = textToPhonemes(text);
-    const frames = [];
+export function phonemesToFrames(phonemes, options) {
+    return phonemesToSpeech(phonemes, options).frames;
+}
+
+// Frames plus the start frame of each phoneme: { frames, timeline }
+export function phonemesToSpeech(phonemes, options = {}) {
+    const { rate = 1, intonation, coarticulation } = options;
+    const units = phonemes.map(phoneme => ({ phoneme, frames: getPhonemeFrames(phoneme) || [] }));
+    const smoothed = applyCoarticulation(applyIntonation(units, intonation), coarticulation);
+    const timed = applyDuration(smoothed, { rate });
 
-    for (const phoneme of phonemes) {
-        const phonemeFrames = getPhonemeFrames(phoneme);
-        if (phonemeFrames) {
-            frames.push(...phonemeFrames);
+    return { frames: timed.flatMap(unit => unit.frames), timeline: unitTimeline(timed) };
+}
+
+export function unitTimeline(units) {
+    const timeline = [];
+    let frame = 0;
+
+    for (const unit of units) {
+        if (unit.frames.length > 0) {
+            timeline.push({ phoneme: unit.phoneme, frame });
+            frame += unit.frames.length;
         }
     }
 
-    return frames;
+    return timeline;
+}
+
+export function textToFrames(text, options) {
+    return phonemesToFrames(textToPhonemes(text), options);
 }
@@ -0,0 +1,62 @@
+/**
+ * AIFF File Writer
+ *
+ * Builds 16-bit mono AIFF files: big-endian PCM, with the sample rate
+ * stored as an 80-bit IEEE extended float.
+ */
+
+/**
+ * Create an AIFF file buffer from audio samples
+ * @param {Int16Array|Float32Array} samples - Audio samples at 16-bit scale
+ * @param {number} sampleRate - Sample rate in Hz (a whole number)
+ * @returns {Buffer} - AIFF file buffer
+ */
+function createAiffBuffer(samples, sampleRate) {
+    const numChannels = 1;
+    const bitsPerSample = 16;
+    const dataSize = samples.length * 2;
+
+    const buffer = Buffer.alloc(54 + dataSize);
+    let offset = 0;
+
+    // FORM header
+    buffer.write('FORM', offset); offset += 4;
+    buffer.writeUInt32BE(buffer.length - 8, offset); offset += 4;
+    buffer.write('AIFF', offset); offset += 4;
+
+    // COMM chunk
+    buffer.write('COMM', offset); offset += 4;
+    buffer.writeUInt32BE(18, offset); offset += 4;             // Chunk size
+    buffer.writeUInt16BE(numChannels, offset); offset += 2;    // Channels
+    buffer.writeUInt32BE(samples.length, offset); offset += 4; // Sample frames
+    buffer.writeUInt16BE(bitsPerSample, offset); offset += 2;  // Bits per sample
+    writeExtended(buffer, sampleRate, offset); offset += 10;   // Sample rate
+
+    // SSND chunk
+    buffer.write('SSND', offset); offset += 4;
+    buffer.writeUInt32BE(dataSize + 8, offset); offset += 4;
+    buffer.writeUInt32BE(0, offset); offset += 4;              // Data offset
+    buffer.writeUInt32BE(0, offset); offset += 4;              // Block size
+
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16BE(Math.max(-32768, Math.min(32767, Math.round(samples[i]))), offset);
+        offset += 2;
+    }
+
+    return buffer;
+}
+
+/**
+ * Write a positive whole number as an 80-bit IEEE extended float: a 15-bit
+ * biased exponent, then a 64-bit mantissa with an explicit leading 1
+ */
+function writeExtended(buffer, value, offset) {
+    const exponent = Math.floor(Math.log2(value));
+    buffer.writeUInt16BE(16383 + exponent, offset);
+    buffer.writeUInt32BE(value * 2 ** (31 - exponent), offset + 2);
+    buffer.writeUInt32BE(0, offset + 6);
+}
+
+module.exports = {
+    createAiffBuffer
+};
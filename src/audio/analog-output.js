@@ -0,0 +1,198 @@
+/**
+ * Analog Output Stage
+ *
+ * Post-processing that models what happens to the chip's samples on their
+ * way to a listener. The TMS5220 drives an 8-bit DAC at 8 kHz; the speech
+ * module low-pass filters that staircase, and on a TI-99/4A the result
+ * travels through the console's audio path to a television speaker.
+ *
+ * Each preset selects the stages:
+ * - DAC quantization to a number of bits
+ * - Zero-order hold when upsampling, which keeps the DAC's images above
+ *   4 kHz, or band-limited (sinc) resampling, which removes them
+ * - Filters: the reconstruction low-pass, AC coupling and speaker coloration
+ *
+ * The filter values approximate the module and a typical TV set; they are
+ * not measured from hardware.
+ */
+
+const { resample } = require('./resample');
+const { SAMPLE_RATE } = require('../core/coefficients');
+
+// Filters within this fraction of the output rate are past Nyquist and
+// skipped (e.g. the speaker's treble roll-off when output stays at 8 kHz)
+const MAX_FILTER_FREQUENCY = 0.49;
+
+const ANALOG_PRESETS = {
+    raw: {
+        label: 'Raw chip',
+        description: '8-bit DAC steps and their images, unfiltered',
+        dacBits: 8,
+        hold: true,
+        gain: 1,
+        filters: []
+    },
+    tv: {
+        label: 'TI-99/4A on TV',
+        description: 'Speech module filter, console audio path and a small TV speaker',
+        dacBits: 8,
+        hold: true,
+        gain: 0.5,                  // Headroom for filter ringing on the DAC steps
+        filters: [
+            // Reconstruction filter: 4-pole Butterworth low-pass
+            { type: 'lowpass', frequency: 3600, q: 0.54 },
+            { type: 'lowpass', frequency: 3600, q: 1.31 },
+            // Coupling capacitors in the console audio path
+            { type: 'highpass', frequency: 40, q: 0.71 },
+            // Speaker: little bass, a presence peak and rolled-off treble
+            { type: 'highpass', frequency: 180, q: 0.9 },
+            { type: 'peaking', frequency: 1500, q: 1.2, gain: 4 },
+            { type: 'lowpass', frequency: 6000, q: 0.71 }
+        ]
+    },
+    clean: {
+        label: 'Clean',
+        description: 'Full resolution, band-limited resampling, DC removed',
+        dacBits: null,
+        hold: false,
+        gain: 1,
+        filters: [
+            { type: 'highpass', frequency: 20, q: 0.71 }
+        ]
+    }
+};
+
+class AnalogOutput {
+    /**
+     * @param {string} preset - Preset name (see ANALOG_PRESETS)
+     * @param {number} [sampleRate=SAMPLE_RATE] - Output sample rate in Hz
+     */
+    constructor(preset, sampleRate = SAMPLE_RATE) {
+        if (!Object.hasOwn(ANALOG_PRESETS, preset)) {
+            throw new Error(`Unknown analog preset: ${preset}`);
+        }
+
+        this.preset = ANALOG_PRESETS[preset];
+
+        this.sampleRate = sampleRate;
+        this.filters = this.preset.filters
+            .filter(spec => spec.frequency < MAX_FILTER_FREQUENCY * sampleRate)
+            .map(spec => biquad(spec, sampleRate));
+    }
+
+    /**
+     * Process chip samples. Filters keep their state between calls, so a
+     * stream can be processed a block at a time; resampling treats each
+     * block on its own, so streams should stay at the chip's rate.
+     * @param {Int16Array|Float32Array} samples - 8 kHz samples at 16-bit scale
+     * @returns {Float32Array} - Samples at the output rate, 16-bit scale
+     */
+    process(samples) {
+        const { dacBits, hold, gain } = this.preset;
+
+        let signal = dacBits ? quantize(samples, dacBits) : Float32Array.from(samples);
+
+        if (this.sampleRate !== SAMPLE_RATE) {
+            signal = hold
+                ? zeroOrderHold(signal, SAMPLE_RATE, this.sampleRate)
+                : resample(signal, SAMPLE_RATE, this.sampleRate);
+        }
+
+        for (let i = 0; i < signal.length; i++) {
+            let value = signal[i];
+            for (const filter of this.filters) {
+                value = filter.process(value);
+            }
+            signal[i] = value * gain;
+        }
+
+        return signal;
+    }
+}
+
+/**
+ * Truncate samples to a DAC's resolution
+ */
+function quantize(samples, bits) {
+    const step = 65536 / (1 << bits);
+    const levels = 1 << (bits - 1);
+    const output = new Float32Array(samples.length);
+
+    for (let i = 0; i < samples.length; i++) {
+        const level = Math.max(-levels, Math.min(levels - 1, Math.floor(samples[i] / step)));
+        output[i] = level * step;
+    }
+    return output;
+}
+
+/**
+ * Upsample by holding each input sample, as a DAC does between updates
+ */
+function zeroOrderHold(samples, fromRate, toRate) {
+    const output = new Float32Array(Math.round(samples.length * toRate / fromRate));
+    for (let i = 0; i < output.length; i++) {
+        output[i] = samples[Math.min(samples.length - 1, Math.floor(i * fromRate / toRate))];
+    }
+    return output;
+}
+
+/**
+ * Second-order filter section (RBJ audio EQ cookbook), transposed direct
+ * form II
+ * @param {Object} spec - { type: 'lowpass'|'highpass'|'peaking', frequency, q, gain? }
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {{ process: function(number): number }}
+ */
+function biquad(spec, sampleRate) {
+    const w = 2 * Math.PI * spec.frequency / sampleRate;
+    const cos = Math.cos(w);
+    const alpha = Math.sin(w) / (2 * spec.q);
+    const A = 10 ** ((spec.gain || 0) / 40);
+
+    let b;
+    let a;
+    switch (spec.type) {
+        case 'lowpass':
+            b = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+            a = [1 + alpha, -2 * cos, 1 - alpha];
+            break;
+        case 'highpass':
+            b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+            a = [1 + alpha, -2 * cos, 1 - alpha];
+            break;
+        case 'peaking':
+            b = [1 + alpha * A, -2 * cos, 1 - alpha * A];
+            a = [1 + alpha / A, -2 * cos, 1 - alpha / A];
+            break;
+        default:
+            throw new Error(`Unknown filter type: ${spec.type}`);
+    }
+
+    const [b0, b1, b2] = b.map(value => value / a[0]);
+    const [a1, a2] = [a[1] / a[0], a[2] / a[0]];
+    let z1 = 0;
+    let z2 = 0;
+
+    return {
+        process(x) {
+            const y = b0 * x + z1;
+            z1 = b1 * x - a1 * y + z2;
+            z2 = b2 * x - a2 * y;
+            return y;
+        }
+    };
+}
+
+/**
+ * List the analog presets
+ * @returns {Array<{ name: string, label: string, description: string }>}
+ */
+function listAnalogPresets() {
+    return Object.entries(ANALOG_PRESETS).map(([name, { label, description }]) => ({ name, label, description }));
+}
+
+module.exports = {
+    ANALOG_PRESETS,
+    AnalogOutput,
+    listAnalogPresets
+};
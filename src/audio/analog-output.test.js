@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalogOutput, listAnalogPresets } = require('./analog-output');
+
+test('unknown presets are rejected, including object property names', () => {
+    for (const preset of ['radio', 'toString', 'constructor', '__proto__']) {
+        assert.throws(() => new AnalogOutput(preset), /Unknown analog preset/);
+    }
+});
+
+test('filters carry their state from one block to the next', () => {
+    const samples = Int16Array.from({ length: 800 }, (_, i) => Math.round(8000 * Math.sin(i / 5)));
+
+    for (const { name } of listAnalogPresets()) {
+        const whole = new AnalogOutput(name).process(samples);
+
+        const blocks = new AnalogOutput(name);
+        const parts = [];
+        for (let i = 0; i < samples.length; i += 200) {
+            parts.push(...blocks.process(samples.subarray(i, i + 200)));
+        }
+
+        assert.deepEqual(Float32Array.from(parts), whole, name);
+    }
+});
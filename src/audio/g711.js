@@ -0,0 +1,60 @@
+/**
+ * G.711 Companding
+ *
+ * Encodes 16-bit linear samples as 8-bit µ-law (North America and Japan)
+ * or A-law (elsewhere), the formats used by telephone systems.
+ */
+
+const ULAW_BIAS = 0x84;
+const ULAW_CLIP = 32635;
+
+// Upper bound of each A-law segment, in 13-bit magnitude
+const ALAW_SEGMENT_ENDS = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+/**
+ * Encode a sample as µ-law
+ * @param {number} sample - 16-bit linear sample
+ * @returns {number} - µ-law byte
+ */
+function linearToUlaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(Math.round(sample)), ULAW_CLIP) + ULAW_BIAS;
+
+    // Segment: position of the highest set bit above the mantissa
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Encode a sample as A-law
+ * @param {number} sample - 16-bit linear sample
+ * @returns {number} - A-law byte
+ */
+function linearToAlaw(sample) {
+    let value = Math.max(-32768, Math.min(32767, Math.round(sample))) >> 3;
+    let mask;
+    if (value >= 0) {
+        mask = 0xD5;
+    } else {
+        mask = 0x55;
+        value = -value - 1;
+    }
+
+    const segment = ALAW_SEGMENT_ENDS.findIndex(end => value <= end);
+    if (segment === -1) {
+        return 0x7F ^ mask;
+    }
+
+    const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+
+module.exports = {
+    linearToUlaw,
+    linearToAlaw
+};
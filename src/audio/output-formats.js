@@ -0,0 +1,110 @@
+/**
+ * Audio Output Formats
+ *
+ * The file formats and sample rates the synthesis routes can return. The
+ * chip runs at 8 kHz; other rates are produced by resampling its output
+ * (see resample.js).
+ */
+
+const { createWavBuffer, createPcmBuffer } = require('./wav-writer');
+const { createAiffBuffer } = require('./aiff-writer');
+const { SAMPLE_RATE } = require('../core/coefficients');
+
+const OUTPUT_SAMPLE_RATES = [8000, 16000, 22050, 44100, 48000];
+
+const OUTPUT_FORMATS = {
+    wav: {
+        description: '16-bit PCM WAV',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        encode: (samples, sampleRate) => createWavBuffer(samples, sampleRate, 'pcm16')
+    },
+    wav8: {
+        description: '8-bit unsigned PCM WAV, the resolution of the chip\'s DAC',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        encode: (samples, sampleRate) => createWavBuffer(samples, sampleRate, 'pcm8')
+    },
+    wav24: {
+        description: '24-bit PCM WAV',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        encode: (samples, sampleRate) => createWavBuffer(samples, sampleRate, 'pcm24')
+    },
+    wav32f: {
+        description: '32-bit float WAV',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        encode: (samples, sampleRate) => createWavBuffer(samples, sampleRate, 'float32')
+    },
+    ulaw: {
+        description: 'G.711 µ-law WAV',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        encode: (samples, sampleRate) => createWavBuffer(samples, sampleRate, 'ulaw')
+    },
+    alaw: {
+        description: 'G.711 A-law WAV',
+        contentType: 'audio/wav',
+        extension: 'wav',
+        encode: (samples, sampleRate) => createWavBuffer(samples, sampleRate, 'alaw')
+    },
+    pcm: {
+        description: 'Raw 16-bit little-endian PCM',
+        contentType: 'application/octet-stream',
+        extension: 'pcm',
+        encode: samples => createPcmBuffer(samples)
+    },
+    aiff: {
+        description: '16-bit PCM AIFF',
+        contentType: 'audio/aiff',
+        extension: 'aiff',
+        encode: (samples, sampleRate) => createAiffBuffer(samples, sampleRate)
+    }
+};
+
+/**
+ * Encode samples as an audio file
+ * @param {Int16Array|Float32Array} samples - Audio samples at 16-bit scale
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} format - Output format (see OUTPUT_FORMATS)
+ * @returns {Buffer}
+ */
+function encodeAudio(samples, sampleRate, format) {
+    if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+        throw new Error(`Unknown output format: ${format}`);
+    }
+    const spec = OUTPUT_FORMATS[format];
+    return spec.encode(samples, sampleRate);
+}
+
+/**
+ * Parse a sample rate parameter
+ * @param {*} value - Number or numeric string; undefined for the chip's rate
+ * @returns {number|null} - Sample rate, or null if it is not one of
+ *   OUTPUT_SAMPLE_RATES
+ */
+function parseSampleRate(value) {
+    if (value === undefined || value === null || value === '') {
+        return SAMPLE_RATE;
+    }
+
+    const sampleRate = Number(value);
+    return OUTPUT_SAMPLE_RATES.includes(sampleRate) ? sampleRate : null;
+}
+
+/**
+ * List the output formats
+ * @returns {Array<{ name: string, description: string, contentType: string }>}
+ */
+function listOutputFormats() {
+    return Object.entries(OUTPUT_FORMATS).map(([name, { description, contentType }]) => ({ name, description, contentType }));
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    OUTPUT_SAMPLE_RATES,
+    encodeAudio,
+    parseSampleRate,
+    listOutputFormats
+};
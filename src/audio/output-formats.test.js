@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OUTPUT_FORMATS, encodeAudio, parseSampleRate } = require('./output-formats');
+const { readWav } = require('./wav-reader');
+const { resample } = require('./resample');
+
+const SAMPLES = Int16Array.from([0, 1000, -1000, 32767, -32768]);
+
+/**
+ * The fmt fields and data size of a WAV file
+ * @param {Buffer} wav - WAV file
+ * @returns {Object}
+ */
+function wavHeader(wav) {
+    const dataOffset = wav.indexOf('data', 12);
+    return {
+        riff: wav.toString('ascii', 0, 4),
+        riffSize: wav.readUInt32LE(4),
+        wave: wav.toString('ascii', 8, 12),
+        audioFormat: wav.readUInt16LE(20),
+        channels: wav.readUInt16LE(22),
+        sampleRate: wav.readUInt32LE(24),
+        byteRate: wav.readUInt32LE(28),
+        blockAlign: wav.readUInt16LE(32),
+        bitsPerSample: wav.readUInt16LE(34),
+        dataSize: wav.readUInt32LE(dataOffset + 4),
+        dataOffset: dataOffset + 8
+    };
+}
+
+test('every format encodes a short signal', () => {
+    for (const format of Object.keys(OUTPUT_FORMATS)) {
+        assert.ok(encodeAudio(SAMPLES, 8000, format).length > 0, format);
+    }
+});
+
+test('WAV formats write the rate, sample size, channels and data size', () => {
+    const expected = {
+        wav: { audioFormat: 1, bitsPerSample: 16 },
+        wav8: { audioFormat: 1, bitsPerSample: 8 },
+        wav24: { audioFormat: 1, bitsPerSample: 24 },
+        wav32f: { audioFormat: 3, bitsPerSample: 32 },
+        alaw: { audioFormat: 6, bitsPerSample: 8 },
+        ulaw: { audioFormat: 7, bitsPerSample: 8 }
+    };
+
+    for (const [format, { audioFormat, bitsPerSample }] of Object.entries(expected)) {
+        const wav = encodeAudio(SAMPLES, 22050, format);
+        const header = wavHeader(wav);
+        const bytes = bitsPerSample / 8;
+
+        assert.deepEqual(header, {
+            riff: 'RIFF',
+            riffSize: wav.length - 8,
+            wave: 'WAVE',
+            audioFormat,
+            channels: 1,
+            sampleRate: 22050,
+            byteRate: 22050 * bytes,
+            blockAlign: bytes,
+            bitsPerSample,
+            dataSize: SAMPLES.length * bytes,
+            dataOffset: wav.length - SAMPLES.length * bytes
+        }, format);
+    }
+});
+
+test('PCM WAV formats store the samples at their own resolution', () => {
+    const read = format => Array.from(readWav(encodeAudio(SAMPLES, 8000, format)).samples);
+
+    assert.deepEqual(read('wav'), Array.from(SAMPLES, sample => Math.fround(sample / 32768)));
+    assert.deepEqual(read('wav24'), Array.from(SAMPLES, sample => Math.fround(sample / 32768)));
+    assert.deepEqual(read('wav32f'), Array.from(SAMPLES, sample => Math.fround(sample / 32768)));
+
+    // 8-bit unsigned, centred on 128
+    const wav8 = encodeAudio(SAMPLES, 8000, 'wav8');
+    assert.deepEqual(Array.from(wav8.subarray(wavHeader(wav8).dataOffset)), [128, 132, 124, 255, 0]);
+
+    // Raw PCM is the 16-bit data alone
+    assert.deepEqual(encodeAudio(SAMPLES, 8000, 'pcm'), Buffer.from(SAMPLES.buffer));
+});
+
+test('µ-law and A-law encode known samples to their G.711 codes', () => {
+    const samples = Int16Array.from([0, -1, 1000, -1000, 32767, -32768]);
+    const data = format => {
+        const wav = encodeAudio(samples, 8000, format);
+        return Array.from(wav.subarray(wavHeader(wav).dataOffset));
+    };
+
+    assert.deepEqual(data('ulaw'), [0xFF, 0x7F, 0xCE, 0x4E, 0x80, 0x00]);
+    assert.deepEqual(data('alaw'), [0xD5, 0x55, 0xFA, 0x7A, 0xAA, 0x2A]);
+
+    // Non-PCM files carry a fact chunk with the sample count
+    const wav = encodeAudio(samples, 8000, 'ulaw');
+    assert.equal(wav.toString('ascii', 38, 42), 'fact');
+    assert.equal(wav.readUInt32LE(46), samples.length);
+});
+
+test('AIFF writes a big-endian header with an 80-bit sample rate', () => {
+    for (const [sampleRate, rateBytes] of [[8000, '400bfa00000000000000'], [44100, '400eac44000000000000']]) {
+        const aiff = encodeAudio(SAMPLES, sampleRate, 'aiff');
+
+        assert.equal(aiff.toString('ascii', 0, 4), 'FORM');
+        assert.equal(aiff.readUInt32BE(4), aiff.length - 8);
+        assert.equal(aiff.toString('ascii', 8, 16), 'AIFFCOMM');
+        assert.equal(aiff.readUInt16BE(20), 1);                 // Channels
+        assert.equal(aiff.readUInt32BE(22), SAMPLES.length);    // Sample frames
+        assert.equal(aiff.readUInt16BE(26), 16);                // Bits per sample
+        assert.equal(aiff.toString('hex', 28, 38), rateBytes);
+        assert.equal(aiff.toString('ascii', 38, 42), 'SSND');
+        assert.equal(aiff.readUInt32BE(42), SAMPLES.length * 2 + 8);
+        assert.equal(aiff.readInt16BE(54 + 3 * 2), 32767);
+        assert.equal(aiff.length, 54 + SAMPLES.length * 2);
+    }
+});
+
+test('chip output resampled to 44.1 kHz has the matching length and header', () => {
+    // 0.2 seconds at the chip's rate
+    const chip = Int16Array.from({ length: 1600 }, (_, n) => Math.round(8000 * Math.sin(n / 5)));
+    const resampled = resample(chip, 8000, 44100);
+    assert.equal(resampled.length, 8820);
+
+    const header = wavHeader(encodeAudio(resampled, 44100, 'wav'));
+    assert.equal(header.sampleRate, 44100);
+    assert.equal(header.byteRate, 88200);
+    assert.equal(header.dataSize, 8820 * 2);
+
+    const aiff = encodeAudio(resampled, 44100, 'aiff');
+    assert.equal(aiff.readUInt32BE(22), 8820);
+});
+
+test('parseSampleRate accepts only the output rates', () => {
+    assert.equal(parseSampleRate(undefined), 8000);
+    assert.equal(parseSampleRate('44100'), 44100);
+    assert.equal(parseSampleRate(48000), 48000);
+    for (const value of [0, 11025, '44.1k', 96000]) {
+        assert.equal(parseSampleRate(value), null, String(value));
+    }
+});
+
+test('encodeAudio rejects unknown formats, including object property names', () => {
+    for (const format of ['mp3', 'toString', 'constructor', '__proto__']) {
+        assert.throws(() => encodeAudio(new Int16Array(4), 8000, format), /Unknown output format/);
+    }
+});
@@ -0,0 +1,64 @@
+/**
+ * Sample Rate Conversion
+ *
+ * Band-limited resampling using a Blackman-windowed sinc kernel. The cutoff
+ * follows the lower of the two rates, so downsampling is anti-aliased and
+ * upsampling suppresses images.
+ */
+
+// Kernel half-width in zero crossings of the cutoff frequency
+const KERNEL_ZERO_CROSSINGS = 16;
+
+/**
+ * Resample a signal
+ * @param {Float32Array|Int16Array|number[]} samples - Input samples
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Float32Array} - Resampled signal (same scale as the input)
+ */
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return Float32Array.from(samples);
+    }
+
+    const ratio = toRate / fromRate;
+    const outputLength = Math.round(samples.length * ratio);
+    const output = new Float32Array(outputLength);
+
+    // Cutoff relative to the input rate, slightly below Nyquist
+    const cutoff = 0.95 * Math.min(1, ratio) / 2;
+    const halfWidth = Math.ceil(KERNEL_ZERO_CROSSINGS / (2 * cutoff));
+
+    for (let i = 0; i < outputLength; i++) {
+        const center = i / ratio;
+        const first = Math.max(0, Math.ceil(center - halfWidth));
+        const last = Math.min(samples.length - 1, Math.floor(center + halfWidth));
+
+        let sum = 0;
+        for (let j = first; j <= last; j++) {
+            const t = j - center;
+            sum += samples[j] * kernel(t, cutoff, halfWidth);
+        }
+        output[i] = sum;
+    }
+
+    return output;
+}
+
+/**
+ * Windowed sinc kernel value
+ * @param {number} t - Distance from the output position in input samples
+ * @param {number} cutoff - Cutoff as a fraction of the input rate
+ * @param {number} halfWidth - Kernel half-width in input samples
+ * @returns {number}
+ */
+function kernel(t, cutoff, halfWidth) {
+    const x = 2 * cutoff * t;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const w = 0.42 + 0.5 * Math.cos(Math.PI * t / halfWidth) + 0.08 * Math.cos(2 * Math.PI * t / halfWidth);
+    return 2 * cutoff * sinc * w;
+}
+
+module.exports = {
+    resample
+};
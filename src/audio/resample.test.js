@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resample } = require('./resample');
+
+/**
+ * Sine tone
+ * @param {number} frequency - Tone frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} length - Number of samples
+ * @returns {Float32Array}
+ */
+function tone(frequency, sampleRate, length) {
+    return Float32Array.from({ length }, (_, n) => Math.sin(2 * Math.PI * frequency * n / sampleRate));
+}
+
+test('output length follows the rate ratio', () => {
+    assert.equal(resample(new Float32Array(8000), 8000, 44100).length, 44100);
+    assert.equal(resample(new Float32Array(44100), 44100, 8000).length, 8000);
+    assert.equal(resample(new Float32Array(200), 8000, 22050).length, 551);
+});
+
+test('equal rates return a copy', () => {
+    const input = Int16Array.from([1, -2, 3]);
+    const output = resample(input, 8000, 8000);
+
+    assert.ok(output instanceof Float32Array);
+    assert.deepEqual(Array.from(output), [1, -2, 3]);
+});
+
+test('a tone below both Nyquist rates keeps its shape', () => {
+    for (const [from, to] of [[8000, 44100], [44100, 8000]]) {
+        const output = resample(tone(440, from, from), from, to);
+        const expected = tone(440, to, to);
+
+        // Skip the kernel's edge effects at either end
+        let worst = 0;
+        for (let n = 200; n < to - 200; n++) {
+            worst = Math.max(worst, Math.abs(output[n] - expected[n]));
+        }
+        assert.ok(worst < 0.01, `${from} -> ${to}: error ${worst}`);
+    }
+});
+
+test('downsampling removes tones above the new Nyquist rate', () => {
+    const output = resample(tone(6000, 44100, 44100), 44100, 8000);
+
+    let peak = 0;
+    for (let n = 200; n < output.length - 200; n++) {
+        peak = Math.max(peak, Math.abs(output[n]));
+    }
+    assert.ok(peak < 0.01, `aliased peak ${peak}`);
+});
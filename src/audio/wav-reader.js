@@ -0,0 +1,144 @@
+/**
+ * WAV File Reader
+ *
+ * Parses RIFF/WAVE files into mono floating point samples for analysis.
+ * Supports PCM (8, 16, 24 and 32-bit), 32/64-bit IEEE float, and
+ * WAVE_FORMAT_EXTENSIBLE files carrying either of those.
+ */
+
+const FORMAT_PCM = 0x0001;
+const FORMAT_FLOAT = 0x0003;
+const FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Sample rates accepted from the fmt chunk; anything else is a corrupt or
+// crafted header, and would make resampling allocate without bound
+const MIN_SAMPLE_RATE = 4000;
+const MAX_SAMPLE_RATE = 192000;
+
+// Longest recording read, in seconds
+const MAX_DURATION = 60;
+
+/**
+ * Parse a WAV file
+ *
+ * Errors thrown for malformed or unsupported files have code INVALID_WAV.
+ * @param {Buffer|Uint8Array} data - WAV file contents
+ * @returns {{ sampleRate: number, channels: number, bitsPerSample: number, samples: Float32Array }}
+ *   Samples are mixed down to mono in the range -1.0 to 1.0
+ */
+function readWav(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw wavError('Not a WAV file (missing RIFF/WAVE header)');
+    }
+
+    let format = null;
+    let dataChunk = null;
+    let offset = 12;
+
+    // Walk the chunk list; chunks are padded to an even length
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+        const end = Math.min(buffer.length, start + size);
+
+        if (id === 'fmt ') {
+            if (size < 16) {
+                throw wavError('Invalid WAV fmt chunk');
+            }
+            format = {
+                audioFormat: buffer.readUInt16LE(start),
+                channels: buffer.readUInt16LE(start + 2),
+                sampleRate: buffer.readUInt32LE(start + 4),
+                bitsPerSample: buffer.readUInt16LE(start + 14)
+            };
+            // Extensible files keep the real format code in the sub-format GUID
+            if (format.audioFormat === FORMAT_EXTENSIBLE && size >= 26) {
+                format.audioFormat = buffer.readUInt16LE(start + 24);
+            }
+        } else if (id === 'data') {
+            dataChunk = buffer.subarray(start, end);
+        }
+
+        offset = start + size + (size & 1);
+    }
+
+    if (!format) {
+        throw wavError('WAV file has no fmt chunk');
+    }
+    if (!dataChunk) {
+        throw wavError('WAV file has no data chunk');
+    }
+
+    const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+    const readSample = getSampleReader(audioFormat, bitsPerSample);
+
+    if (channels < 1) {
+        throw wavError('Invalid WAV channel count');
+    }
+    if (sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+        throw wavError(`Unsupported WAV sample rate: ${sampleRate} Hz (expected ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE})`);
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    const blockSize = bytesPerSample * channels;
+    const frameCount = Math.floor(dataChunk.length / blockSize);
+    if (frameCount > sampleRate * MAX_DURATION) {
+        throw wavError(`WAV file is too long (more than ${MAX_DURATION} seconds)`);
+    }
+    const samples = new Float32Array(frameCount);
+
+    for (let i = 0; i < frameCount; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) {
+            sum += readSample(dataChunk, i * blockSize + c * bytesPerSample);
+        }
+        samples[i] = sum / channels;
+    }
+
+    return { sampleRate, channels, bitsPerSample, samples };
+}
+
+/**
+ * Get a function that reads one sample as -1.0 to 1.0
+ * @param {number} audioFormat - WAV format code
+ * @param {number} bitsPerSample - Sample width
+ * @returns {function(Buffer, number): number}
+ */
+function getSampleReader(audioFormat, bitsPerSample) {
+    if (audioFormat === FORMAT_PCM) {
+        switch (bitsPerSample) {
+            case 8: return (buf, pos) => (buf[pos] - 128) / 128;
+            case 16: return (buf, pos) => buf.readInt16LE(pos) / 32768;
+            case 24: return (buf, pos) => buf.readIntLE(pos, 3) / 8388608;
+            case 32: return (buf, pos) => buf.readInt32LE(pos) / 2147483648;
+        }
+    } else if (audioFormat === FORMAT_FLOAT) {
+        switch (bitsPerSample) {
+            case 32: return (buf, pos) => buf.readFloatLE(pos);
+            case 64: return (buf, pos) => buf.readDoubleLE(pos);
+        }
+    }
+
+    throw wavError(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit)`);
+}
+
+/**
+ * Create an error for a file readWav() rejects
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function wavError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_WAV';
+    return error;
+}
+
+module.exports = {
+    readWav,
+    MIN_SAMPLE_RATE,
+    MAX_SAMPLE_RATE,
+    MAX_DURATION
+};
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readWav, MAX_DURATION } = require('./wav-reader');
+const { createWavBuffer } = require('./wav-writer');
+
+test('readWav reads 16-bit PCM as -1.0 to 1.0', () => {
+    const wav = createWavBuffer(Int16Array.from([0, 16384, -32768, 32767]), 8000);
+    const { sampleRate, channels, bitsPerSample, samples } = readWav(wav);
+
+    assert.equal(sampleRate, 8000);
+    assert.equal(channels, 1);
+    assert.equal(bitsPerSample, 16);
+    assert.deepEqual(Array.from(samples), [0, 0.5, -1, 32767 / 32768].map(Math.fround));
+});
+
+test('readWav mixes stereo down to mono', () => {
+    const wav = createWavBuffer(Int16Array.from([16384, 0, -16384, -16384]), 8000);
+    // Rewrite the header for two channels: block align and byte rate double
+    wav.writeUInt16LE(2, 22);
+    wav.writeUInt32LE(8000 * 4, 28);
+    wav.writeUInt16LE(4, 32);
+
+    assert.deepEqual(Array.from(readWav(wav).samples), [0.25, -0.5]);
+});
+
+test('readWav rejects malformed headers with code INVALID_WAV', () => {
+    const wav = createWavBuffer(new Int16Array(16), 8000);
+    const invalid = {
+        'not RIFF': Buffer.concat([Buffer.from('RIFX'), wav.subarray(4)]),
+        'truncated': wav.subarray(0, 8),
+        'no data chunk': wav.subarray(0, 36),
+        'unsupported bits': Buffer.from(wav).fill(12, 34, 35),
+        'no channels': Buffer.from(wav).fill(0, 22, 24)
+    };
+
+    for (const [name, data] of Object.entries(invalid)) {
+        assert.throws(() => readWav(data), { code: 'INVALID_WAV' }, name);
+    }
+});
+
+test('readWav rejects sample rates outside 4-192 kHz', () => {
+    for (const rate of [0, 1000, 3999, 192001, 400000, 0xFFFFFFFF]) {
+        const wav = createWavBuffer(new Int16Array(16), 8000);
+        wav.writeUInt32LE(rate, 24);
+        assert.throws(() => readWav(wav), { code: 'INVALID_WAV', message: /sample rate/ }, String(rate));
+    }
+
+    assert.equal(readWav(createWavBuffer(new Int16Array(16), 4000)).sampleRate, 4000);
+    assert.equal(readWav(createWavBuffer(new Int16Array(16), 192000)).sampleRate, 192000);
+});
+
+test('readWav rejects recordings longer than MAX_DURATION', () => {
+    const rate = 4000;
+    assert.equal(readWav(createWavBuffer(new Int16Array(rate * MAX_DURATION), rate)).samples.length, rate * MAX_DURATION);
+    assert.throws(() => readWav(createWavBuffer(new Int16Array(rate * MAX_DURATION + 1), rate)), {
+        code: 'INVALID_WAV',
+        message: /too long/
+    });
+});
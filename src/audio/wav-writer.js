@@ -0,0 +1,163 @@
+/**
+ * WAV File Writer
+ *
+ * Builds mono WAV files in several sample encodings, headers for streamed
+ * WAVs whose length is not known up front, and raw little-endian PCM.
+ *
+ * Samples are taken at 16-bit scale, as an Int16Array or as a Float32Array
+ * (e.g. from resample()), and are rounded and clipped for each encoding.
+ */
+
+const { linearToUlaw, linearToAlaw } = require('./g711');
+
+// Data size written to the header of a streamed WAV, whose length is unknown
+const OPEN_ENDED_SIZE = 0xFFFFFFFF;
+
+const FORMAT_PCM = 0x0001;
+const FORMAT_FLOAT = 0x0003;
+const FORMAT_ALAW = 0x0006;
+const FORMAT_ULAW = 0x0007;
+
+// Sample encodings: WAV format code, bits per sample and a writer that
+// stores one sample at a byte offset
+const WAV_ENCODINGS = {
+    pcm8: {
+        audioFormat: FORMAT_PCM,
+        bitsPerSample: 8,
+        // Unsigned, centred on 128, like the chip's 8-bit DAC
+        write: (buffer, sample, offset) => buffer.writeUInt8(clip(sample / 256 + 128, 0, 255), offset)
+    },
+    pcm16: {
+        audioFormat: FORMAT_PCM,
+        bitsPerSample: 16,
+        write: (buffer, sample, offset) => buffer.writeInt16LE(clip(sample, -32768, 32767), offset)
+    },
+    pcm24: {
+        audioFormat: FORMAT_PCM,
+        bitsPerSample: 24,
+        write: (buffer, sample, offset) => buffer.writeIntLE(clip(sample * 256, -8388608, 8388607), offset, 3)
+    },
+    float32: {
+        audioFormat: FORMAT_FLOAT,
+        bitsPerSample: 32,
+        write: (buffer, sample, offset) => buffer.writeFloatLE(Math.max(-1, Math.min(1, sample / 32768)), offset)
+    },
+    alaw: {
+        audioFormat: FORMAT_ALAW,
+        bitsPerSample: 8,
+        write: (buffer, sample, offset) => buffer.writeUInt8(linearToAlaw(sample), offset)
+    },
+    ulaw: {
+        audioFormat: FORMAT_ULAW,
+        bitsPerSample: 8,
+        write: (buffer, sample, offset) => buffer.writeUInt8(linearToUlaw(sample), offset)
+    }
+};
+
+/**
+ * Create a WAV file buffer from audio samples
+ * @param {Int16Array|Float32Array} samples - Audio samples at 16-bit scale
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} [encoding='pcm16'] - Sample encoding (see WAV_ENCODINGS)
+ * @returns {Buffer} - WAV file buffer
+ */
+function createWavBuffer(samples, sampleRate, encoding = 'pcm16') {
+    const data = encodeSamples(samples, encoding);
+    return Buffer.concat([createWavHeader(data.length, sampleRate, encoding), data]);
+}
+
+/**
+ * Create the header of a mono WAV file: 44 bytes for PCM, 58 for float and
+ * G.711, which carry an extended fmt chunk and a fact chunk
+ * @param {number} dataSize - Audio data size in bytes (OPEN_ENDED_SIZE when streaming)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} [encoding='pcm16'] - Sample encoding (see WAV_ENCODINGS)
+ * @returns {Buffer}
+ */
+function createWavHeader(dataSize, sampleRate, encoding = 'pcm16') {
+    const { audioFormat, bitsPerSample } = getEncoding(encoding);
+    const numChannels = 1;
+    const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
+    const blockAlign = numChannels * (bitsPerSample / 8);
+    const extended = audioFormat !== FORMAT_PCM;
+
+    const buffer = Buffer.alloc(extended ? 58 : 44);
+    let offset = 0;
+
+    // RIFF header
+    buffer.write('RIFF', offset); offset += 4;
+    buffer.writeUInt32LE(Math.min(OPEN_ENDED_SIZE, dataSize + buffer.length - 8), offset); offset += 4;
+    buffer.write('WAVE', offset); offset += 4;
+
+    // fmt chunk
+    buffer.write('fmt ', offset); offset += 4;
+    buffer.writeUInt32LE(extended ? 18 : 16, offset); offset += 4;  // Chunk size
+    buffer.writeUInt16LE(audioFormat, offset); offset += 2;  // Audio format
+    buffer.writeUInt16LE(numChannels, offset); offset += 2;  // Channels
+    buffer.writeUInt32LE(sampleRate, offset); offset += 4;   // Sample rate
+    buffer.writeUInt32LE(byteRate, offset); offset += 4;     // Byte rate
+    buffer.writeUInt16LE(blockAlign, offset); offset += 2;   // Block align
+    buffer.writeUInt16LE(bitsPerSample, offset); offset += 2;// Bits per sample
+
+    if (extended) {
+        buffer.writeUInt16LE(0, offset); offset += 2;        // Extension size
+
+        // fact chunk: sample count, required for non-PCM formats
+        buffer.write('fact', offset); offset += 4;
+        buffer.writeUInt32LE(4, offset); offset += 4;
+        buffer.writeUInt32LE(dataSize === OPEN_ENDED_SIZE ? OPEN_ENDED_SIZE : dataSize / blockAlign, offset); offset += 4;
+    }
+
+    // data chunk
+    buffer.write('data', offset); offset += 4;
+    buffer.writeUInt32LE(dataSize, offset);
+
+    return buffer;
+}
+
+/**
+ * Convert samples to raw 16-bit little-endian PCM
+ * @param {Int16Array|Float32Array} samples - Audio samples at 16-bit scale
+ * @returns {Buffer}
+ */
+function createPcmBuffer(samples) {
+    return encodeSamples(samples, 'pcm16');
+}
+
+/**
+ * Convert samples to the data of a WAV file
+ * @param {Int16Array|Float32Array} samples - Audio samples at 16-bit scale
+ * @param {string} encoding - Sample encoding (see WAV_ENCODINGS)
+ * @returns {Buffer}
+ */
+function encodeSamples(samples, encoding) {
+    const { bitsPerSample, write } = getEncoding(encoding);
+    const size = bitsPerSample / 8;
+    const buffer = Buffer.alloc(samples.length * size);
+
+    for (let i = 0; i < samples.length; i++) {
+        write(buffer, samples[i], i * size);
+    }
+    return buffer;
+}
+
+function getEncoding(encoding) {
+    const spec = WAV_ENCODINGS[encoding];
+    if (!spec) {
+        throw new Error(`Unknown WAV encoding: ${encoding}`);
+    }
+    return spec;
+}
+
+function clip(value, min, max) {
+    return Math.max(min, Math.min(max, Math.round(value)));
+}
+
+module.exports = {
+    OPEN_ENDED_SIZE,
+    WAV_ENCODINGS,
+    createWavBuffer,
+    createWavHeader,
+    createPcmBuffer,
+    encodeSamples
+};
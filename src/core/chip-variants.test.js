@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CHIP_VARIANTS, getChipVariant, listChipVariants } = require('./chip-variants');
+
+test('variants are looked up by name, case-insensitively', () => {
+    assert.equal(getChipVariant().name, 'tms5220');
+    assert.equal(getChipVariant('TMS5200'), CHIP_VARIANTS.tms5200);
+});
+
+test('unknown names and Object.prototype keys are rejected', () => {
+    for (const name of ['tms9999', 'constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        assert.throws(() => getChipVariant(name), /Unknown chip variant/);
+    }
+});
+
+test('each variant has a complete profile', () => {
+    for (const name of listChipVariants()) {
+        const variant = getChipVariant(name);
+        assert.equal(variant.energyTable.length, 2 ** variant.energyBits);
+        assert.equal(variant.pitchTable.length, 2 ** variant.pitchBits);
+        assert.equal(variant.kTables.length, variant.kBits.length);
+        variant.kTables.forEach((table, i) => assert.equal(table.length, 2 ** variant.kBits[i]));
+        assert.equal(variant.interpCoeff.length, 8);
+    }
+});
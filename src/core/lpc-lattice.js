@@ -11,6 +11,12 @@ class LPCLattice {
         // Internal state: delay line for the lattice stages
         // We need 11 delay elements (input + 10 stages)
         this.delay = new Array(11).fill(0);
+
+        // Integer state for the bit-exact path
+        // u: forward (Y) values per stage, x: backward (b) delay values
+        this.u = new Int32Array(11);
+        this.x = new Int32Array(10);
+        this.previousEnergy = 0;
     }
 
     /**
@@ -18,6 +24,9 @@ class LPCLattice {
      */
     reset() {
         this.delay.fill(0);
+        this.u.fill(0);
+        this.x.fill(0);
+        this.previousEnergy = 0;
     }
 
     /**
@@ -45,28 +54,6 @@ class LPCLattice {
         // Energy is already decoded from the table, scale it appropriately
         let u = excitation * energy;
 
-        // Forward path through the lattice (from k10 to k1)
-        // We process backwards because the lattice filter topology
-        // requires us to update delays from the end
-
-        // First, compute the new delay values from the bottom up
-        let newDelay = new Array(11);
-        newDelay[10] = this.delay[9]; // Last delay is just shifted
-
-        // Process each stage from k10 down to k1
-        for (let i = 9; i >= 0; i--) {
-            // Reflection coefficient normalized to -1..1
-            const ki = k[i] / 512.0;
-
-            // Lattice equations:
-            // y[i] = y[i+1] + k[i] * x[i]
-            // x[i-1] = x[i] + k[i] * y[i]
-
-            // Where y is the backward path and x is the forward path
-            // For TMS5220, the structure is slightly different - it uses
-            // a reversed order processing
-        }
-
         // TMS5220-specific lattice implementation
         // Based on MAME's implementation
         let y = 0;
@@ -140,6 +127,64 @@ class LPCLattice {
         // Clamp to 14-bit signed range
         return Math.max(-8192, Math.min(8191, Math.round(y)));
     }
+
+    /**
+     * Bit-exact integer lattice, matching the chip's multiplier and adders
+     *
+     * Follows table I of US patent 4,209,804 in the order the chip evaluates
+     * it, as in MAME's tms5220 core. The excitation is scaled by the energy
+     * passed on the previous call: the chip's energy multiply runs one sample
+     * behind the parameter update.
+     *
+     * @param {number} excitation - Signed 8-bit excitation sample (chirp or noise)
+     * @param {number} energy - Current energy table value (0-114), applied on the next call
+     * @param {number[]} k - Array of 10 K coefficients (10-bit, -512 to 511)
+     * @returns {number} - Output sample wrapped to 14 bits plus sign (-16384 to 16383)
+     */
+    processExact(excitation, energy, k) {
+        const u = this.u;
+        const x = this.x;
+
+        // Energy scales the excitation, which enters the multiplier shifted up 6 bits
+        u[10] = matrixMultiply(this.previousEnergy, excitation << 6);
+        this.previousEnergy = energy;
+
+        for (let i = 9; i >= 0; i--) {
+            u[i] = u[i + 1] - matrixMultiply(k[i], x[i]);
+        }
+
+        for (let i = 9; i >= 1; i--) {
+            x[i] = x[i - 1] + matrixMultiply(k[i - 1], u[i - 1]);
+        }
+        x[0] = u[0];
+
+        // The final (K1) adder can overflow; the result wraps to 14 bits plus sign
+        return wrap(u[0], 15);
+    }
+}
+
+/**
+ * Wrap a value to a signed two's complement field
+ * @param {number} value - Value to wrap
+ * @param {number} bits - Field width
+ * @returns {number}
+ */
+function wrap(value, bits) {
+    const shift = 32 - bits;
+    return (value << shift) >> shift;
+}
+
+/**
+ * The chip's 10x14-bit multiplier
+ *
+ * The K (or energy) operand is taken as a 10-bit signed value and the sample
+ * operand as 14 bits plus sign; the product is truncated by 9 bits.
+ * @param {number} a - 10-bit coefficient
+ * @param {number} b - 15-bit signed sample
+ * @returns {number}
+ */
+function matrixMultiply(a, b) {
+    return (wrap(a, 10) * wrap(b, 15)) >> 9;
 }
 
 module.exports = LPCLattice;
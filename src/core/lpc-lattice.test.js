@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LPCLattice = require('./lpc-lattice');
+
+// Reference output from MAME's lattice_filter() (tms5220.cpp) for the same
+// inputs: the chirp ROM's first 16 entries through a fixed set of K values,
+// with the energy switched on, stepped down, off and on again
+const K = [-501, 480, -300, 250, -200, 180, -150, 120, -100, 80];
+const EXCITATION = [0, 3, 15, 40, 76, 108, 113, 80, 37, 38, 76, 68, 26, 50, 59, 19];
+const ENERGY = [0, 0, 114, 114, 114, 114, 85, 85, 63, 63, 47, 0, 0, 114, 114, 114];
+const EXPECTED = [
+    0, 0, 0, 570, 2973, 8334, -15888, -4163,
+    8195, -13356, -2131, 9005, -13685, -4317, 4705, 13715
+];
+
+test('processExact matches MAME sample for sample', () => {
+    const lattice = new LPCLattice();
+    const output = EXCITATION.map((excitation, i) => lattice.processExact(excitation, ENERGY[i], K));
+
+    assert.deepEqual(output, EXPECTED);
+});
+
+test('processExact applies each energy one sample late', () => {
+    const lattice = new LPCLattice();
+
+    // The first non-zero energy has no effect until the next sample
+    assert.equal(lattice.processExact(64, 114, K), 0);
+    assert.notEqual(lattice.processExact(64, 0, K), 0);
+
+    lattice.reset();
+    assert.equal(lattice.processExact(64, 114, K), 0);
+});
@@ -11,21 +11,69 @@
  */
 
 const {
-    ENERGY_TABLE,
-    PITCH_TABLE,
-    K_TABLES,
-    K_BITS,
-    CHIRP_TABLE_SIGNED,
-    INTERP_COEFF,
     SAMPLE_RATE,
     SAMPLES_PER_FRAME,
     INTERP_PERIODS,
     SAMPLES_PER_INTERP
 } = require('./coefficients');
 const LPCLattice = require('./lpc-lattice');
+const { getChipVariant } = require('./chip-variants');
+
+// FIFO depth for Speak External mode (16 bytes = 128 bits)
+const FIFO_SIZE = 16;
+
+// Speech starts once this many bytes are queued after Speak External
+const FIFO_START_THRESHOLD = 9;
+
+/**
+ * Host command codes (bits 4-6 of a byte written while not in Speak External)
+ */
+const Command = {
+    NOP: 0x00,
+    READ_BYTE: 0x10,
+    NOP2: 0x20,
+    READ_AND_BRANCH: 0x30,
+    LOAD_ADDRESS: 0x40,
+    SPEAK: 0x50,
+    SPEAK_EXTERNAL: 0x60,
+    RESET: 0x70
+};
+
+/**
+ * Status register bits returned by readStatus()
+ */
+const Status = {
+    TALK_STATUS: 0x80,   // TS: speech is being produced
+    BUFFER_LOW: 0x40,    // BL: FIFO is less than half full
+    BUFFER_EMPTY: 0x20   // BE: FIFO has run dry
+};
+
+// Samples rendered per block by renderAll()
+const RENDER_BLOCK_SIZE = 4096;
+
+// Bitstreams and ROM data may never reach a stop code; cap whole-buffer
+// synthesis at 30 seconds (render() itself has no limit)
+const MAX_BITSTREAM_SAMPLES = SAMPLE_RATE * 30;
+
+// Synthesis modes: bit-exact integer pipeline, or the floating point filter
+const MODES = ['exact', 'clean'];
 
 class TMS5220 {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.mode='exact'] - 'exact' for the chip's integer
+     *   pipeline, 'clean' for the floating point lattice without clipping artifacts
+     * @param {string} [options.variant='tms5220'] - Chip variant (see chip-variants.js)
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'exact';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown synthesis mode: ${this.mode}`);
+        }
+
+        // Chip profile: parameter ROMs, frame layout and interpolation rules
+        this.variant = getChipVariant(options.variant);
+
         // LPC lattice filter
         this.lattice = new LPCLattice();
 
@@ -47,6 +95,10 @@ class TMS5220 {
         this.pitchCount = 0;       // Current position in pitch period
         this.chirpIndex = 0;       // Current position in chirp table
         this.noiseRegister = 0x1FFFF; // 17-bit LFSR for noise generation
+        this.rng = 0x1FFF;         // 13-bit LFSR used by the exact pipeline
+        this.inhibit = false;      // Interpolation inhibited for this frame (exact mode)
+        this.unvoiced = true;      // Excitation select, latched late in each frame (OLDP)
+        this.pitchZero = false;    // Pitch counter held at 0 after an inhibited frame
 
         // Status flags
         this.speaking = false;
@@ -56,12 +108,24 @@ class TMS5220 {
 
         // FIFO buffer for Speak External mode (16 bytes = 128 bits)
         this.fifo = [];
-        this.fifoBitPos = 0;       // Current bit position in FIFO
+        this.fifoBitPos = 0;       // Bits already taken from the head byte
+        this.speakExternal = false;
+
+        // Host interface state
+        this.readByteFlag = false; // Next readStatus() returns dataRegister
+        this.dataRegister = 0;
+
+        // Speech ROM (VSM) attached to the chip's M0/M1/ADD pins, if any
+        this.vsm = null;
 
         // Frame buffer for current frame data
         this.frameData = null;
         this.frameBitPos = 0;
 
+        // Decoded parameter frames queued by loadFrames()
+        this.frameQueue = null;
+        this.frameQueuePos = 0;
+
         // Random number generator for unvoiced sounds
         this.rand = Math.random;
     }
@@ -82,14 +146,139 @@ class TMS5220 {
         this.pitchCount = 0;
         this.chirpIndex = 0;
         this.noiseRegister = 0x1FFFF;
+        this.rng = 0x1FFF;
+        this.inhibit = false;
+        this.unvoiced = true;
+        this.pitchZero = false;
         this.speaking = false;
         this.talkStatus = false;
         this.bufferLow = true;
         this.bufferEmpty = true;
         this.fifo = [];
         this.fifoBitPos = 0;
+        this.speakExternal = false;
+        this.readByteFlag = false;
+        this.dataRegister = 0;
         this.frameData = null;
         this.frameBitPos = 0;
+        this.frameQueue = null;
+        this.frameQueuePos = 0;
+    }
+
+    /**
+     * Write a byte to the chip's data bus, as the host CPU does
+     *
+     * While Speak External is active every byte is queued in the FIFO;
+     * otherwise bits 4-6 select a command.
+     * @param {number} byte - Byte written by the host
+     */
+    writeData(byte) {
+        byte &= 0xFF;
+
+        if (this.speakExternal) {
+            this.writeFifo(byte);
+            return;
+        }
+
+        switch (byte & 0x70) {
+            case Command.READ_BYTE:
+                this.dataRegister = this.vsm ? this.vsm.readBits(8) : 0;
+                this.readByteFlag = true;
+                break;
+
+            case Command.READ_AND_BRANCH:
+                if (this.vsm) {
+                    this.vsm.readAndBranch();
+                }
+                break;
+
+            case Command.LOAD_ADDRESS:
+                if (this.vsm) {
+                    this.vsm.loadAddress(byte & 0x0F);
+                }
+                break;
+
+            case Command.SPEAK:
+                // Speak reads frames from the attached speech ROM
+                this.frameData = null;
+                this.frameQueue = null;
+                this.startSpeaking();
+                break;
+
+            case Command.SPEAK_EXTERNAL:
+                this.fifo = [];
+                this.fifoBitPos = 0;
+                this.speakExternal = true;
+                this.readByteFlag = false;
+                this.updateStatus();
+                break;
+
+            case Command.RESET:
+                this.reset();
+                break;
+
+            default:
+                // NOP commands
+                break;
+        }
+    }
+
+    /**
+     * Read the chip's data bus, as the host CPU does
+     *
+     * Returns the byte fetched by a preceding Read Byte command once,
+     * otherwise the status register (TS, BL, BE in bits 7-5).
+     * @returns {number} - Status register or data byte
+     */
+    readStatus() {
+        if (this.readByteFlag) {
+            this.readByteFlag = false;
+            return this.dataRegister;
+        }
+
+        return (this.talkStatus ? Status.TALK_STATUS : 0) |
+            (this.bufferLow ? Status.BUFFER_LOW : 0) |
+            (this.bufferEmpty ? Status.BUFFER_EMPTY : 0);
+    }
+
+    /**
+     * Queue a byte in the Speak External FIFO
+     * @param {number} byte - Speech data byte
+     * @returns {boolean} - false if the FIFO was full and the byte was dropped
+     */
+    writeFifo(byte) {
+        if (this.fifo.length >= FIFO_SIZE) {
+            return false;
+        }
+
+        this.fifo.push(byte & 0xFF);
+        this.updateStatus();
+
+        // Speech begins once enough data is buffered to cover a full frame
+        if (!this.talkStatus && this.fifo.length >= FIFO_START_THRESHOLD) {
+            this.startSpeaking();
+        }
+
+        return true;
+    }
+
+    /**
+     * Recompute the BL and BE status bits from the FIFO fill level
+     */
+    updateStatus() {
+        this.bufferLow = this.fifo.length <= FIFO_SIZE / 2;
+        this.bufferEmpty = this.fifo.length === 0;
+    }
+
+    /**
+     * Begin speaking from the current data source and read the first frame
+     */
+    startSpeaking() {
+        this.speaking = true;
+        this.talkStatus = true;
+        this.interpCount = 0;
+        this.sampleCount = 0;
+        this.readNextFrame();
     }
 
     /**
@@ -99,37 +288,118 @@ class TMS5220 {
     loadSpeechData(data) {
         this.frameData = Array.from(data);
         this.frameBitPos = 0;
-        this.speaking = true;
-        this.talkStatus = true;
+        this.frameQueue = null;
+        this.speakExternal = false;
 
         // Read first frame
-        this.readNextFrame();
+        this.startSpeaking();
     }
 
     /**
-     * Read bits from the frame data buffer
+     * Queue decoded LPC frames for synthesis
+     *
+     * Frames take the place of the bitstream: each one is loaded at a frame
+     * boundary, followed by a final silence frame to ramp the energy down.
+     * @param {Object[]} frames - Array of frame objects with energy, pitch, k parameters
+     */
+    loadFrames(frames) {
+        this.frameQueue = frames;
+        this.frameQueuePos = 0;
+        this.frameData = null;
+        this.speakExternal = false;
+
+        this.startSpeaking();
+    }
+
+    /**
+     * Load the next queued frame as the interpolation target
+     * @returns {boolean} - false once the queue and final silence frame are done
+     */
+    readQueuedFrame() {
+        const frame = this.frameQueue[this.frameQueuePos++];
+
+        if (frame) {
+            this.targetEnergy = frame.energy !== undefined ? frame.energy : 0;
+            this.targetPitch = frame.pitch !== undefined ? frame.pitch : 0;
+
+            if (frame.k) {
+                for (let i = 0; i < 10; i++) {
+                    this.targetK[i] = frame.k[i] !== undefined ? frame.k[i] : 0;
+                }
+            }
+        } else if (this.frameQueuePos === this.frameQueue.length + 1) {
+            // Final silence frame: fade energy, keep the filter shape
+            this.targetEnergy = 0;
+        } else {
+            this.stopSpeaking();
+            return false;
+        }
+
+        this.interpCount = 0;
+        this.sampleCount = 0;
+        return true;
+    }
+
+    /**
+     * Read a parameter field from the active data source
+     *
+     * Bytes are shifted into the chip LSB first, but each parameter field is
+     * assembled MSB first (the first bit received is the field's top bit).
      * @param {number} numBits - Number of bits to read
      * @returns {number} - The value read
      */
     readBits(numBits) {
-        if (!this.frameData || this.frameBitPos >= this.frameData.length * 8) {
+        let value = 0;
+        for (let i = 0; i < numBits; i++) {
+            value = (value << 1) | this.readBit();
+        }
+
+        return value;
+    }
+
+    /**
+     * Read one bit from the FIFO, speech ROM or loaded buffer
+     * @returns {number} - 0 or 1 (missing data reads as 0)
+     */
+    readBit() {
+        if (this.speakExternal) {
+            return this.readFifoBit();
+        }
+
+        if (!this.frameData) {
+            return this.vsm ? this.vsm.readBits(1) : 0;
+        }
+
+        if (this.frameBitPos >= this.frameData.length * 8) {
             return 0;
         }
 
-        let value = 0;
-        for (let i = 0; i < numBits; i++) {
-            const byteIndex = Math.floor(this.frameBitPos / 8);
-            const bitIndex = this.frameBitPos % 8;
+        // TMS5220 reads bits LSB first within each byte
+        const bit = (this.frameData[this.frameBitPos >> 3] >> (this.frameBitPos & 7)) & 1;
+        this.frameBitPos++;
 
-            if (byteIndex < this.frameData.length) {
-                // TMS5220 reads bits LSB first within each byte
-                const bit = (this.frameData[byteIndex] >> bitIndex) & 1;
-                value |= (bit << i);
-            }
-            this.frameBitPos++;
+        return bit;
+    }
+
+    /**
+     * Take one bit from the FIFO, releasing each byte once consumed
+     * @returns {number} - 0 or 1 (an empty FIFO reads as 0)
+     */
+    readFifoBit() {
+        if (this.fifo.length === 0) {
+            return 0;
         }
 
-        return value;
+        const bit = (this.fifo[0] >> this.fifoBitPos) & 1;
+
+        this.fifoBitPos++;
+        if (this.fifoBitPos >= 8) {
+            this.fifo.shift();
+            this.fifoBitPos = 0;
+        }
+
+        this.updateStatus();
+        return bit;
     }
 
     /**
@@ -143,15 +413,26 @@ class TMS5220 {
         for (let i = 0; i < 10; i++) {
             this.currentK[i] = this.targetK[i];
         }
+        this.inhibit = false;
+
+        if (this.frameQueue) {
+            return this.readQueuedFrame();
+        }
+
+        // A loaded buffer ends speech when it runs out, even without a stop code
+        if (this.frameData && this.frameBitPos >= this.frameData.length * 8) {
+            this.stopSpeaking();
+            return false;
+        }
+
+        const { energyTable, pitchTable, kTables, kBits } = this.variant;
 
         // Read energy (4 bits)
-        const energyIndex = this.readBits(4);
+        const energyIndex = this.readBits(this.variant.energyBits);
 
         // Check for stop code (energy = 15)
         if (energyIndex === 15) {
-            this.speaking = false;
-            this.talkStatus = false;
-            this.targetEnergy = 0;
+            this.stopSpeaking();
             return false;
         }
 
@@ -168,18 +449,19 @@ class TMS5220 {
         }
 
         // Decode energy from table
-        this.targetEnergy = ENERGY_TABLE[energyIndex];
+        this.targetEnergy = energyTable[energyIndex];
 
         // Read repeat flag (1 bit)
         const repeatFlag = this.readBits(1);
 
-        // Read pitch (6 bits)
-        const pitchIndex = this.readBits(6);
-        this.targetPitch = PITCH_TABLE[pitchIndex];
+        // Read pitch (5 or 6 bits depending on variant)
+        const pitchIndex = this.readBits(this.variant.pitchBits);
+        this.targetPitch = pitchTable[pitchIndex];
 
         // If repeat flag is set, keep previous K parameters
         if (repeatFlag) {
             // K parameters stay the same as previous frame
+            this.applyInterpolationInhibit();
             this.interpCount = 0;
             this.sampleCount = 0;
             return true;
@@ -189,16 +471,16 @@ class TMS5220 {
         // Unvoiced frame (pitch = 0): only read K1-K4
 
         // Read K1 (5 bits)
-        this.targetK[0] = K_TABLES[0][this.readBits(K_BITS[0])];
+        this.targetK[0] = kTables[0][this.readBits(kBits[0])];
 
         // Read K2 (5 bits)
-        this.targetK[1] = K_TABLES[1][this.readBits(K_BITS[1])];
+        this.targetK[1] = kTables[1][this.readBits(kBits[1])];
 
         // Read K3 (4 bits)
-        this.targetK[2] = K_TABLES[2][this.readBits(K_BITS[2])];
+        this.targetK[2] = kTables[2][this.readBits(kBits[2])];
 
         // Read K4 (4 bits)
-        this.targetK[3] = K_TABLES[3][this.readBits(K_BITS[3])];
+        this.targetK[3] = kTables[3][this.readBits(kBits[3])];
 
         // For unvoiced frames (pitch = 0), K5-K10 are set to 0
         if (pitchIndex === 0) {
@@ -208,10 +490,12 @@ class TMS5220 {
         } else {
             // Voiced frame: read K5-K10
             for (let i = 4; i < 10; i++) {
-                this.targetK[i] = K_TABLES[i][this.readBits(K_BITS[i])];
+                this.targetK[i] = kTables[i][this.readBits(kBits[i])];
             }
         }
 
+        this.applyInterpolationInhibit();
+
         // Reset interpolation counters
         this.interpCount = 0;
         this.sampleCount = 0;
@@ -219,6 +503,44 @@ class TMS5220 {
         return true;
     }
 
+    /**
+     * Skip interpolation where the chip inhibits it
+     *
+     * When speech starts after silence, or the frame switches between voiced
+     * and unvoiced excitation, the parameters jump instead of interpolating.
+     * The chip (exact mode) holds the old values until the last interpolation
+     * period of the frame; clean mode switches to the new ones immediately.
+     */
+    applyInterpolationInhibit() {
+        if (!this.variant.inhibitInterpolation || this.targetEnergy === 0) {
+            return;
+        }
+
+        const voicingChanged = (this.currentPitch === 0) !== (this.targetPitch === 0);
+        if (this.currentEnergy === 0 || voicingChanged) {
+            if (this.mode === 'exact') {
+                this.inhibit = true;
+                return;
+            }
+
+            this.currentEnergy = this.targetEnergy;
+            this.currentPitch = this.targetPitch;
+            for (let i = 0; i < 10; i++) {
+                this.currentK[i] = this.targetK[i];
+            }
+        }
+    }
+
+    /**
+     * Halt speech after a stop code or FIFO underrun
+     */
+    stopSpeaking() {
+        this.speaking = false;
+        this.talkStatus = false;
+        this.speakExternal = false;
+        this.targetEnergy = 0;
+    }
+
     /**
      * Generate noise for unvoiced sounds using LFSR
      * @returns {number} - Noise sample (-1 or 1)
@@ -230,6 +552,62 @@ class TMS5220 {
         return (this.noiseRegister & 1) ? 1 : -1;
     }
 
+    /**
+     * Generate the chip's excitation signal (exact mode)
+     *
+     * Unvoiced frames use +/-0x40 chosen by a 13-bit LFSR clocked 20 times
+     * per sample; voiced frames play the chirp ROM, holding its last entry
+     * once the pitch counter runs past it. The choice follows the latched
+     * voicing flag rather than the interpolated pitch.
+     * @returns {number} - Signed 8-bit excitation sample
+     */
+    generateExactExcitation() {
+        const chirp = this.variant.chirpTable;
+        const excitation = this.unvoiced
+            ? ((this.rng & 1) ? -0x40 : 0x40)
+            : chirp[Math.min(this.pitchCount, chirp.length - 1)];
+
+        for (let i = 0; i < 20; i++) {
+            const bit = ((this.rng >> 12) ^ (this.rng >> 3) ^ (this.rng >> 2) ^ this.rng) & 1;
+            this.rng = ((this.rng << 1) | bit) & 0x1FFF;
+        }
+
+        return excitation;
+    }
+
+    /**
+     * Step the running parameters toward their targets (exact mode)
+     *
+     * As in MAME, the chip keeps one running value per parameter and moves it
+     * by (target - current) >> shift once per interpolation period, so the
+     * steps accumulate over the frame. Parameter n (energy, pitch, K1-K10) is
+     * updated on sample 2n + 1 of the period. The first period after a frame
+     * load is the chip's IP 1; the last is IP 0, whose shift of 0 lands every
+     * parameter on its target. An inhibited frame holds its values until then.
+     */
+    stepExactParameters() {
+        const slot = this.sampleCount;
+        if ((slot & 1) === 0 || slot > 23) {
+            return;
+        }
+
+        const period = (this.interpCount + 1) % INTERP_PERIODS;
+        if (this.inhibit && period !== 0) {
+            return;
+        }
+
+        const shift = this.variant.interpCoeff[period];
+        const param = slot >> 1;
+        if (param === 0) {
+            this.currentEnergy += (this.targetEnergy - this.currentEnergy) >> shift;
+        } else if (param === 1) {
+            this.currentPitch += (this.targetPitch - this.currentPitch) >> shift;
+        } else {
+            const i = param - 2;
+            this.currentK[i] += (this.targetK[i] - this.currentK[i]) >> shift;
+        }
+    }
+
     /**
      * Generate excitation signal (voiced or unvoiced)
      * @param {number} pitch - Current pitch value (0 = unvoiced)
@@ -243,8 +621,8 @@ class TMS5220 {
             // Voiced: use chirp waveform at pitch frequency
             let excitation = 0;
 
-            if (this.pitchCount < CHIRP_TABLE_SIGNED.length) {
-                excitation = CHIRP_TABLE_SIGNED[this.pitchCount];
+            if (this.pitchCount < this.variant.chirpTable.length) {
+                excitation = this.variant.chirpTable[this.pitchCount];
             }
 
             // Advance pitch counter
@@ -258,7 +636,7 @@ class TMS5220 {
     }
 
     /**
-     * Interpolate between current and target parameters
+     * Interpolate between current and target parameters (clean mode)
      * @param {number} current - Current parameter value
      * @param {number} target - Target parameter value
      * @param {number} period - Current interpolation period (0-7)
@@ -267,7 +645,7 @@ class TMS5220 {
     interpolate(current, target, period) {
         // TMS5220 interpolation uses bit shifting
         // The interpolation coefficient tells us how many bits to shift
-        const shift = INTERP_COEFF[period];
+        const shift = this.variant.interpCoeff[period];
 
         if (shift === 0) {
             // No interpolation, use target directly
@@ -288,24 +666,33 @@ class TMS5220 {
             return 0;
         }
 
-        // Calculate interpolated parameters
-        const energy = this.interpolate(this.currentEnergy, this.targetEnergy, this.interpCount);
-        const pitch = Math.round(this.interpolate(this.currentPitch, this.targetPitch, this.interpCount));
+        let sample;
 
-        const k = new Array(10);
-        for (let i = 0; i < 10; i++) {
-            k[i] = this.interpolate(this.currentK[i], this.targetK[i], this.interpCount);
-        }
+        if (this.mode === 'exact') {
+            // Integer lattice, then the DAC's clipping and 8-bit truncation
+            this.stepExactParameters();
+            const excitation = this.generateExactExcitation();
+            sample = clipAnalog(this.lattice.processExact(excitation, this.currentEnergy, this.currentK));
+        } else {
+            // Calculate interpolated parameters
+            const energy = this.interpolate(this.currentEnergy, this.targetEnergy, this.interpCount);
+            const pitch = Math.round(this.interpolate(this.currentPitch, this.targetPitch, this.interpCount));
+
+            const k = new Array(10);
+            for (let i = 0; i < 10; i++) {
+                k[i] = this.interpolate(this.currentK[i], this.targetK[i], this.interpCount);
+            }
 
-        // Generate excitation signal
-        const excitation = this.generateExcitation(pitch);
+            // Generate excitation signal
+            const excitation = this.generateExcitation(pitch);
 
-        // Process through lattice filter
-        let sample = this.lattice.processTMS5220(excitation, energy, k);
+            // Process through lattice filter
+            sample = this.lattice.processTMS5220(excitation, energy, k);
 
-        // Scale to 16-bit output
-        sample = Math.round(sample * 4); // Scale 14-bit to 16-bit range
-        sample = Math.max(-32768, Math.min(32767, sample));
+            // Scale to 16-bit output
+            sample = Math.round(sample * 4); // Scale 14-bit to 16-bit range
+            sample = Math.max(-32768, Math.min(32767, sample));
+        }
 
         // Advance sample counter
         this.sampleCount++;
@@ -315,15 +702,39 @@ class TMS5220 {
             this.sampleCount = 0;
             this.interpCount++;
 
-            // At the first interpolation period of each frame, read new frame
-            if (this.interpCount >= INTERP_PERIODS) {
-                this.interpCount = 0;
+            // Entering the last period, the chip latches the new frame's
+            // voicing and, after an inhibited load, holds the pitch counter
+            if (this.interpCount === INTERP_PERIODS - 1) {
+                this.unvoiced = this.targetPitch === 0;
+                this.pitchZero = this.inhibit;
+            } else if (this.interpCount === INTERP_PERIODS) {
+                this.pitchZero = false;
+            }
+        }
 
-                // Read next frame
-                if (!this.readNextFrame()) {
-                    // Stop code encountered
-                    return 0;
-                }
+        // The chip steps its pitch counter after the period counters; it
+        // wraps at the current pitch, so every sample while unvoiced
+        if (this.mode === 'exact') {
+            this.pitchCount++;
+            if (this.pitchCount >= this.currentPitch || this.pitchZero) {
+                this.pitchCount = 0;
+            }
+        }
+
+        // At the first interpolation period of each frame, read new frame
+        if (this.interpCount >= INTERP_PERIODS) {
+            this.interpCount = 0;
+
+            // In Speak External mode the chip halts when the FIFO runs dry
+            if (this.speakExternal && this.bufferEmpty) {
+                this.stopSpeaking();
+                return 0;
+            }
+
+            // Read next frame
+            if (!this.readNextFrame()) {
+                // Stop code encountered
+                return 0;
             }
         }
 
@@ -331,86 +742,137 @@ class TMS5220 {
     }
 
     /**
-     * Generate audio samples for the entire speech data
-     * @param {Uint8Array|number[]} data - LPC-encoded speech data
-     * @returns {Int16Array} - Array of 16-bit audio samples
+     * Speak a word from the attached speech ROM
+     *
+     * Issues five Load Address commands followed by Speak, as TI BASIC's
+     * CALL SAY does.
+     * @param {number} address - ROM address of the word's LPC data
      */
-    synthesize(data) {
-        this.reset();
-        this.loadSpeechData(data);
-
-        const samples = [];
-        let maxSamples = SAMPLE_RATE * 30; // Max 30 seconds
+    speakFromRom(address) {
+        if (!this.vsm) {
+            throw new Error('No speech ROM attached');
+        }
 
-        while (this.speaking && maxSamples > 0) {
-            samples.push(this.generateSample());
-            maxSamples--;
+        for (let i = 0; i < 5; i++) {
+            this.writeData(Command.LOAD_ADDRESS | ((address >> (i * 4)) & 0x0F));
         }
+        this.writeData(Command.SPEAK);
+    }
 
-        // Add a short fade-out to prevent clicks
-        const fadeLength = Math.min(100, samples.length);
-        for (let i = 0; i < fadeLength; i++) {
-            const fadeMultiplier = (fadeLength - i) / fadeLength;
-            samples[samples.length - fadeLength + i] = Math.round(
-                samples[samples.length - fadeLength + i] * fadeMultiplier
-            );
+    /**
+     * Render samples into a caller-supplied buffer (pull-based synthesis)
+     *
+     * Fills Int16Array blocks with 16-bit samples, or Float32Array blocks with
+     * values in -1.0..1.0. Once speech ends the rest of the block is zeroed.
+     * @param {Int16Array|Float32Array} out - Destination buffer
+     * @param {number} [count=out.length] - Number of samples to render
+     * @returns {number} - Number of speech samples written (less than count when speech ends)
+     */
+    render(out, count = out.length) {
+        const scale = out instanceof Float32Array || out instanceof Float64Array ? 1 / 32768 : 1;
+
+        let written = 0;
+        while (written < count && this.speaking) {
+            out[written++] = this.generateSample() * scale;
         }
 
-        return new Int16Array(samples);
+        out.fill(0, written, count);
+        return written;
     }
 
     /**
-     * Synthesize speech from LPC frame parameters directly
-     * @param {Object[]} frames - Array of frame objects with energy, pitch, k parameters
+     * Render until speech ends and collect the result
+     * @param {number} [maxSamples=Infinity] - Safety limit on output length
      * @returns {Int16Array} - Array of 16-bit audio samples
      */
-    synthesizeFromFrames(frames) {
-        this.reset();
-        this.speaking = true;
-        this.talkStatus = true;
-
-        const samples = [];
+    renderAll(maxSamples = Infinity) {
+        const blocks = [];
+        let total = 0;
+
+        while (this.speaking && total < maxSamples) {
+            const block = new Int16Array(Math.min(RENDER_BLOCK_SIZE, maxSamples - total));
+            const written = this.render(block);
+            blocks.push(block.subarray(0, written));
+            total += written;
+        }
 
-        for (const frame of frames) {
-            // Set target parameters from frame
-            this.currentEnergy = this.targetEnergy;
-            this.currentPitch = this.targetPitch;
-            for (let i = 0; i < 10; i++) {
-                this.currentK[i] = this.targetK[i];
-            }
+        const samples = new Int16Array(total);
+        let offset = 0;
+        for (const block of blocks) {
+            samples.set(block, offset);
+            offset += block.length;
+        }
 
-            // Set new targets
-            this.targetEnergy = frame.energy !== undefined ? frame.energy : 0;
-            this.targetPitch = frame.pitch !== undefined ? frame.pitch : 0;
+        return samples;
+    }
 
-            if (frame.k) {
-                for (let i = 0; i < 10; i++) {
-                    this.targetK[i] = frame.k[i] !== undefined ? frame.k[i] : 0;
-                }
-            }
+    /**
+     * Generate audio samples for a word stored in the attached speech ROM
+     * @param {number} address - ROM address of the word's LPC data
+     * @returns {Int16Array} - Array of 16-bit audio samples
+     */
+    synthesizeFromRom(address) {
+        this.reset();
+        this.speakFromRom(address);
+        return fadeOut(this.renderAll(MAX_BITSTREAM_SAMPLES));
+    }
 
-            // Generate samples for this frame
-            for (let interp = 0; interp < INTERP_PERIODS; interp++) {
-                this.interpCount = interp;
-                for (let s = 0; s < SAMPLES_PER_INTERP; s++) {
-                    samples.push(this.generateSample());
-                }
-            }
-        }
+    /**
+     * Generate audio samples for the entire speech data
+     * @param {Uint8Array|number[]} data - LPC-encoded speech data
+     * @returns {Int16Array} - Array of 16-bit audio samples
+     */
+    synthesize(data) {
+        this.reset();
+        this.loadSpeechData(data);
+        return fadeOut(this.renderAll(MAX_BITSTREAM_SAMPLES));
+    }
 
-        // Add final silence frame
-        this.currentEnergy = this.targetEnergy;
-        this.targetEnergy = 0;
-        for (let interp = 0; interp < INTERP_PERIODS; interp++) {
-            this.interpCount = interp;
-            for (let s = 0; s < SAMPLES_PER_INTERP; s++) {
-                samples.push(this.generateSample());
-            }
-        }
+    /**
+     * Synthesize speech from LPC frame parameters directly
+     * @param {Object[]} frames - Array of frame objects with energy, pitch, k parameters
+     * @returns {Int16Array} - Array of 16-bit audio samples
+     */
+    synthesizeFromFrames(frames) {
+        this.reset();
+        this.loadFrames(frames);
+        return this.renderAll();
+    }
+}
 
-        this.speaking = false;
-        return new Int16Array(samples);
+/**
+ * Apply a short fade-out to prevent clicks
+ * @param {Int16Array} samples - Audio samples (modified in place)
+ * @returns {Int16Array}
+ */
+function fadeOut(samples) {
+    const fadeLength = Math.min(100, samples.length);
+    for (let i = 0; i < fadeLength; i++) {
+        const fadeMultiplier = (fadeLength - i) / fadeLength;
+        samples[samples.length - fadeLength + i] = Math.round(
+            samples[samples.length - fadeLength + i] * fadeMultiplier
+        );
     }
+    return samples;
 }
 
+/**
+ * Model the analog SPK output of the chip
+ *
+ * The lattice result is clamped to 12 bits and its low 4 bits dropped, leaving
+ * the 8 bits that reach the DAC. The result is upscaled to 16 bits by
+ * repeating the top bits, as MAME does.
+ * @param {number} sample - Lattice output (14 bits plus sign)
+ * @returns {number} - 16-bit sample
+ */
+function clipAnalog(sample) {
+    let clipped = Math.max(-2048, Math.min(2047, sample));
+    clipped &= ~0xF;
+    return (clipped << 4) | ((clipped & 0x7F0) >> 3) | ((clipped & 0x400) >> 10);
+}
+
+TMS5220.Command = Command;
+TMS5220.Status = Status;
+TMS5220.clipAnalog = clipAnalog;
+
 module.exports = TMS5220;
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const TMS5220 = require('./tms5220');
+
+const { Command, Status } = TMS5220;
+
+function statusBits(chip) {
+    const status = chip.readStatus();
+    return {
+        talk: Boolean(status & Status.TALK_STATUS),
+        low: Boolean(status & Status.BUFFER_LOW),
+        empty: Boolean(status & Status.BUFFER_EMPTY)
+    };
+}
+
+test('Speak External starts with an empty FIFO and no talk status', () => {
+    const chip = new TMS5220();
+    chip.writeData(Command.SPEAK_EXTERNAL);
+
+    assert.deepEqual(statusBits(chip), { talk: false, low: true, empty: true });
+});
+
+test('BE clears on the first byte and BL stays set up to half full', () => {
+    const chip = new TMS5220();
+    chip.writeData(Command.SPEAK_EXTERNAL);
+
+    chip.writeData(0x00);
+    assert.deepEqual(statusBits(chip), { talk: false, low: true, empty: false });
+
+    for (let i = 1; i < 8; i++) {
+        chip.writeData(0x00);
+    }
+    assert.equal(chip.fifo.length, 8);
+    assert.deepEqual(statusBits(chip), { talk: false, low: true, empty: false });
+});
+
+test('speech starts at nine bytes, clearing BL', () => {
+    const chip = new TMS5220();
+    chip.writeData(Command.SPEAK_EXTERNAL);
+
+    for (let i = 0; i < 9; i++) {
+        chip.writeData(0x00);
+    }
+    assert.equal(chip.speaking, true);
+    assert.deepEqual(statusBits(chip), { talk: true, low: false, empty: false });
+});
+
+test('the FIFO holds 16 bytes and drops the rest', () => {
+    const chip = new TMS5220();
+    chip.writeData(Command.SPEAK_EXTERNAL);
+
+    for (let i = 0; i < 16; i++) {
+        assert.equal(chip.writeFifo(0x00), true);
+    }
+    assert.equal(chip.writeFifo(0x00), false);
+    assert.equal(chip.fifo.length, 16);
+});
+
+test('speech stops with BE set when the FIFO runs dry', () => {
+    const chip = new TMS5220();
+    chip.writeData(Command.SPEAK_EXTERNAL);
+    for (let i = 0; i < 9; i++) {
+        chip.writeData(0x00);
+    }
+
+    // Nine bytes of silence frames last well under two seconds
+    chip.render(new Int16Array(16000));
+
+    assert.equal(chip.speaking, false);
+    assert.equal(chip.fifo.length, 0);
+    assert.deepEqual(statusBits(chip), { talk: false, low: true, empty: true });
+});
+
+test('bytes written in Speak External are data, even command codes', () => {
+    const chip = new TMS5220();
+    chip.writeData(Command.SPEAK_EXTERNAL);
+    chip.writeData(Command.RESET);
+
+    assert.deepEqual(chip.fifo, [Command.RESET]);
+    assert.deepEqual(statusBits(chip), { talk: false, low: true, empty: false });
+});
+
+test('clipAnalog matches MAME\'s clip_analog', () => {
+    const vectors = [
+        [-16384, -32768], [-4000, -32768], [-2049, -32768], [-2048, -32768], [-2047, -32768],
+        [-1040, -16514], [-1024, -16255], [-17, -259], [-16, -1], [-15, -1], [-1, -1],
+        [0, 0], [1, 0], [15, 0], [16, 258], [17, 258], [1000, 15996], [1024, 16513],
+        [2032, 32767], [2047, 32767], [2048, 32767], [16383, 32767]
+    ];
+
+    for (const [input, expected] of vectors) {
+        assert.equal(TMS5220.clipAnalog(input), expected, `clipAnalog(${input})`);
+    }
+});
+
+// Voiced, a repeat with new energy and pitch, unvoiced, voiced, stop. The
+// reference is MAME's process() run from the first frame load, cut where the
+// stop frame is read (MAME would interpolate one more frame to silence).
+const REFERENCE_BITSTREAM = 'c52b263dd21c4dcb003369a5c2156ef3acf6';
+const REFERENCE_SAMPLES = 799;
+const REFERENCE_SHA256 = '6a958b7969ab9931397e9dedaf0b2501ac6c3533b1068f71e5e8b8f473a42e3d';
+
+test('exact mode renders a bitstream sample for sample like MAME', () => {
+    const chip = new TMS5220();
+    chip.loadSpeechData(Buffer.from(REFERENCE_BITSTREAM, 'hex'));
+    const out = new Int16Array(1000);
+    chip.render(out);
+
+    // Speech after silence is inhibited: the first frame's values arrive in
+    // its last period, while the pitch counter is held at the silent chirp[0]
+    assert.ok(out.subarray(0, 200).every(sample => sample === 0));
+
+    // Second frame: cumulative interpolation toward the repeat frame
+    assert.deepEqual(Array.from(out.subarray(200, 225)), [
+        0, 1032, 3354, 6966, 10578, 11352, 8256, 2580, -1, 1548, 2322, -259, 516,
+        3096, 2322, 3870, 2838, 3354, 2580, 774, -517, -1807, -1807, -1291, -775
+    ]);
+
+    // Last period before the unvoiced frame: noise excitation is latched early
+    assert.deepEqual(Array.from(out.subarray(575, 600)), [
+        2580, -13159, -13933, -10579, -4387, 2838, -1033, 4386, 1032, -517, 1806, -3613, -259,
+        516, -3871, 3096, 1032, -2065, 3612, -1291, -3871, 2064, -775, -259, 3870
+    ]);
+
+    const digest = crypto.createHash('sha256')
+        .update(Buffer.from(out.slice(0, REFERENCE_SAMPLES).buffer))
+        .digest('hex');
+    assert.equal(digest, REFERENCE_SHA256);
+});
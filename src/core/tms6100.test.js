@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TMS5220 = require('./tms5220');
+const TMS6100 = require('./tms6100');
+
+const { Command } = TMS5220;
+
+// Two-chip image with marker bytes and a branch pointer in the second chip
+function makeImage() {
+    const image = new Uint8Array(TMS6100.CHIP_SIZE * 2);
+    image[0x0123] = 0xA5;
+    image[0x0124] = 0x3C;
+    image[0x4010] = 0x01;   // Pointer 0x0123 (high byte first)
+    image[0x4011] = 0x23;
+    image[0x4123] = 0x77;
+    image[0x7FFF] = 0x80;
+    return image;
+}
+
+test('Load Address builds the address from five nibbles, least significant first', () => {
+    const rom = new TMS6100(makeImage());
+    for (const nibble of [0x3, 0x2, 0x1, 0x0, 0x0]) {
+        rom.loadAddress(nibble);
+    }
+
+    assert.equal(rom.address, 0x0123);
+    assert.equal(rom.readBits(8), 0xA5);
+    assert.equal(rom.readBits(8), 0x3C);
+});
+
+test('reads shift bits out LSB first', () => {
+    const rom = new TMS6100(makeImage());
+    rom.setAddress(0x0123);
+
+    // 0xA5 = 1010 0101
+    assert.deepEqual([1, 2, 3, 4].map(() => rom.readBits(1)), [1, 0, 1, 0]);
+    assert.equal(rom.readBits(4), 0xA);
+});
+
+test('a read restarts the Load Address sequence', () => {
+    const rom = new TMS6100(makeImage());
+    rom.loadAddress(0x3);
+    rom.loadAddress(0x2);
+    rom.readBits(1);
+
+    rom.setAddress(0x0124);
+    assert.equal(rom.readBits(8), 0x3C);
+});
+
+test('the address counter wraps within the selected chip', () => {
+    const rom = new TMS6100(makeImage());
+    rom.setAddress(0x7FFF);
+
+    assert.equal(rom.readBits(8), 0x80);
+    assert.equal(rom.address, 0x4000);
+});
+
+test('Read and Branch jumps to the pointer, keeping the chip select', () => {
+    const rom = new TMS6100(makeImage());
+    rom.setAddress(0x4010);
+    rom.readAndBranch();
+
+    assert.equal(rom.address, 0x4123);
+    assert.equal(rom.readBits(8), 0x77);
+});
+
+test('unpopulated chip selects read as zero', () => {
+    const rom = new TMS6100(makeImage());
+    rom.setAddress(0x8000);
+
+    assert.equal(rom.readBits(8), 0);
+});
+
+test('the synthesizer drives Load Address, Read Byte and Read and Branch', () => {
+    const chip = new TMS5220();
+    chip.vsm = new TMS6100(makeImage());
+
+    for (const nibble of [0x0, 0x1, 0x0, 0x4, 0x0]) {
+        chip.writeData(Command.LOAD_ADDRESS | nibble);
+    }
+    assert.equal(chip.vsm.address, 0x4010);
+
+    chip.writeData(Command.READ_AND_BRANCH);
+    chip.writeData(Command.READ_BYTE);
+    assert.equal(chip.readStatus(), 0x77);
+
+    // The data register is returned once, then the status register again
+    assert.notEqual(chip.readStatus(), 0x77);
+});
@@ -8,11 +8,29 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
 
-const TMS5220 = require('./core/tms5220');
-const { textToFrames, textToPhonemes, getPhonemeString } = require('./speech/text-to-phoneme');
-const { listPhonemes, getPhonemeInfo, getPhonemeFrames } = require('./speech/phonemes');
+const TMS6100 = require('./core/tms6100');
+const { phonemesToFrames, splitSentences, textToPhonemes, isPhonemeNotation } = require('./speech/text-to-phoneme');
+const { listPhonemes, getPhonemeInfo } = require('./speech/phonemes');
+const { pronunciationDictionary } = require('./speech/pronunciation-dictionary');
+const { userLexicon, normalizeWord, validatePronunciation } = require('./speech/lexicon');
+const { normalizeText } = require('./speech/text-normalizer');
+const { isSsml, ssmlToSpeech, ssmlSentences } = require('./speech/ssml');
+const { parseRate, MIN_RATE, MAX_RATE } = require('./speech/duration');
 const { SAMPLE_RATE } = require('./core/coefficients');
+const { getChipVariant, listChipVariants } = require('./core/chip-variants');
+const { parseVocabulary, parseSayArguments, findWord } = require('./speech/rom-vocabulary');
+const { decodeFrames, framesToBitstream, validateFrame } = require('./speech/frame-decoder');
+const { parseLpcData } = require('./speech/lpc-data');
+const { optimizeFrames, validateTarget } = require('./speech/lpc-optimizer');
+const { analyzePitch, METHODS: PITCH_METHODS } = require('./speech/pitch-detector');
+const { readWav } = require('./audio/wav-reader');
+const { createWavHeader, createPcmBuffer, OPEN_ENDED_SIZE } = require('./audio/wav-writer');
+const { OUTPUT_FORMATS, OUTPUT_SAMPLE_RATES, encodeAudio, parseSampleRate, listOutputFormats } = require('./audio/output-formats');
+const { ANALOG_PRESETS, AnalogOutput, listAnalogPresets } = require('./audio/analog-output');
+const { SynthesisPool } = require('./workers/synthesis-pool');
+const { attachSpeechSessions } = require('./speech-session');
 
 const app = express();
 const PORT = process.env.PORT || 7199;
@@ -22,54 +40,316 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-// Create shared synthesizer instance
-const synthesizer = new TMS5220();
+// Chip variant for synthesis and LPC coding (CHIP_VARIANT selects e.g. tms5100)
+const chipVariant = getChipVariant(process.env.CHIP_VARIANT);
+
+// Audio is rendered on worker threads, one chip per job. SYNTH_WORKERS,
+// SYNTH_QUEUE and SYNTH_TIMEOUT (ms) override the pool size, queue length
+// and job time limit. SYNTH_QUEUE=0 turns away any job that cannot start
+// at once.
+const queueSetting = parseInt(process.env.SYNTH_QUEUE, 10);
+const synthesisPool = new SynthesisPool({
+    size: parseInt(process.env.SYNTH_WORKERS) || undefined,
+    maxQueue: Number.isNaN(queueSetting) ? undefined : queueSetting,
+    timeout: parseInt(process.env.SYNTH_TIMEOUT) || undefined,
+    variant: chipVariant.name
+});
+
+// Speech ROM (VSM) and its word index, if one has been loaded
+let speechRom = null;
+let vocabulary = [];
+
+/**
+ * Attach a speech ROM image to the synthesis workers and index its vocabulary
+ * @param {Buffer|Uint8Array} image - 16 KB or 32 KB ROM image
+ */
+function loadSpeechRom(image) {
+    const rom = new TMS6100(image);
+    const words = parseVocabulary(rom.rom, chipVariant.name);
+
+    speechRom = rom;
+    vocabulary = words;
+    synthesisPool.setRom(rom.rom);
+}
+
+// SPEECH_ROM lists one or more image files (e.g. the two TI-99/4A VSM dumps),
+// concatenated in order
+if (process.env.SPEECH_ROM) {
+    try {
+        const files = process.env.SPEECH_ROM.split(path.delimiter).filter(f => f);
+        loadSpeechRom(Buffer.concat(files.map(f => fs.readFileSync(f))));
+        console.log(`Loaded speech ROM: ${vocabulary.length} words`);
+    } catch (error) {
+        console.error('Failed to load speech ROM:', error.message);
+    }
+}
+
+// PRONUNCIATION_DICT lists CMUdict-format files, loaded in order so later
+// files override earlier ones. The static build's copy is used by default.
+const DEFAULT_DICTIONARY = path.join(__dirname, '..', 'public', 'data', 'cmudict.dict');
+const dictionaryFiles = process.env.PRONUNCIATION_DICT
+    ? process.env.PRONUNCIATION_DICT.split(path.delimiter).filter(f => f)
+    : [DEFAULT_DICTIONARY].filter(f => fs.existsSync(f));
+
+if (!process.env.PRONUNCIATION_DICT && dictionaryFiles.length === 0) {
+    console.log('No pronunciation dictionary at public/data/cmudict.dict; using letter-to-sound rules (see README)');
+}
+
+for (const file of dictionaryFiles) {
+    try {
+        const count = pronunciationDictionary.load(fs.readFileSync(file, 'latin1'));
+        console.log(`Loaded pronunciation dictionary ${path.basename(file)}: ${count} entries`);
+    } catch (error) {
+        console.error('Failed to load pronunciation dictionary:', error.message);
+    }
+}
+
+// User pronunciations persist in LEXICON_FILE (JSON: { "WORD": "PHONEMES" })
+const LEXICON_FILE = process.env.LEXICON_FILE || path.join(__dirname, '..', 'data', 'lexicon.json');
+
+if (fs.existsSync(LEXICON_FILE)) {
+    try {
+        const count = userLexicon.load(JSON.parse(fs.readFileSync(LEXICON_FILE, 'utf8')));
+        console.log(`Loaded user lexicon: ${count} words`);
+    } catch (error) {
+        console.error('Failed to load user lexicon:', error.message);
+    }
+}
+
+/**
+ * Write the user lexicon to LEXICON_FILE (via a temporary file, so a crash
+ * never leaves it half written)
+ */
+function saveLexicon() {
+    fs.mkdirSync(path.dirname(LEXICON_FILE), { recursive: true });
+    const temp = `${LEXICON_FILE}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(userLexicon, null, 2) + '\n');
+    fs.renameSync(temp, LEXICON_FILE);
+}
+
+/**
+ * Render a synthesis job on the worker pool, cancelling it if the client
+ * disconnects before the response is sent
+ * @param {Object} res - Express response
+ * @param {Object} job - Synthesis job (see synthesis-worker.js)
+ * @param {Function} [onChunk] - Stream the job, receiving each frame's samples
+ * @returns {Promise<Int16Array>} - Audio samples (empty when streamed)
+ */
+function renderJob(res, job, onChunk) {
+    // One disconnect signal per response, shared by all of its jobs
+    if (!res.locals.disconnect) {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        res.locals.disconnect = controller.signal;
+    }
+
+    return synthesisPool.run(job, { signal: res.locals.disconnect, onChunk });
+}
+
+/**
+ * Stream audio as each chunk of frames is synthesized
+ *
+ * Headers go out with the first samples, so a job that fails before then
+ * still gets a normal error response. Later failures end the connection.
+ * One analog output stage runs across all chunks, so its filters do not
+ * restart at each sentence. A chunk is rendered whole; the next one waits
+ * until the client has taken what is buffered.
+ * @param {Object} res - Express response
+ * @param {Iterable<Object[]>} chunks - Frame lists (e.g. sentences), spoken
+ *   in order; read one at a time, so they can be built lazily
+ * @param {string} type - 'wav' (header with open-ended sizes) or 'pcm'
+ *   (raw 16-bit little-endian mono at SAMPLE_RATE)
+ * @param {string|null} analog - Analog output preset, or null
+ * @param {Object} headers - Extra response headers
+ */
+async function streamAudio(res, chunks, type, analog, headers) {
+    const begin = () => {
+        if (res.headersSent) {
+            return;
+        }
+        res.set({
+            'Content-Type': type === 'wav' ? 'audio/wav' : 'application/octet-stream',
+            'Cache-Control': 'no-store',
+            'X-Sample-Rate': SAMPLE_RATE.toString(),
+            ...headers
+        });
+        res.flushHeaders();
+        if (type === 'wav') {
+            res.write(createWavHeader(OPEN_ENDED_SIZE, SAMPLE_RATE));
+        }
+    };
+
+    const analogOutput = analog ? new AnalogOutput(analog) : null;
+
+    try {
+        for (const frames of chunks) {
+            if (frames.length === 0) {
+                continue;
+            }
+            await drained(res);
+            await renderJob(res, { type: 'frames', frames }, samples => {
+                begin();
+                res.write(createPcmBuffer(analogOutput ? analogOutput.process(samples) : samples));
+            });
+        }
+    } catch (error) {
+        if (!res.headersSent) {
+            throw error;
+        }
+        if (error.code !== 'CANCELLED') {
+            console.error('Speech streaming error:', error);
+        }
+        return res.destroy();
+    }
+
+    begin();
+    res.end();
+}
+
+/**
+ * Wait until a response has written out its buffered data, or has closed
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+function drained(res) {
+    if (!res.writableNeedDrain) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * Frames for each sentence, built as a stream reaches it
+ * @param {string[]} phonemes - Phoneme codes
+ * @param {number} rate - Speaking rate
+ */
+function* sentenceFrames(phonemes, rate) {
+    for (const sentence of splitSentences(phonemes)) {
+        yield phonemesToFrames(sentence, { rate });
+    }
+}
+
+/**
+ * Respond to a worker pool failure
+ * @param {Object} res - Express response
+ * @param {Error} error - Rejection from renderJob
+ * @returns {boolean} - False if the error did not come from the pool
+ */
+function sendPoolError(res, error) {
+    switch (error.code) {
+        case 'QUEUE_FULL':
+            res.set('Retry-After', '1');
+            res.status(503).json({ error: 'Server busy', message: error.message });
+            return true;
+        case 'TIMEOUT':
+            res.status(503).json({ error: 'Synthesis timed out', message: error.message });
+            return true;
+        case 'CANCELLED':
+            // The client has gone; there is no one to respond to
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Read the audio output options of a synthesis route, from the query
+ * string or the JSON body:
+ * - format: an OUTPUT_FORMATS name (default wav), or json for the audio
+ *   Base64-encoded in a JSON object
+ * - encoding: the format inside a json response (default wav)
+ * - sampleRate: one of OUTPUT_SAMPLE_RATES (default 8000)
+ * - analog: an ANALOG_PRESETS name (raw, tv or clean) to emulate the
+ *   module's analog output (default none: the chip's samples as rendered)
+ * @param {Object} req - Express request
+ * @returns {Object} - { format, encoding, sampleRate, analog }, or
+ *   { error, message } if an option is invalid
+ */
+function readOutputOptions(req) {
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+    const option = name => req.query[name] !== undefined ? req.query[name] : body[name];
+
+    const format = option('format') || 'wav';
+    const encoding = option('encoding') || 'wav';
+    const sampleRate = parseSampleRate(option('sampleRate'));
+    const analog = option('analog') || null;
+    const formats = Object.keys(OUTPUT_FORMATS).join(', ');
+
+    if (format !== 'json' && !Object.hasOwn(OUTPUT_FORMATS, format)) {
+        return { error: `Unknown format: ${format}`, message: `Expected ${formats} or json` };
+    }
+    if (format === 'json' && !Object.hasOwn(OUTPUT_FORMATS, encoding)) {
+        return { error: `Unknown encoding: ${encoding}`, message: `Expected ${formats}` };
+    }
+    if (sampleRate === null) {
+        return { error: 'Invalid sample rate', message: `Expected ${OUTPUT_SAMPLE_RATES.join(', ')}` };
+    }
+    if (analog !== null && !Object.hasOwn(ANALOG_PRESETS, analog)) {
+        return { error: `Unknown analog preset: ${analog}`, message: `Expected ${Object.keys(ANALOG_PRESETS).join(', ')}` };
+    }
+
+    return { format, encoding, sampleRate, analog };
+}
 
 /**
- * Create a WAV file buffer from audio samples
- * @param {Int16Array} samples - 16-bit audio samples
- * @param {number} sampleRate - Sample rate in Hz
- * @returns {Buffer} - WAV file buffer
+ * Send synthesized audio in the requested output format
+ * @param {Object} res - Express response
+ * @param {Int16Array|Float32Array} samples - Samples at output.sampleRate
+ * @param {Object} output - Options from readOutputOptions
+ * @param {Object} [headers] - Extra response headers
  */
-function createWavBuffer(samples, sampleRate) {
-    const numChannels = 1;
-    const bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
-    const blockAlign = numChannels * (bitsPerSample / 8);
-    const dataSize = samples.length * (bitsPerSample / 8);
-    const fileSize = 44 + dataSize;
-
-    const buffer = Buffer.alloc(fileSize);
-    let offset = 0;
-
-    // RIFF header
-    buffer.write('RIFF', offset); offset += 4;
-    buffer.writeUInt32LE(fileSize - 8, offset); offset += 4;
-    buffer.write('WAVE', offset); offset += 4;
-
-    // fmt chunk
-    buffer.write('fmt ', offset); offset += 4;
-    buffer.writeUInt32LE(16, offset); offset += 4;           // Chunk size
-    buffer.writeUInt16LE(1, offset); offset += 2;            // Audio format (1 = PCM)
-    buffer.writeUInt16LE(numChannels, offset); offset += 2;  // Channels
-    buffer.writeUInt32LE(sampleRate, offset); offset += 4;   // Sample rate
-    buffer.writeUInt32LE(byteRate, offset); offset += 4;     // Byte rate
-    buffer.writeUInt16LE(blockAlign, offset); offset += 2;   // Block align
-    buffer.writeUInt16LE(bitsPerSample, offset); offset += 2;// Bits per sample
-
-    // data chunk
-    buffer.write('data', offset); offset += 4;
-    buffer.writeUInt32LE(dataSize, offset); offset += 4;
-
-    // Audio data
-    for (let i = 0; i < samples.length; i++) {
-        buffer.writeInt16LE(samples[i], offset);
-        offset += 2;
+function sendAudio(res, samples, output, headers = {}) {
+    const { format, encoding, sampleRate } = output;
+    const fileFormat = format === 'json' ? encoding : format;
+    const { contentType, extension } = OUTPUT_FORMATS[fileFormat];
+    const audio = encodeAudio(samples, sampleRate, fileFormat);
+
+    res.set({
+        'X-Sample-Rate': sampleRate.toString(),
+        'X-Sample-Count': samples.length.toString(),
+        ...headers
+    });
+    if (output.analog) {
+        res.set('X-Analog', output.analog);
+    }
+
+    if (format === 'json') {
+        return res.json({
+            format: encoding,
+            contentType,
+            sampleRate,
+            sampleCount: samples.length,
+            duration: samples.length / sampleRate,
+            audio: audio.toString('base64')
+        });
     }
 
-    return buffer;
+    res.set({
+        'Content-Type': contentType,
+        'Content-Length': audio.length,
+        'Content-Disposition': `attachment; filename="ti-speak.${extension}"`
+    });
+    res.send(audio);
 }
 
+// Body parsers for routes that take raw LPC data
+const lpcBody = [
+    express.raw({ type: 'application/octet-stream', limit: '1mb' }),
+    express.text({ type: 'text/plain', limit: '1mb' })
+];
+
 // API Routes
 
 /**
@@ -87,51 +367,105 @@ app.get('/api/phonemes', (req, res) => {
 
 /**
  * POST /api/speak
- * Convert text to speech and return WAV audio
+ * Convert text to speech and return audio
  * 
- * Body: { text: string }
- * Returns: WAV audio file
+ * Body: { text: string, rate?: number } - plain text, /phoneme notation/
+ * or an SSML document (<speak>...</speak>); SSML may also be posted
+ * directly as application/ssml+xml
+ * Query: format, encoding, sampleRate and analog select the output (see
+ * readOutputOptions), or format=lpc for the raw TMS5220 bitstream;
+ * rate=<0.25-4> speaking rate (1 = normal); all are also accepted in the
+ * body. stream=wav or stream=pcm sends audio a sentence at a time as it is
+ * synthesized (chunked, no Content-Length), as a 16-bit WAV with open-ended
+ * sizes or raw 16-bit little-endian PCM, at 8000 Hz (analog presets apply);
+ * SSML sentences end at </s> and </p>
+ * Returns: Audio file, LPC bytes or an audio stream
  */
-app.post('/api/speak', (req, res) => {
+app.post('/api/speak', express.text({ type: 'application/ssml+xml', limit: '1mb' }), async (req, res) => {
     try {
-        const { text } = req.body;
+        const text = typeof req.body === 'string' ? req.body : req.body.text;
+        const lpc = (req.query.format || req.body.format) === 'lpc';
+        const output = lpc ? null : readOutputOptions(req);
+        const rate = parseRate(req.query.rate !== undefined ? req.query.rate : req.body.rate);
+        const stream = req.query.stream;
 
         if (!text || typeof text !== 'string') {
             return res.status(400).json({ error: 'Text is required' });
         }
 
-        // Convert text to phonemes
-        const phonemes = textToPhonemes(text);
+        if (rate === null) {
+            return res.status(400).json({ error: 'Invalid rate', message: `Expected a number from ${MIN_RATE} to ${MAX_RATE}` });
+        }
+
+        if (output && output.error) {
+            return res.status(400).json(output);
+        }
+
+        const streamable = output && output.format === 'wav' && output.sampleRate === SAMPLE_RATE;
+        if (stream !== undefined && (!streamable || (stream !== 'wav' && stream !== 'pcm'))) {
+            return res.status(400).json({ error: `Unknown stream type: ${stream}`, message: `Expected wav or pcm, with WAV output at ${SAMPLE_RATE} Hz` });
+        }
+
+        // Convert text (or SSML) to phonemes and LPC frames. Streamed text
+        // builds each sentence's frames when synthesis reaches it; streamed
+        // SSML is split at <s> and <p>.
+        let phonemes;
+        let frames = null;
+        let sentences = null;
+        if (isSsml(text)) {
+            try {
+                if (stream) {
+                    sentences = ssmlSentences(text, { rate });
+                    phonemes = sentences.flatMap(sentence => sentence.phonemes);
+                } else {
+                    ({ phonemes, frames } = ssmlToSpeech(text, { rate }));
+                }
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid SSML', message: error.message });
+            }
+        } else {
+            phonemes = textToPhonemes(text);
+            if (!stream) {
+                frames = phonemesToFrames(phonemes, { rate });
+            }
+        }
 
         if (phonemes.length === 0) {
             return res.status(400).json({ error: 'No speakable content found' });
         }
 
-        // Convert phonemes to LPC frames
-        const frames = textToFrames(text);
+        if (stream) {
+            const chunks = sentences ? sentences.map(sentence => sentence.frames) : sentenceFrames(phonemes, rate);
+            return await streamAudio(res, chunks, stream, output.analog, { 'X-Phonemes': phonemes.join(' ') });
+        }
 
         if (frames.length === 0) {
             return res.status(400).json({ error: 'Unable to generate speech frames' });
         }
 
-        // Synthesize audio
-        const samples = synthesizer.synthesizeFromFrames(frames);
+        if (lpc) {
+            const bitstream = Buffer.from(framesToBitstream(frames, chipVariant.name));
 
-        // Create WAV buffer
-        const wavBuffer = createWavBuffer(samples, SAMPLE_RATE);
+            res.set({
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': bitstream.length,
+                'Content-Disposition': 'attachment; filename="ti-speak.lpc"',
+                'X-Phonemes': phonemes.join(' '),
+                'X-Frame-Count': frames.length.toString()
+            });
 
-        // Send response
-        res.set({
-            'Content-Type': 'audio/wav',
-            'Content-Length': wavBuffer.length,
-            'Content-Disposition': 'attachment; filename="ti-speak.wav"',
-            'X-Phonemes': getPhonemeString(text),
-            'X-Frame-Count': frames.length.toString(),
-            'X-Sample-Count': samples.length.toString()
-        });
+            return res.send(bitstream);
+        }
+
+        // Synthesize audio
+        const samples = await renderJob(res, { type: 'frames', frames, sampleRate: output.sampleRate, analog: output.analog });
 
-        res.send(wavBuffer);
+        sendAudio(res, samples, output, {
+            'X-Phonemes': phonemes.join(' '),
+            'X-Frame-Count': frames.length.toString()
+        });
     } catch (error) {
+        if (sendPoolError(res, error)) return;
         console.error('Speech synthesis error:', error);
         res.status(500).json({ error: 'Speech synthesis failed', message: error.message });
     }
@@ -141,44 +475,42 @@ app.post('/api/speak', (req, res) => {
  * POST /api/phonemes/speak
  * Synthesize speech from phoneme array
  * 
- * Body: { phonemes: string[] }
- * Returns: WAV audio file
+ * Body: { phonemes: string[], rate?: number } - rate is the speaking rate
+ * (0.25-4, 1 = normal)
+ * Query or body: format, encoding, sampleRate, analog (see readOutputOptions)
+ * Returns: Audio file (WAV by default)
  */
-app.post('/api/phonemes/speak', (req, res) => {
+app.post('/api/phonemes/speak', async (req, res) => {
     try {
         const { phonemes } = req.body;
+        const rate = parseRate(req.body.rate);
+        const output = readOutputOptions(req);
 
         if (!phonemes || !Array.isArray(phonemes)) {
             return res.status(400).json({ error: 'Phonemes array is required' });
         }
 
-        // Convert phonemes to frames
-        const frames = [];
-        for (const phoneme of phonemes) {
-            const phonemeFrames = getPhonemeFrames(phoneme);
-            if (phonemeFrames) {
-                frames.push(...phonemeFrames);
-            }
+        if (rate === null) {
+            return res.status(400).json({ error: 'Invalid rate', message: `Expected a number from ${MIN_RATE} to ${MAX_RATE}` });
         }
 
+        if (output.error) {
+            return res.status(400).json(output);
+        }
+
+        // Convert phonemes to frames, with intonation, transitions and durations
+        const frames = phonemesToFrames(phonemes, { rate });
+
         if (frames.length === 0) {
             return res.status(400).json({ error: 'No valid phonemes found' });
         }
 
         // Synthesize audio
-        const samples = synthesizer.synthesizeFromFrames(frames);
+        const samples = await renderJob(res, { type: 'frames', frames, sampleRate: output.sampleRate, analog: output.analog });
 
-        // Create WAV buffer
-        const wavBuffer = createWavBuffer(samples, SAMPLE_RATE);
-
-        res.set({
-            'Content-Type': 'audio/wav',
-            'Content-Length': wavBuffer.length,
-            'Content-Disposition': 'attachment; filename="ti-speak.wav"'
-        });
-
-        res.send(wavBuffer);
+        sendAudio(res, samples, output);
     } catch (error) {
+        if (sendPoolError(res, error)) return;
         console.error('Phoneme synthesis error:', error);
         res.status(500).json({ error: 'Phoneme synthesis failed', message: error.message });
     }
@@ -189,16 +521,22 @@ app.post('/api/phonemes/speak', (req, res) => {
  * Direct LPC frame synthesis
  * 
  * Body: { frames: Array<{ energy, pitch, k }>}
- * Returns: WAV audio file
+ * Query or body: format, encoding, sampleRate, analog (see readOutputOptions)
+ * Returns: Audio file (WAV by default)
  */
-app.post('/api/synthesize', (req, res) => {
+app.post('/api/synthesize', async (req, res) => {
     try {
         const { frames } = req.body;
+        const output = readOutputOptions(req);
 
         if (!frames || !Array.isArray(frames)) {
             return res.status(400).json({ error: 'Frames array is required' });
         }
 
+        if (output.error) {
+            return res.status(400).json(output);
+        }
+
         // Validate frame format
         for (let i = 0; i < frames.length; i++) {
             const frame = frames[i];
@@ -211,21 +549,407 @@ app.post('/api/synthesize', (req, res) => {
         }
 
         // Synthesize audio
-        const samples = synthesizer.synthesizeFromFrames(frames);
+        const samples = await renderJob(res, { type: 'frames', frames, sampleRate: output.sampleRate, analog: output.analog });
 
-        // Create WAV buffer
-        const wavBuffer = createWavBuffer(samples, SAMPLE_RATE);
+        sendAudio(res, samples, output);
+    } catch (error) {
+        if (sendPoolError(res, error)) return;
+        console.error('Direct synthesis error:', error);
+        res.status(500).json({ error: 'Direct synthesis failed', message: error.message });
+    }
+});
 
-        res.set({
-            'Content-Type': 'audio/wav',
-            'Content-Length': wavBuffer.length,
-            'Content-Disposition': 'attachment; filename="ti-speak.wav"'
+/**
+ * POST /api/lpc/decode
+ * Decode a raw LPC bitstream into frames
+ *
+ * Body: binary, hex/base64 text, or { hex | base64 | data }
+ * Returns: { length, frameCount, frames } with each frame's type, parameter
+ * indices, table values, bitOffset and bitLength
+ */
+app.post('/api/lpc/decode', lpcBody, (req, res) => {
+    try {
+        const data = parseLpcData(req.body);
+
+        if (!data) {
+            return res.status(400).json({ error: 'Valid LPC data is required (hex, base64 or binary body)' });
+        }
+
+        const frames = decodeFrames(data, chipVariant.name);
+
+        res.json({
+            length: data.length,
+            frameCount: frames.length,
+            frames
         });
+    } catch (error) {
+        console.error('LPC decode error:', error);
+        res.status(500).json({ error: 'LPC decode failed', message: error.message });
+    }
+});
 
-        res.send(wavBuffer);
+/**
+ * POST /api/lpc/encode
+ * Encode frames into a raw LPC bitstream
+ *
+ * Body: { frames: Array<{ type, energyIndex, pitchIndex, kIndices }|{ energy, pitch, k }> }
+ * Value frames are quantized to the nearest table entries. Index frames must
+ * fit the chip's fields (see validateFrame); anything else is a 400.
+ * Query: format=json (default) or format=binary
+ * Returns: { length, hex, base64 } or the LPC bytes
+ */
+app.post('/api/lpc/encode', (req, res) => {
+    try {
+        const { frames } = req.body;
+        const format = req.query.format || 'json';
+
+        if (!frames || !Array.isArray(frames)) {
+            return res.status(400).json({ error: 'Frames array is required' });
+        }
+
+        if (format !== 'json' && format !== 'binary') {
+            return res.status(400).json({ error: `Unknown format: ${format}`, message: 'Expected json or binary' });
+        }
+
+        const variant = chipVariant.name;
+        for (let i = 0; i < frames.length; i++) {
+            const problem = validateFrame(frames[i], variant);
+            if (problem) {
+                return res.status(400).json({ error: `Invalid frame at index ${i}`, message: problem });
+            }
+        }
+
+        const lpc = Buffer.from(framesToBitstream(frames, variant));
+
+        if (format === 'binary') {
+            res.set({
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': lpc.length,
+                'Content-Disposition': 'attachment; filename="ti-speak.lpc"'
+            });
+            return res.send(lpc);
+        }
+
+        res.json({
+            length: lpc.length,
+            hex: lpc.toString('hex'),
+            base64: lpc.toString('base64')
+        });
     } catch (error) {
-        console.error('Direct synthesis error:', error);
-        res.status(500).json({ error: 'Direct synthesis failed', message: error.message });
+        console.error('LPC encode error:', error);
+        res.status(500).json({ error: 'LPC encode failed', message: error.message });
+    }
+});
+
+/**
+ * POST /api/lpc/optimize
+ * Encode frames with repeat-frame selection, merging and silence trimming
+ *
+ * Body: {
+ *   frames: Array<{ energy, pitch, k }|decoded frame>,
+ *   repeatThreshold?: number,   // dB of spectral drift allowed for REPEAT frames
+ *   mergeThreshold?: number,    // dB below which neighboring frames are merged
+ *   trimSilence?: boolean,
+ *   byteBudget?: number         // Raise thresholds until the result fits
+ * }
+ * Frames that are not objects, or lack a numeric energy, are a 400 (see
+ * validateTarget).
+ * Returns: { length, hex, base64, report, frames }
+ */
+app.post('/api/lpc/optimize', (req, res) => {
+    try {
+        const { frames, repeatThreshold, mergeThreshold, trimSilence, byteBudget } = req.body;
+
+        if (!frames || !Array.isArray(frames)) {
+            return res.status(400).json({ error: 'Frames array is required' });
+        }
+
+        for (let i = 0; i < frames.length; i++) {
+            const problem = validateTarget(frames[i]);
+            if (problem) {
+                return res.status(400).json({ error: `Invalid frame at index ${i}`, message: problem });
+            }
+        }
+
+        const options = { variant: chipVariant.name };
+        const numeric = { repeatThreshold, mergeThreshold, byteBudget };
+        for (const name of Object.keys(numeric)) {
+            if (numeric[name] !== undefined && numeric[name] !== null) {
+                if (typeof numeric[name] !== 'number' || !(numeric[name] >= 0)) {
+                    return res.status(400).json({ error: `Invalid ${name}`, message: 'Expected a non-negative number' });
+                }
+                options[name] = numeric[name];
+            }
+        }
+        if (trimSilence !== undefined) {
+            options.trimSilence = Boolean(trimSilence);
+        }
+
+        const result = optimizeFrames(frames, options);
+        const lpc = Buffer.from(result.lpc);
+
+        res.json({
+            length: lpc.length,
+            hex: lpc.toString('hex'),
+            base64: lpc.toString('base64'),
+            report: result.report,
+            frames: result.frames
+        });
+    } catch (error) {
+        console.error('LPC optimize error:', error);
+        res.status(500).json({ error: 'LPC optimize failed', message: error.message });
+    }
+});
+
+/**
+ * POST /api/lpc/speak
+ * Play a raw LPC bitstream through the chip
+ *
+ * Body: binary, hex/base64 text, or { hex | base64 | data }
+ * Query (or JSON body): format, encoding, sampleRate, analog (see readOutputOptions)
+ * Returns: Audio file (WAV by default)
+ */
+app.post('/api/lpc/speak', lpcBody, async (req, res) => {
+    try {
+        const data = parseLpcData(req.body);
+        const output = readOutputOptions(req);
+
+        if (!data) {
+            return res.status(400).json({ error: 'Valid LPC data is required (hex, base64 or binary body)' });
+        }
+
+        if (output.error) {
+            return res.status(400).json(output);
+        }
+
+        const samples = await renderJob(res, { type: 'lpc', data, sampleRate: output.sampleRate, analog: output.analog });
+
+        sendAudio(res, samples, output);
+    } catch (error) {
+        if (sendPoolError(res, error)) return;
+        console.error('LPC synthesis error:', error);
+        res.status(500).json({ error: 'LPC synthesis failed', message: error.message });
+    }
+});
+
+/**
+ * POST /api/lpc/analyze
+ * Encode a WAV recording into TMS5220 LPC
+ *
+ * Body: WAV file (audio/wav or application/octet-stream), 4-192 kHz and at
+ * most 60 seconds long. Analysis runs on the synthesis pool, so a busy server
+ * answers 503 as for synthesis.
+ * Query: format=json (default) or format=binary; pitchMethod (see
+ * /api/analyze/pitch); optional numeric analysis options preEmphasis,
+ * voicingThreshold, silenceThreshold and gain
+ * Returns: { frameCount, length, hex, base64, frames } or the LPC bytes
+ */
+app.post('/api/lpc/analyze', express.raw({ type: ['audio/wav', 'audio/x-wav', 'audio/wave', 'application/octet-stream'], limit: '20mb' }), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'WAV file is required (audio/wav)' });
+        }
+
+        if (format !== 'json' && format !== 'binary') {
+            return res.status(400).json({ error: `Unknown format: ${format}`, message: 'Expected json or binary' });
+        }
+
+        const options = { variant: chipVariant.name };
+        if (req.query.pitchMethod !== undefined) {
+            if (!PITCH_METHODS.includes(req.query.pitchMethod)) {
+                return res.status(400).json({ error: `Unknown pitchMethod: ${req.query.pitchMethod}`, message: `Expected one of ${PITCH_METHODS.join(', ')}` });
+            }
+            options.pitchMethod = req.query.pitchMethod;
+        }
+        for (const name of ['preEmphasis', 'voicingThreshold', 'silenceThreshold', 'gain']) {
+            if (req.query[name] !== undefined) {
+                const value = parseFloat(req.query[name]);
+                if (!Number.isFinite(value)) {
+                    return res.status(400).json({ error: `Invalid ${name}: ${req.query[name]}` });
+                }
+                options[name] = value;
+            }
+        }
+
+        // Analysis takes seconds for a long recording: keep it off the event loop
+        const result = await renderJob(res, { type: 'analyze', data: req.body, options });
+        const lpc = Buffer.from(result.lpc);
+
+        if (format === 'binary') {
+            res.set({
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': lpc.length,
+                'Content-Disposition': 'attachment; filename="ti-speak.lpc"',
+                'X-Frame-Count': result.frames.length.toString()
+            });
+            return res.send(lpc);
+        }
+
+        res.json({
+            frameCount: result.frames.length,
+            length: lpc.length,
+            hex: lpc.toString('hex'),
+            base64: lpc.toString('base64'),
+            frames: result.frames
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_WAV') {
+            return res.status(400).json({ error: 'Invalid WAV file', message: error.message });
+        }
+        if (sendPoolError(res, error)) return;
+        console.error('LPC analysis error:', error);
+        res.status(500).json({ error: 'LPC analysis failed', message: error.message });
+    }
+});
+
+/**
+ * POST /api/analyze/pitch
+ * Track the pitch of a WAV recording per 25ms frame
+ *
+ * Body: WAV file (audio/wav or application/octet-stream)
+ * Query: method=autocorrelation (default), amdf or cepstrum; optional
+ * numeric voicingThreshold and silenceThreshold
+ * Returns: { method, sampleRate, duration, frameCount, frames } where each
+ * frame has time, voiced, confidence, period, frequency, pitchIndex and pitch
+ */
+app.post('/api/analyze/pitch', express.raw({ type: ['audio/wav', 'audio/x-wav', 'audio/wave', 'application/octet-stream'], limit: '20mb' }), (req, res) => {
+    try {
+        const method = req.query.method || 'autocorrelation';
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'WAV file is required (audio/wav)' });
+        }
+
+        if (!PITCH_METHODS.includes(method)) {
+            return res.status(400).json({ error: `Unknown method: ${method}`, message: `Expected one of ${PITCH_METHODS.join(', ')}` });
+        }
+
+        const options = { method, variant: chipVariant.name };
+        for (const name of ['voicingThreshold', 'silenceThreshold']) {
+            if (req.query[name] !== undefined) {
+                const value = parseFloat(req.query[name]);
+                if (!Number.isFinite(value)) {
+                    return res.status(400).json({ error: `Invalid ${name}: ${req.query[name]}` });
+                }
+                options[name] = value;
+            }
+        }
+
+        let wav;
+        try {
+            wav = readWav(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid WAV file', message: error.message });
+        }
+
+        const frames = analyzePitch(wav.samples, wav.sampleRate, options);
+
+        res.json({
+            method,
+            sampleRate: wav.sampleRate,
+            duration: wav.samples.length / wav.sampleRate,
+            frameCount: frames.length,
+            frames
+        });
+    } catch (error) {
+        console.error('Pitch analysis error:', error);
+        res.status(500).json({ error: 'Pitch analysis failed', message: error.message });
+    }
+});
+
+/**
+ * POST /api/rom
+ * Load a speech ROM image
+ *
+ * Body: raw ROM image (application/octet-stream)
+ * Returns: { size, wordCount }
+ */
+app.post('/api/rom', express.raw({ type: 'application/octet-stream', limit: '1mb' }), (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'ROM image is required (application/octet-stream)' });
+        }
+
+        loadSpeechRom(req.body);
+
+        res.json({
+            size: speechRom.size,
+            wordCount: vocabulary.length
+        });
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid speech ROM', message: error.message });
+    }
+});
+
+/**
+ * GET /api/rom/words
+ * List the words in the loaded speech ROM
+ *
+ * Returns: Array<{ word, entryAddress, address, length, frameCount }>
+ */
+app.get('/api/rom/words', (req, res) => {
+    if (!speechRom) {
+        return res.status(404).json({ error: 'No speech ROM loaded' });
+    }
+
+    res.json(vocabulary);
+});
+
+/**
+ * POST /api/rom/speak
+ * Speak words from the loaded speech ROM
+ *
+ * Body: { words: string[] } or { text: string } (e.g. 'CALL SAY("HELLO")')
+ * Query or body: format, encoding, sampleRate, analog (see readOutputOptions)
+ * Returns: Audio file (WAV by default)
+ */
+app.post('/api/rom/speak', async (req, res) => {
+    try {
+        if (!speechRom) {
+            return res.status(404).json({ error: 'No speech ROM loaded' });
+        }
+
+        const { words, text } = req.body;
+        let requested;
+
+        if (Array.isArray(words)) {
+            requested = words.map(w => String(w).toUpperCase());
+        } else if (text && typeof text === 'string') {
+            requested = parseSayArguments(text);
+        } else {
+            return res.status(400).json({ error: 'Words array or text is required' });
+        }
+
+        if (requested.length === 0) {
+            return res.status(400).json({ error: 'No words found' });
+        }
+
+        const output = readOutputOptions(req);
+        if (output.error) {
+            return res.status(400).json(output);
+        }
+
+        const entries = requested.map(word => findWord(vocabulary, word));
+        const missing = requested.filter((word, i) => !entries[i]);
+
+        if (missing.length > 0) {
+            return res.status(404).json({ error: 'Words not in speech ROM', missing });
+        }
+
+        const samples = await renderJob(res, {
+            type: 'rom',
+            addresses: entries.map(entry => entry.address),
+            sampleRate: output.sampleRate,
+            analog: output.analog
+        });
+
+        sendAudio(res, samples, output, { 'X-Words': requested.join(' ') });
+    } catch (error) {
+        if (sendPoolError(res, error)) return;
+        console.error('ROM speech error:', error);
+        res.status(500).json({ error: 'ROM speech failed', message: error.message });
     }
 });
 
@@ -234,7 +958,9 @@ app.post('/api/synthesize', (req, res) => {
  * Parse text to phonemes without synthesizing
  * 
  * Body: { text: string }
- * Returns: { phonemes: string[], phonemeString: string }
+ * Returns: { normalized: string, phonemes: string[], phonemeString: string, count }
+ * where normalized is the text with numbers, dates and abbreviations
+ * expanded (unchanged for /phoneme notation/ and SSML)
  */
 app.post('/api/parse', (req, res) => {
     try {
@@ -244,10 +970,22 @@ app.post('/api/parse', (req, res) => {
             return res.status(400).json({ error: 'Text is required' });
         }
 
-        const phonemes = textToPhonemes(text);
+        let normalized = text;
+        let phonemes;
+        if (isSsml(text)) {
+            try {
+                phonemes = ssmlToSpeech(text).phonemes;
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid SSML', message: error.message });
+            }
+        } else {
+            normalized = isPhonemeNotation(text) ? text : normalizeText(text);
+            phonemes = textToPhonemes(text);
+        }
         const phonemeString = phonemes.join(' ');
 
         res.json({
+            normalized,
             phonemes,
             phonemeString,
             count: phonemes.length
@@ -266,16 +1004,117 @@ app.get('/api/info', (req, res) => {
     res.json({
         name: 'TI-Speak',
         description: 'TI-99/4A TMS5220 Speech Synthesizer Simulator',
-        chip: 'TMS5220',
+        chip: chipVariant.label,
+        variant: chipVariant.name,
+        variants: listChipVariants(),
         sampleRate: SAMPLE_RATE,
+        outputSampleRates: OUTPUT_SAMPLE_RATES,
+        outputFormats: listOutputFormats(),
+        analogPresets: listAnalogPresets(),
         frameRate: 40,
         frameDuration: 25,
         interpolationSteps: 8,
         phonemeCount: listPhonemes().length,
+        speechRom: speechRom ? { size: speechRom.size, wordCount: vocabulary.length } : null,
+        synthesis: {
+            workers: synthesisPool.size,
+            active: synthesisPool.active,
+            queued: synthesisPool.pending,
+            maxQueue: synthesisPool.maxQueue
+        },
         version: '1.0.0'
     });
 });
 
+/**
+ * GET /api/lexicon
+ * List all user pronunciations
+ *
+ * Returns: { count, words: { WORD: "PHONEMES" } }
+ */
+app.get('/api/lexicon', (req, res) => {
+    const words = userLexicon.toJSON();
+    res.json({ count: userLexicon.size, words });
+});
+
+/**
+ * GET /api/lexicon/:word
+ * Look up a user pronunciation
+ *
+ * Returns: { word, phonemes, phonemeString }
+ */
+app.get('/api/lexicon/:word', (req, res) => {
+    const word = normalizeWord(req.params.word);
+    if (!word) {
+        return res.status(400).json({ error: `Invalid word: ${req.params.word}`, message: 'Expected letters, digits and apostrophes' });
+    }
+
+    const phonemes = userLexicon.get(word);
+    if (!phonemes) {
+        return res.status(404).json({ error: `Word not in lexicon: ${word}` });
+    }
+
+    res.json({ word, phonemes, phonemeString: phonemes.join(' ') });
+});
+
+/**
+ * PUT /api/lexicon/:word
+ * Add or replace a user pronunciation
+ *
+ * Body: { phonemes: string | string[] } e.g. "T IY1 S P IY1 K"; codes are
+ * checked against the phoneme list and aliases, and may carry stress digits
+ * Returns: { word, phonemes, phonemeString }
+ */
+app.put('/api/lexicon/:word', (req, res) => {
+    try {
+        const word = normalizeWord(req.params.word);
+        if (!word) {
+            return res.status(400).json({ error: `Invalid word: ${req.params.word}`, message: 'Expected letters, digits and apostrophes' });
+        }
+
+        const { phonemes, invalid } = validatePronunciation(req.body && req.body.phonemes);
+        if (phonemes.length === 0) {
+            return res.status(400).json({ error: 'Phonemes are required' });
+        }
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                error: `Unknown phonemes: ${invalid.join(' ')}`,
+                message: 'See GET /api/phonemes for valid codes',
+                invalid
+            });
+        }
+
+        userLexicon.set(word, phonemes);
+        saveLexicon();
+
+        res.json({ word, phonemes, phonemeString: phonemes.join(' ') });
+    } catch (error) {
+        console.error('Lexicon update error:', error);
+        res.status(500).json({ error: 'Lexicon update failed', message: error.message });
+    }
+});
+
+/**
+ * DELETE /api/lexicon/:word
+ * Remove a user pronunciation, restoring the dictionary or rule result
+ *
+ * Returns: { word, deleted: true }
+ */
+app.delete('/api/lexicon/:word', (req, res) => {
+    try {
+        const word = normalizeWord(req.params.word);
+        if (!word || !userLexicon.delete(word)) {
+            return res.status(404).json({ error: `Word not in lexicon: ${word || req.params.word}` });
+        }
+
+        saveLexicon();
+        res.json({ word, deleted: true });
+    } catch (error) {
+        console.error('Lexicon update error:', error);
+        res.status(500).json({ error: 'Lexicon update failed', message: error.message });
+    }
+});
+
 /**
  * GET /
  * Serve the web interface
@@ -285,7 +1124,7 @@ app.get('/', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║                                                               ║
@@ -304,4 +1143,7 @@ app.listen(PORT, () => {
 `);
 });
 
+// WebSocket speech sessions share the HTTP server
+attachSpeechSessions(server, { pool: synthesisPool, variant: chipVariant.name, path: '/ws/speak' });
+
 module.exports = app;
@@ -0,0 +1,326 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const { WebSocket } = require('ws');
+const { createWavBuffer } = require('./audio/wav-writer');
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>}
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Run the server in a child process and wait for its banner
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<{ url: string, stop: function(): void }>}
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: { ...process.env, PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', data => {
+            output += data;
+            if (output.includes('Server running')) resolve();
+        });
+        child.stderr.on('data', data => { output += data; });
+        child.once('exit', code => reject(new Error(`Server exited with code ${code}:\n${output}`)));
+    });
+
+    return { url: `http://127.0.0.1:${port}`, stop: () => child.kill() };
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ti-speak-test-'));
+const lexiconFile = path.join(tempDir, 'lexicon.json');
+let server;
+
+test.before(async () => {
+    server = await startServer({ LEXICON_FILE: lexiconFile });
+});
+
+test.after(() => {
+    server.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function request(method, route, body) {
+    return fetch(server.url + route, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+test('lexicon PUT, GET and DELETE round trip and persist to LEXICON_FILE', async () => {
+    let response = await request('PUT', '/api/lexicon/tispeak', { phonemes: 'T IY1 S P IY1 K' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+        word: 'TISPEAK',
+        phonemes: ['T', 'IY1', 'S', 'P', 'IY1', 'K'],
+        phonemeString: 'T IY1 S P IY1 K'
+    });
+    assert.deepEqual(JSON.parse(fs.readFileSync(lexiconFile, 'utf8')), { TISPEAK: 'T IY1 S P IY1 K' });
+
+    response = await request('GET', '/api/lexicon/TiSpeak');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).phonemeString, 'T IY1 S P IY1 K');
+
+    response = await request('GET', '/api/lexicon');
+    assert.deepEqual(await response.json(), { count: 1, words: { TISPEAK: 'T IY1 S P IY1 K' } });
+
+    response = await request('DELETE', '/api/lexicon/tispeak');
+    assert.deepEqual(await response.json(), { word: 'TISPEAK', deleted: true });
+    assert.deepEqual(JSON.parse(fs.readFileSync(lexiconFile, 'utf8')), {});
+
+    response = await request('GET', '/api/lexicon/tispeak');
+    assert.equal(response.status, 404);
+    response = await request('DELETE', '/api/lexicon/tispeak');
+    assert.equal(response.status, 404);
+});
+
+test('lexicon PUT rejects invalid words and phonemes', async () => {
+    let response = await request('PUT', '/api/lexicon/hello', { phonemes: 'HH XX L OW' });
+    assert.equal(response.status, 400);
+    assert.deepEqual((await response.json()).invalid, ['XX']);
+
+    response = await request('PUT', '/api/lexicon/hello', {});
+    assert.equal(response.status, 400);
+
+    response = await request('PUT', `/api/lexicon/${encodeURIComponent('he llo!')}`, { phonemes: 'HH' });
+    assert.equal(response.status, 400);
+});
+
+test('unknown output formats and encodings are rejected with 400', async () => {
+    const speak = query => fetch(`${server.url}/api/speak?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: 'Hi' })
+    });
+
+    for (const query of ['format=toString', 'format=__proto__', 'format=mp3', 'format=json&encoding=constructor']) {
+        const response = await speak(query);
+        assert.equal(response.status, 400, query);
+        assert.match((await response.json()).error, /^Unknown (format|encoding)/);
+    }
+
+    const response = await speak('format=json&encoding=ulaw');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).format, 'ulaw');
+});
+
+test('unknown analog presets are rejected with 400', async () => {
+    for (const analog of ['toString', 'hasOwnProperty', 'radio']) {
+        const response = await fetch(`${server.url}/api/speak?analog=${analog}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'Hi' })
+        });
+        assert.equal(response.status, 400, analog);
+        assert.equal((await response.json()).error, `Unknown analog preset: ${analog}`);
+    }
+});
+
+test('streamed SSML is sent a sentence at a time through one analog stage', async () => {
+    const response = await fetch(`${server.url}/api/speak?stream=pcm&analog=tv`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/ssml+xml' },
+        body: '<speak><s>Hello there.</s><s>Good bye.</s></speak>'
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('x-phonemes'), /HH .*G UH D/);
+
+    const body = Buffer.from(await response.arrayBuffer());
+    assert.ok(body.length > 0);
+    assert.equal(body.length % 2, 0);
+});
+
+test('a busy pool answers 503 for a full queue and for a timeout', async () => {
+    const busy = await startServer({ LEXICON_FILE: lexiconFile, SYNTH_WORKERS: '1', SYNTH_QUEUE: '0', SYNTH_TIMEOUT: '500' });
+    const speak = text => fetch(`${busy.url}/api/speak`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+    });
+
+    try {
+        // About two seconds of rendering: past the timeout
+        const long = speak('This sentence keeps the only synthesis worker busy for a while. '.repeat(40));
+
+        let active = 0;
+        for (let i = 0; i < 200 && active === 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active = (await (await fetch(`${busy.url}/api/info`)).json()).synthesis.active;
+        }
+        assert.equal(active, 1);
+
+        const rejected = await speak('Hello');
+        assert.equal(rejected.status, 503);
+        assert.equal(rejected.headers.get('retry-after'), '1');
+        assert.equal((await rejected.json()).error, 'Server busy');
+
+        const timedOut = await long;
+        assert.equal(timedOut.status, 503);
+        assert.equal((await timedOut.json()).error, 'Synthesis timed out');
+    } finally {
+        busy.stop();
+    }
+});
+
+test('a malformed WebSocket frame closes that session, not the server', async () => {
+    const socket = new WebSocket(`${server.url.replace('http', 'ws')}/ws/speak`);
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+
+    const closed = new Promise(resolve => socket.once('close', resolve));
+    // A text frame that is not valid UTF-8
+    socket.send(Buffer.from([0x7B, 0xFF, 0xFE, 0x7D]), { binary: false });
+    assert.equal(await closed, 1007);
+
+    const response = await fetch(`${server.url}/api/info`);
+    assert.equal(response.status, 200);
+});
+
+test('LPC encode and decode round trip index frames', async () => {
+    const frames = [
+        { type: 'voiced', energyIndex: 9, pitchIndex: 20, kIndices: [3, 30, 1, 14, 2, 9, 6, 1, 4, 6] },
+        { type: 'repeat', energyIndex: 6, pitchIndex: 12 },
+        { type: 'unvoiced', energyIndex: 11, pitchIndex: 0, kIndices: [17, 2, 8, 1] },
+        { type: 'silence' }
+    ];
+
+    let response = await request('POST', '/api/lpc/encode', { frames });
+    assert.equal(response.status, 200);
+    const { hex, base64 } = await response.json();
+
+    for (const body of [{ hex }, { base64 }]) {
+        response = await request('POST', '/api/lpc/decode', body);
+        assert.equal(response.status, 200);
+        const decoded = (await response.json()).frames;
+
+        assert.deepEqual(decoded.map(frame => frame.type), ['voiced', 'repeat', 'unvoiced', 'silence', 'stop']);
+        assert.deepEqual(decoded[0].kIndices, frames[0].kIndices);
+        assert.equal(decoded[1].energyIndex, 6);
+        assert.equal(decoded[1].pitchIndex, 12);
+        assert.deepEqual(decoded[2].kIndices.slice(0, 4), frames[2].kIndices);
+    }
+
+    // A plain text body is read as hex too
+    response = await fetch(`${server.url}/api/lpc/decode`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: hex
+    });
+    assert.equal((await response.json()).frameCount, 5);
+});
+
+test('LPC encode rejects frames it cannot encode', async () => {
+    const kIndices = [3, 30, 1, 14, 2, 9, 6, 1, 4, 6];
+    const invalid = [
+        [{ type: 'voiced', energyIndex: 9, pitchIndex: 20 }, /10 kIndices/],
+        [{ type: 'unvoiced', energyIndex: 9, pitchIndex: 0 }, /4 \(or 10\) kIndices/],
+        [{ type: 'voiced', energyIndex: 9, pitchIndex: 20, kIndices: kIndices.slice(0, 9) }, /10 kIndices/],
+        [{ type: 'voiced', energyIndex: 15, pitchIndex: 20, kIndices }, /energyIndex/],
+        [{ type: 'voiced', energyIndex: 9, pitchIndex: 64, kIndices }, /pitchIndex/],
+        [{ type: 'voiced', energyIndex: 9, pitchIndex: 0, kIndices }, /pitchIndex/],
+        [{ type: 'voiced', energyIndex: 9, pitchIndex: 20, kIndices: [32, ...kIndices.slice(1)] }, /kIndices\[0\]/],
+        [{ type: 'voiced', energyIndex: 9, pitchIndex: 20, kIndices: [...kIndices.slice(0, 9), 8] }, /kIndices\[9\]/],
+        [{ energyIndex: 9, pitchIndex: 20, kIndices }, /need a type/],
+        [{ type: 'loud', energyIndex: 9 }, /Unknown frame type/],
+        [null, /frame object/],
+        [{ pitch: 40 }, /numeric energy/]
+    ];
+
+    for (const [frame, message] of invalid) {
+        const response = await request('POST', '/api/lpc/encode', { frames: [frame] });
+        assert.equal(response.status, 400, JSON.stringify(frame));
+        const body = await response.json();
+        assert.equal(body.error, 'Invalid frame at index 0');
+        assert.match(body.message, message);
+    }
+});
+
+test('LPC decode rejects malformed hex and base64', async () => {
+    for (const body of [{ hex: 'zz' }, { hex: 'abc' }, { base64: 'pU8' }, { data: 'zz' }, {}]) {
+        const response = await request('POST', '/api/lpc/decode', body);
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.match((await response.json()).error, /Valid LPC data is required/);
+    }
+
+    const response = await fetch(`${server.url}/api/lpc/decode`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: 'zz'
+    });
+    assert.equal(response.status, 400);
+});
+
+test('LPC analyze encodes a recording on the pool and rejects bad WAVs with 400', async () => {
+    const analyze = body => fetch(`${server.url}/api/lpc/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'audio/wav' },
+        body
+    });
+
+    // A quarter second of a 100 Hz pulse train
+    const samples = Int16Array.from({ length: 2000 }, (_, n) => n % 80 === 0 ? 20000 : 0);
+    let response = await analyze(createWavBuffer(samples, 8000));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).frameCount, 10);
+
+    const badRate = createWavBuffer(samples, 8000);
+    badRate.writeUInt32LE(400000, 24);
+    for (const body of [badRate, Buffer.from('RIFX not a wave file')]) {
+        response = await analyze(body);
+        assert.equal(response.status, 400);
+        const error = await response.json();
+        assert.equal(error.error, 'Invalid WAV file');
+        assert.ok(error.message);
+    }
+});
+
+test('LPC optimize rejects frames that are not value or decoded frames', async () => {
+    for (const frame of [null, 7, { pitch: 40 }, { type: 'loud', energy: 20 }, { energy: 20, k: 'abc' }]) {
+        const response = await request('POST', '/api/lpc/optimize', { frames: [{ energy: 20, pitch: 40, k: [] }, frame] });
+        assert.equal(response.status, 400, JSON.stringify(frame));
+        assert.equal((await response.json()).error, 'Invalid frame at index 1');
+    }
+
+    const response = await request('POST', '/api/lpc/optimize', { frames: [{ energy: 20, pitch: 40, k: [-200, 100] }, { type: 'silence' }] });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).report.frameCount, 1);
+});
+
+test('speech resampled to 44.1 kHz is 5.5125 times as long as at 8 kHz', async () => {
+    const speak = query => fetch(`${server.url}/api/speak?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: 'Hello' })
+    });
+
+    const chip = Buffer.from(await (await speak('format=pcm')).arrayBuffer());
+    const wav = Buffer.from(await (await speak('format=wav&sampleRate=44100')).arrayBuffer());
+
+    assert.equal(wav.readUInt32LE(24), 44100);
+    assert.equal(wav.readUInt32LE(40), Math.round(chip.length / 2 * 44100 / 8000) * 2);
+    assert.equal(wav.length, 44 + wav.readUInt32LE(40));
+});
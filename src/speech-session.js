@@ -0,0 +1,338 @@
+/**
+ * WebSocket Speech Sessions
+ *
+ * A client connected to /ws/speak queues utterances and receives the audio
+ * as it is synthesized, with events to drive lip-sync or highlighting.
+ * Utterances are spoken one at a time, in order.
+ *
+ * Client messages (JSON text):
+ * - { type: 'text', text, rate?, id?, interrupt? }
+ *       Plain text, /phoneme notation/ or an SSML document
+ * - { type: 'phonemes', phonemes, rate?, id?, interrupt? }
+ *       Phoneme codes, as an array or a space-separated string
+ * - { type: 'lpc', hex | base64 | data, id?, interrupt? }
+ *       Raw TMS5220 bitstream; a binary message is also taken as LPC bytes
+ * - { type: 'stop' }
+ *       Interrupt the current utterance and drop the queue
+ *
+ * `interrupt: true` stops whatever is playing before queuing the new
+ * utterance. `id` is echoed in events (one is assigned if omitted).
+ *
+ * Server messages:
+ * - Binary: 16-bit little-endian mono PCM at 8 kHz, one frame per message
+ * - { type: 'ready', sampleRate, frameDuration }   On connection
+ * - { type: 'queued', id, position }              Utterances ahead of it
+ * - { type: 'start', id, phonemes }
+ * - { type: 'talk', id, talking }                  Talk status changes
+ * - { type: 'phoneme', id, phoneme, frame, time }  A phoneme starts
+ * - { type: 'frame', id, index, time, energy, pitch }
+ * - { type: 'done', id, interrupted, error?, frames, time }
+ * - { type: 'error', id?, error, message }
+ *
+ * Audio is rendered faster than real time, so events arrive ahead of
+ * playback: each phoneme and frame event comes just before the PCM it
+ * describes, and `time` is its offset in seconds from the start of the
+ * utterance. Rendering goes a sentence at a time, and the next sentence
+ * waits while more than HIGH_WATER_MARK bytes are still unsent to a slow
+ * client.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { textToPhonemes, phonemesToSpeech, splitSentences } = require('./speech/text-to-phoneme');
+const { isSsml, ssmlSentences } = require('./speech/ssml');
+const { parseRate, MIN_RATE, MAX_RATE } = require('./speech/duration');
+const { decodeFrames } = require('./speech/frame-decoder');
+const { parseLpcData } = require('./speech/lpc-data');
+const { createPcmBuffer } = require('./audio/wav-writer');
+const { SAMPLE_RATE, SAMPLES_PER_FRAME } = require('./core/coefficients');
+
+// Utterances a session may have waiting behind the one being spoken
+const MAX_QUEUE = 16;
+
+// Bytes a client may leave unread before the next chunk waits (about 16
+// seconds of audio), and how often to check while waiting
+const HIGH_WATER_MARK = 256 * 1024;
+const DRAIN_POLL_MS = 20;
+
+class SpeechSession {
+    /**
+     * @param {WebSocket} socket - Client connection
+     * @param {Object} options
+     * @param {SynthesisPool} options.pool - Worker pool that renders audio
+     * @param {string} options.variant - Chip variant, for decoding LPC
+     */
+    constructor(socket, options) {
+        this.socket = socket;
+        this.pool = options.pool;
+        this.variant = options.variant;
+
+        this.queue = [];
+        this.current = null;
+        this.nextId = 1;
+
+        socket.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+        socket.on('close', () => this.stop());
+        // Protocol errors (e.g. invalid UTF-8 in a text frame); ws closes the
+        // connection itself
+        socket.on('error', error => {
+            console.error('Speech session error:', error.message);
+            this.stop();
+        });
+
+        this.send({ type: 'ready', sampleRate: SAMPLE_RATE, frameDuration: SAMPLES_PER_FRAME / SAMPLE_RATE });
+    }
+
+    handleMessage(data, isBinary) {
+        let message;
+        if (isBinary) {
+            message = { type: 'lpc', data };
+        } else {
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return this.sendError(null, 'Invalid message', 'Messages must be JSON');
+            }
+        }
+
+        if (!message || typeof message !== 'object') {
+            return this.sendError(null, 'Invalid message', 'Messages must be JSON objects');
+        }
+
+        if (message.type === 'stop') {
+            return this.stop();
+        }
+
+        const id = message.id !== undefined ? message.id : this.nextId++;
+        let utterance;
+        try {
+            utterance = this.prepare(message);
+        } catch (error) {
+            return this.sendError(id, 'Invalid utterance', error.message);
+        }
+        utterance.id = id;
+
+        if (message.interrupt) {
+            this.stop();
+        }
+
+        if (this.queue.length >= MAX_QUEUE) {
+            return this.sendError(id, 'Queue full', `At most ${MAX_QUEUE} utterances may wait`);
+        }
+
+        this.queue.push(utterance);
+        this.send({ type: 'queued', id, position: this.queue.length - (this.current ? 0 : 1) });
+        this.speakNext();
+    }
+
+    /**
+     * Turn a message into an utterance: its phonemes and the chunks of audio
+     * to render, each a synthesis job with the frames and phoneme timeline
+     * used for events. Text and phonemes are chunked by sentence and built
+     * lazily; SSML is chunked at <s> and <p>.
+     * @throws {Error} - If the message cannot be spoken
+     */
+    prepare(message) {
+        const rate = parseRate(message.rate);
+        if (rate === null) {
+            throw new Error(`rate must be a number from ${MIN_RATE} to ${MAX_RATE}`);
+        }
+
+        switch (message.type) {
+            case 'text': {
+                if (!message.text || typeof message.text !== 'string') {
+                    throw new Error('Text is required');
+                }
+                if (isSsml(message.text)) {
+                    const sentences = ssmlSentences(message.text, { rate });
+                    return { phonemes: sentences.flatMap(sentence => sentence.phonemes), chunks: sentences.map(speechChunk) };
+                }
+                const phonemes = textToPhonemes(message.text);
+                return { phonemes, chunks: sentenceChunks(phonemes, rate) };
+            }
+
+            case 'phonemes': {
+                const phonemes = typeof message.phonemes === 'string'
+                    ? message.phonemes.trim().split(/\s+/)
+                    : message.phonemes;
+                if (!Array.isArray(phonemes) || phonemes.length === 0) {
+                    throw new Error('Phonemes array is required');
+                }
+                return { phonemes, chunks: sentenceChunks(phonemes.map(String), rate) };
+            }
+
+            case 'lpc': {
+                const data = parseLpcData(Buffer.isBuffer(message.data) ? message.data : message);
+                if (!data) {
+                    throw new Error('Valid LPC data is required (hex, base64 or binary message)');
+                }
+                const frames = decodeFrames(data, this.variant);
+                return { phonemes: [], chunks: [{ job: { type: 'lpc', data }, frames, timeline: [] }] };
+            }
+
+            default:
+                throw new Error(`Unknown message type: ${message.type}`);
+        }
+    }
+
+    /**
+     * Speak the next queued utterance, if nothing is playing
+     */
+    async speakNext() {
+        if (this.current || this.queue.length === 0) {
+            return;
+        }
+
+        const utterance = this.queue.shift();
+        utterance.controller = new AbortController();
+        utterance.frame = 0;
+        utterance.samples = 0;
+        utterance.talking = false;
+        this.current = utterance;
+
+        let error = null;
+        try {
+            this.send({ type: 'start', id: utterance.id, phonemes: utterance.phonemes });
+            for (const chunk of utterance.chunks) {
+                if (chunk.frames.length > 0) {
+                    await this.drained(utterance);
+                    await this.speakChunk(utterance, chunk);
+                }
+            }
+        } catch (failure) {
+            error = failure;
+        }
+
+        if (utterance.talking) {
+            this.send({ type: 'talk', id: utterance.id, talking: false });
+        }
+
+        const done = {
+            type: 'done',
+            id: utterance.id,
+            interrupted: error !== null,
+            frames: utterance.frame,
+            time: utterance.samples / SAMPLE_RATE
+        };
+        if (error && error.code !== 'CANCELLED') {
+            done.error = error.message;
+        }
+        this.send(done);
+
+        this.current = null;
+        this.speakNext();
+    }
+
+    /**
+     * Wait until the client has taken most of the audio already sent. ws
+     * has no drain event, so bufferedAmount is polled.
+     */
+    async drained(utterance) {
+        while (this.socket.readyState === WebSocket.OPEN
+            && this.socket.bufferedAmount > HIGH_WATER_MARK
+            && !utterance.controller.signal.aborted) {
+            await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+        }
+    }
+
+    speakChunk(utterance, chunk) {
+        let index = 0;
+        let next = 0;
+
+        return this.pool.run(chunk.job, {
+            signal: utterance.controller.signal,
+            onChunk: samples => {
+                const time = utterance.samples / SAMPLE_RATE;
+
+                if (!utterance.talking) {
+                    utterance.talking = true;
+                    this.send({ type: 'talk', id: utterance.id, talking: true });
+                }
+
+                while (next < chunk.timeline.length && chunk.timeline[next].frame <= index) {
+                    const { phoneme } = chunk.timeline[next++];
+                    this.send({ type: 'phoneme', id: utterance.id, phoneme, frame: utterance.frame, time });
+                }
+
+                const frame = chunk.frames[index];
+                if (frame) {
+                    this.send({
+                        type: 'frame',
+                        id: utterance.id,
+                        index: utterance.frame,
+                        time,
+                        energy: frame.energy,
+                        pitch: frame.pitch || 0
+                    });
+                }
+
+                this.sendAudio(samples);
+                utterance.frame++;
+                utterance.samples += samples.length;
+                index++;
+            }
+        });
+    }
+
+    /**
+     * Interrupt the current utterance and drop everything queued
+     */
+    stop() {
+        for (const utterance of this.queue.splice(0)) {
+            this.send({ type: 'done', id: utterance.id, interrupted: true, frames: 0, time: 0 });
+        }
+        if (this.current) {
+            this.current.controller.abort();
+        }
+    }
+
+    send(event) {
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(event));
+        }
+    }
+
+    sendAudio(samples) {
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(createPcmBuffer(samples));
+        }
+    }
+
+    sendError(id, error, message) {
+        this.send(id === null ? { type: 'error', error, message } : { type: 'error', id, error, message });
+    }
+}
+
+/**
+ * Chunk for a frame list and its phoneme timeline
+ */
+function speechChunk({ frames, timeline }) {
+    return { job: { type: 'frames', frames }, frames, timeline };
+}
+
+/**
+ * Chunks for each sentence, built as the session reaches it
+ */
+function* sentenceChunks(phonemes, rate) {
+    for (const sentence of splitSentences(phonemes)) {
+        yield speechChunk(phonemesToSpeech(sentence, { rate }));
+    }
+}
+
+/**
+ * Serve speech sessions on an HTTP server
+ * @param {http.Server} server - Server to share (e.g. from app.listen)
+ * @param {Object} options - See SpeechSession
+ * @param {string} [options.path='/ws/speak'] - WebSocket path
+ * @returns {WebSocketServer}
+ */
+function attachSpeechSessions(server, options) {
+    const wss = new WebSocketServer({ server, path: options.path || '/ws/speak' });
+    wss.on('connection', socket => new SpeechSession(socket, options));
+    wss.on('error', error => console.error('Speech session server error:', error.message));
+    return wss;
+}
+
+module.exports = {
+    SpeechSession,
+    attachSpeechSessions
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { WebSocket } = require('ws');
+const { SpeechSession } = require('./speech-session');
+
+// Socket stand-in that records what is sent
+class FakeSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.readyState = WebSocket.OPEN;
+        this.bufferedAmount = 0;
+        this.events = [];
+    }
+
+    send(data) {
+        if (typeof data === 'string') {
+            this.events.push(JSON.parse(data));
+        }
+    }
+}
+
+// Pool stand-in: each job streams one block and finishes
+function fakePool() {
+    return {
+        jobs: 0,
+        run(job, { signal, onChunk }) {
+            if (signal.aborted) {
+                return Promise.reject(Object.assign(new Error('Synthesis cancelled'), { code: 'CANCELLED' }));
+            }
+            this.jobs++;
+            onChunk(new Int16Array(200));
+            return Promise.resolve(new Int16Array(0));
+        }
+    };
+}
+
+async function waitFor(condition) {
+    for (let i = 0; i < 200 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition());
+}
+
+test('rendering waits while the client has too much audio unread', async () => {
+    const socket = new FakeSocket();
+    const pool = fakePool();
+    new SpeechSession(socket, { pool, variant: 'tms5220' });
+
+    socket.bufferedAmount = 1024 * 1024;
+    socket.emit('message', Buffer.from(JSON.stringify({ type: 'text', text: 'One. Two.' })), false);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(pool.jobs, 0);
+
+    socket.bufferedAmount = 0;
+    await waitFor(() => socket.events.some(event => event.type === 'done'));
+    assert.equal(pool.jobs, 2);
+    assert.equal(socket.events.find(event => event.type === 'done').interrupted, false);
+});
+
+test('closing the socket while waiting ends the utterance', async () => {
+    const socket = new FakeSocket();
+    const pool = fakePool();
+    const session = new SpeechSession(socket, { pool, variant: 'tms5220' });
+
+    socket.bufferedAmount = 1024 * 1024;
+    socket.emit('message', Buffer.from(JSON.stringify({ type: 'phonemes', phonemes: 'HH AY .' })), false);
+    assert.ok(session.current);
+    socket.readyState = WebSocket.CLOSED;
+    socket.emit('close');
+
+    await waitFor(() => session.current === null);
+    assert.equal(pool.jobs, 0);
+});
+
+test('socket errors stop the session', () => {
+    const socket = new FakeSocket();
+    new SpeechSession(socket, { pool: fakePool(), variant: 'tms5220' });
+
+    socket.emit('message', Buffer.from(JSON.stringify({ type: 'text', text: 'Hello.' })), false);
+    socket.emit('message', Buffer.from(JSON.stringify({ type: 'text', text: 'Queued.' })), false);
+    socket.emit('error', new Error('Invalid WebSocket frame'));
+
+    assert.ok(socket.events.some(event => event.type === 'done' && event.interrupted));
+});
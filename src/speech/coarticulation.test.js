@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TRANSITION_FRAMES, applyCoarticulation, phonemeClass } = require('./coarticulation');
+const { PITCH_TABLE } = require('../core/coefficients');
+
+// K sets from the TMS5220 tables for a vowel and a consonant
+const VOWEL_K = [-227, 105, 45, 61, 43, 143, -21, 29, 65, -59];
+const CONSONANT_K = [-445, 354, -279, 283, -50, 54, 122, 219, -96, 234];
+
+const VOWEL_PITCH = PITCH_TABLE[30];
+
+/**
+ * A phoneme held for three identical frames
+ * @returns {{ phoneme: string, frames: Object[] }}
+ */
+function unit(phoneme, k, energy, pitch) {
+    return { phoneme, frames: Array.from({ length: 3 }, () => ({ energy, pitch, k })) };
+}
+
+const vowel = () => unit('AA1', VOWEL_K, 52, VOWEL_PITCH);
+const consonant = phoneme => unit(phoneme, CONSONANT_K, 20, 0);
+
+/**
+ * Frames inserted ahead of the second unit's own three
+ */
+function inserted(units) {
+    const frames = applyCoarticulation(units)[1].frames;
+    return frames.slice(0, frames.length - 3);
+}
+
+/**
+ * Assert every K value of every frame lies between the two neighbors
+ */
+function assertBetween(frames, kA, kB) {
+    for (const frame of frames) {
+        frame.k.forEach((value, i) => {
+            const low = Math.min(kA[i], kB[i]);
+            const high = Math.max(kA[i], kB[i]);
+            assert.ok(value >= low && value <= high, `K${i + 1} = ${value} outside ${low}..${high}`);
+        });
+    }
+}
+
+test('phonemes are grouped into classes', () => {
+    assert.equal(phonemeClass('AA1'), 'vowel');
+    assert.equal(phonemeClass('AY'), 'vowel');
+    assert.equal(phonemeClass('T'), 'stop');
+    assert.equal(phonemeClass('S'), 'fricative');
+    assert.equal(phonemeClass('N'), 'nasal');
+    assert.equal(phonemeClass(' '), 'silence');
+});
+
+for (const [consonantPhoneme, forward, backward] of [['S', 'vowel>fricative', 'fricative>vowel'], ['T', 'vowel>stop', 'stop>vowel'], ['N', 'vowel>nasal', 'nasal>vowel']]) {
+    test(`transitions between a vowel and ${consonantPhoneme} lie between the two`, () => {
+        const into = inserted([vowel(), consonant(consonantPhoneme)]);
+        const outOf = inserted([consonant(consonantPhoneme), vowel()]);
+
+        assert.equal(into.length, TRANSITION_FRAMES[forward]);
+        assert.equal(outOf.length, TRANSITION_FRAMES[backward]);
+        assertBetween(into, VOWEL_K, CONSONANT_K);
+        assertBetween(outOf, VOWEL_K, CONSONANT_K);
+
+        // Energy ramps between the neighbors and pitch follows the vowel
+        for (const frame of [...into, ...outOf]) {
+            assert.ok(frame.energy > 20 && frame.energy < 52, `energy ${frame.energy}`);
+            assert.equal(frame.pitch, VOWEL_PITCH);
+        }
+    });
+}
+
+test('stop transitions start at a locus set by place of articulation', () => {
+    // The locus lies 70% of the way toward a labial and 40% toward a velar,
+    // so with the same consonant spectrum a P transition starts further
+    // from the vowel than a K transition
+    const distance = k => k.reduce((sum, value, i) => sum + Math.abs(value - VOWEL_K[i]), 0);
+    const labial = inserted([consonant('P'), vowel()]);
+    const velar = inserted([consonant('K'), vowel()]);
+
+    assert.equal(labial.length, velar.length);
+    assert.ok(distance(labial[0].k) > distance(velar[0].k));
+    assert.ok(distance(velar[0].k) < distance(CONSONANT_K) / 2);
+});
+
+test('transition K values move steadily from one phoneme to the next', () => {
+    const units = [unit('IY', CONSONANT_K, 52, VOWEL_PITCH), unit('Y', VOWEL_K, 40, VOWEL_PITCH)];
+    const frames = inserted(units);
+    assert.equal(frames.length, TRANSITION_FRAMES['vowel>glide']);
+
+    // K1 steps from the vowel toward the glide without turning back
+    const path = [CONSONANT_K[0], ...frames.map(frame => frame.k[0]), VOWEL_K[0]];
+    for (let i = 1; i < path.length; i++) {
+        assert.ok(path[i] >= path[i - 1], `K1 path ${path}`);
+    }
+
+    const longer = applyCoarticulation(units, { transitions: { 'vowel>glide': 4 } });
+    assert.equal(longer[1].frames.length, 4 + 3);
+});
+
+test('nothing is inserted next to a pause or a phoneme with no frames', () => {
+    const pause = { phoneme: ' ', frames: [] };
+    const units = [vowel(), pause, consonant('S'), unit(' ', VOWEL_K, 0, 0), vowel()];
+    const result = applyCoarticulation(units);
+
+    assert.deepEqual(result.map(u => u.frames.length), [3, 0, 3, 3, 3]);
+    assert.equal(result[2], units[2]);
+
+    const disabled = applyCoarticulation([vowel(), consonant('S')], { transitions: { 'vowel>fricative': 0 } });
+    assert.equal(disabled[1].frames.length, 3);
+});
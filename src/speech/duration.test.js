@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_RATE, MAX_RATE, applyDuration, parseRate } = require('./duration');
+
+/**
+ * A phoneme with numbered frames, so resampling can be traced
+ * @param {string} phoneme - Phoneme code
+ * @param {number} count - Number of frames
+ * @returns {{ phoneme: string, frames: Object[] }}
+ */
+function unit(phoneme, count) {
+    return { phoneme, frames: Array.from({ length: count }, (_, i) => ({ energy: 20, pitch: 46, k: [], index: i })) };
+}
+
+const counts = units => units.map(u => u.frames.length);
+
+// No phrase-final lengthening, so only the rate changes lengths
+const NO_LENGTHENING = { finalLengthening: 1, continuationLengthening: 1 };
+
+test('parseRate accepts rates from MIN_RATE to MAX_RATE', () => {
+    assert.equal(parseRate(undefined), 1);
+    assert.equal(parseRate(null), 1);
+    assert.equal(parseRate(''), 1);
+    assert.equal(parseRate('1.5'), 1.5);
+    assert.equal(parseRate(2), 2);
+    assert.equal(parseRate(MIN_RATE), MIN_RATE);
+    assert.equal(parseRate(String(MAX_RATE)), MAX_RATE);
+});
+
+test('parseRate rejects rates out of range or not numbers', () => {
+    for (const value of [0, -1, 0.2, 4.5, 'fast', '2x', NaN, Infinity, '1e9', [], {}]) {
+        assert.equal(parseRate(value), null, String(value));
+    }
+});
+
+test('vowel and pause frame counts scale with the rate', () => {
+    const units = [unit('AA', 20), unit(' ', 8), unit('IY', 12)];
+
+    assert.deepEqual(counts(applyDuration(units, { ...NO_LENGTHENING, rate: 1 })), [20, 8, 12]);
+    assert.deepEqual(counts(applyDuration(units, { ...NO_LENGTHENING, rate: 2 })), [10, 3, 6]);
+    assert.deepEqual(counts(applyDuration(units, { ...NO_LENGTHENING, rate: 0.5 })), [40, 18, 24]);
+});
+
+test('stops take only part of the rate change and keep their burst', () => {
+    // Three frames of closure and a final burst frame
+    const stop = unit('T', 4);
+
+    const fast = applyDuration([stop], { ...NO_LENGTHENING, rate: 2 })[0].frames;
+    const slow = applyDuration([stop], { ...NO_LENGTHENING, rate: 0.5 })[0].frames;
+
+    assert.equal(fast.length, 3);
+    assert.equal(slow.length, 5);
+    for (const frames of [fast, slow]) {
+        assert.equal(frames[0].index, 0);
+        assert.equal(frames[frames.length - 1].index, 3);
+        // The burst is neither repeated nor dropped
+        assert.equal(frames.filter(frame => frame.index === 3).length, 1);
+    }
+
+    // A vowel of the same length halves and doubles
+    assert.deepEqual(counts(applyDuration([unit('AA', 4)], { ...NO_LENGTHENING, rate: 2 })), [2]);
+    assert.deepEqual(counts(applyDuration([unit('AA', 4)], { ...NO_LENGTHENING, rate: 0.5 })), [8]);
+});
+
+test('the last syllable before a phrase break is lengthened', () => {
+    const units = [unit('N', 10), unit('AA', 10), unit('N', 10), unit(',', 0), unit('AA', 10), unit('T', 10), unit('.', 0)];
+
+    // 1.2 before the comma and 1.4 at the end, scaled by each class's elasticity
+    assert.deepEqual(counts(applyDuration(units)), [10, 12, 11, 0, 14, 11, 0]);
+});
+
+test('fixed units keep their length and units can carry their own rate', () => {
+    const fixed = { ...unit('AA', 10), fixed: true };
+    const slowed = { ...unit('AA', 10), rate: 0.5 };
+
+    assert.deepEqual(counts(applyDuration([fixed, slowed, unit('AA', 10)], { ...NO_LENGTHENING, rate: 2 })), [10, 10, 5]);
+});
@@ -4,12 +4,7 @@
  * Utilities for decoding and encoding TMS5220 speech frames.
  */
 
-const {
-    ENERGY_TABLE,
-    PITCH_TABLE,
-    K_TABLES,
-    K_BITS
-} = require('../core/coefficients');
+const { getChipVariant } = require('../core/chip-variants');
 
 /**
  * Frame types in TMS5220 speech data
@@ -25,33 +20,37 @@ const FrameType = {
 /**
  * Decode frames from raw LPC bitstream
  * @param {Uint8Array|number[]} data - Raw LPC data bytes
- * @returns {Object[]} - Array of decoded frame objects
+ * @param {string} [variant='tms5220'] - Chip variant defining tables and bit layout
+ * @returns {Object[]} - Array of decoded frame objects, each with its bitOffset and bitLength
  */
-function decodeFrames(data) {
+function decodeFrames(data, variant) {
+    const { energyTable, pitchTable, kTables, kBits, energyBits, pitchBits } = getChipVariant(variant);
     const frames = [];
     let bitPos = 0;
     const bits = Array.from(data);
 
+    // Bytes are consumed LSB first; fields are assembled MSB first like the chip
     function readBits(numBits) {
         let value = 0;
         for (let i = 0; i < numBits; i++) {
             const byteIndex = Math.floor(bitPos / 8);
             const bitIndex = bitPos % 8;
 
+            let bit = 0;
             if (byteIndex < bits.length) {
-                const bit = (bits[byteIndex] >> bitIndex) & 1;
-                value |= (bit << i);
+                bit = (bits[byteIndex] >> bitIndex) & 1;
             }
+            value = (value << 1) | bit;
             bitPos++;
         }
         return value;
     }
 
     while (bitPos < bits.length * 8) {
-        const frame = {};
+        const frame = { bitOffset: bitPos };
 
         // Read energy (4 bits)
-        const energyIndex = readBits(4);
+        const energyIndex = readBits(energyBits);
 
         // Check for stop code
         if (energyIndex === 15) {
@@ -72,16 +71,16 @@ function decodeFrames(data) {
         }
 
         frame.energyIndex = energyIndex;
-        frame.energy = ENERGY_TABLE[energyIndex];
+        frame.energy = energyTable[energyIndex];
 
         // Read repeat flag (1 bit)
         const repeat = readBits(1);
         frame.repeat = repeat === 1;
 
-        // Read pitch (6 bits)
-        const pitchIndex = readBits(6);
+        // Read pitch (5 or 6 bits depending on variant)
+        const pitchIndex = readBits(pitchBits);
         frame.pitchIndex = pitchIndex;
-        frame.pitch = PITCH_TABLE[pitchIndex];
+        frame.pitch = pitchTable[pitchIndex];
 
         if (frame.repeat) {
             frame.type = FrameType.REPEAT;
@@ -95,9 +94,9 @@ function decodeFrames(data) {
 
         // Always read K1-K4
         for (let i = 0; i < 4; i++) {
-            const kIndex = readBits(K_BITS[i]);
+            const kIndex = readBits(kBits[i]);
             frame.kIndices.push(kIndex);
-            frame.k.push(K_TABLES[i][kIndex]);
+            frame.k.push(kTables[i][kIndex]);
         }
 
         if (pitchIndex === 0) {
@@ -111,57 +110,67 @@ function decodeFrames(data) {
             // Voiced: read K5-K10
             frame.type = FrameType.VOICED;
             for (let i = 4; i < 10; i++) {
-                const kIndex = readBits(K_BITS[i]);
+                const kIndex = readBits(kBits[i]);
                 frame.kIndices.push(kIndex);
-                frame.k.push(K_TABLES[i][kIndex]);
+                frame.k.push(kTables[i][kIndex]);
             }
         }
 
         frames.push(frame);
     }
 
+    // Each frame runs up to the start of the next one
+    for (let i = 0; i < frames.length; i++) {
+        const end = i + 1 < frames.length ? frames[i + 1].bitOffset : bitPos;
+        frames[i].bitLength = end - frames[i].bitOffset;
+    }
+
     return frames;
 }
 
 /**
  * Encode frames to raw LPC bitstream
  * @param {Object[]} frames - Array of frame objects
+ * @param {string} [variant='tms5220'] - Chip variant defining the bit layout
  * @returns {Uint8Array} - Encoded LPC data bytes
  */
-function encodeFrames(frames) {
+function encodeFrames(frames, variant) {
+    const { kBits, energyBits, pitchBits } = getChipVariant(variant);
     const bits = [];
 
+    // Fields are written MSB first into an LSB-first byte stream
     function writeBits(value, numBits) {
-        for (let i = 0; i < numBits; i++) {
+        for (let i = numBits - 1; i >= 0; i--) {
             bits.push((value >> i) & 1);
         }
     }
 
     for (const frame of frames) {
         if (frame.type === FrameType.STOP) {
-            writeBits(15, 4); // Energy = 15
+            writeBits(15, energyBits); // Energy = 15
             continue;
         }
 
         if (frame.type === FrameType.SILENCE) {
-            writeBits(0, 4); // Energy = 0
+            writeBits(0, energyBits); // Energy = 0
             continue;
         }
 
         // Write energy index
-        writeBits(frame.energyIndex, 4);
+        writeBits(frame.energyIndex, energyBits);
 
         // Write repeat flag
-        writeBits(frame.repeat ? 1 : 0, 1);
+        const repeat = frame.repeat || frame.type === FrameType.REPEAT;
+        writeBits(repeat ? 1 : 0, 1);
 
         // Write pitch index
-        writeBits(frame.pitchIndex, 6);
+        writeBits(frame.pitchIndex, pitchBits);
 
-        if (!frame.repeat) {
+        if (!repeat) {
             // Write K parameters
             const numK = frame.type === FrameType.UNVOICED ? 4 : 10;
             for (let i = 0; i < numK; i++) {
-                writeBits(frame.kIndices[i], K_BITS[i]);
+                writeBits(frame.kIndices[i], kBits[i]);
             }
         }
     }
@@ -169,7 +178,7 @@ function encodeFrames(frames) {
     // Always end with stop code if not already present
     const lastFrame = frames[frames.length - 1];
     if (!lastFrame || lastFrame.type !== FrameType.STOP) {
-        writeBits(15, 4);
+        writeBits(15, energyBits);
     }
 
     // Convert bits to bytes
@@ -188,14 +197,16 @@ function encodeFrames(frames) {
 /**
  * Find the closest energy index for a given energy value
  * @param {number} energy - Target energy value
+ * @param {string} [variant='tms5220'] - Chip variant
  * @returns {number} - Closest energy index (0-14)
  */
-function findClosestEnergyIndex(energy) {
+function findClosestEnergyIndex(energy, variant) {
+    const { energyTable } = getChipVariant(variant);
     let closestIndex = 0;
-    let closestDiff = Math.abs(ENERGY_TABLE[0] - energy);
+    let closestDiff = Math.abs(energyTable[0] - energy);
 
     for (let i = 1; i < 15; i++) { // Skip index 15 (stop code)
-        const diff = Math.abs(ENERGY_TABLE[i] - energy);
+        const diff = Math.abs(energyTable[i] - energy);
         if (diff < closestDiff) {
             closestDiff = diff;
             closestIndex = i;
@@ -208,16 +219,18 @@ function findClosestEnergyIndex(energy) {
 /**
  * Find the closest pitch index for a given pitch value
  * @param {number} pitch - Target pitch value
- * @returns {number} - Closest pitch index (0-63)
+ * @param {string} [variant='tms5220'] - Chip variant
+ * @returns {number} - Closest pitch index (0-63, or 0-31 for 5-bit pitch variants)
  */
-function findClosestPitchIndex(pitch) {
+function findClosestPitchIndex(pitch, variant) {
     if (pitch === 0) return 0;
 
+    const { pitchTable } = getChipVariant(variant);
     let closestIndex = 1;
-    let closestDiff = Math.abs(PITCH_TABLE[1] - pitch);
+    let closestDiff = Math.abs(pitchTable[1] - pitch);
 
-    for (let i = 2; i < 64; i++) {
-        const diff = Math.abs(PITCH_TABLE[i] - pitch);
+    for (let i = 2; i < pitchTable.length; i++) {
+        const diff = Math.abs(pitchTable[i] - pitch);
         if (diff < closestDiff) {
             closestDiff = diff;
             closestIndex = i;
@@ -231,10 +244,11 @@ function findClosestPitchIndex(pitch) {
  * Find the closest K index for a given K value
  * @param {number} kValue - Target K value
  * @param {number} kIndex - Which K parameter (0-9 for K1-K10)
+ * @param {string} [variant='tms5220'] - Chip variant
  * @returns {number} - Closest K index
  */
-function findClosestKIndex(kValue, kIndex) {
-    const table = K_TABLES[kIndex];
+function findClosestKIndex(kValue, kIndex, variant) {
+    const table = getChipVariant(variant).kTables[kIndex];
     let closestIndex = 0;
     let closestDiff = Math.abs(table[0] - kValue);
 
@@ -249,10 +263,194 @@ function findClosestKIndex(kValue, kIndex) {
     return closestIndex;
 }
 
+/**
+ * Quantize a single value frame ({ energy, pitch, k }) to chip table indices
+ * @param {Object} frame - Value frame
+ * @param {string} [variant='tms5220'] - Chip variant
+ * @returns {Object} - SILENCE, UNVOICED (K1-K4 only) or VOICED frame
+ */
+function quantizeFrame(frame, variant) {
+    const { energyTable, pitchTable, kTables } = getChipVariant(variant);
+
+    const energyIndex = findClosestEnergyIndex(frame.energy || 0, variant);
+    if (energyIndex === 0) {
+        return { type: FrameType.SILENCE, energyIndex: 0, energy: 0 };
+    }
+
+    const pitchIndex = findClosestPitchIndex(frame.pitch || 0, variant);
+    const numK = pitchIndex === 0 ? 4 : 10;
+    const k = frame.k || [];
+
+    const kIndices = [];
+    for (let i = 0; i < 10; i++) {
+        kIndices.push(i < numK ? findClosestKIndex(k[i] || 0, i, variant) : 0);
+    }
+
+    return {
+        type: pitchIndex === 0 ? FrameType.UNVOICED : FrameType.VOICED,
+        energyIndex,
+        energy: energyTable[energyIndex],
+        pitchIndex,
+        pitch: pitchTable[pitchIndex],
+        repeat: false,
+        kIndices,
+        k: kIndices.map((index, i) => i < numK ? kTables[i][index] : 0)
+    };
+}
+
+/**
+ * Quantize value frames ({ energy, pitch, k }) to chip table indices
+ *
+ * Frame types are chosen automatically:
+ * - SILENCE when the energy quantizes to 0
+ * - UNVOICED when the pitch quantizes to 0 (only K1-K4 are kept)
+ * - REPEAT when the K indices match the previous frame of the same voicing,
+ *   with no silence frame in between
+ * - VOICED otherwise
+ * Frames that already carry a type (e.g. from decodeFrames) are passed
+ * through unchanged.
+ * @param {Object[]} frames - Array of value frames
+ * @param {string} [variant='tms5220'] - Chip variant
+ * @returns {Object[]} - Frames ready for encodeFrames()
+ */
+function quantizeFrames(frames, variant) {
+    const result = [];
+    let previous = null; // Last frame that carried K parameters
+
+    for (const frame of frames) {
+        if (frame.type) {
+            result.push(frame);
+            if (frame.type === FrameType.SILENCE) {
+                previous = null;
+            } else if (frame.kIndices && !frame.repeat) {
+                previous = frame;
+            }
+            if (frame.type === FrameType.STOP) {
+                break;
+            }
+            continue;
+        }
+
+        const quantized = quantizeFrame(frame, variant);
+        if (quantized.type === FrameType.SILENCE) {
+            // The chip zeroes K on silence, so the next frame cannot repeat
+            previous = null;
+            result.push(quantized);
+            continue;
+        }
+
+        const sameVoicing = previous && (previous.pitchIndex === 0) === (quantized.pitchIndex === 0);
+        if (sameVoicing && quantized.kIndices.every((index, i) => index === previous.kIndices[i])) {
+            delete quantized.kIndices;
+            delete quantized.k;
+            quantized.type = FrameType.REPEAT;
+            quantized.repeat = true;
+        } else {
+            previous = quantized;
+        }
+
+        result.push(quantized);
+    }
+
+    return result;
+}
+
+/**
+ * Check a frame before it is encoded
+ *
+ * Frames with a type or energyIndex are index frames: the type must be known
+ * and every index the encoder writes must fit the variant's field. Other
+ * frames are value frames and need a numeric energy (pitch and k optional).
+ * @param {Object} frame - Frame to check
+ * @param {string} [variant='tms5220'] - Chip variant
+ * @returns {string|null} - Why the frame cannot be encoded, or null if it can
+ */
+function validateFrame(frame, variant) {
+    if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+        return 'Expected a frame object';
+    }
+
+    if (frame.type === undefined && frame.energyIndex === undefined) {
+        if (!Number.isFinite(frame.energy)) {
+            return 'Value frames need a numeric energy';
+        }
+        if (frame.pitch !== undefined && !Number.isFinite(frame.pitch)) {
+            return 'pitch must be a number';
+        }
+        if (frame.k !== undefined && !(Array.isArray(frame.k) && frame.k.every(Number.isFinite))) {
+            return 'k must be an array of numbers';
+        }
+        return null;
+    }
+
+    if (frame.type === undefined) {
+        return 'Index frames need a type';
+    }
+    if (!Object.values(FrameType).includes(frame.type)) {
+        return `Unknown frame type: ${frame.type}`;
+    }
+    if (frame.type === FrameType.STOP || frame.type === FrameType.SILENCE) {
+        return null;
+    }
+
+    const { energyBits, pitchBits, kBits } = getChipVariant(variant);
+    const maxEnergy = (1 << energyBits) - 2;
+    const maxPitch = (1 << pitchBits) - 1;
+    const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (!inRange(frame.energyIndex, 1, maxEnergy)) {
+        return `energyIndex must be an integer from 1 to ${maxEnergy}`;
+    }
+    if (!inRange(frame.pitchIndex, 0, maxPitch)) {
+        return `pitchIndex must be an integer from 0 to ${maxPitch}`;
+    }
+    if (frame.type === FrameType.REPEAT) {
+        return null;
+    }
+    if (frame.repeat) {
+        return `A ${frame.type} frame cannot set repeat; use type "repeat"`;
+    }
+
+    const unvoiced = frame.type === FrameType.UNVOICED;
+    if (unvoiced && frame.pitchIndex !== 0) {
+        return 'Unvoiced frames need pitchIndex 0';
+    }
+    if (!unvoiced && frame.pitchIndex === 0) {
+        return `Voiced frames need a pitchIndex from 1 to ${maxPitch}`;
+    }
+
+    const numK = unvoiced ? 4 : 10;
+    if (!Array.isArray(frame.kIndices) || (frame.kIndices.length !== numK && frame.kIndices.length !== 10)) {
+        return unvoiced ? 'Unvoiced frames need 4 (or 10) kIndices' : 'Voiced frames need 10 kIndices';
+    }
+    for (let i = 0; i < numK; i++) {
+        const max = (1 << kBits[i]) - 1;
+        if (!inRange(frame.kIndices[i], 0, max)) {
+            return `kIndices[${i}] must be an integer from 0 to ${max}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert value frames to a TMS5220 bitstream
+ * @param {Object[]} frames - Array of value frames ({ energy, pitch, k })
+ * @param {string} [variant='tms5220'] - Chip variant
+ * @returns {Uint8Array} - LPC data bytes, terminated by a stop frame
+ */
+function framesToBitstream(frames, variant) {
+    return encodeFrames(quantizeFrames(frames, variant), variant);
+}
+
 module.exports = {
     FrameType,
     decodeFrames,
     encodeFrames,
+    quantizeFrame,
+    quantizeFrames,
+    framesToBitstream,
+    validateFrame,
     findClosestEnergyIndex,
     findClosestPitchIndex,
     findClosestKIndex
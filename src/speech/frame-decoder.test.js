@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TMS5220 = require('../core/tms5220');
+const { getChipVariant, listChipVariants } = require('../core/chip-variants');
+const { FrameType, decodeFrames, encodeFrames, framesToBitstream } = require('./frame-decoder');
+
+const FRAMES = [
+    { type: FrameType.VOICED, energyIndex: 1, repeat: false, pitchIndex: 37, kIndices: [3, 30, 1, 14, 2, 9, 6, 1, 4, 6] },
+    { type: FrameType.REPEAT, energyIndex: 6, repeat: true, pitchIndex: 12 },
+    { type: FrameType.UNVOICED, energyIndex: 11, repeat: false, pitchIndex: 0, kIndices: [17, 2, 8, 1] },
+    { type: FrameType.SILENCE }
+];
+
+test('encoded frames decode to the same parameter indices', () => {
+    const decoded = decodeFrames(encodeFrames(FRAMES));
+
+    assert.equal(decoded.length, FRAMES.length + 1);
+    FRAMES.forEach((frame, i) => {
+        assert.equal(decoded[i].type, frame.type);
+        if (frame.type === FrameType.SILENCE) {
+            return;
+        }
+        assert.equal(decoded[i].energyIndex, frame.energyIndex);
+        assert.equal(decoded[i].pitchIndex, frame.pitchIndex);
+        if (frame.kIndices) {
+            assert.deepEqual(decoded[i].kIndices.slice(0, frame.kIndices.length), frame.kIndices);
+        }
+    });
+    assert.equal(decoded[FRAMES.length].type, FrameType.STOP);
+});
+
+test('bytes are read LSB first and fields assembled MSB first', () => {
+    // 0x05 arrives as bits 1, 0, 1, 0, ...: the first bit is the field's MSB
+    assert.equal(decodeFrames([0x05, 0x00, 0x00])[0].energyIndex, 0b1010);
+    assert.deepEqual(Array.from(encodeFrames([{ type: FrameType.SILENCE }, { type: FrameType.STOP }])), [0xF0]);
+});
+
+test('the chip reads fields in the same order as the decoder', () => {
+    const data = encodeFrames(FRAMES);
+    const chip = new TMS5220();
+    chip.frameData = data;
+    chip.frameBitPos = 0;
+
+    const frame = FRAMES[0];
+    assert.equal(chip.readBits(4), frame.energyIndex);
+    assert.equal(chip.readBits(1), 0);
+    assert.equal(chip.readBits(6), frame.pitchIndex);
+    assert.equal(chip.readBits(5), frame.kIndices[0]);
+    assert.equal(chip.readBits(5), frame.kIndices[1]);
+});
+
+for (const name of listChipVariants()) {
+    test(`table values survive framesToBitstream and decodeFrames (${name})`, () => {
+        const { energyTable, pitchTable, kTables } = getChipVariant(name);
+        const voiced = { energy: energyTable[9], pitch: pitchTable[20], k: kTables.map(table => table[3]) };
+        const unvoiced = { energy: energyTable[4], pitch: 0, k: kTables.map((table, i) => i < 4 ? table[5] : 0) };
+        const frames = [voiced, unvoiced, { energy: 0, pitch: 0, k: [] }, voiced, voiced];
+
+        const decoded = decodeFrames(framesToBitstream(frames, name), name);
+
+        assert.deepEqual(decoded.map(frame => frame.type), [
+            FrameType.VOICED,
+            FrameType.UNVOICED,
+            FrameType.SILENCE,
+            FrameType.VOICED,
+            FrameType.REPEAT,
+            FrameType.STOP
+        ]);
+        for (const i of [0, 3]) {
+            assert.equal(decoded[i].energy, voiced.energy);
+            assert.equal(decoded[i].pitch, voiced.pitch);
+            assert.deepEqual(decoded[i].k, voiced.k);
+        }
+        assert.equal(decoded[1].energy, unvoiced.energy);
+        assert.deepEqual(decoded[1].k, unvoiced.k);
+        assert.equal(decoded[4].pitch, voiced.pitch);
+    });
+}
+
+test('a frame after silence is not encoded as a repeat', () => {
+    const { energyTable, pitchTable, kTables } = getChipVariant('tms5220');
+    const voiced = { energy: energyTable[9], pitch: pitchTable[20], k: kTables.map(table => table[3]) };
+    const data = framesToBitstream([voiced, { energy: 0, pitch: 0, k: [] }, voiced]);
+
+    assert.deepEqual(decodeFrames(data).map(frame => frame.type), [
+        FrameType.VOICED,
+        FrameType.SILENCE,
+        FrameType.VOICED,
+        FrameType.STOP
+    ]);
+
+    // The silence frame zeroes the chip's K; the third frame must reload them
+    const chip = new TMS5220();
+    chip.loadSpeechData(data);
+    chip.render(new Int16Array(200));
+    assert.deepEqual(chip.targetK, new Array(10).fill(0));
+    chip.render(new Int16Array(200));
+    assert.deepEqual(chip.targetK, voiced.k);
+    assert.equal(chip.targetEnergy, voiced.energy);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyIntonation } = require('./intonation');
+const { PITCH_TABLE } = require('../core/coefficients');
+
+const BASE_INDEX = 30;
+const PUNCTUATION = ['.', '?', ',', ' '];
+
+/**
+ * Units for a phoneme list: three voiced frames per phoneme at the base
+ * pitch, three unvoiced frames for S, and no frames for punctuation
+ * @param {string[]} phonemes - Phonemes and punctuation
+ * @returns {Object[]}
+ */
+function makeUnits(phonemes) {
+    return phonemes.map(phoneme => {
+        if (PUNCTUATION.includes(phoneme)) {
+            return { phoneme, frames: [] };
+        }
+        const pitch = phoneme === 'S' ? 0 : PITCH_TABLE[BASE_INDEX];
+        return { phoneme, frames: Array.from({ length: 3 }, () => ({ energy: 20, pitch, k: [] })) };
+    });
+}
+
+/**
+ * PITCH_TABLE indices of every voiced frame, in order
+ * @param {Object[]} units - Units from applyIntonation
+ * @returns {number[]}
+ */
+function voicedIndices(units) {
+    return units.flatMap(unit => unit.frames.filter(frame => frame.pitch > 0).map(frame => PITCH_TABLE.indexOf(frame.pitch)));
+}
+
+// "nana sun" with every vowel unstressed, so only the sentence contour applies
+const PHRASE = ['N', 'AH0', 'N', 'AH0', ' ', 'S', 'AH0', 'N'];
+
+test('a statement falls to its end', () => {
+    const pitch = voicedIndices(applyIntonation(makeUnits([...PHRASE, '.'])));
+
+    assert.deepEqual(pitch, [30, 30, 30, 31, 31, 31, 31, 32, 32, 32, 33, 34, 35, 36, 36, 37, 38, 39]);
+});
+
+test('a question rises at its end', () => {
+    const pitch = voicedIndices(applyIntonation(makeUnits([...PHRASE, '?'])));
+    const tail = pitch.slice(-8);
+
+    assert.ok(pitch[pitch.length - 1] < BASE_INDEX - 3, `ends at ${pitch[pitch.length - 1]}`);
+    for (let i = 1; i < tail.length; i++) {
+        assert.ok(tail[i] <= tail[i - 1], `rises over the last frames: ${tail}`);
+    }
+});
+
+test('stressed vowels are raised, secondary stress by half as much', () => {
+    const stressed = phoneme => applyIntonation(makeUnits(['N', phoneme, 'N', 'AH0', '.']));
+    const vowelPitch = units => PITCH_TABLE.indexOf(units[1].frames[0].pitch);
+
+    const none = vowelPitch(stressed('AH0'));
+    assert.equal(vowelPitch(stressed('AH1')), none - 3);
+    const secondary = vowelPitch(stressed('AH2'));
+    assert.ok(secondary < none && secondary > none - 3, `secondary stress at ${secondary}`);
+
+    // Only the accented vowel's frames move
+    const accented = voicedIndices(stressed('AH1'));
+    const plain = voicedIndices(stressed('AH0'));
+    assert.deepEqual(accented.slice(0, 3), plain.slice(0, 3));
+    assert.deepEqual(accented.slice(6), plain.slice(6));
+});
+
+test('unmarked content words accent their first vowel', () => {
+    const units = applyIntonation(makeUnits(['N', 'AA', 'N', 'AA', '.']), { declination: 0, finalFall: 0 });
+
+    assert.deepEqual(voicedIndices(units), [30, 30, 30, 27, 27, 27, 30, 30, 30, 30, 30, 30]);
+});
+
+test('a comma adds a continuation rise', () => {
+    const flat = { declination: 0, finalFall: 0 };
+    const plain = voicedIndices(applyIntonation(makeUnits([...PHRASE, '.']), flat));
+    const comma = voicedIndices(applyIntonation(makeUnits(['N', 'AH0', 'N', 'AH0', ',', 'S', 'AH0', 'N', '.']), flat));
+
+    assert.ok(plain.every(index => index === BASE_INDEX));
+    assert.ok(comma[11] < BASE_INDEX);
+    assert.deepEqual(comma.slice(12), plain.slice(12));
+});
+
+test('unvoiced frames keep pitch 0', () => {
+    const units = applyIntonation(makeUnits([...PHRASE, '?']));
+
+    assert.ok(units[5].frames.every(frame => frame.pitch === 0));
+});
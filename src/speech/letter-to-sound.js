@@ -0,0 +1,210 @@
+/**
+ * Letter-to-Sound Rule Engine
+ *
+ * Applies context-sensitive rewrite rules in the style of NRL Report 7948.
+ * The word is scanned left to right; at each position the rules for the
+ * current letter are tried in order and the first whose match, left context
+ * and right context all fit is applied. See letter-rules.js for the rule
+ * format and context symbols.
+ */
+
+const { LETTER_RULES } = require('./letter-rules');
+
+const VOWELS = 'AEIOU';
+const VOICED_CONSONANTS = 'BDGJLMNRVWZ';
+const FRONT_VOWELS = 'EIY';
+const SIBILANTS = ['S', 'C', 'G', 'Z', 'X', 'J', 'CH', 'SH'];
+const LONG_U_CONSONANTS = ['T', 'S', 'R', 'D', 'L', 'Z', 'N', 'J', 'TH', 'CH', 'SH'];
+const SUFFIXES = ['ING', 'ELY', 'ER', 'ES', 'ED', 'E'];
+
+function isVowel(c) {
+    return c !== undefined && VOWELS.includes(c);
+}
+
+function isConsonant(c) {
+    return c !== undefined && /[A-Z]/.test(c) && !VOWELS.includes(c);
+}
+
+/**
+ * Parse rule strings into rule objects grouped by first letter
+ * @param {string[]} table - Rules in "left[MATCH]right=PHONEMES" form
+ * @returns {Object<string, Object[]>} - Rules keyed by the first letter of MATCH
+ */
+function compileRules(table) {
+    const rules = {};
+
+    for (const line of table) {
+        const parsed = /^(.*)\[(.+)\](.*)=(.*)$/.exec(line);
+        if (!parsed) {
+            throw new Error(`Invalid letter-to-sound rule: ${line}`);
+        }
+
+        const [, left, match, right, output] = parsed;
+        const key = match[0];
+        (rules[key] = rules[key] || []).push({
+            left,
+            match,
+            right,
+            phonemes: output.split(' ').filter(p => p)
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Match a left context, reading the pattern and the text right to left
+ * @param {string} pattern - Left context pattern
+ * @param {string} text - Padded word
+ * @param {number} pos - Index of the character just before the match
+ * @returns {boolean}
+ */
+function matchLeft(pattern, text, pos) {
+    for (let p = pattern.length - 1; p >= 0; p--) {
+        const symbol = pattern[p];
+
+        switch (symbol) {
+            case '#':
+                if (!isVowel(text[pos])) return false;
+                while (isVowel(text[pos])) pos--;
+                break;
+            case ':':
+                while (isConsonant(text[pos])) pos--;
+                break;
+            case '^':
+                if (!isConsonant(text[pos])) return false;
+                pos--;
+                break;
+            case '.':
+                if (!VOICED_CONSONANTS.includes(text[pos])) return false;
+                pos--;
+                break;
+            case '+':
+                if (!FRONT_VOWELS.includes(text[pos])) return false;
+                pos--;
+                break;
+            case '&':
+            case '@': {
+                const set = symbol === '&' ? SIBILANTS : LONG_U_CONSONANTS;
+                if (text[pos] === 'H' && set.includes(text.substr(pos - 1, 2))) {
+                    pos -= 2;
+                } else if (set.includes(text[pos])) {
+                    pos--;
+                } else {
+                    return false;
+                }
+                break;
+            }
+            case ' ':
+                if (/[A-Z]/.test(text[pos] || ' ')) return false;
+                pos--;
+                break;
+            default:
+                if (text[pos] !== symbol) return false;
+                pos--;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Match a right context, reading left to right
+ * @param {string} pattern - Right context pattern
+ * @param {string} text - Padded word
+ * @param {number} pos - Index of the character just after the match
+ * @returns {boolean}
+ */
+function matchRight(pattern, text, pos) {
+    for (const symbol of pattern) {
+        switch (symbol) {
+            case '#':
+                if (!isVowel(text[pos])) return false;
+                while (isVowel(text[pos])) pos++;
+                break;
+            case ':':
+                while (isConsonant(text[pos])) pos++;
+                break;
+            case '^':
+                if (!isConsonant(text[pos])) return false;
+                pos++;
+                break;
+            case '.':
+                if (!VOICED_CONSONANTS.includes(text[pos])) return false;
+                pos++;
+                break;
+            case '+':
+                if (!FRONT_VOWELS.includes(text[pos])) return false;
+                pos++;
+                break;
+            case '%': {
+                const suffix = SUFFIXES.find(s => text.startsWith(s, pos));
+                if (!suffix) return false;
+                pos += suffix.length;
+                break;
+            }
+            case '@': {
+                const two = text.substr(pos, 2);
+                if (LONG_U_CONSONANTS.includes(two)) {
+                    pos += 2;
+                } else if (LONG_U_CONSONANTS.includes(text[pos])) {
+                    pos++;
+                } else {
+                    return false;
+                }
+                break;
+            }
+            case ' ':
+                if (/[A-Z]/.test(text[pos] || ' ')) return false;
+                pos++;
+                break;
+            default:
+                if (text[pos] !== symbol) return false;
+                pos++;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Create a converter for a rule table
+ * @param {string[]} [table=LETTER_RULES] - Rule table
+ * @returns {function(string): string[]} - Converts a word to phoneme codes
+ */
+function createLetterToSound(table = LETTER_RULES) {
+    const rules = compileRules(table);
+
+    return function letterToSound(word) {
+        const text = ` ${word.toUpperCase()} `;
+        const phonemes = [];
+        let pos = 1;
+
+        while (pos < text.length - 1) {
+            const candidates = rules[text[pos]] || [];
+            const rule = candidates.find(r =>
+                text.startsWith(r.match, pos) &&
+                matchLeft(r.left, text, pos - 1) &&
+                matchRight(r.right, text, pos + r.match.length)
+            );
+
+            if (rule) {
+                phonemes.push(...rule.phonemes);
+                pos += rule.match.length;
+            } else {
+                // No rule for this character (digits, apostrophes)
+                pos++;
+            }
+        }
+
+        return phonemes;
+    };
+}
+
+const letterToSound = createLetterToSound();
+
+module.exports = {
+    compileRules,
+    createLetterToSound,
+    letterToSound
+};
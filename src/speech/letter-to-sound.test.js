@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules, createLetterToSound, letterToSound } = require('./letter-to-sound');
+
+const WORDS = {
+    city: 'S IH T IY',
+    civil: 'S IH V IH L',
+    cite: 'S AY T',
+    hundred: 'HH AH N D R IH D',
+    judge: 'JH AH JH',
+    budget: 'B AH JH EH T',
+    bridge: 'B R IH JH',
+    happy: 'HH AE P IY',
+    student: 'S T UW D AX N T'
+};
+
+for (const [word, expected] of Object.entries(WORDS)) {
+    test(`letter rules pronounce "${word}"`, () => {
+        assert.equal(letterToSound(word).join(' '), expected);
+    });
+}
+
+test('rules are tried in order within a letter', () => {
+    const convert = createLetterToSound(['[C]+=S', '[C]=K', '[A]=AE', '[E]=EH', '[T]=T']);
+    assert.deepEqual(convert('cat'), ['K', 'AE', 'T']);
+    assert.deepEqual(convert('cet'), ['S', 'EH', 'T']);
+});
+
+test('malformed rules are rejected', () => {
+    assert.throws(() => compileRules(['C=K']), /Invalid letter-to-sound rule/);
+});
@@ -0,0 +1,83 @@
+/**
+ * LPC Data Parsing
+ *
+ * Accepts LPC bitstreams in the forms clients send them: raw bytes, hex
+ * (including C-array style "0xA5, 0x4F"), base64, or JSON byte arrays.
+ */
+
+/**
+ * Extract LPC bytes from a request body or message
+ *
+ * Accepts a binary body (application/octet-stream), a hex or base64 string
+ * (text/plain), or JSON with a `hex`, `base64` or `data` field. `data` may be
+ * a byte array or a string. Hex may use `0x` prefixes and commas, as in C arrays.
+ * Text made only of hex digits and those separators is read as hex and must
+ * hold whole bytes; other text must be padded base64. Malformed data of either
+ * kind is rejected rather than decoded as the other.
+ * @param {Buffer|string|Object} body - Parsed request body
+ * @returns {Uint8Array|null} - LPC bytes, or null if none could be parsed
+ */
+function parseLpcData(body) {
+    if (Buffer.isBuffer(body)) {
+        return body.length > 0 ? new Uint8Array(body) : null;
+    }
+
+    if (typeof body === 'string') {
+        const hex = stripHex(body);
+        return /^[0-9a-f]*$/i.test(hex) ? parseHex(hex) : parseBase64(body);
+    }
+
+    if (body && typeof body === 'object') {
+        if (typeof body.hex === 'string') {
+            return parseHex(stripHex(body.hex));
+        }
+        if (typeof body.base64 === 'string') {
+            return parseBase64(body.base64);
+        }
+        if (Array.isArray(body.data)) {
+            return body.data.every(b => Number.isInteger(b) && b >= 0 && b <= 255) && body.data.length > 0
+                ? Uint8Array.from(body.data)
+                : null;
+        }
+        if (typeof body.data === 'string') {
+            return parseLpcData(body.data);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Remove `0x` prefixes, commas and whitespace from hex text
+ * @param {string} text - Hex text
+ * @returns {string}
+ */
+function stripHex(text) {
+    return text.replace(/0x/gi, '').replace(/[\s,]/g, '');
+}
+
+/**
+ * Decode hex digits, rejecting odd lengths and non-hex characters
+ * @param {string} hex - Hex digits without separators
+ * @returns {Uint8Array|null}
+ */
+function parseHex(hex) {
+    return /^([0-9a-f]{2})+$/i.test(hex) ? new Uint8Array(Buffer.from(hex, 'hex')) : null;
+}
+
+/**
+ * Decode a base64 string, rejecting anything that is not valid, padded base64
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array|null}
+ */
+function parseBase64(text) {
+    const clean = text.replace(/\s/g, '');
+    if (!clean || clean.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(clean)) {
+        return null;
+    }
+    return new Uint8Array(Buffer.from(clean, 'base64'));
+}
+
+module.exports = {
+    parseLpcData
+};
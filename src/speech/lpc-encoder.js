@@ -0,0 +1,241 @@
+/**
+ * LPC Analysis Encoder
+ *
+ * Converts recorded speech into TMS5220 frames, in the spirit of the
+ * BlueWizard and python_wizard tools. For each 25ms frame:
+ * 1. Pre-emphasis boosts high frequencies, as in TI's original analysis
+ * 2. A Hamming window spanning two frames is applied around the frame center
+ * 3. Autocorrelation and Levinson-Durbin give the 10 reflection coefficients
+ * 4. The pitch detector tracks the period of the raw signal, and its
+ *    confidence decides voiced or unvoiced
+ * 5. Energy is set from the prediction residual so the chip's output level
+ *    matches the input
+ * The frames are then quantized to the chip tables and encoded.
+ */
+
+const { resample } = require('../audio/resample');
+const { readWav } = require('../audio/wav-reader');
+const { quantizeFrames, encodeFrames } = require('./frame-decoder');
+const { SAMPLE_RATE, SAMPLES_PER_FRAME } = require('../core/coefficients');
+const { trackPitch } = require('./pitch-detector');
+
+// LPC order of the TMS5220 lattice
+const ORDER = 10;
+
+// Chip output RMS (16-bit scale) per energy table unit with a flat filter.
+// Unvoiced noise is constant; a chirp pulse train scales with 1/sqrt(period).
+const UNVOICED_GAIN = 124;
+const VOICED_GAIN = 500;
+
+const DEFAULT_OPTIONS = {
+    preEmphasis: 0.9373,        // First-order pre-emphasis coefficient
+    pitchMethod: 'autocorrelation', // autocorrelation, amdf or cepstrum
+    voicingThreshold: 0.45,     // Minimum pitch confidence for voicing
+    silenceThreshold: 0.003,    // Frame RMS (full scale = 1.0) treated as silence
+    gain: 1.0,                  // Output level adjustment
+    variant: undefined          // Chip variant (defaults to tms5220)
+};
+
+/**
+ * Analyze audio into unquantized value frames
+ * @param {Float32Array|number[]} samples - Mono samples in the range -1.0 to 1.0
+ * @param {number} sampleRate - Sample rate of the input
+ * @param {Object} [options] - Analysis options (see DEFAULT_OPTIONS)
+ * @returns {Object[]} - Frames of { energy, pitch, k, voicing }
+ */
+function analyzeSamples(samples, sampleRate, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+
+    const signal = resample(samples, sampleRate, SAMPLE_RATE);
+    const emphasized = preEmphasize(signal, opts.preEmphasis);
+    const windowLength = SAMPLES_PER_FRAME * 2;
+    const window = hammingWindow(windowLength);
+
+    const pitchTrack = trackPitch(signal, {
+        method: opts.pitchMethod,
+        voicingThreshold: opts.voicingThreshold,
+        silenceThreshold: opts.silenceThreshold,
+        variant: opts.variant
+    });
+
+    const frameCount = Math.ceil(signal.length / SAMPLES_PER_FRAME);
+    const frames = [];
+
+    for (let f = 0; f < frameCount; f++) {
+        const frameStart = f * SAMPLES_PER_FRAME;
+        const windowStart = frameStart + SAMPLES_PER_FRAME / 2 - windowLength / 2;
+
+        const rms = frameRms(signal, frameStart, SAMPLES_PER_FRAME);
+        if (rms < opts.silenceThreshold) {
+            frames.push({ energy: 0, pitch: 0, k: new Array(ORDER).fill(0), voicing: 0 });
+            continue;
+        }
+
+        const segment = new Float64Array(windowLength);
+        for (let i = 0; i < windowLength; i++) {
+            const n = windowStart + i;
+            segment[i] = n >= 0 && n < emphasized.length ? emphasized[n] * window[i] : 0;
+        }
+
+        const r = autocorrelate(segment, ORDER);
+        const { k, error } = levinsonDurbin(r, ORDER);
+
+        const { voiced, period, confidence } = pitchTrack[f];
+
+        // Residual level in 16-bit units, converted to energy table units. The
+        // filter's gain of 1/sqrt(error) then restores the input level.
+        const residual = rms * Math.sqrt(error) * 32768 * opts.gain;
+        const energy = voiced
+            ? residual * Math.sqrt(period) / VOICED_GAIN
+            : residual / UNVOICED_GAIN;
+
+        frames.push({
+            energy,
+            pitch: period,
+            k: k.map(value => Math.round(value * 512)),
+            voicing: confidence
+        });
+    }
+
+    return frames;
+}
+
+/**
+ * Encode audio into quantized frames and an LPC bitstream
+ * @param {Float32Array|number[]} samples - Mono samples in the range -1.0 to 1.0
+ * @param {number} sampleRate - Sample rate of the input
+ * @param {Object} [options] - Analysis options (see DEFAULT_OPTIONS)
+ * @returns {{ frames: Object[], lpc: Uint8Array }}
+ */
+function encodeSamples(samples, sampleRate, options = {}) {
+    const frames = quantizeFrames(analyzeSamples(samples, sampleRate, options), options.variant);
+    return {
+        frames,
+        lpc: encodeFrames(frames, options.variant)
+    };
+}
+
+/**
+ * Encode a WAV file into quantized frames and an LPC bitstream
+ * @param {Buffer|Uint8Array} data - WAV file contents
+ * @param {Object} [options] - Analysis options (see DEFAULT_OPTIONS)
+ * @returns {{ frames: Object[], lpc: Uint8Array }}
+ */
+function encodeWav(data, options = {}) {
+    const { samples, sampleRate } = readWav(data);
+    return encodeSamples(samples, sampleRate, options);
+}
+
+/**
+ * Apply first-order pre-emphasis: y[n] = x[n] - a * x[n-1]
+ * @param {Float32Array} signal - Input signal
+ * @param {number} coefficient - Pre-emphasis coefficient
+ * @returns {Float32Array}
+ */
+function preEmphasize(signal, coefficient) {
+    const output = new Float32Array(signal.length);
+    let previous = 0;
+    for (let i = 0; i < signal.length; i++) {
+        output[i] = signal[i] - coefficient * previous;
+        previous = signal[i];
+    }
+    return output;
+}
+
+/**
+ * Create a Hamming window
+ * @param {number} length - Window length
+ * @returns {Float64Array}
+ */
+function hammingWindow(length) {
+    const window = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+        window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (length - 1));
+    }
+    return window;
+}
+
+/**
+ * RMS level of a frame (samples outside the signal count as zero)
+ * @param {Float32Array} signal - Input signal
+ * @param {number} start - First sample
+ * @param {number} length - Number of samples
+ * @returns {number}
+ */
+function frameRms(signal, start, length) {
+    let sum = 0;
+    for (let i = start; i < start + length && i < signal.length; i++) {
+        sum += signal[i] * signal[i];
+    }
+    return Math.sqrt(sum / length);
+}
+
+/**
+ * Autocorrelation for lags 0 to order
+ * @param {Float64Array} segment - Windowed samples
+ * @param {number} order - Highest lag
+ * @returns {Float64Array}
+ */
+function autocorrelate(segment, order) {
+    const r = new Float64Array(order + 1);
+    for (let lag = 0; lag <= order; lag++) {
+        let sum = 0;
+        for (let i = lag; i < segment.length; i++) {
+            sum += segment[i] * segment[i - lag];
+        }
+        r[lag] = sum;
+    }
+    return r;
+}
+
+/**
+ * Levinson-Durbin recursion
+ *
+ * Reflection coefficients use the chip's sign convention, where a lowpass
+ * spectrum gives a negative K1.
+ * @param {Float64Array} r - Autocorrelation, lags 0 to order
+ * @param {number} order - Predictor order
+ * @returns {{ k: number[], error: number }} - Reflection coefficients and
+ *   the residual energy as a fraction of r[0]
+ */
+function levinsonDurbin(r, order) {
+    const k = new Array(order).fill(0);
+
+    if (r[0] <= 0) {
+        return { k, error: 1 };
+    }
+
+    // A tiny white-noise floor keeps the recursion stable on pure tones
+    const r0 = r[0] * 1.0001;
+    let a = new Float64Array(order + 1);
+    a[0] = 1;
+    let error = r0;
+
+    for (let i = 1; i <= order; i++) {
+        let acc = r[i];
+        for (let j = 1; j < i; j++) {
+            acc += a[j] * r[i - j];
+        }
+
+        const ki = Math.max(-0.998, Math.min(0.998, -acc / error));
+        k[i - 1] = ki;
+
+        const next = Float64Array.from(a);
+        for (let j = 1; j < i; j++) {
+            next[j] = a[j] + ki * a[i - j];
+        }
+        next[i] = ki;
+        a = next;
+
+        error *= 1 - ki * ki;
+    }
+
+    return { k, error: error / r0 };
+}
+
+module.exports = {
+    analyzeSamples,
+    encodeSamples,
+    encodeWav,
+    levinsonDurbin
+};
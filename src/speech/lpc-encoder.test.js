@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeSamples, encodeSamples, encodeWav, levinsonDurbin } = require('./lpc-encoder');
+const { FrameType } = require('./frame-decoder');
+const { createWavBuffer } = require('../audio/wav-writer');
+const { PITCH_TABLE } = require('../core/coefficients');
+
+const PITCH_INDEX = 20;
+
+/**
+ * Half a second of a buzzy vowel-like tone: a decaying 700 Hz resonance
+ * struck once per pitch period
+ * @param {number} period - Pitch period in samples at 8 kHz
+ * @returns {Float32Array}
+ */
+function buzz(period) {
+    return Float32Array.from({ length: 4000 }, (_, n) => {
+        const t = n % period;
+        return 0.5 * Math.exp(-t / 12) * Math.cos(2 * Math.PI * 700 * t / 8000);
+    });
+}
+
+test('a periodic tone analyses to voiced frames at its pitch', () => {
+    const { frames, lpc } = encodeSamples(buzz(PITCH_TABLE[PITCH_INDEX]), 8000);
+
+    assert.equal(frames.length, 20);
+    assert.equal(frames[0].type, FrameType.VOICED);
+    for (const frame of frames) {
+        assert.ok(frame.type === FrameType.VOICED || frame.type === FrameType.REPEAT, frame.type);
+        assert.equal(frame.pitchIndex, PITCH_INDEX);
+    }
+    assert.ok(lpc.length > 0);
+});
+
+test('encodeWav analyses a 16-bit WAV file', () => {
+    const tone = buzz(PITCH_TABLE[PITCH_INDEX]);
+    const wav = createWavBuffer(Int16Array.from(tone, value => value * 32767), 8000);
+
+    assert.deepEqual(encodeWav(wav).frames.map(frame => frame.pitchIndex), new Array(20).fill(PITCH_INDEX));
+});
+
+test('noise analyses to unvoiced frames and silence to silent ones', () => {
+    let seed = 1;
+    const noise = Float32Array.from({ length: 4000 }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return 0.3 * (seed / 1073741824 - 1);
+    });
+    const samples = Float32Array.from([...new Float32Array(800), ...noise]);
+    const frames = analyzeSamples(samples, 8000);
+
+    assert.ok(frames.slice(0, 4).every(frame => frame.energy === 0));
+    const unvoiced = frames.slice(4).filter(frame => frame.pitch === 0).length;
+    assert.ok(unvoiced >= 18, `${unvoiced} of 20 noise frames unvoiced`);
+});
+
+test('levinsonDurbin gives a negative K1 for a lowpass spectrum', () => {
+    // Autocorrelation of a first-order lowpass process, a = 0.9; the noise
+    // floor added to r[0] moves the result slightly off the exact answer
+    const r = Float64Array.from({ length: 11 }, (_, lag) => 0.9 ** lag);
+    const { k, error } = levinsonDurbin(r, 10);
+
+    assert.ok(Math.abs(k[0] + 0.9) < 1e-3);
+    assert.ok(k.slice(1).every(value => Math.abs(value) < 1e-3));
+    assert.ok(Math.abs(error - 0.19) < 1e-3);
+});
@@ -0,0 +1,369 @@
+/**
+ * LPC Encoder Optimizer
+ *
+ * Decides how target frames are spent in the bitstream. On the TMS5220 a full
+ * voiced frame costs 50 bits, an unvoiced frame 29 and a repeat frame only
+ * 11, so the optimizer:
+ * - trims leading and trailing silence
+ * - merges runs of near-identical frames into their average
+ * - turns frames into REPEAT frames when their spectrum drifts less than a
+ *   threshold from the last transmitted K parameters
+ * - optionally raises those thresholds until the phrase fits a byte budget
+ *
+ * Spectral distance is the RMS difference in dB between two LPC envelopes,
+ * measured over the 0-4 kHz band.
+ */
+
+const { FrameType, quantizeFrame, encodeFrames } = require('./frame-decoder');
+const { SAMPLE_RATE, SAMPLES_PER_FRAME } = require('../core/coefficients');
+const { getChipVariant } = require('../core/chip-variants');
+
+const DEFAULT_OPTIONS = {
+    repeatThreshold: 2.0,       // Max spectral drift (dB) to send a REPEAT frame
+    mergeThreshold: 1.0,        // Max spectral distance (dB) to merge neighbors
+    trimSilence: true,          // Drop leading and trailing silence frames
+    byteBudget: null,           // Target size of the bitstream in bytes
+    variant: undefined          // Chip variant (defaults to tms5220)
+};
+
+// Largest threshold scale tried while searching for the byte budget
+const MAX_THRESHOLD_SCALE = 20;
+
+// Number of points sampled along the frequency axis
+const SPECTRUM_POINTS = 64;
+
+/**
+ * Optimize frames for size and encode them
+ * @param {Object[]} frames - Value frames ({ energy, pitch, k }) or typed frames from decodeFrames
+ * @param {Object} [options] - Optimizer options (see DEFAULT_OPTIONS)
+ * @returns {{ frames: Object[], lpc: Uint8Array, report: Object }}
+ */
+function optimizeFrames(frames, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+
+    let targets = toValueFrames(frames);
+    const trimmed = { leading: 0, trailing: 0 };
+
+    if (opts.trimSilence) {
+        while (targets.length > 0 && isSilent(targets[0], opts.variant)) {
+            targets.shift();
+            trimmed.leading++;
+        }
+        while (targets.length > 0 && isSilent(targets[targets.length - 1], opts.variant)) {
+            targets.pop();
+            trimmed.trailing++;
+        }
+    }
+
+    let scale = 1;
+    let result = encodePass(targets, opts, scale);
+
+    // Binary search for the smallest threshold scale that meets the budget
+    if (opts.byteBudget && result.lpc.length > opts.byteBudget) {
+        let low = 1;
+        let high = MAX_THRESHOLD_SCALE;
+        let best = encodePass(targets, opts, high);
+
+        if (best.lpc.length <= opts.byteBudget) {
+            for (let i = 0; i < 12; i++) {
+                const mid = (low + high) / 2;
+                const attempt = encodePass(targets, opts, mid);
+                if (attempt.lpc.length <= opts.byteBudget) {
+                    high = mid;
+                    best = attempt;
+                } else {
+                    low = mid;
+                }
+            }
+            scale = high;
+        } else {
+            scale = MAX_THRESHOLD_SCALE;
+        }
+        result = best;
+    }
+
+    const { frames: encoded, lpc, errors } = result;
+    const bitCount = countBits(encoded, opts.variant);
+    const duration = encoded.length * SAMPLES_PER_FRAME / SAMPLE_RATE;
+    const spoken = errors.filter((_, i) => encoded[i].type !== FrameType.SILENCE);
+
+    return {
+        frames: encoded,
+        lpc,
+        report: {
+            frameCount: encoded.length,
+            byteCount: lpc.length,
+            bitCount,
+            duration,
+            bitrate: duration > 0 ? Math.round(bitCount / duration) : 0,
+            frameTypes: countTypes(encoded),
+            trimmed,
+            repeatThreshold: opts.repeatThreshold * scale,
+            mergeThreshold: opts.mergeThreshold * scale,
+            byteBudget: opts.byteBudget,
+            fits: !opts.byteBudget || lpc.length <= opts.byteBudget,
+            frameErrors: errors.map(e => Math.round(e * 100) / 100),
+            meanError: spoken.length ? round2(spoken.reduce((a, b) => a + b, 0) / spoken.length) : 0,
+            maxError: spoken.length ? round2(Math.max(...spoken)) : 0
+        }
+    };
+}
+
+/**
+ * Run merging, quantization and repeat selection with scaled thresholds
+ * @returns {{ frames: Object[], lpc: Uint8Array, errors: number[] }}
+ */
+function encodePass(targets, opts, scale) {
+    const merged = mergeFrames(targets, opts.mergeThreshold * scale, opts.variant);
+    const repeatThreshold = opts.repeatThreshold * scale;
+
+    const frames = [];
+    const errors = [];
+    let held = null; // Last transmitted K-bearing frame
+
+    for (let i = 0; i < merged.length; i++) {
+        const quantized = quantizeFrame(merged[i], opts.variant);
+
+        if (quantized.type === FrameType.SILENCE) {
+            // The chip zeroes K during silence, so nothing is left to repeat
+            held = null;
+            frames.push(quantized);
+            errors.push(0);
+            continue;
+        }
+
+        const voiced = quantized.type === FrameType.VOICED;
+        const numK = voiced ? 10 : 4;
+        const sameVoicing = held && (held.type === FrameType.VOICED) === voiced;
+        const drift = sameVoicing ? spectralDistance(held.k, quantized.k, numK) : Infinity;
+
+        if (drift <= repeatThreshold) {
+            delete quantized.kIndices;
+            delete quantized.k;
+            quantized.type = FrameType.REPEAT;
+            quantized.repeat = true;
+        } else {
+            held = quantized;
+        }
+
+        frames.push(quantized);
+        errors.push(spectralDistance(targets[i].k || [], held.k, numK));
+    }
+
+    return { frames, lpc: encodeFrames(frames, opts.variant), errors };
+}
+
+/**
+ * Replace runs of near-identical frames with their average
+ * @returns {Object[]} - Value frames, same length as the input
+ */
+function mergeFrames(targets, threshold, variant) {
+    const merged = [];
+    let run = [];
+
+    const flush = () => {
+        if (run.length === 0) return;
+        const average = {
+            energy: mean(run.map(f => f.energy)),
+            pitch: run[0].pitch === 0 ? 0 : mean(run.map(f => f.pitch)),
+            k: Array.from({ length: 10 }, (_, i) => mean(run.map(f => (f.k && f.k[i]) || 0)))
+        };
+        for (let i = 0; i < run.length; i++) {
+            merged.push(average);
+        }
+        run = [];
+    };
+
+    for (const frame of targets) {
+        const first = run[0];
+        if (first && canMerge(first, frame, threshold, variant)) {
+            run.push(frame);
+        } else {
+            flush();
+            run.push(frame);
+        }
+    }
+    flush();
+
+    return merged;
+}
+
+/**
+ * Two frames merge when voicing matches, energy and pitch land within one
+ * table step and their spectra are within the threshold
+ */
+function canMerge(a, b, threshold, variant) {
+    if (threshold <= 0 || isSilent(a, variant) || isSilent(b, variant)) {
+        return false;
+    }
+
+    const qa = quantizeFrame(a, variant);
+    const qb = quantizeFrame(b, variant);
+    if ((qa.pitchIndex === 0) !== (qb.pitchIndex === 0)) {
+        return false;
+    }
+    if (Math.abs(qa.energyIndex - qb.energyIndex) > 1 || Math.abs(qa.pitchIndex - qb.pitchIndex) > 1) {
+        return false;
+    }
+
+    return spectralDistance(a.k || [], b.k || [], qa.pitchIndex === 0 ? 4 : 10) <= threshold;
+}
+
+/**
+ * Expand typed frames (with REPEAT, SILENCE and STOP) into value frames
+ * @param {Object[]} frames - Value or typed frames
+ * @returns {Object[]}
+ */
+function toValueFrames(frames) {
+    const values = [];
+    let k = new Array(10).fill(0);
+
+    for (const frame of frames) {
+        if (frame.type === FrameType.STOP) {
+            break;
+        }
+        if (frame.type === FrameType.SILENCE) {
+            values.push({ energy: 0, pitch: 0, k });
+            continue;
+        }
+        if (!frame.repeat && frame.k) {
+            k = frame.k;
+        }
+        values.push({ energy: frame.energy || 0, pitch: frame.pitch || 0, k });
+    }
+
+    return values;
+}
+
+/**
+ * Check a target frame before optimizing
+ *
+ * Frames may carry a type, as decodeFrames gives them; stop and silence
+ * frames need nothing else. All others need a numeric energy, and pitch and
+ * k must be numeric when present (repeat frames leave k out).
+ * @param {Object} frame - Value or typed frame
+ * @returns {string|null} - Why the frame cannot be optimized, or null if it can
+ */
+function validateTarget(frame) {
+    if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+        return 'Expected a frame object';
+    }
+    if (frame.type !== undefined && !Object.values(FrameType).includes(frame.type)) {
+        return `Unknown frame type: ${frame.type}`;
+    }
+    if (frame.type === FrameType.STOP || frame.type === FrameType.SILENCE) {
+        return null;
+    }
+    if (!Number.isFinite(frame.energy)) {
+        return 'Frames need a numeric energy';
+    }
+    if (frame.pitch !== undefined && !Number.isFinite(frame.pitch)) {
+        return 'pitch must be a number';
+    }
+    if (frame.k !== undefined && !(Array.isArray(frame.k) && frame.k.every(Number.isFinite))) {
+        return 'k must be an array of numbers';
+    }
+    return null;
+}
+
+function isSilent(frame, variant) {
+    return quantizeFrame(frame, variant).type === FrameType.SILENCE;
+}
+
+/**
+ * RMS difference in dB between the LPC envelopes of two K sets
+ * @param {number[]} kA - Reflection coefficients (x512, as in the K tables)
+ * @param {number[]} kB - Reflection coefficients (x512)
+ * @param {number} [numK=10] - Number of coefficients to compare
+ * @returns {number}
+ */
+function spectralDistance(kA, kB, numK = 10) {
+    const a = reflectionToPredictor(kA, numK);
+    const b = reflectionToPredictor(kB, numK);
+
+    let sum = 0;
+    for (let p = 0; p < SPECTRUM_POINTS; p++) {
+        const w = Math.PI * (p + 0.5) / SPECTRUM_POINTS;
+        const diff = envelopeDb(a, w) - envelopeDb(b, w);
+        sum += diff * diff;
+    }
+
+    return Math.sqrt(sum / SPECTRUM_POINTS);
+}
+
+/**
+ * Step-up recursion from reflection to direct-form predictor coefficients
+ * @returns {Float64Array} - a[0..numK] with a[0] = 1
+ */
+function reflectionToPredictor(k, numK) {
+    let a = new Float64Array(numK + 1);
+    a[0] = 1;
+
+    for (let i = 1; i <= numK; i++) {
+        const ki = (k[i - 1] || 0) / 512;
+        const next = Float64Array.from(a);
+        for (let j = 1; j < i; j++) {
+            next[j] = a[j] + ki * a[i - j];
+        }
+        next[i] = ki;
+        a = next;
+    }
+
+    return a;
+}
+
+/**
+ * LPC envelope level 1/|A(e^jw)| in dB
+ */
+function envelopeDb(a, w) {
+    let re = 0;
+    let im = 0;
+    for (let n = 0; n < a.length; n++) {
+        re += a[n] * Math.cos(w * n);
+        im -= a[n] * Math.sin(w * n);
+    }
+    return -10 * Math.log10(re * re + im * im + 1e-12);
+}
+
+/**
+ * Bits used by the frames, including the stop code (the last byte's padding
+ * is not counted)
+ */
+function countBits(frames, variant) {
+    const { energyBits, pitchBits, kBits } = getChipVariant(variant);
+    const header = energyBits + 1 + pitchBits;
+    const sumK = count => kBits.slice(0, count).reduce((a, b) => a + b, 0);
+
+    let bits = energyBits;
+    for (const frame of frames) {
+        switch (frame.type) {
+            case FrameType.SILENCE: bits += energyBits; break;
+            case FrameType.REPEAT: bits += header; break;
+            case FrameType.UNVOICED: bits += header + sumK(4); break;
+            default: bits += header + sumK(10);
+        }
+    }
+    return bits;
+}
+
+function countTypes(frames) {
+    const counts = {};
+    for (const frame of frames) {
+        counts[frame.type] = (counts[frame.type] || 0) + 1;
+    }
+    return counts;
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+    optimizeFrames,
+    spectralDistance,
+    validateTarget
+};
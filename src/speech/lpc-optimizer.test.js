@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeFrames, spectralDistance, validateTarget } = require('./lpc-optimizer');
+const { FrameType } = require('./frame-decoder');
+
+// K sets taken from the TMS5220 tables: two vowels 11.5 dB apart, and a
+// neighbor of the first 0.5 dB away
+const K_A = [-227, 105, 45, 61, 43, 143, -21, 29, 65, -59];
+const K_B = [-445, 354, -279, 283, -50, 54, 122, 219, -96, 234];
+const K_NEAR_A = [-250, 130, 45, 61, 43, 143, -21, 29, 65, -59];
+
+const voiced = k => ({ energy: 33, pitch: 46, k });
+const silence = { energy: 0, pitch: 0, k: new Array(10).fill(0) };
+const types = result => result.frames.map(frame => frame.type);
+
+test('spectralDistance is zero for identical K and symmetric otherwise', () => {
+    assert.equal(spectralDistance(K_A, K_A), 0);
+    assert.equal(spectralDistance(K_A, [...K_A]), 0);
+
+    const distance = spectralDistance(K_A, K_B);
+    assert.ok(distance > 10);
+    assert.ok(Math.abs(distance - spectralDistance(K_B, K_A)) < 1e-9);
+    assert.ok(spectralDistance(K_A, K_NEAR_A) < 1);
+});
+
+test('leading and trailing silence is trimmed', () => {
+    const result = optimizeFrames([silence, silence, voiced(K_A), voiced(K_B), silence]);
+
+    assert.deepEqual(result.report.trimmed, { leading: 2, trailing: 1 });
+    assert.deepEqual(types(result), [FrameType.VOICED, FrameType.VOICED]);
+
+    const kept = optimizeFrames([silence, voiced(K_A), silence], { trimSilence: false });
+    assert.deepEqual(types(kept), [FrameType.SILENCE, FrameType.VOICED, FrameType.SILENCE]);
+});
+
+test('frames within the repeat threshold of the held K become REPEAT frames', () => {
+    const result = optimizeFrames([voiced(K_A), voiced(K_NEAR_A), voiced(K_A), voiced(K_B)], { mergeThreshold: 0 });
+
+    assert.deepEqual(types(result), [FrameType.VOICED, FrameType.REPEAT, FrameType.REPEAT, FrameType.VOICED]);
+    assert.equal(result.frames[1].kIndices, undefined);
+    assert.equal(result.frames[1].repeat, true);
+    // Errors are measured against the K the chip is actually holding
+    assert.deepEqual(result.report.frameErrors, [0, 0.5, 0, 0]);
+    assert.equal(result.report.bitCount, 4 + 50 + 11 + 11 + 50);
+
+    const strict = optimizeFrames([voiced(K_A), voiced(K_NEAR_A)], { mergeThreshold: 0, repeatThreshold: 0 });
+    assert.deepEqual(types(strict), [FrameType.VOICED, FrameType.VOICED]);
+});
+
+test('a frame after silence is sent in full, not repeated', () => {
+    const result = optimizeFrames([voiced(K_A), silence, voiced(K_A)]);
+
+    assert.deepEqual(types(result), [FrameType.VOICED, FrameType.SILENCE, FrameType.VOICED]);
+    assert.deepEqual(result.frames[2].k, result.frames[0].k);
+    assert.deepEqual(result.report.frameErrors, [0, 0, 0]);
+});
+
+test('near-identical neighbors are merged into their average', () => {
+    const frames = [voiced(K_A), voiced(K_NEAR_A)];
+
+    const separate = optimizeFrames(frames, { mergeThreshold: 0, repeatThreshold: 0 });
+    assert.notDeepEqual(separate.frames[0].kIndices, separate.frames[1].kIndices);
+
+    // Merged frames share one K set, so even a zero repeat threshold repeats
+    const merged = optimizeFrames(frames, { mergeThreshold: 5, repeatThreshold: 0 });
+    assert.deepEqual(types(merged), [FrameType.VOICED, FrameType.REPEAT]);
+
+    // Voicing changes are never merged
+    const mixed = optimizeFrames([voiced(K_A), { ...voiced(K_A), pitch: 0 }], { mergeThreshold: 50, repeatThreshold: 0 });
+    assert.deepEqual(types(mixed), [FrameType.VOICED, FrameType.UNVOICED]);
+});
+
+test('the byte budget raises the thresholds just enough to fit', () => {
+    // A glide from one vowel to the other over 12 frames
+    const glide = Array.from({ length: 12 }, (_, i) => voiced(K_A.map((a, j) => Math.round(a + (K_B[j] - a) * i / 11))));
+    const unbounded = optimizeFrames(glide, { mergeThreshold: 0 });
+
+    for (const byteBudget of [40, 30]) {
+        const result = optimizeFrames(glide, { mergeThreshold: 0, byteBudget });
+        assert.ok(result.report.fits);
+        assert.ok(result.lpc.length <= byteBudget);
+        assert.ok(result.report.repeatThreshold > 2);
+        assert.ok(result.report.frameTypes.repeat > unbounded.report.frameTypes.repeat);
+    }
+
+    // A budget that is already met leaves the thresholds alone
+    assert.equal(optimizeFrames(glide, { byteBudget: 1000 }).report.repeatThreshold, 2);
+
+    // One that cannot be met stops at the largest scale and says so
+    const impossible = optimizeFrames(glide, { mergeThreshold: 0, byteBudget: 10 });
+    assert.equal(impossible.report.fits, false);
+    assert.equal(impossible.report.repeatThreshold, 40);
+});
+
+test('validateTarget accepts value and decoded frames and rejects the rest', () => {
+    assert.equal(validateTarget(voiced(K_A)), null);
+    assert.equal(validateTarget({ type: FrameType.REPEAT, energy: 33, pitch: 46 }), null);
+    assert.equal(validateTarget({ type: FrameType.SILENCE }), null);
+
+    assert.match(validateTarget(null), /frame object/);
+    assert.match(validateTarget([1, 2]), /frame object/);
+    assert.match(validateTarget({ type: 'loud', energy: 1 }), /Unknown frame type/);
+    assert.match(validateTarget({ pitch: 46 }), /numeric energy/);
+    assert.match(validateTarget({ energy: 33, pitch: '46' }), /pitch/);
+    assert.match(validateTarget({ energy: 33, k: [1, null] }), /k must be/);
+});
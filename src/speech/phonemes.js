@@ -38,6 +38,7 @@ const PHONEMES = {
     ' ': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 2),      // Space
     '.': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 6),      // Period pause
     ',': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 4),      // Comma pause
+    '?': createFrame(0, 0, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 6),      // Question pause
 
     // Vowels (voiced, use pitch)
     'AA': [  // "father"
@@ -228,25 +229,95 @@ const PHONEME_ALIASES = {
     'WH': 'W',     // "which" (some dialects)
 };
 
+// Prosodic changes for CMUdict stress digits (0 = unstressed, 1 = primary,
+// 2 = secondary). Energy and pitch are steps in ENERGY_TABLE and PITCH_TABLE;
+// a negative pitch step is a shorter period, i.e. a higher voice.
+const STRESS_PROFILES = {
+    0: { energy: -1, pitch: 1, duration: 0.75 },
+    1: { energy: 1, pitch: -2, duration: 1.25 },
+    2: { energy: 0, pitch: -1, duration: 1.0 }
+};
+
+/**
+ * Split a phoneme code into its base code and stress digit
+ * @param {string} phoneme - Phoneme code, e.g. "AH0" or "S"
+ * @returns {{ phoneme: string, stress: number|null }}
+ */
+function splitStress(phoneme) {
+    const match = /^([A-Z]+)([012])$/i.exec(phoneme);
+    return match
+        ? { phoneme: match[1], stress: Number(match[2]) }
+        : { phoneme, stress: null };
+}
+
+/**
+ * Apply a stress profile to a phoneme's frames
+ * @param {Object[]} frames - Phoneme frames
+ * @param {number} stress - Stress digit (0, 1 or 2)
+ * @returns {Object[]} - New frames
+ */
+function applyStress(frames, stress) {
+    const profile = STRESS_PROFILES[stress];
+    if (!profile) {
+        return frames;
+    }
+
+    const length = Math.max(1, Math.round(frames.length * profile.duration));
+    const stressed = [];
+
+    for (let i = 0; i < length; i++) {
+        const frame = frames[Math.min(frames.length - 1, Math.floor(i * frames.length / length))];
+        stressed.push({
+            energy: stepTable(ENERGY_TABLE, frame.energy, profile.energy),
+            pitch: stepTable(PITCH_TABLE, frame.pitch, profile.pitch),
+            k: frame.k
+        });
+    }
+
+    return stressed;
+}
+
+/**
+ * Move a value a number of steps through a coefficient table, never into or
+ * out of index 0 (silence / unvoiced) and never onto the energy stop code
+ */
+function stepTable(table, value, steps) {
+    if (value === 0 || steps === 0) {
+        return value;
+    }
+
+    let closest = 1;
+    for (let i = 1; i < table.length; i++) {
+        if (table[i] !== 0 && Math.abs(table[i] - value) < Math.abs(table[closest] - value)) {
+            closest = i;
+        }
+    }
+
+    let last = table.length - 1;
+    while (table[last] === 0) last--;
+
+    return table[Math.max(1, Math.min(last, closest + steps))];
+}
+
 /**
  * Get the frames for a phoneme
- * @param {string} phoneme - Phoneme code (e.g., "AA", "B", "S")
+ * @param {string} phoneme - Phoneme code (e.g., "AA", "B", "S"), optionally
+ *   with a stress digit (e.g., "AH0", "EY1")
  * @returns {Object[]|null} - Array of LPC frames, or null if not found
  */
 function getPhonemeFrames(phoneme) {
-    const upper = phoneme.toUpperCase();
+    const { phoneme: code, stress } = splitStress(phoneme);
+    const upper = code.toUpperCase();
+    let frames = null;
 
-    // Check main phoneme library
+    // Check main phoneme library, then aliases
     if (PHONEMES[upper]) {
-        return PHONEMES[upper];
-    }
-
-    // Check aliases
-    if (PHONEME_ALIASES[upper] && PHONEMES[PHONEME_ALIASES[upper]]) {
-        return PHONEMES[PHONEME_ALIASES[upper]];
+        frames = PHONEMES[upper];
+    } else if (PHONEME_ALIASES[upper] && PHONEMES[PHONEME_ALIASES[upper]]) {
+        frames = PHONEMES[PHONEME_ALIASES[upper]];
     }
 
-    return null;
+    return frames && stress !== null ? applyStress(frames, stress) : frames;
 }
 
 /**
@@ -307,6 +378,7 @@ function getPhonemeInfo(phoneme) {
         ' ': { example: '(space)', type: 'silence' },
         '.': { example: '(period)', type: 'silence' },
         ',': { example: '(comma)', type: 'silence' },
+        '?': { example: '(question)', type: 'silence' },
     };
 
     return descriptions[phoneme.toUpperCase()] || null;
@@ -315,7 +387,9 @@ function getPhonemeInfo(phoneme) {
 module.exports = {
     PHONEMES,
     PHONEME_ALIASES,
+    STRESS_PROFILES,
     getPhonemeFrames,
+    splitStress,
     listPhonemes,
     getPhonemeInfo
 };
@@ -0,0 +1,425 @@
+/**
+ * Pitch Detector
+ *
+ * Tracks the pitch period of recorded speech once per 25ms chip frame and
+ * maps it to pitch table indices. Three estimators are available:
+ * - autocorrelation: normalized cross-correlation of the window with itself
+ * - amdf: average magnitude difference function (dips at the period)
+ * - cepstrum: peak of the real cepstrum (inverse FFT of the log spectrum)
+ *
+ * The time-domain methods work on a low-passed copy of the signal so formant
+ * ringing in fricatives does not look periodic. Each estimator scores
+ * candidate periods between 0 and 1, and only local peaks count; the best
+ * peak is the frame's voicing confidence.
+ *
+ * Octave errors are corrected in two passes: per frame, a submultiple of the
+ * chosen period wins if it scores nearly as well; across frames, periods that
+ * jump an octave away from their neighbors are pulled back when the estimator
+ * supports the alternative.
+ */
+
+const { resample } = require('../audio/resample');
+const { findClosestPitchIndex } = require('./frame-decoder');
+const { SAMPLE_RATE, SAMPLES_PER_FRAME } = require('../core/coefficients');
+const { getChipVariant } = require('../core/chip-variants');
+
+const METHODS = ['autocorrelation', 'amdf', 'cepstrum'];
+
+const DEFAULT_OPTIONS = {
+    method: 'autocorrelation',
+    voicingThreshold: 0.45,     // Minimum confidence for a voiced frame
+    silenceThreshold: 0.003,    // Frame RMS (full scale = 1.0) treated as silence
+    octaveTolerance: 0.85,      // Submultiple score needed to replace a period
+    variant: undefined          // Chip variant (defaults to tms5220)
+};
+
+// FFT size for the cepstrum (covers a two-frame window)
+const CEPSTRUM_SIZE = 512;
+
+// Cutoff of the pre-filter for the time-domain methods (Hz)
+const LOWPASS_CUTOFF = 900;
+
+/**
+ * Track pitch in audio at any sample rate
+ * @param {Float32Array|number[]} samples - Mono samples in the range -1.0 to 1.0
+ * @param {number} sampleRate - Sample rate of the input
+ * @param {Object} [options] - Detector options (see DEFAULT_OPTIONS)
+ * @returns {Object[]} - One entry per frame (see trackPitch)
+ */
+function analyzePitch(samples, sampleRate, options = {}) {
+    return trackPitch(resample(samples, sampleRate, SAMPLE_RATE), options);
+}
+
+/**
+ * Track pitch in a signal at the chip sample rate
+ * @param {Float32Array} signal - Samples at 8 kHz
+ * @param {Object} [options] - Detector options (see DEFAULT_OPTIONS)
+ * @returns {Object[]} - Frames of { index, time, voiced, confidence, period,
+ *   frequency, pitchIndex, pitch } where pitch is the quantized table value
+ */
+function trackPitch(signal, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const { pitchTable } = getChipVariant(opts.variant);
+    const estimator = getEstimator(opts.method);
+    const analyzed = opts.method === 'cepstrum' ? signal : lowpass(signal, LOWPASS_CUTOFF);
+
+    // Search range covers the voiced entries of the pitch table
+    const minLag = pitchTable[1];
+    const maxLag = pitchTable[pitchTable.length - 1];
+    const windowLength = SAMPLES_PER_FRAME * 2;
+
+    const frameCount = Math.ceil(signal.length / SAMPLES_PER_FRAME);
+    const frames = [];
+
+    for (let f = 0; f < frameCount; f++) {
+        const frameStart = f * SAMPLES_PER_FRAME;
+        const windowStart = frameStart + SAMPLES_PER_FRAME / 2 - windowLength / 2;
+
+        const frame = { index: f, time: frameStart / SAMPLE_RATE, period: 0, confidence: 0, score: null };
+
+        if (frameRms(signal, frameStart, SAMPLES_PER_FRAME) >= opts.silenceThreshold) {
+            const segment = extract(analyzed, windowStart, windowLength + maxLag + 1);
+            const score = estimator(segment, windowLength, minLag, maxLag);
+            const { lag, value } = bestLag(score, minLag, maxLag);
+
+            frame.period = correctSubmultiple(score, lag, value, minLag, opts.octaveTolerance);
+            frame.confidence = Math.max(0, Math.min(1, score(frame.period)));
+            frame.score = score;
+        }
+
+        frames.push(frame);
+    }
+
+    smoothOctaves(frames, opts, minLag, maxLag);
+
+    return frames.map(frame => {
+        const voiced = frame.confidence >= opts.voicingThreshold;
+        const pitchIndex = voiced ? findClosestPitchIndex(frame.period, opts.variant) : 0;
+        return {
+            index: frame.index,
+            time: frame.time,
+            voiced,
+            confidence: Math.round(frame.confidence * 1000) / 1000,
+            period: voiced ? frame.period : 0,
+            frequency: voiced ? Math.round(SAMPLE_RATE / frame.period * 10) / 10 : 0,
+            pitchIndex,
+            pitch: pitchTable[pitchIndex]
+        };
+    });
+}
+
+/**
+ * Get the scoring function factory for a method
+ * @param {string} method - One of METHODS
+ * @returns {Function}
+ */
+function getEstimator(method) {
+    switch (method) {
+        case 'autocorrelation': return autocorrelationScore;
+        case 'amdf': return amdfScore;
+        case 'cepstrum': return cepstrumScore;
+        default:
+            throw new Error(`Unknown pitch method: ${method} (expected one of ${METHODS.join(', ')})`);
+    }
+}
+
+/**
+ * Normalized autocorrelation: 1 for a perfectly periodic window
+ * @param {Float64Array} segment - Window followed by maxLag look-ahead samples
+ * @param {number} length - Window length
+ * @returns {function(number): number} - Score for a lag
+ */
+function autocorrelationScore(segment, length) {
+    const cache = new Map();
+    return lag => {
+        if (!cache.has(lag)) {
+            let sum = 0;
+            let energyA = 0;
+            let energyB = 0;
+            for (let i = 0; i < length; i++) {
+                sum += segment[i] * segment[i + lag];
+                energyA += segment[i] * segment[i];
+                energyB += segment[i + lag] * segment[i + lag];
+            }
+            cache.set(lag, energyA > 0 && energyB > 0 ? sum / Math.sqrt(energyA * energyB) : 0);
+        }
+        return cache.get(lag);
+    };
+}
+
+/**
+ * AMDF: 1 - D(lag) / mean(D), so deep dips at the period score near 1
+ * @param {Float64Array} segment - Window followed by maxLag look-ahead samples
+ * @param {number} length - Window length
+ * @param {number} minLag - Shortest period
+ * @param {number} maxLag - Longest period
+ * @returns {function(number): number} - Score for a lag
+ */
+function amdfScore(segment, length, minLag, maxLag) {
+    const amdf = new Float64Array(maxLag + 2);
+    let mean = 0;
+
+    // One extra lag on each side so peaks at the range limits can be judged
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            sum += Math.abs(segment[i] - segment[i + lag]);
+        }
+        amdf[lag] = sum / length;
+        if (lag >= minLag && lag <= maxLag) {
+            mean += amdf[lag];
+        }
+    }
+    mean /= maxLag - minLag + 1;
+
+    return lag => (mean > 0 && lag >= minLag - 1 && lag <= maxLag + 1 ? 1 - amdf[lag] / mean : 0);
+}
+
+/**
+ * Cepstrum: peak prominence over the searched quefrency range
+ * @param {Float64Array} segment - Window followed by maxLag look-ahead samples
+ * @param {number} length - Window length
+ * @param {number} minLag - Shortest period
+ * @param {number} maxLag - Longest period
+ * @returns {function(number): number} - Score for a lag
+ */
+function cepstrumScore(segment, length, minLag, maxLag) {
+    const size = CEPSTRUM_SIZE;
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+
+    const n = Math.min(length, size);
+    for (let i = 0; i < n; i++) {
+        re[i] = segment[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+    }
+
+    fft(re, im);
+    for (let i = 0; i < size; i++) {
+        re[i] = Math.log(Math.hypot(re[i], im[i]) + 1e-9);
+        im[i] = 0;
+    }
+    fft(re, im);
+
+    // Real cepstrum (the inverse FFT of a real, even spectrum is real)
+    const cepstrum = new Float64Array(maxLag + 2);
+    let mean = 0;
+    for (let q = minLag - 1; q <= maxLag + 1; q++) {
+        cepstrum[q] = re[q] / size;
+    }
+    for (let q = minLag; q <= maxLag; q++) {
+        mean += cepstrum[q];
+    }
+    const count = maxLag - minLag + 1;
+    mean /= count;
+
+    let variance = 0;
+    for (let q = minLag; q <= maxLag; q++) {
+        variance += (cepstrum[q] - mean) ** 2;
+    }
+    const deviation = Math.sqrt(variance / count);
+
+    // Noise peaks sit around 3 standard deviations; clear voicing well above 8
+    return lag => {
+        if (deviation === 0 || lag < minLag - 1 || lag > maxLag + 1) {
+            return 0;
+        }
+        return Math.max(0, Math.min(1, ((cepstrum[lag] - mean) / deviation - 3) / 5));
+    };
+}
+
+/**
+ * Find the highest scoring local peak
+ * @returns {{ lag: number, value: number }} - value is 0 if there is no peak
+ */
+function bestLag(score, minLag, maxLag) {
+    let lag = minLag;
+    let value = 0;
+    for (let l = minLag; l <= maxLag; l++) {
+        const s = score(l);
+        if (s > value && s > score(l - 1) && s >= score(l + 1)) {
+            value = s;
+            lag = l;
+        }
+    }
+    return { lag, value };
+}
+
+/**
+ * Prefer the shortest submultiple of a period that scores nearly as well,
+ * fixing estimators that lock onto two or three periods
+ * @returns {number} - Corrected period
+ */
+function correctSubmultiple(score, lag, value, minLag, tolerance) {
+    for (let divisor = 3; divisor >= 2; divisor--) {
+        const candidate = localBest(score, Math.round(lag / divisor), minLag, lag);
+        if (candidate >= minLag && score(candidate) >= tolerance * value) {
+            return candidate;
+        }
+    }
+    return lag;
+}
+
+/**
+ * Pull isolated octave jumps back toward the neighboring pitch contour
+ */
+function smoothOctaves(frames, opts, minLag, maxLag) {
+    for (let f = 0; f < frames.length; f++) {
+        const frame = frames[f];
+        if (!frame.score || frame.confidence < opts.voicingThreshold) {
+            continue;
+        }
+
+        const neighbors = [];
+        for (let n = Math.max(0, f - 2); n <= Math.min(frames.length - 1, f + 2); n++) {
+            if (n !== f && frames[n].score && frames[n].confidence >= opts.voicingThreshold) {
+                neighbors.push(frames[n].period);
+            }
+        }
+        if (neighbors.length < 2) {
+            continue;
+        }
+
+        neighbors.sort((a, b) => a - b);
+        const median = neighbors[Math.floor(neighbors.length / 2)];
+        const ratio = frame.period / median;
+
+        for (const factor of [2, 0.5]) {
+            if (Math.abs(ratio - factor) / factor < 0.15) {
+                const candidate = localBest(frame.score, median, minLag, maxLag);
+                if (frame.score(candidate) >= 0.7 * frame.confidence) {
+                    frame.period = candidate;
+                    frame.confidence = Math.max(0, Math.min(1, frame.score(candidate)));
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Best scoring lag within 10% of a target period
+ * @returns {number}
+ */
+function localBest(score, target, minLag, maxLag) {
+    const span = Math.max(1, Math.round(target * 0.1));
+    let best = target;
+    let value = -Infinity;
+    for (let l = Math.max(minLag, target - span); l <= Math.min(maxLag, target + span); l++) {
+        const s = score(l);
+        if (s > value) {
+            value = s;
+            best = l;
+        }
+    }
+    return best;
+}
+
+/**
+ * Copy a DC-removed slice of the signal (zero outside its bounds)
+ * @returns {Float64Array}
+ */
+function extract(signal, start, length) {
+    const segment = new Float64Array(length);
+    let mean = 0;
+    for (let i = 0; i < length; i++) {
+        const n = start + i;
+        segment[i] = n >= 0 && n < signal.length ? signal[n] : 0;
+        mean += segment[i];
+    }
+    mean /= length;
+    for (let i = 0; i < length; i++) {
+        segment[i] -= mean;
+    }
+    return segment;
+}
+
+/**
+ * Fourth-order Butterworth lowpass (two cascaded biquads)
+ * @param {Float32Array} signal - Samples at the chip rate
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @returns {Float32Array}
+ */
+function lowpass(signal, cutoff) {
+    let output = Float32Array.from(signal);
+
+    // Q values of the two sections of a 4th-order Butterworth
+    for (const q of [0.5412, 1.3066]) {
+        const w = 2 * Math.PI * cutoff / SAMPLE_RATE;
+        const alpha = Math.sin(w) / (2 * q);
+        const cos = Math.cos(w);
+        const a0 = 1 + alpha;
+        const b0 = (1 - cos) / 2 / a0;
+        const b1 = (1 - cos) / a0;
+        const a1 = -2 * cos / a0;
+        const a2 = (1 - alpha) / a0;
+
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        const input = output;
+        output = new Float32Array(input.length);
+        for (let i = 0; i < input.length; i++) {
+            const x = input[i];
+            const y = b0 * x + b1 * x1 + b0 * x2 - a1 * y1 - a2 * y2;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+            output[i] = y;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * RMS level of a frame (samples outside the signal count as zero)
+ * @returns {number}
+ */
+function frameRms(signal, start, length) {
+    let sum = 0;
+    for (let i = start; i < start + length && i < signal.length; i++) {
+        sum += signal[i] * signal[i];
+    }
+    return Math.sqrt(sum / length);
+}
+
+/**
+ * In-place radix-2 complex FFT
+ * @param {Float64Array} re - Real parts
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const wr = Math.cos(angle * k);
+                const wi = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+module.exports = {
+    METHODS,
+    analyzePitch,
+    trackPitch
+};
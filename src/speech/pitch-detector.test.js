@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { METHODS, analyzePitch, trackPitch } = require('./pitch-detector');
+const { PITCH_TABLE } = require('../core/coefficients');
+
+const PITCH_INDEX = 30;
+
+/**
+ * Half a second of a pulse train at 8 kHz
+ * @param {number} period - Samples between pulses
+ * @returns {Float32Array}
+ */
+function pulseTrain(period) {
+    return Float32Array.from({ length: 4000 }, (_, n) => n % period === 0 ? 0.8 : 0);
+}
+
+/**
+ * Sine tone
+ * @param {number} frequency - Tone frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} length - Number of samples
+ * @returns {Float32Array}
+ */
+function sine(frequency, sampleRate, length) {
+    return Float32Array.from({ length }, (_, n) => 0.5 * Math.sin(2 * Math.PI * frequency * n / sampleRate));
+}
+
+/**
+ * Half a second of white noise from a fixed seed
+ * @returns {Float32Array}
+ */
+function noise() {
+    let seed = 1;
+    return Float32Array.from({ length: 4000 }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return 0.3 * (seed / 1073741824 - 1);
+    });
+}
+
+for (const method of METHODS) {
+    test(`${method} finds the period of a pulse train`, () => {
+        const frames = trackPitch(pulseTrain(PITCH_TABLE[PITCH_INDEX]), { method });
+
+        assert.equal(frames.length, 20);
+        for (const frame of frames) {
+            assert.equal(frame.voiced, true);
+            assert.equal(frame.period, PITCH_TABLE[PITCH_INDEX]);
+            assert.equal(frame.pitchIndex, PITCH_INDEX);
+            assert.equal(frame.pitch, PITCH_TABLE[PITCH_INDEX]);
+        }
+    });
+
+    test(`${method} marks noise unvoiced`, () => {
+        for (const frame of trackPitch(noise(), { method })) {
+            assert.equal(frame.voiced, false);
+            assert.equal(frame.period, 0);
+            assert.equal(frame.pitchIndex, 0);
+        }
+    });
+}
+
+test('the time-domain methods find the period of a sine', () => {
+    // 200 Hz is a 40-sample period at 8 kHz. The cepstrum needs harmonics, so
+    // a pure tone is left to the other two methods.
+    for (const method of ['autocorrelation', 'amdf']) {
+        const frames = trackPitch(sine(200, 8000, 4000), { method });
+        assert.ok(frames.every(frame => frame.voiced && frame.period === 40 && frame.frequency === 200), method);
+    }
+});
+
+test('silence is unvoiced with zero confidence', () => {
+    const frames = trackPitch(new Float32Array(1000));
+
+    assert.equal(frames.length, 5);
+    assert.ok(frames.every(frame => !frame.voiced && frame.confidence === 0));
+});
+
+test('analyzePitch resamples to the chip rate first', () => {
+    const frames = analyzePitch(sine(125, 44100, 22050), 44100);
+
+    assert.equal(frames.length, 20);
+    assert.ok(frames.every(frame => frame.voiced && frame.period === 64));
+});
+
+test('unknown methods are rejected', () => {
+    assert.throws(() => trackPitch(new Float32Array(200), { method: 'yin' }), /Unknown pitch method: yin/);
+});
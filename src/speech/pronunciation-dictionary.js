@@ -0,0 +1,230 @@
+/**
+ * Pronunciation Dictionary
+ *
+ * Loads CMUdict-format pronunciation files:
+ *
+ *   ;;; comment
+ *   HELLO  HH AH0 L OW1
+ *   READ  R EH1 D
+ *   READ(1)  R IY1 D
+ *
+ * The ARPAbet symbols match this project's phoneme codes. Vowels keep their
+ * stress digit (0 = unstressed, 1 = primary, 2 = secondary), which
+ * getPhonemeFrames turns into energy, pitch and duration changes.
+ *
+ * Entries are stored as one sorted, newline-separated string with a table of
+ * line offsets, and looked up by binary search. The full CMUdict (about
+ * 135,000 words) then costs a few megabytes as a single string rather than
+ * hundreds of thousands of small objects, which matters in the browser.
+ */
+
+// Alternate pronunciations are marked WORD(1), WORD(2), ...
+const VARIANT_PATTERN = /^(.+)\((\d+)\)$/;
+
+class PronunciationDictionary {
+    /**
+     * @param {string} [text] - CMUdict-format text to load
+     */
+    constructor(text) {
+        this.data = '';
+        this.offsets = new Uint32Array(0);
+
+        if (text) {
+            this.load(text);
+        }
+    }
+
+    /**
+     * Number of entries, counting alternate pronunciations
+     * @returns {number}
+     */
+    get size() {
+        return this.offsets.length;
+    }
+
+    /**
+     * Add the entries of a CMUdict-format file. Entries for words that are
+     * already present replace the existing ones.
+     * @param {string} text - File contents
+     * @returns {number} - Number of entries read from the text
+     */
+    load(text) {
+        const incoming = new Map();
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith(';;;')) {
+                continue;
+            }
+
+            const [key, ...phonemes] = line.split(/\s+/);
+            if (phonemes.length === 0) {
+                continue;
+            }
+
+            // Some CMUdict releases append "# comment" to a pronunciation
+            const hash = phonemes.indexOf('#');
+            const pronunciation = (hash >= 0 ? phonemes.slice(0, hash) : phonemes).join(' ').toUpperCase();
+            incoming.set(key.toUpperCase(), pronunciation);
+        }
+
+        if (incoming.size === 0) {
+            return 0;
+        }
+
+        const words = new Set([...incoming.keys()].map(baseWord));
+        const entries = [];
+        for (let i = 0; i < this.offsets.length; i++) {
+            const entry = this.entryAt(i);
+            if (!words.has(baseWord(entry.key))) {
+                entries.push(`${entry.key} ${entry.pronunciation}`);
+            }
+        }
+        for (const [key, pronunciation] of incoming) {
+            entries.push(`${key} ${pronunciation}`);
+        }
+
+        entries.sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+        this.pack(entries);
+
+        return incoming.size;
+    }
+
+    /**
+     * Look up the preferred pronunciation of a word
+     * @param {string} word - Word to look up (any case)
+     * @returns {string[]|null} - Phoneme codes with stress digits, e.g.
+     *   ["HH", "AH0", "L", "OW1"], or null if the word is not in the dictionary
+     */
+    lookup(word) {
+        const index = this.find(word.toUpperCase());
+        return index < 0 ? null : this.entryAt(index).pronunciation.split(' ');
+    }
+
+    /**
+     * List every pronunciation of a word, preferred first
+     * @param {string} word - Word to look up (any case)
+     * @returns {string[][]} - Phoneme arrays (empty if not found)
+     */
+    variants(word) {
+        const upper = word.toUpperCase();
+        const results = [];
+
+        const first = this.lookup(upper);
+        if (first) {
+            results.push(first);
+        }
+
+        // Variant numbering starts at 1 or 2 depending on the release
+        for (let n = 1; n < 10; n++) {
+            const index = this.find(`${upper}(${n})`);
+            if (index >= 0) {
+                results.push(this.entryAt(index).pronunciation.split(' '));
+            } else if (n > 1) {
+                break;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * @param {string} word - Word to look up (any case)
+     * @returns {boolean}
+     */
+    has(word) {
+        return this.find(word.toUpperCase()) >= 0;
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.pack([]);
+    }
+
+    /**
+     * Serialize back to CMUdict format
+     * @returns {string}
+     */
+    toString() {
+        return this.data.replace(/^(\S+) /gm, '$1  ');
+    }
+
+    /**
+     * Binary search for an exact key
+     * @param {string} key - Upper-case key, including any "(n)" suffix
+     * @returns {number} - Entry index, or -1
+     */
+    find(key) {
+        let low = 0;
+        let high = this.offsets.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const order = compareKeys(this.keyAt(mid), key);
+            if (order === 0) {
+                return mid;
+            }
+            if (order < 0) {
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return -1;
+    }
+
+    keyAt(index) {
+        const start = this.offsets[index];
+        return this.data.slice(start, this.data.indexOf(' ', start));
+    }
+
+    entryAt(index) {
+        const start = this.offsets[index];
+        let end = this.data.indexOf('\n', start);
+        if (end < 0) {
+            end = this.data.length;
+        }
+        const line = this.data.slice(start, end);
+        const space = line.indexOf(' ');
+        return { key: line.slice(0, space), pronunciation: line.slice(space + 1) };
+    }
+
+    /**
+     * Store sorted entries as one string plus line offsets
+     * @param {string[]} entries - Sorted "KEY PHONEMES" lines
+     */
+    pack(entries) {
+        this.data = entries.join('\n');
+        this.offsets = new Uint32Array(entries.length);
+
+        let offset = 0;
+        for (let i = 0; i < entries.length; i++) {
+            this.offsets[i] = offset;
+            offset += entries[i].length + 1;
+        }
+    }
+}
+
+function keyOf(entry) {
+    return entry.slice(0, entry.indexOf(' '));
+}
+
+function baseWord(key) {
+    const variant = VARIANT_PATTERN.exec(key);
+    return variant ? variant[1] : key;
+}
+
+function compareKeys(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Dictionary consulted by textToPhonemes before the letter-to-sound rules
+const pronunciationDictionary = new PronunciationDictionary();
+
+module.exports = {
+    PronunciationDictionary,
+    pronunciationDictionary
+};
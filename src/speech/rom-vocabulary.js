@@ -0,0 +1,167 @@
+/**
+ * Speech ROM Vocabulary Index
+ *
+ * Parses the word lookup tree of the TI-99/4A speech ROM so words can be
+ * spoken by name, as TI BASIC's CALL SAY does.
+ *
+ * The ROM starts with the byte 0xAA, followed by the root of a binary search
+ * tree of word entries at address 0x0001. Each entry is laid out as:
+ * - 1 byte:  length of the word name (N)
+ * - N bytes: word name in ASCII
+ * - 2 bytes: address of the previous (alphabetically lower) entry, 0 if none
+ * - 2 bytes: address of the next (alphabetically higher) entry, 0 if none
+ * - 1 byte:  unused
+ * - 2 bytes: address of the LPC speech data
+ * - 1 byte:  length of the speech data in bytes
+ * All addresses are stored MSB first.
+ */
+
+const { decodeFrames, FrameType } = require('./frame-decoder');
+
+// First byte of a TI-99/4A speech ROM image
+const ROM_SIGNATURE = 0xAA;
+
+// Address of the root entry of the word tree
+const ROOT_ADDRESS = 0x0001;
+
+/**
+ * Read a big-endian 16-bit word from the ROM
+ * @param {Uint8Array} rom - ROM image
+ * @param {number} address - Byte address
+ * @returns {number}
+ */
+function readWord(rom, address) {
+    return (rom[address] << 8) | rom[address + 1];
+}
+
+/**
+ * Parse a single word tree entry
+ * @param {Uint8Array} rom - ROM image
+ * @param {number} address - Entry address
+ * @returns {Object|null} - Parsed entry, or null if it runs past the image
+ */
+function parseEntry(rom, address) {
+    const nameLength = rom[address];
+    const end = address + 1 + nameLength + 8;
+
+    if (nameLength === 0 || end > rom.length) {
+        return null;
+    }
+
+    const nameBytes = rom.subarray(address + 1, address + 1 + nameLength);
+    const fields = address + 1 + nameLength;
+
+    return {
+        word: String.fromCharCode(...nameBytes),
+        entryAddress: address,
+        previous: readWord(rom, fields),
+        next: readWord(rom, fields + 2),
+        address: readWord(rom, fields + 5),
+        length: rom[fields + 7]
+    };
+}
+
+/**
+ * Count the frames of an LPC stream up to (not including) its stop code
+ * @param {Uint8Array} rom - ROM image
+ * @param {number} address - Start of the speech data
+ * @param {number} length - Length of the speech data in bytes
+ * @param {string} [variant] - Chip variant whose bit widths to decode with
+ * @returns {number}
+ */
+function countFrames(rom, address, length, variant) {
+    const frames = decodeFrames(rom.subarray(address, Math.min(rom.length, address + length)), variant);
+    return frames.filter(frame => frame.type !== FrameType.STOP).length;
+}
+
+/**
+ * Build the vocabulary index of a TI-99/4A speech ROM
+ * @param {Uint8Array|Buffer} rom - ROM image
+ * @param {string} [variant] - Chip variant the ROM was made for (see
+ *   chip-variants.js); its pitch field width changes the frame counts
+ * @returns {Object[]} - Entries sorted by word: { word, entryAddress, address, length, frameCount }
+ */
+function parseVocabulary(rom, variant) {
+    if (!rom || rom.length < 2 || rom[0] !== ROM_SIGNATURE) {
+        throw new Error('Not a TI-99/4A speech ROM image (missing 0xAA signature)');
+    }
+
+    const words = [];
+    const visited = new Set();
+
+    // In-order walk of the search tree, iterative to survive deep or corrupt trees
+    const stack = [];
+    let address = ROOT_ADDRESS;
+
+    while (stack.length > 0 || address) {
+        while (address && !visited.has(address)) {
+            visited.add(address);
+            const entry = parseEntry(rom, address);
+            if (!entry) {
+                break;
+            }
+            stack.push(entry);
+            address = entry.previous;
+        }
+
+        const entry = stack.pop();
+        if (!entry) {
+            break;
+        }
+
+        words.push({
+            word: entry.word,
+            entryAddress: entry.entryAddress,
+            address: entry.address,
+            length: entry.length,
+            frameCount: countFrames(rom, entry.address, entry.length, variant)
+        });
+
+        address = entry.next;
+    }
+
+    return words;
+}
+
+/**
+ * Extract the word list from CALL SAY-style input
+ *
+ * Accepts `CALL SAY("HELLO","HOW ARE YOU")` or bare text. Quoted strings are
+ * split on spaces; `#TEXAS INSTRUMENTS#` keeps a multi-word entry together.
+ * @param {string} text - Input text
+ * @returns {string[]} - Upper-case ROM word names
+ */
+function parseSayArguments(text) {
+    const quoted = text.match(/"[^"]*"/g);
+    const phrases = quoted ? quoted.map(q => q.slice(1, -1)) : [text];
+    const words = [];
+
+    for (const phrase of phrases) {
+        const tokens = phrase.toUpperCase().match(/#[^#]*#|[^\s#]+/g) || [];
+        for (const token of tokens) {
+            const word = token.startsWith('#') ? token.slice(1, -1).trim() : token;
+            if (word) {
+                words.push(word);
+            }
+        }
+    }
+
+    return words;
+}
+
+/**
+ * Look up a word in a parsed vocabulary
+ * @param {Object[]} vocabulary - Result of parseVocabulary()
+ * @param {string} word - Word name (case-insensitive)
+ * @returns {Object|null}
+ */
+function findWord(vocabulary, word) {
+    const upper = word.toUpperCase();
+    return vocabulary.find(entry => entry.word === upper) || null;
+}
+
+module.exports = {
+    parseVocabulary,
+    parseSayArguments,
+    findWord
+};
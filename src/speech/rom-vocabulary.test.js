@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseVocabulary, parseSayArguments, findWord } = require('./rom-vocabulary');
+const { FrameType, encodeFrames } = require('./frame-decoder');
+
+// Five voiced frames and a stop code, in a variant's bit layout
+function speech(variant) {
+    const voiced = { type: FrameType.VOICED, energyIndex: 8, repeat: false, pitchIndex: 10, kIndices: [10, 10, 8, 8, 8, 8, 8, 4, 4, 4] };
+    const repeat = { type: FrameType.REPEAT, energyIndex: 8, repeat: true, pitchIndex: 10 };
+    return Array.from(encodeFrames([voiced, repeat, repeat, repeat, repeat, { type: FrameType.STOP }], variant));
+}
+
+function entry(word, previous, next, address, length) {
+    return [
+        word.length, ...Buffer.from(word, 'ascii'),
+        previous >> 8, previous & 0xFF,
+        next >> 8, next & 0xFF,
+        0,
+        address >> 8, address & 0xFF,
+        length
+    ];
+}
+
+/**
+ * Hand-built ROM: HELLO at the root, GOODBYE below it and TEXAS INSTRUMENTS
+ * above it, all sharing one speech stream
+ */
+function makeRom(variant) {
+    const data = speech(variant);
+    const hello = 0x0001;
+    const goodbye = hello + 1 + 5 + 8;
+    const texas = goodbye + 1 + 7 + 8;
+    const speechAddress = 0x0100;
+
+    const rom = new Uint8Array(0x4000);
+    rom.set([0xAA], 0);
+    rom.set(entry('HELLO', goodbye, texas, speechAddress, data.length), hello);
+    rom.set(entry('GOODBYE', 0, 0, speechAddress, data.length), goodbye);
+    rom.set(entry('TEXAS INSTRUMENTS', 0, 0, speechAddress, data.length), texas);
+    rom.set(data, speechAddress);
+    return rom;
+}
+
+test('parseVocabulary walks the word tree in order', () => {
+    const vocabulary = parseVocabulary(makeRom());
+
+    assert.deepEqual(vocabulary.map(entry => entry.word), ['GOODBYE', 'HELLO', 'TEXAS INSTRUMENTS']);
+    assert.equal(vocabulary[1].entryAddress, 0x0001);
+    assert.equal(vocabulary[1].address, 0x0100);
+    assert.equal(vocabulary[1].frameCount, 5);
+});
+
+test('frame counts use the chip variant\'s bit layout', () => {
+    const rom = makeRom('tms5100');
+
+    assert.equal(parseVocabulary(rom, 'tms5100')[0].frameCount, 5);
+    assert.notEqual(parseVocabulary(rom, 'tms5220')[0].frameCount, 5);
+});
+
+test('parseVocabulary rejects images without the signature', () => {
+    assert.throws(() => parseVocabulary(new Uint8Array(16)), /missing 0xAA signature/);
+    assert.throws(() => parseVocabulary(null), /missing 0xAA signature/);
+});
+
+test('a tree that loops back on itself is walked once', () => {
+    const rom = makeRom();
+    // Point GOODBYE's previous link back at the root
+    rom[0x0001 + 1 + 5 + 8 + 1 + 7 + 1] = 0x01;
+
+    assert.deepEqual(parseVocabulary(rom).map(entry => entry.word), ['GOODBYE', 'HELLO', 'TEXAS INSTRUMENTS']);
+});
+
+test('findWord is case-insensitive', () => {
+    const vocabulary = parseVocabulary(makeRom());
+
+    assert.equal(findWord(vocabulary, 'hello').word, 'HELLO');
+    assert.equal(findWord(vocabulary, 'Texas Instruments').word, 'TEXAS INSTRUMENTS');
+    assert.equal(findWord(vocabulary, 'GOOD'), null);
+});
+
+test('parseSayArguments reads CALL SAY strings and bare text', () => {
+    assert.deepEqual(parseSayArguments('CALL SAY("HELLO","how are you")'), ['HELLO', 'HOW', 'ARE', 'YOU']);
+    assert.deepEqual(parseSayArguments('say #Texas Instruments# hello'), ['SAY', 'TEXAS INSTRUMENTS', 'HELLO']);
+    assert.deepEqual(parseSayArguments('CALL SAY("", "# #")'), []);
+});
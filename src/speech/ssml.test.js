@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isSsml, parseSsml, ssmlToSpeech, ssmlSentences } = require('./ssml');
+
+const INVALID = {
+    'no <speak> root': ['<p>Hello</p>', /single <speak> root/],
+    'text outside <speak>': ['<speak>Hello</speak> world', /single <speak> root/],
+    'two roots': ['<speak>a</speak><speak>b</speak>', /single <speak> root/],
+    'an unclosed element': ['<speak><prosody rate="slow">Hello</speak>', /unexpected <\/speak>/],
+    'an unclosed root': ['<speak>Hello', /<speak> is not closed/],
+    'a stray closing tag': ['<speak>Hello</p></speak>', /unexpected <\/p>/],
+    'a malformed tag': ['<speak>Hello <break time=500ms/></speak>', /malformed tag/],
+    'a bad break time': ['<speak><break time="soon"/></speak>', /bad break time "soon"/],
+    'an unknown break strength': ['<speak><break strength="huge"/></speak>', /unknown break strength "huge"/],
+    'a bad prosody rate': ['<speak><prosody rate="zippy">Hi</prosody></speak>', /bad prosody rate "zippy"/],
+    'a zero prosody rate': ['<speak><prosody rate="0%">Hi</prosody></speak>', /rate must be positive/],
+    'a prosody pitch at zero': ['<speak><prosody pitch="-100%">Hi</prosody></speak>', /pitch must stay above zero/],
+    'an unknown emphasis level': ['<speak><emphasis level="extreme">Hi</emphasis></speak>', /unknown emphasis level "extreme"/],
+    'unknown phoneme codes': ['<speak><phoneme ph="HH QQ L OW">hello</phoneme></speak>', /unknown phonemes "QQ"/]
+};
+
+for (const [name, [text, pattern]] of Object.entries(INVALID)) {
+    test(`rejects ${name}`, () => {
+        assert.throws(() => parseSsml(text), pattern);
+    });
+}
+
+test('rejects object property names as table keys', () => {
+    assert.throws(() => parseSsml('<speak><break strength="constructor"/></speak>'), /unknown break strength/);
+    assert.throws(() => parseSsml('<speak><emphasis level="toString">Hi</emphasis></speak>'), /unknown emphasis level/);
+    assert.throws(() => parseSsml('<speak><prosody rate="valueOf">Hi</prosody></speak>'), /bad prosody rate/);
+    assert.deepEqual(parseSsml('<speak>&constructor;</speak>')[0].text, '&constructor;');
+});
+
+test('recognizes SSML documents', () => {
+    assert.equal(isSsml('<speak>Hi</speak>'), true);
+    assert.equal(isSsml('<?xml version="1.0"?>\n<speak version="1.1">Hi</speak>'), true);
+    assert.equal(isSsml('Say <speak> aloud'), false);
+});
+
+test('parses breaks, prosody, entities and namespaces', () => {
+    const segments = parseSsml(
+        '<ssml:speak>Tom &amp; Jerry<break time="1.5s"/><prosody rate="slow" pitch="+10%">hi</prosody><!-- note --></ssml:speak>'
+    );
+
+    assert.deepEqual(segments, [
+        { type: 'text', text: 'Tom & Jerry', prosody: { rate: 1, pitch: 1, volume: 1 } },
+        { type: 'break', ms: 1500 },
+        { type: 'text', text: 'hi', prosody: { rate: 0.75, pitch: 1.1, volume: 1 } }
+    ]);
+});
+
+test('converts SSML to phonemes and a matching timeline', () => {
+    const { phonemes, frames, timeline } = ssmlToSpeech('<speak><phoneme ph="HH AH0 L OW1">hello</phoneme></speak>');
+
+    assert.deepEqual(phonemes.filter(p => p !== ' '), ['HH', 'AH0', 'L', 'OW1']);
+    assert.ok(frames.length > 0);
+    assert.deepEqual(timeline.map(entry => entry.phoneme).filter(p => p !== ' '), ['HH', 'AH0', 'L', 'OW1']);
+    assert.equal(timeline[0].frame, 0);
+});
+
+test('splits SSML into sentences at <s> and <p>', () => {
+    const text = '<speak><p><s>Hello there.</s>\n<s>Good <break time="200ms"/> bye.</s></p> Last words</speak>';
+    const sentences = ssmlSentences(text);
+    const whole = ssmlToSpeech(text);
+
+    assert.equal(sentences.length, 3);
+    for (const sentence of sentences) {
+        assert.ok(sentence.frames.length > 0);
+        assert.equal(sentence.timeline[0].frame, 0);
+    }
+    const speech = phonemes => phonemes.filter(p => /[A-Z]/.test(p));
+    assert.deepEqual(speech(sentences.flatMap(sentence => sentence.phonemes)), speech(whole.phonemes));
+});
+
+test('ssmlSentences reports markup errors before returning anything', () => {
+    assert.throws(() => ssmlSentences('<speak><s>Fine.</s><s>Broken</speak>'), /unexpected <\/speak>/);
+});
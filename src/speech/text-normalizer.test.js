@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText, numberToWords, ordinalToWords, yearToWords, digitsToWords } = require('./text-normalizer');
+
+const CASES = {
+    'I have 3 cats': 'I have three cats',
+    '1,234.5': 'one thousand two hundred thirty four point five',
+    '-7 degrees': 'minus seven degrees',
+    'It costs $4.50': 'It costs four dollars and fifty cents',
+    'It is 45% done': 'It is forty five percent done',
+    'the 21st of May': 'the twenty first of May',
+    'On 1/2/2024': 'On January second, twenty twenty four',
+    'At 3:05 pm': 'At three oh five pee em',
+    'Call 555-1234': 'Call five five five, one two three four',
+    'between 10-20': 'between ten to twenty',
+    'the 1980s': 'the nineteen eighties',
+    'Dr. Smith lives on Elm St.': 'Doctor Smith lives on Elm Street.'
+};
+
+for (const [input, expected] of Object.entries(CASES)) {
+    test(`normalizes "${input}"`, () => {
+        assert.equal(normalizeText(input), expected);
+    });
+}
+
+test('numbers are spelled out by scale', () => {
+    assert.equal(numberToWords(0), 'zero');
+    assert.equal(numberToWords(110), 'one hundred ten');
+    assert.equal(numberToWords(1000000), 'one million');
+    assert.equal(numberToWords(1234567), 'one million two hundred thirty four thousand five hundred sixty seven');
+});
+
+test('ordinals change only the last word', () => {
+    assert.equal(ordinalToWords(1), 'first');
+    assert.equal(ordinalToWords(7), 'seventh');
+    assert.equal(ordinalToWords(20), 'twentieth');
+    assert.equal(ordinalToWords(112), 'one hundred twelfth');
+    assert.equal(ordinalToWords(1000000), 'one millionth');
+});
+
+test('years are read in pairs', () => {
+    assert.equal(yearToWords(1984), 'nineteen eighty four');
+    assert.equal(yearToWords(1905), 'nineteen oh five');
+    assert.equal(digitsToWords('5-0'), 'five zero');
+});
@@ -2,84 +2,26 @@
  * Text to Phoneme Converter
  * 
  * Converts English text to phoneme sequences for TMS5220 speech synthesis.
- * Uses a simple rule-based approach similar to early speech synthesizers.
+ * Words are looked up in the user lexicon, the loaded pronunciation
+ * dictionary (CMUdict format, with stress), then the built-in
+ * WORD_DICTIONARY; anything else goes through NRL-style letter-to-sound
+ * rules.
  * 
  * Supports two input modes:
- * 1. Plain English text (automatic conversion)
+ * 1. Plain English text (numbers, dates and abbreviations are expanded by
+ *    the text normalizer, then converted automatically)
  * 2. Direct phoneme notation with slashes: /HH EH L OW/
  */
 
-const { getPhonemeFrames, listPhonemes } = require('./phonemes');
-
-// Letter-to-phoneme rules (simplified)
-// Format: { pattern: phonemes }
-// Patterns are processed in order, longer patterns first
-
-const LETTER_RULES = {
-    // Silent letters and special cases
-    'GH': '',           // "night" - silent
-    'KN': 'N',          // "know"
-    'WR': 'R',          // "write"
-    'MB': 'M',          // "lamb" (at end)
-
-    // Vowel combinations
-    'OO': 'UW',         // "boot"
-    'EE': 'IY',         // "see"
-    'EA': 'IY',         // "eat"
-    'AI': 'EY',         // "rain"
-    'AY': 'EY',         // "say"
-    'OA': 'OW',         // "boat"
-    'OW': 'OW',         // "low"
-    'OU': 'AW',         // "out"
-    'AU': 'AO',         // "cause"
-    'EI': 'EY',         // "weigh"
-    'IE': 'IY',         // "field"
-    'OI': 'OY',         // "oil"
-    'OY': 'OY',         // "boy"
-    'UE': 'UW',         // "blue"
-    'UI': 'UW',         // "fruit"
-
-    // Consonant combinations
-    'CH': 'CH',
-    'SH': 'SH',
-    'TH': 'TH',         // Simplified - could be TH or DH
-    'PH': 'F',
-    'WH': 'W',
-    'CK': 'K',
-    'NG': 'NG',
-    'NK': 'NG K',
-    'QU': 'K W',
-    'TCH': 'CH',
-    'DG': 'JH',         // "edge"
-
-    // Single letters (basic rules, context-dependent cases simplified)
-    'A': 'AE',          // Default "a" as in "cat"
-    'B': 'B',
-    'C': 'K',           // Default to K (soft C handled separately)
-    'D': 'D',
-    'E': 'EH',          // Default "e" as in "bed"
-    'F': 'F',
-    'G': 'G',           // Default to hard G
-    'H': 'HH',
-    'I': 'IH',          // Default "i" as in "bit"
-    'J': 'JH',
-    'K': 'K',
-    'L': 'L',
-    'M': 'M',
-    'N': 'N',
-    'O': 'AA',          // Default "o" as in "hot"
-    'P': 'P',
-    'Q': 'K',
-    'R': 'R',
-    'S': 'S',
-    'T': 'T',
-    'U': 'AH',          // Default "u" as in "cut"
-    'V': 'V',
-    'W': 'W',
-    'X': 'K S',
-    'Y': 'Y',           // Consonant Y
-    'Z': 'Z',
-};
+const { listPhonemes, getPhonemeFrames } = require('./phonemes');
+const { applyIntonation } = require('./intonation');
+const { applyCoarticulation } = require('./coarticulation');
+const { applyDuration } = require('./duration');
+const { letterToSound } = require('./letter-to-sound');
+const { LETTER_RULES } = require('./letter-rules');
+const { pronunciationDictionary } = require('./pronunciation-dictionary');
+const { userLexicon } = require('./lexicon');
+const { normalizeText } = require('./text-normalizer');
 
 // Common word pronunciations (exceptions to rules)
 const WORD_DICTIONARY = {
@@ -158,6 +100,76 @@ const WORD_DICTIONARY = {
     'NINE': 'N AY N',
     'TEN': 'T EH N',
     'ZERO': 'Z IH R OW',
+    'ELEVEN': 'IH L EH V AH N',
+    'TWELVE': 'T W EH L V',
+    'THIRTEEN': 'TH ER T IY N',
+    'FOURTEEN': 'F AO R T IY N',
+    'FIFTEEN': 'F IH F T IY N',
+    'SIXTEEN': 'S IH K S T IY N',
+    'SEVENTEEN': 'S EH V AH N T IY N',
+    'EIGHTEEN': 'EY T IY N',
+    'NINETEEN': 'N AY N T IY N',
+    'TWENTY': 'T W EH N T IY',
+    'THIRTY': 'TH ER T IY',
+    'FORTY': 'F AO R T IY',
+    'FIFTY': 'F IH F T IY',
+    'SIXTY': 'S IH K S T IY',
+    'SEVENTY': 'S EH V AH N T IY',
+    'EIGHTY': 'EY T IY',
+    'NINETY': 'N AY N T IY',
+    'HUNDRED': 'HH AH N D R AH D',
+    'THOUSAND': 'TH AW Z AH N D',
+    'MILLION': 'M IH L Y AH N',
+    'BILLION': 'B IH L Y AH N',
+    'TRILLION': 'T R IH L Y AH N',
+    'TENS': 'T EH N Z',
+    'TWENTIES': 'T W EH N T IY Z',
+    'THIRTIES': 'TH ER T IY Z',
+    'FORTIES': 'F AO R T IY Z',
+    'FIFTIES': 'F IH F T IY Z',
+    'SIXTIES': 'S IH K S T IY Z',
+    'SEVENTIES': 'S EH V AH N T IY Z',
+    'EIGHTIES': 'EY T IY Z',
+    'NINETIES': 'N AY N T IY Z',
+    'HUNDREDS': 'HH AH N D R AH D Z',
+    'THOUSANDS': 'TH AW Z AH N D Z',
+    'OH': 'OW',
+    'POINT': 'P OY N T',
+    'MINUS': 'M AY N AH S',
+
+    'ZEROTH': 'Z IH R OW TH',
+    'FIRST': 'F ER S T',
+    'SECOND': 'S EH K AH N D',
+    'THIRD': 'TH ER D',
+    'FOURTH': 'F AO R TH',
+    'FIFTH': 'F IH F TH',
+    'SIXTH': 'S IH K S TH',
+    'SEVENTH': 'S EH V AH N TH',
+    'EIGHTH': 'EY T TH',
+    'NINTH': 'N AY N TH',
+    'TENTH': 'T EH N TH',
+    'ELEVENTH': 'IH L EH V AH N TH',
+    'TWELFTH': 'T W EH L F TH',
+    'THIRTEENTH': 'TH ER T IY N TH',
+    'FOURTEENTH': 'F AO R T IY N TH',
+    'FIFTEENTH': 'F IH F T IY N TH',
+    'SIXTEENTH': 'S IH K S T IY N TH',
+    'SEVENTEENTH': 'S EH V AH N T IY N TH',
+    'EIGHTEENTH': 'EY T IY N TH',
+    'NINETEENTH': 'N AY N T IY N TH',
+    'TWENTIETH': 'T W EH N T IY AH TH',
+    'THIRTIETH': 'TH ER T IY AH TH',
+    'FORTIETH': 'F AO R T IY AH TH',
+    'FIFTIETH': 'F IH F T IY AH TH',
+    'SIXTIETH': 'S IH K S T IY AH TH',
+    'SEVENTIETH': 'S EH V AH N T IY AH TH',
+    'EIGHTIETH': 'EY T IY AH TH',
+    'NINETIETH': 'N AY N T IY AH TH',
+    'HUNDREDTH': 'HH AH N D R AH D TH',
+    'THOUSANDTH': 'TH AW Z AH N D TH',
+    'MILLIONTH': 'M IH L Y AH N TH',
+    'BILLIONTH': 'B IH L Y AH N TH',
+    'TRILLIONTH': 'T R IH L Y AH N TH',
 
     'TEXAS': 'T EH K S AH S',
     'INSTRUMENTS': 'IH N S T R AH M EH N T S',
@@ -189,48 +201,26 @@ function parsePhonemeNotation(text) {
 }
 
 /**
- * Convert a single word to phonemes using rules
+ * Convert a single word to phonemes
  * @param {string} word - Word to convert
- * @returns {string[]} - Array of phoneme codes
+ * @returns {string[]} - Array of phoneme codes (dictionary entries keep
+ *   their stress digits, e.g. "OW1")
  */
 function wordToPhonemes(word) {
     const upper = word.toUpperCase();
 
-    // Check dictionary first
+    // Check user corrections, the pronunciation dictionary, then the
+    // built-in exceptions
+    const entry = userLexicon.get(upper) || pronunciationDictionary.lookup(upper);
+    if (entry) {
+        return entry;
+    }
     if (WORD_DICTIONARY[upper]) {
         return WORD_DICTIONARY[upper].split(' ');
     }
 
-    // Apply letter rules
-    const phonemes = [];
-    let i = 0;
-
-    while (i < upper.length) {
-        let matched = false;
-
-        // Try matching longer patterns first
-        for (let len = 3; len >= 1; len--) {
-            if (i + len <= upper.length) {
-                const pattern = upper.substring(i, i + len);
-                if (LETTER_RULES[pattern] !== undefined) {
-                    const result = LETTER_RULES[pattern];
-                    if (result) {
-                        phonemes.push(...result.split(' ').filter(p => p));
-                    }
-                    i += len;
-                    matched = true;
-                    break;
-                }
-            }
-        }
-
-        if (!matched) {
-            // Skip unknown characters
-            i++;
-        }
-    }
-
-    return phonemes;
+    // Apply context-sensitive letter-to-sound rules
+    return letterToSound(upper);
 }
 
 /**
@@ -246,8 +236,8 @@ function textToPhonemes(text) {
 
     const phonemes = [];
 
-    // Split into words and punctuation
-    const tokens = text.match(/[\w']+|[.,!?;:\s]/g) || [];
+    // Split the normalized text into words and punctuation
+    const tokens = normalizeText(text).match(/[\w']+|[.,!?;:\s]/g) || [];
 
     for (const token of tokens) {
         if (/^\s+$/.test(token)) {
@@ -255,7 +245,9 @@ function textToPhonemes(text) {
             phonemes.push(' ');
         } else if (/^[.,!?;:]$/.test(token)) {
             // Punctuation - add appropriate pause
-            if (token === '.' || token === '!' || token === '?') {
+            if (token === '?') {
+                phonemes.push('?');
+            } else if (token === '.' || token === '!') {
                 phonemes.push('.');
             } else {
                 phonemes.push(',');
@@ -271,22 +263,88 @@ function textToPhonemes(text) {
 }
 
 /**
- * Convert text to LPC frames for synthesis
+ * Convert phonemes to LPC frames, with sentence intonation, coarticulation
+ * transitions and the duration model
+ * @param {string[]} phonemes - Phoneme codes, including pause symbols
+ * @param {Object} [options]
+ * @param {number} [options.rate=1] - Speaking rate (2 = twice as fast)
+ * @param {Object} [options.intonation] - Intonation options
+ * @param {Object} [options.coarticulation] - Coarticulation options
+ * @returns {Object[]} - Array of LPC frame objects
+ */
+function phonemesToFrames(phonemes, options) {
+    return phonemesToSpeech(phonemes, options).frames;
+}
+
+/**
+ * Convert phonemes to LPC frames, keeping track of where each phoneme starts
+ * (for lip-sync and highlighting)
+ * @param {string[]} phonemes - Phoneme codes, including pause symbols
+ * @param {Object} [options] - See phonemesToFrames
+ * @returns {{ frames: Object[], timeline: Array<{ phoneme: string, frame: number }> }}
+ *   - Frames, and the first frame of each phoneme that produced any
+ */
+function phonemesToSpeech(phonemes, options = {}) {
+    const { rate = 1, intonation, coarticulation } = options;
+    const units = phonemes.map(phoneme => ({ phoneme, frames: getPhonemeFrames(phoneme) || [] }));
+    const smoothed = applyCoarticulation(applyIntonation(units, intonation), coarticulation);
+    const timed = applyDuration(smoothed, { rate });
+
+    return { frames: timed.flatMap(unit => unit.frames), timeline: unitTimeline(timed) };
+}
+
+/**
+ * Start frame of each unit with frames
+ * @param {Object[]} units - { phoneme, frames } per phoneme
+ * @returns {Array<{ phoneme: string, frame: number }>}
+ */
+function unitTimeline(units) {
+    const timeline = [];
+    let frame = 0;
+
+    for (const unit of units) {
+        if (unit.frames.length > 0) {
+            timeline.push({ phoneme: unit.phoneme, frame });
+            frame += unit.frames.length;
+        }
+    }
+
+    return timeline;
+}
+
+/**
+ * Convert text to LPC frames for synthesis, with sentence intonation
  * @param {string} text - Input text
+ * @param {Object} [options] - See phonemesToFrames
  * @returns {Object[]} - Array of LPC frame objects
  */
-function textToFrames(text) {
-    const phonemes = textToPhonemes(text);
-    const frames = [];
+function textToFrames(text, options) {
+    return phonemesToFrames(textToPhonemes(text), options);
+}
+
+/**
+ * Split a phoneme sequence after each sentence end ("." or "?"), so long
+ * texts can be synthesized a sentence at a time. Intonation is modelled per
+ * sentence, so the pieces sound the same as the whole.
+ * @param {string[]} phonemes - Phoneme codes, including pause symbols
+ * @returns {string[][]} - Sentences, each ending with its pause
+ */
+function splitSentences(phonemes) {
+    const sentences = [];
+    let sentence = [];
 
     for (const phoneme of phonemes) {
-        const phonemeFrames = getPhonemeFrames(phoneme);
-        if (phonemeFrames) {
-            frames.push(...phonemeFrames);
+        sentence.push(phoneme);
+        if (phoneme === '.' || phoneme === '?') {
+            sentences.push(sentence);
+            sentence = [];
         }
     }
+    if (sentence.length > 0) {
+        sentences.push(sentence);
+    }
 
-    return frames;
+    return sentences;
 }
 
 /**
@@ -301,6 +359,10 @@ function getPhonemeString(text) {
 module.exports = {
     textToPhonemes,
     textToFrames,
+    phonemesToFrames,
+    phonemesToSpeech,
+    unitTimeline,
+    splitSentences,
     getPhonemeString,
     isPhonemeNotation,
     parsePhonemeNotation,
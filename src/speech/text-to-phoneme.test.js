@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WORD_DICTIONARY, textToPhonemes } = require('./text-to-phoneme');
+const { listPhonemes } = require('./phonemes');
+const { normalizeText, numberToWords, ordinalToWords } = require('./text-normalizer');
+
+// Every word the normalizer can use to read a number, ordinal or decade
+function numberWords() {
+    const words = new Set(['OH', 'POINT', 'MINUS']);
+    const add = text => text.toUpperCase().split(' ').forEach(word => words.add(word));
+
+    for (let n = 0; n < 1000; n++) {
+        add(numberToWords(n));
+        add(ordinalToWords(n));
+    }
+    for (const scale of [1e3, 1e6, 1e9, 1e12]) {
+        add(numberToWords(scale));
+        add(ordinalToWords(scale));
+    }
+    for (const decade of ['1910s', '1900s', '2000s', '1920s', '1930s', '1940s', '1950s', '1960s', '1970s', '1980s', '1990s']) {
+        add(normalizeText(decade));
+    }
+    return words;
+}
+
+test('every number word the normalizer emits is in WORD_DICTIONARY', () => {
+    const missing = [...numberWords()].filter(word => !Object.hasOwn(WORD_DICTIONARY, word));
+    assert.deepEqual(missing, []);
+});
+
+test('WORD_DICTIONARY uses known phoneme codes', () => {
+    const known = new Set(listPhonemes());
+    for (const [word, pronunciation] of Object.entries(WORD_DICTIONARY)) {
+        for (const phoneme of pronunciation.split(' ')) {
+            assert.ok(known.has(phoneme), `${word}: unknown phoneme ${phoneme}`);
+        }
+    }
+});
+
+test('normalized ordinals use the dictionary pronunciation', () => {
+    assert.deepEqual(textToPhonemes('20th'), ['T', 'W', 'EH', 'N', 'T', 'IY', 'AH', 'TH']);
+    assert.deepEqual(textToPhonemes('7th'), ['S', 'EH', 'V', 'AH', 'N', 'TH']);
+});
@@ -0,0 +1,276 @@
+/**
+ * Synthesis Worker Pool
+ *
+ * Renders audio on worker threads (see synthesis-worker.js) so a long
+ * utterance never blocks the event loop, and every job gets its own chip.
+ *
+ * - Jobs wait in a bounded queue while all workers are busy; once it is
+ *   full, run() rejects with code QUEUE_FULL
+ * - A job that runs past the timeout rejects with code TIMEOUT
+ * - Aborting a job's signal removes it from the queue, or stops it if it is
+ *   running, and rejects with code CANCELLED
+ * - Frame and LPC jobs can stream: samples are passed to onChunk a frame at
+ *   a time as the chip renders them
+ * - Resampling and analog output emulation also run on the worker, for
+ *   jobs that are not streamed
+ * - WAV analysis (LPC encoding of recordings) runs there too
+ *
+ * A worker cannot be interrupted mid-job, so timeouts and cancellations
+ * terminate it and start a replacement.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'synthesis-worker.js');
+
+const DEFAULT_OPTIONS = {
+    size: Math.min(4, os.cpus().length),
+    maxQueue: 32,
+    timeout: 30000
+};
+
+class SynthesisPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.size] - Worker threads (CPU count, at most 4)
+     * @param {number} [options.maxQueue=32] - Jobs that may wait for a worker
+     * @param {number} [options.timeout=30000] - Milliseconds a job may run
+     * @param {string} [options.variant] - Chip variant (see chip-variants.js)
+     */
+    constructor(options = {}) {
+        const {
+            size = DEFAULT_OPTIONS.size,
+            maxQueue = DEFAULT_OPTIONS.maxQueue,
+            timeout = DEFAULT_OPTIONS.timeout,
+            variant
+        } = options;
+
+        this.size = Math.max(1, size);
+        this.maxQueue = Math.max(0, maxQueue);
+        this.timeout = timeout;
+        this.variant = variant;
+        this.rom = null;
+        this.closed = false;
+
+        this.queue = [];
+        this.nextId = 1;
+        this.workers = [];
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawn());
+        }
+    }
+
+    /**
+     * Jobs currently rendering
+     * @type {number}
+     */
+    get active() {
+        return this.workers.filter(worker => worker.task).length;
+    }
+
+    /**
+     * Jobs waiting for a worker
+     * @type {number}
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Attach a speech ROM image for 'rom' jobs
+     * @param {Uint8Array|Buffer|null} image - ROM image, or null to detach
+     */
+    setRom(image) {
+        this.rom = image ? new Uint8Array(image) : null;
+        for (const worker of this.workers) {
+            worker.thread.postMessage({ type: 'rom', image: this.rom });
+        }
+    }
+
+    /**
+     * Render a job on the next free worker
+     * @param {Object} job - { type: 'frames', frames }, { type: 'lpc', data }
+     *   or { type: 'rom', addresses }, with an optional output `sampleRate`
+     *   and `analog` preset (ignored when streamed); or { type: 'analyze',
+     *   data, options } to encode a WAV file, which resolves with
+     *   { frames, lpc }. Errors raised by the job keep their code (e.g.
+     *   INVALID_WAV).
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the job when aborted
+     * @param {Function} [options.onChunk] - Streams a frame or LPC job: called
+     *   with each Int16Array of samples as it is rendered
+     * @returns {Promise<Int16Array|Float32Array|Object>} - Samples at 8 kHz
+     *   (empty when streamed), or a Float32Array at 16-bit scale when
+     *   resampled or through an analog preset
+     */
+    run(job, options = {}) {
+        const { signal, onChunk } = options;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(poolError('Synthesis cancelled', 'CANCELLED'));
+                return;
+            }
+            if (this.closed) {
+                reject(poolError('Synthesis pool is closed', 'CANCELLED'));
+                return;
+            }
+
+            const task = { id: this.nextId++, job, onChunk, resolve, reject, signal, worker: null, timer: null };
+            const idle = this.workers.find(worker => !worker.task);
+
+            if (idle) {
+                this.start(idle, task);
+            } else if (this.queue.length < this.maxQueue) {
+                this.queue.push(task);
+            } else {
+                reject(poolError(`Synthesis queue is full (${this.maxQueue} jobs waiting)`, 'QUEUE_FULL'));
+                return;
+            }
+
+            if (signal) {
+                task.onAbort = () => this.cancel(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Terminate the workers. Queued and running jobs reject with code
+     * CANCELLED, as do any later calls to run().
+     * @returns {Promise<void>} - Resolves once every worker has exited
+     */
+    close() {
+        this.closed = true;
+
+        const tasks = [...this.queue, ...this.workers.map(worker => worker.task).filter(task => task)];
+        this.queue = [];
+
+        const exits = this.workers.map(worker => {
+            worker.retired = true;
+            worker.task = null;
+            return worker.thread.terminate();
+        });
+
+        for (const task of tasks) {
+            this.settle(task, poolError('Synthesis pool is closed', 'CANCELLED'));
+        }
+
+        return Promise.all(exits).then(() => {});
+    }
+
+    spawn() {
+        const worker = {
+            thread: new Worker(WORKER_SCRIPT, { workerData: { variant: this.variant, rom: this.rom } }),
+            task: null
+        };
+
+        worker.thread.on('message', message => this.handleMessage(worker, message));
+        worker.thread.on('error', error => this.handleExit(worker, error));
+        worker.thread.on('exit', code => this.handleExit(worker, new Error(`Synthesis worker exited with code ${code}`)));
+
+        return worker;
+    }
+
+    start(worker, task) {
+        worker.task = task;
+        task.worker = worker;
+        task.timer = setTimeout(() => {
+            this.replace(worker);
+            this.settle(task, poolError(`Synthesis timed out after ${this.timeout} ms`, 'TIMEOUT'));
+        }, this.timeout);
+
+        worker.thread.postMessage({ type: 'job', id: task.id, job: task.job, stream: Boolean(task.onChunk) });
+    }
+
+    handleMessage(worker, message) {
+        const task = worker.task;
+        if (!task || task.id !== message.id) {
+            return;
+        }
+
+        if (message.type === 'chunk') {
+            task.onChunk(message.samples);
+            return;
+        }
+
+        worker.task = null;
+        if (message.type === 'done') {
+            this.settle(task, null, message.result !== undefined ? message.result : message.samples);
+        } else {
+            this.settle(task, message.code ? poolError(message.message, message.code) : new Error(message.message));
+        }
+        this.next(worker);
+    }
+
+    /**
+     * A worker crashed or exited: fail its job and start a replacement
+     */
+    handleExit(worker, error) {
+        if (worker.retired) {
+            return;
+        }
+
+        const task = worker.task;
+        this.replace(worker);
+        if (task) {
+            this.settle(task, error);
+        }
+    }
+
+    cancel(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+        } else if (task.worker && task.worker.task === task) {
+            this.replace(task.worker);
+        } else {
+            return;
+        }
+        this.settle(task, poolError('Synthesis cancelled', 'CANCELLED'));
+    }
+
+    /**
+     * Terminate a worker and start the next queued job on its replacement
+     */
+    replace(worker) {
+        worker.retired = true;
+        worker.task = null;
+        worker.thread.terminate();
+
+        const replacement = this.spawn();
+        this.workers[this.workers.indexOf(worker)] = replacement;
+        this.next(replacement);
+    }
+
+    next(worker) {
+        if (this.queue.length > 0) {
+            this.start(worker, this.queue.shift());
+        }
+    }
+
+    settle(task, error, result) {
+        clearTimeout(task.timer);
+        if (task.onAbort) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+
+        if (error) {
+            task.reject(error);
+        } else {
+            task.resolve(result);
+        }
+    }
+}
+
+function poolError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = {
+    SynthesisPool
+};
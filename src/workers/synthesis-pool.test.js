@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SynthesisPool } = require('./synthesis-pool');
+const { textToPhonemes, phonemesToFrames } = require('../speech/text-to-phoneme');
+const { SAMPLES_PER_FRAME } = require('../core/coefficients');
+
+const SHORT = phonemesToFrames(textToPhonemes('Hello'));
+const LONG = phonemesToFrames(textToPhonemes('Hello, this is a long sentence for the speech synthesizer to render. '.repeat(20)));
+
+test('a job renders every frame', async () => {
+    const pool = new SynthesisPool({ size: 1 });
+    try {
+        const samples = await pool.run({ type: 'frames', frames: SHORT });
+        assert.ok(samples instanceof Int16Array);
+        assert.ok(samples.length >= SHORT.length * SAMPLES_PER_FRAME);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('run() rejects with QUEUE_FULL once the queue is full', async () => {
+    const pool = new SynthesisPool({ size: 1, maxQueue: 1 });
+    try {
+        const running = pool.run({ type: 'frames', frames: LONG });
+        const queued = pool.run({ type: 'frames', frames: SHORT });
+
+        await assert.rejects(pool.run({ type: 'frames', frames: SHORT }), { code: 'QUEUE_FULL' });
+        assert.equal(pool.active, 1);
+        assert.equal(pool.pending, 1);
+
+        await Promise.all([running, queued]);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('a job past the timeout rejects with TIMEOUT and the worker is replaced', async () => {
+    const pool = new SynthesisPool({ size: 1, timeout: 1 });
+    try {
+        await assert.rejects(pool.run({ type: 'frames', frames: LONG }), { code: 'TIMEOUT' });
+
+        pool.timeout = 30000;
+        const samples = await pool.run({ type: 'frames', frames: SHORT });
+        assert.ok(samples.length > 0);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('aborting a queued job rejects it with CANCELLED', async () => {
+    const pool = new SynthesisPool({ size: 1 });
+    try {
+        const controller = new AbortController();
+        const running = pool.run({ type: 'frames', frames: SHORT });
+        const queued = pool.run({ type: 'frames', frames: SHORT }, { signal: controller.signal });
+
+        controller.abort();
+        await assert.rejects(queued, { code: 'CANCELLED' });
+        assert.equal(pool.pending, 0);
+        await running;
+    } finally {
+        await pool.close();
+    }
+});
+
+test('close() cancels queued and running jobs', async () => {
+    const pool = new SynthesisPool({ size: 1 });
+    const jobs = [
+        assert.rejects(pool.run({ type: 'frames', frames: LONG }), { code: 'CANCELLED' }),
+        assert.rejects(pool.run({ type: 'frames', frames: SHORT }), { code: 'CANCELLED' })
+    ];
+
+    await pool.close();
+
+    await Promise.all(jobs);
+    await assert.rejects(pool.run({ type: 'frames', frames: SHORT }), { code: 'CANCELLED' });
+});
@@ -0,0 +1,147 @@
+/**
+ * Synthesis Worker
+ *
+ * Worker thread for SynthesisPool. Each job runs on a fresh TMS5220, so no
+ * chip state (FIFO, interpolation, ROM address) carries over between
+ * requests.
+ *
+ * Messages from the pool:
+ * - { type: 'rom', image }      Attach a speech ROM image (null to detach)
+ * - { type: 'job', id, job, stream }  Render a job:
+ *     { type: 'frames', frames }    LPC value frames
+ *     { type: 'lpc', data }         Raw LPC bitstream bytes
+ *     { type: 'rom', addresses }    Words from the speech ROM, in order
+ *     { type: 'analyze', data, options }  Encode a WAV file to LPC (see
+ *                                   lpc-encoder.js encodeWav)
+ *   A job that is not streamed may set `sampleRate` to have the output
+ *   resampled, and `analog` to pass it through an analog output preset
+ *   (see analog-output.js). Streamed jobs send raw chip samples; the
+ *   receiver runs the analog stage, so that its filters carry on across
+ *   jobs.
+ *
+ * Messages to the pool:
+ * - { type: 'chunk', id, samples }  One frame of samples (stream jobs only)
+ * - { type: 'done', id, samples }   Int16Array at 8 kHz, empty for stream jobs,
+ *                                   or Float32Array when resampled or
+ *                                   through an analog preset
+ * - { type: 'done', id, result }    { frames, lpc } for analyze jobs
+ * - { type: 'error', id, message, code }  code is set for errors that carry
+ *                                   one, e.g. INVALID_WAV
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const TMS5220 = require('../core/tms5220');
+const TMS6100 = require('../core/tms6100');
+const { resample } = require('../audio/resample');
+const { AnalogOutput } = require('../audio/analog-output');
+const { encodeWav } = require('../speech/lpc-encoder');
+const { SAMPLE_RATE, SAMPLES_PER_FRAME } = require('../core/coefficients');
+
+let romImage = workerData.rom || null;
+
+parentPort.on('message', (message) => {
+    switch (message.type) {
+        case 'rom':
+            romImage = message.image;
+            break;
+
+        case 'job':
+            try {
+                if (message.job.type === 'analyze') {
+                    const result = encodeWav(message.job.data, message.job.options);
+                    parentPort.postMessage({ type: 'done', id: message.id, result }, [result.lpc.buffer]);
+                    break;
+                }
+
+                const samples = message.stream ? stream(message.id, message.job) : render(message.job);
+                parentPort.postMessage({ type: 'done', id: message.id, samples }, [samples.buffer]);
+            } catch (error) {
+                parentPort.postMessage({ type: 'error', id: message.id, message: error.message, code: error.code });
+            }
+            break;
+    }
+});
+
+/**
+ * Render a job, through its analog preset and at its sample rate
+ * @param {Object} job - See the message list above
+ * @returns {Int16Array|Float32Array} - Float32Array (at 16-bit scale) when
+ *   post-processed
+ */
+function render(job) {
+    const samples = synthesize(job);
+    const sampleRate = job.sampleRate || SAMPLE_RATE;
+
+    if (job.analog) {
+        return new AnalogOutput(job.analog, sampleRate).process(samples);
+    }
+    if (sampleRate === SAMPLE_RATE) {
+        return samples;
+    }
+    return resample(samples, SAMPLE_RATE, sampleRate);
+}
+
+/**
+ * Render a job on a new chip
+ * @param {Object} job - See the message list above
+ * @returns {Int16Array}
+ */
+function synthesize(job) {
+    const chip = new TMS5220({ variant: workerData.variant });
+
+    switch (job.type) {
+        case 'frames':
+            return chip.synthesizeFromFrames(job.frames);
+
+        case 'lpc':
+            return chip.synthesize(job.data);
+
+        case 'rom': {
+            if (!romImage) {
+                throw new Error('No speech ROM loaded');
+            }
+            chip.vsm = new TMS6100(romImage);
+
+            // Speak each word from ROM in turn
+            const parts = job.addresses.map(address => chip.synthesizeFromRom(address));
+            const samples = new Int16Array(parts.reduce((sum, part) => sum + part.length, 0));
+            let offset = 0;
+            for (const part of parts) {
+                samples.set(part, offset);
+                offset += part.length;
+            }
+            return samples;
+        }
+
+        default:
+            throw new Error(`Unknown synthesis job: ${job.type}`);
+    }
+}
+
+/**
+ * Render a frame or LPC job a frame at a time, posting each block as it is
+ * ready
+ * @param {number} id - Job id
+ * @param {Object} job - { type: 'frames', frames } or { type: 'lpc', data }
+ * @returns {Int16Array} - Empty; all samples have been posted
+ */
+function stream(id, job) {
+    const chip = new TMS5220({ variant: workerData.variant });
+    chip.reset();
+
+    if (job.type === 'frames') {
+        chip.loadFrames(job.frames);
+    } else if (job.type === 'lpc') {
+        chip.loadSpeechData(job.data);
+    } else {
+        throw new Error(`Synthesis job cannot be streamed: ${job.type}`);
+    }
+
+    while (chip.speaking) {
+        const block = new Int16Array(SAMPLES_PER_FRAME);
+        const samples = block.slice(0, chip.render(block));
+        parentPort.postMessage({ type: 'chunk', id, samples }, [samples.buffer]);
+    }
+
+    return new Int16Array(0);
+}